@@ -0,0 +1,196 @@
+import { ethers } from "ethers";
+import { decodeCallData } from "./userOperation.js";
+
+/**
+ * The OmnichainSuperAccountRouter calls a SuperAccount makes to run a payload's actions itself,
+ * from its UserOperation's callData. Shared by the frontend (building the callData) and the bundler
+ * (checking it before the UserOp is submitted).
+ *
+ * Local actions call executeLocalAction, one call per action. Cross-chain actions bound for the same
+ * LayerZero EID share one sendBatchCrossChainActions message (sendCrossChainAction for one action),
+ * paid from the account; the router refunds what the endpoint does not take. HACK_MODE direct calls
+ * cannot come from the account and stay with the bundler.
+ */
+
+const ROUTER_ACTION_TUPLE =
+  "tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId)";
+const MESSAGE_OPTIONS_TUPLE = "tuple(uint128 nativeDropAmount, bytes executorLzReceiveOption)";
+
+export const ROUTER_ABI = [
+  `function executeLocalAction(${ROUTER_ACTION_TUPLE} action) external payable returns (bool)`,
+  `function sendCrossChainAction(uint32 dstEid, ${ROUTER_ACTION_TUPLE} action, ${MESSAGE_OPTIONS_TUPLE} options) external payable returns (bytes32)`,
+  `function quoteCrossChainAction(uint32 dstEid, ${ROUTER_ACTION_TUPLE} action, ${MESSAGE_OPTIONS_TUPLE} options) external view returns (tuple(uint256 nativeFee, uint256 lzTokenFee))`,
+  `function sendBatchCrossChainActions(uint32 dstEid, ${ROUTER_ACTION_TUPLE}[] actions, ${MESSAGE_OPTIONS_TUPLE} options) external payable returns (bytes32)`,
+  `function quoteBatchCrossChainActions(uint32 dstEid, ${ROUTER_ACTION_TUPLE}[] actions, ${MESSAGE_OPTIONS_TUPLE} options) external view returns (tuple(uint256 nativeFee, uint256 lzTokenFee))`,
+];
+
+export const DEFAULT_MESSAGE_OPTIONS = { nativeDropAmount: 0n, executorLzReceiveOption: "0x" };
+
+// LayerZero fees can rise between the quote and the send
+export const LAYERZERO_FEE_BUFFER_PERCENT = 10n;
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+
+/**
+ * A quoted LayerZero fee plus LAYERZERO_FEE_BUFFER_PERCENT
+ */
+export function withFeeBuffer(fee) {
+  const amount = BigInt(fee);
+  return amount + (amount * LAYERZERO_FEE_BUFFER_PERCENT) / 100n;
+}
+
+/**
+ * ETH a local action must send along: the amount of a VaultAdapter deposit, otherwise 0
+ * VaultAction calldata is (uint8 operation, address user, uint256 amount, uint32 targetChainId)
+ * with operation 0 = Deposit.
+ * @param {Object} chainRegistry - Registry from createChainRegistry
+ */
+export function getVaultDepositValue(chainRegistry, adapterAddress, calldata) {
+  const vaultAdapters = chainRegistry.chains.map((chain) => chain.contracts.VaultAdapter).filter(Boolean);
+  if (!vaultAdapters.includes(adapterAddress)) {
+    return 0n;
+  }
+  try {
+    const [operation, , amount] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["uint8", "address", "uint256", "uint32"],
+      calldata
+    );
+    return operation === 0n ? amount : 0n;
+  } catch (e) {
+    // Not a vault action or decode failed, no ETH to send
+    return 0n;
+  }
+}
+
+/**
+ * The router's CrossChainAction struct for a payload action
+ * @param {Object} identity - {actionId, timestamp} from createActionIdentity
+ */
+export function toRouterAction(payload, index, identity) {
+  const action = payload.actions[index];
+  return {
+    userAccount: payload.userAccount,
+    targetAdapter: action.adapter,
+    adapterCalldata: action.calldata,
+    timestamp: BigInt(identity.timestamp),
+    actionId: identity.actionId,
+  };
+}
+
+/**
+ * Group the actions an account runs itself into router calls
+ * @param {Object} payload - Composite payload
+ * @param {Array} identities - {actionId, timestamp} per action
+ * @param {Array} methods - {method, eid} per action, as the bundler dispatches it (the quote's
+ *   actions): "local_via_router", "layerzero_oapp" or "direct_call"
+ * @returns {Array} [{method, chainId, eid, actions: [{index, actionId, timestamp}]}] in payload order;
+ *   direct_call actions are left out
+ */
+export function planAccountCalls(payload, identities, methods) {
+  const groups = [];
+  const byEid = new Map();
+
+  payload.actions.forEach((action, index) => {
+    const { method, eid } = methods[index];
+    const entry = { index, ...identities[index] };
+    const chainId = Number(action.chainId);
+    if (method === "local_via_router") {
+      groups.push({ method, chainId, eid: null, actions: [entry] });
+    } else if (method === "layerzero_oapp") {
+      if (!eid) {
+        throw new Error(`LayerZero EID not configured for chain ${chainId}`);
+      }
+      if (!byEid.has(Number(eid))) {
+        const group = { method, chainId, eid: Number(eid), actions: [] };
+        byEid.set(Number(eid), group);
+        groups.push(group);
+      }
+      byEid.get(Number(eid)).actions.push(entry);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * LayerZero fee per EID from a payload quote (the bundler's /api/quote): batch fees are split over
+ * their actions there, so the shares add back up to the message fee
+ * @param {Array} quoteActions - quote.actions
+ * @returns {Object} {[eid]: fee in wei (bigint)}
+ */
+export function getLayerZeroFees(quoteActions) {
+  const fees = {};
+  for (const action of quoteActions) {
+    if (action.method === "layerzero_oapp" && action.eid) {
+      fees[action.eid] = (fees[action.eid] || 0n) + BigInt(action.lzFee);
+    }
+  }
+  return fees;
+}
+
+/**
+ * Build the router calls for planned groups
+ * @param {Object} payload - Composite payload
+ * @param {Array} groups - From planAccountCalls
+ * @param {Object} options - {chainRegistry, routerAddress: source chain router, fees: {[eid]: wei}
+ *   sent with each LayerZero message}
+ * @returns {Array} [{to, value, data}] for encodeCallData
+ */
+export function buildAccountCalls(payload, groups, { chainRegistry, routerAddress, fees = {} }) {
+  if (groups.length > 0 && !routerAddress) {
+    throw new Error("OmnichainSuperAccountRouter not deployed on the source chain");
+  }
+  return groups.map((group) => {
+    const routerActions = group.actions.map((entry) => toRouterAction(payload, entry.index, entry));
+    if (group.method === "local_via_router") {
+      const [entry] = group.actions;
+      const action = payload.actions[entry.index];
+      return {
+        to: routerAddress,
+        value: getVaultDepositValue(chainRegistry, action.adapter, action.calldata),
+        data: routerInterface.encodeFunctionData("executeLocalAction", [routerActions[0]]),
+      };
+    }
+    if (fees[group.eid] === undefined) {
+      throw new Error(`No LayerZero fee for EID ${group.eid}`);
+    }
+    return {
+      to: routerAddress,
+      value: BigInt(fees[group.eid]),
+      data: group.actions.length === 1
+        ? routerInterface.encodeFunctionData("sendCrossChainAction", [group.eid, routerActions[0], DEFAULT_MESSAGE_OPTIONS])
+        : routerInterface.encodeFunctionData("sendBatchCrossChainActions", [group.eid, routerActions, DEFAULT_MESSAGE_OPTIONS]),
+    };
+  });
+}
+
+/**
+ * Check that UserOp callData makes exactly the expected router calls
+ * Local calls must send the exact value; LayerZero sends at least the expected (quoted) fee.
+ * @param {string} callData - UserOp callData
+ * @param {Array} groups - From planAccountCalls
+ * @param {Array} expected - buildAccountCalls(payload, groups, ...) with the minimum fees
+ * @returns {Object} {valid, reason}
+ */
+export function verifyAccountCallData(callData, groups, expected) {
+  const calls = decodeCallData(callData);
+  if (!calls) {
+    return { valid: false, reason: "callData is not a SuperAccount execute or executeBatch call" };
+  }
+  if (calls.length !== expected.length) {
+    return { valid: false, reason: `callData makes ${calls.length} call(s), the payload needs ${expected.length}` };
+  }
+  for (const [position, call] of calls.entries()) {
+    const want = expected[position];
+    if (ethers.getAddress(call.to) !== ethers.getAddress(want.to) || call.data.toLowerCase() !== want.data.toLowerCase()) {
+      return { valid: false, reason: `call ${position} does not match the payload's router call` };
+    }
+    if (groups[position].method === "layerzero_oapp" ? call.value < want.value : call.value !== want.value) {
+      return {
+        valid: false,
+        reason: `call ${position} sends ${call.value} wei, ${groups[position].method === "layerzero_oapp" ? "at least " : ""}${want.value} needed`,
+      };
+    }
+  }
+  return { valid: true, reason: null };
+}
@@ -0,0 +1,106 @@
+import { ethers } from "ethers";
+import { getEntryPointContract } from "./userOperation.js";
+
+const factoryInterface = new ethers.Interface([
+  "function createAccount(address owner, uint256 salt) external returns (address)",
+  "function getAccountAddress(address owner, uint256 salt) external view returns (address)",
+]);
+
+/**
+ * initCode that deploys an owner's SuperAccount: factory address | createAccount(owner, salt) calldata
+ * @param {Object} account - {factory, owner, salt (default 0)}
+ * @returns {string} initCode hex
+ */
+export function encodeInitCode({ factory, owner, salt = 0n }) {
+  return ethers.concat([factory, factoryInterface.encodeFunctionData("createAccount", [owner, salt])]);
+}
+
+/**
+ * Decode SuperAccountFactory initCode
+ * @returns {Object|null} {factory, owner, salt} (checksummed addresses, salt as bigint), or null when
+ * initCode is empty or not a createAccount call
+ */
+export function parseInitCode(initCode) {
+  if (!initCode || !ethers.isHexString(initCode) || ethers.dataLength(initCode) < 20) {
+    return null;
+  }
+  try {
+    const [owner, salt] = factoryInterface.decodeFunctionData("createAccount", ethers.dataSlice(initCode, 20));
+    return { factory: ethers.getAddress(ethers.dataSlice(initCode, 0, 20)), owner, salt };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Counterfactual address of an owner's SuperAccount, as computed by the factory itself
+ * @param {ethers.Provider} provider - Provider for the factory's chain
+ * @param {Object} account - {factory, owner, salt (default 0)}
+ * @returns {Promise<string>} Checksummed account address, deployed or not
+ */
+export async function getAccountAddress(provider, { factory, owner, salt = 0n }) {
+  const result = await provider.call({
+    to: factory,
+    data: factoryInterface.encodeFunctionData("getAccountAddress", [owner, salt]),
+  });
+  return factoryInterface.decodeFunctionResult("getAccountAddress", result)[0];
+}
+
+/**
+ * Resolve an owner's SuperAccount on every chain of the registry that has a SuperAccountFactory
+ * Factories deployed at the same address on every chain (same EntryPoint too) give the same account
+ * address everywhere; the resolver reports when they do not.
+ * @param {Object} options - {chainRegistry, providers (by chainId), getEntryPointAddress (chainId -> address)}
+ * @returns {Object} {resolve(owner, salt)}
+ */
+export function createAccountResolver({ chainRegistry, providers, getEntryPointAddress }) {
+  async function resolveOnChain(chain, owner, salt) {
+    const base = { chainId: chain.chainId, name: chain.name };
+    const factory = chainRegistry.getContract(chain.chainId, "SuperAccountFactory");
+    if (!factory) {
+      return { ...base, error: `No SuperAccountFactory deployed on chain ${chain.chainId}` };
+    }
+    const provider = providers[chain.chainId];
+    const entryPointAddress = getEntryPointAddress(chain.chainId);
+    try {
+      const address = await getAccountAddress(provider, { factory, owner, salt });
+      const [code, nonce] = await Promise.all([
+        provider.getCode(address),
+        getEntryPointContract(entryPointAddress, provider).getNonce(address, 0),
+      ]);
+      const deployed = code !== "0x";
+      return {
+        ...base,
+        factory,
+        entryPoint: entryPointAddress,
+        address,
+        deployed,
+        nonce: nonce.toString(),
+        // Only the first UserOp deploys the account; the EntryPoint rejects initCode for deployed senders
+        initCode: deployed ? "0x" : encodeInitCode({ factory, owner, salt }),
+      };
+    } catch (error) {
+      return { ...base, factory, error: error.shortMessage || error.message };
+    }
+  }
+
+  return {
+    /**
+     * @param {string} owner - Account owner (the user's EOA)
+     * @param {bigint} salt - Account salt (default 0)
+     * @returns {Promise<Object>} {owner, salt, address, chains: [{chainId, name, factory,
+     *   entryPoint, address, deployed, nonce, initCode} | {chainId, name, error}]}; address is null when
+     *   no chain could resolve the account or the chains disagree
+     */
+    async resolve(owner, salt = 0n) {
+      const chains = await Promise.all(chainRegistry.chains.map((chain) => resolveOnChain(chain, owner, salt)));
+      const addresses = [...new Set(chains.filter((chain) => chain.address).map((chain) => chain.address))];
+      return {
+        owner,
+        salt: salt.toString(),
+        address: addresses.length === 1 ? addresses[0] : null,
+        chains,
+      };
+    },
+  };
+}
@@ -0,0 +1,595 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+const FINISHED_JOB_STATUSES = ["completed", "failed", "partial"];
+const FINISHED_ACTION_STATUSES = ["executed", "failed", "skipped"];
+
+/**
+ * Create a file-backed store for submitted payloads, their actions, dispatch jobs,
+ * used payload nonces, Idempotency-Key responses, rate limit usage, webhooks and their deliveries, UserOperations
+ * received over the bundler RPC, and the bundler wallet's pending transactions
+ * Records are kept in memory and the whole store is rewritten (tmp file + rename), so a crash
+ * never leaves a half-written file behind. Changes are batched into one write per writeDelayMs,
+ * except the bundler wallet's pending transactions, claimed payload nonces and usage records (the
+ * spend limits), which are written at once; call flush() before exiting. Finished payloads are dropped by pruneFinished.
+ * Payload and action changes are also published to subscribers (see subscribe).
+ * @param {string} filePath - JSON file to persist to (created if missing)
+ * @param {Object} options - {writeDelayMs (default 100)}
+ * @returns {Object} Store API
+ */
+export function createActionStore(filePath, { writeDelayMs = 100 } = {}) {
+  let data = {
+    payloads: {},
+    actions: {},
+    jobs: {},
+    pendingTxs: {},
+    nonces: {},
+    idempotencyKeys: {},
+    usage: [],
+    webhooks: {},
+    webhookDeliveries: {},
+    userOps: {},
+  };
+
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    data.payloads = data.payloads || {};
+    data.actions = data.actions || {};
+    data.jobs = data.jobs || {};
+    data.pendingTxs = data.pendingTxs || {};
+    data.nonces = data.nonces || {};
+    data.idempotencyKeys = data.idempotencyKeys || {};
+    data.usage = data.usage || [];
+    data.webhooks = data.webhooks || {};
+    data.webhookDeliveries = data.webhookDeliveries || {};
+    data.userOps = data.userOps || {};
+  }
+
+  let writeTimer = null;
+
+  function write() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Schedule a write of the whole store, or write now for records a restart must not lose
+  function persist({ immediate = false } = {}) {
+    if (immediate) {
+      write();
+      return;
+    }
+    if (!writeTimer) {
+      writeTimer = setTimeout(() => {
+        try {
+          write();
+        } catch (error) {
+          logger.error("Action store write failed", { filePath, error });
+        }
+      }, writeDelayMs);
+    }
+  }
+
+  const listeners = new Set();
+
+  // Publish a change to subscribers; a failing listener must not break the write
+  function emit(event) {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error("Action store listener failed", { event: event.type, error });
+      }
+    }
+  }
+
+  function emitAction(previousStatus, action) {
+    if (action.status !== previousStatus) {
+      emit({ type: "action", payloadHash: action.payloadHash, action });
+    }
+  }
+
+  function now() {
+    return new Date().toISOString();
+  }
+
+  // Record a status change with its timestamp (e.g. sentAt, deliveredAt) and in the history
+  function withStatus(record, status) {
+    const at = now();
+    return {
+      ...record,
+      status,
+      [`${status}At`]: at,
+      history: [...(record.history || []), { status, at }],
+    };
+  }
+
+  return {
+    /**
+     * Write pending changes now (e.g. before the process exits)
+     */
+    flush() {
+      if (writeTimer) {
+        write();
+      }
+    },
+
+    /**
+     * Listen for changes: {type: "payload", payloadHash, payload} whenever a payload is saved or
+     * updated, and {type: "action", payloadHash, action} whenever an action changes status
+     * @param {Function} listener - Called synchronously after each change is persisted
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Save a submitted payload, keyed by its hash
+     * @param {Object} record - {hash, userAccount, payload, ...}
+     */
+    savePayload(record) {
+      const existing = data.payloads[record.hash];
+      data.payloads[record.hash] = {
+        ...existing,
+        ...record,
+        createdAt: existing?.createdAt || now(),
+        updatedAt: now(),
+      };
+      persist();
+      emit({ type: "payload", payloadHash: record.hash, payload: data.payloads[record.hash] });
+      return data.payloads[record.hash];
+    },
+
+    /**
+     * Merge fields into an existing payload record
+     */
+    updatePayload(hash, fields) {
+      if (!data.payloads[hash]) {
+        return null;
+      }
+      data.payloads[hash] = { ...data.payloads[hash], ...fields, updatedAt: now() };
+      persist();
+      emit({ type: "payload", payloadHash: hash, payload: data.payloads[hash] });
+      return data.payloads[hash];
+    },
+
+    /**
+     * Mark a payload nonce as used by an account
+     * Each (userAccount, nonce) can be claimed once. Records are dropped once their deadline has
+     * passed, since expired payloads are rejected anyway.
+     * @param {Object} record - {userAccount, nonce, payloadHash, deadline}
+     * @returns {Object|null} The earlier record if the nonce was already used, otherwise null
+     */
+    claimNonce(record) {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      for (const [key, entry] of Object.entries(data.nonces)) {
+        if (entry.deadline < nowSeconds) {
+          delete data.nonces[key];
+        }
+      }
+
+      const key = `${record.userAccount.toLowerCase()}:${record.nonce}`;
+      if (data.nonces[key]) {
+        return data.nonces[key];
+      }
+      data.nonces[key] = { ...record, usedAt: now() };
+      persist({ immediate: true });
+      return null;
+    },
+
+    /**
+     * Free a claimed nonce (e.g. the payload was refused after claiming it and may be resubmitted)
+     */
+    releaseNonce(userAccount, nonce) {
+      delete data.nonces[`${userAccount.toLowerCase()}:${nonce}`];
+      persist();
+    },
+
+    /**
+     * Reserve an Idempotency-Key for a request, unless it is already known
+     * Expired keys are dropped first. A newly claimed key has no response until completeIdempotencyKey.
+     * @param {Object} record - {key, fingerprint, expiresAt}
+     * @returns {Object|null} The existing record ({fingerprint, response, ...}), or null if newly claimed
+     */
+    claimIdempotencyKey(record) {
+      const at = now();
+      for (const [key, entry] of Object.entries(data.idempotencyKeys)) {
+        if (entry.expiresAt < at) {
+          delete data.idempotencyKeys[key];
+        }
+      }
+
+      if (data.idempotencyKeys[record.key]) {
+        return data.idempotencyKeys[record.key];
+      }
+      data.idempotencyKeys[record.key] = { ...record, response: null, createdAt: at };
+      persist();
+      return null;
+    },
+
+    /**
+     * Store the response for a claimed Idempotency-Key
+     * @param {string} key - Scoped key passed to claimIdempotencyKey
+     * @param {Object} response - {status, body}
+     */
+    completeIdempotencyKey(key, response) {
+      if (!data.idempotencyKeys[key]) {
+        return null;
+      }
+      data.idempotencyKeys[key] = { ...data.idempotencyKeys[key], response };
+      persist();
+      return data.idempotencyKeys[key];
+    },
+
+    /**
+     * Forget a claimed Idempotency-Key (e.g. the request failed and may be retried)
+     */
+    releaseIdempotencyKey(key) {
+      delete data.idempotencyKeys[key];
+      persist();
+    },
+
+    /**
+     * Record what a submission consumed, for the rate and spend limits
+     * @param {Object} record - {keys (e.g. ["account:0x...", "ip:..."]), actions, feeWei, at}
+     */
+    recordUsage(record) {
+      data.usage.push(record);
+      persist({ immediate: true });
+      return record;
+    },
+
+    /**
+     * Get a key's usage records since an ISO time, oldest first
+     */
+    getUsageSince(key, since) {
+      return data.usage.filter((entry) => entry.at >= since && entry.keys.includes(key));
+    },
+
+    /**
+     * Drop usage records older than an ISO time
+     */
+    pruneUsage(before) {
+      const kept = data.usage.filter((entry) => entry.at >= before);
+      if (kept.length !== data.usage.length) {
+        data.usage = kept;
+        persist();
+      }
+    },
+
+    /**
+     * Save an action record, keyed by actionId
+     * @param {Object} record - {actionId, payloadHash, userAccount, chainId, adapter, method, txHash, guid, status}
+     */
+    saveAction(record) {
+      const existing = data.actions[record.actionId];
+      let action = {
+        ...existing,
+        ...record,
+        createdAt: existing?.createdAt || now(),
+        updatedAt: now(),
+      };
+      if (record.status && record.status !== existing?.status) {
+        action = withStatus({ ...action, history: existing?.history }, record.status);
+      }
+      data.actions[record.actionId] = action;
+      persist();
+      emitAction(existing?.status, action);
+      return action;
+    },
+
+    /**
+     * Move an action to a new status, stamping `${status}At` and appending to its history
+     * @param {string} actionId - Action to update
+     * @param {string} status - New status (sent, delivered, executed, failed, ...)
+     * @param {Object} fields - Extra fields to merge (txHash, error, ...)
+     */
+    setActionStatus(actionId, status, fields = {}) {
+      if (!data.actions[actionId]) {
+        return null;
+      }
+      const previousStatus = data.actions[actionId].status;
+      data.actions[actionId] = withStatus(
+        { ...data.actions[actionId], ...fields, updatedAt: now() },
+        status
+      );
+      persist();
+      emitAction(previousStatus, data.actions[actionId]);
+      return data.actions[actionId];
+    },
+
+    /**
+     * Merge fields into an existing action record
+     */
+    updateAction(actionId, fields) {
+      if (!data.actions[actionId]) {
+        return null;
+      }
+      data.actions[actionId] = { ...data.actions[actionId], ...fields, updatedAt: now() };
+      persist();
+      return data.actions[actionId];
+    },
+
+    getAction(actionId) {
+      return data.actions[actionId] || null;
+    },
+
+    getPayload(hash) {
+      return data.payloads[hash] || null;
+    },
+
+    /**
+     * Get the action records of a payload, in submission order
+     */
+    getActionsForPayload(hash) {
+      const payload = data.payloads[hash];
+      if (!payload) {
+        return [];
+      }
+      return (payload.actionIds || []).map((actionId) => data.actions[actionId]).filter(Boolean);
+    },
+
+    /**
+     * Get all action records currently in a status
+     */
+    getActionsByStatus(status) {
+      return Object.values(data.actions).filter((action) => action.status === status);
+    },
+
+    /**
+     * Save a dispatch job, keyed by jobId
+     */
+    saveJob(job) {
+      const existing = data.jobs[job.jobId];
+      data.jobs[job.jobId] = {
+        ...existing,
+        ...job,
+        createdAt: existing?.createdAt || now(),
+        updatedAt: now(),
+      };
+      persist();
+      return data.jobs[job.jobId];
+    },
+
+    getJob(jobId) {
+      return data.jobs[jobId] || null;
+    },
+
+    /**
+     * Get jobs whose status is one of the given statuses, oldest first
+     */
+    getJobsByStatus(...statuses) {
+      return Object.values(data.jobs)
+        .filter((job) => statuses.includes(job.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Drop payloads that finished before an ISO time, with their actions and dispatch job
+     * A payload is finished once its job is (completed, failed or partial) and every action is
+     * executed, failed or skipped; dead steps of a pruned job can no longer be retried.
+     * @returns {number} Payloads dropped
+     */
+    pruneFinished(before) {
+      let pruned = 0;
+      for (const [hash, payload] of Object.entries(data.payloads)) {
+        const job = payload.jobId ? data.jobs[payload.jobId] : null;
+        const actions = (payload.actionIds || []).map((actionId) => data.actions[actionId]).filter(Boolean);
+        const finished = payload.updatedAt < before &&
+          (!job || (FINISHED_JOB_STATUSES.includes(job.status) && job.updatedAt < before)) &&
+          actions.every((action) => FINISHED_ACTION_STATUSES.includes(action.status) && action.updatedAt < before);
+        if (!finished) {
+          continue;
+        }
+        for (const action of actions) {
+          delete data.actions[action.actionId];
+        }
+        if (job) {
+          delete data.jobs[job.jobId];
+        }
+        delete data.payloads[hash];
+        pruned++;
+      }
+      if (pruned) {
+        persist();
+      }
+      return pruned;
+    },
+
+    /**
+     * Save a bundler wallet transaction that has been sent but not mined, keyed by chain and nonce
+     * @param {Object} record - {chainId, nonce, hashes, to, data, value, gasLimit, fees, ...}
+     */
+    savePendingTx(record) {
+      data.pendingTxs[`${record.chainId}:${record.nonce}`] = record;
+      persist({ immediate: true });
+      return record;
+    },
+
+    removePendingTx(chainId, nonce) {
+      delete data.pendingTxs[`${chainId}:${nonce}`];
+      persist({ immediate: true });
+    },
+
+    /**
+     * Get a chain's pending bundler wallet transactions, lowest nonce first
+     */
+    getPendingTxs(chainId) {
+      return Object.values(data.pendingTxs)
+        .filter((tx) => tx.chainId === chainId)
+        .sort((a, b) => a.nonce - b.nonce);
+    },
+
+    /**
+     * Save a webhook registration, keyed by id
+     * @param {Object} record - {id, url, secret, events, userAccount, apiKeyId}
+     */
+    saveWebhook(record) {
+      data.webhooks[record.id] = { ...record, createdAt: data.webhooks[record.id]?.createdAt || now() };
+      persist();
+      return data.webhooks[record.id];
+    },
+
+    getWebhook(id) {
+      return data.webhooks[id] || null;
+    },
+
+    getWebhooks() {
+      return Object.values(data.webhooks);
+    },
+
+    /**
+     * Remove a webhook and its deliveries
+     */
+    deleteWebhook(id) {
+      delete data.webhooks[id];
+      for (const [deliveryId, delivery] of Object.entries(data.webhookDeliveries)) {
+        if (delivery.webhookId === id) {
+          delete data.webhookDeliveries[deliveryId];
+        }
+      }
+      persist();
+    },
+
+    /**
+     * Queue a webhook delivery unless the webhook already has one for the same event
+     * @param {Object} record - {deliveryId, webhookId, eventKey, type, body, status, ...}
+     * @returns {Object|null} The earlier delivery if the event was already queued, otherwise null
+     */
+    claimWebhookDelivery(record) {
+      const existing = Object.values(data.webhookDeliveries).find(
+        (delivery) => delivery.webhookId === record.webhookId && delivery.eventKey === record.eventKey
+      );
+      if (existing) {
+        return existing;
+      }
+      data.webhookDeliveries[record.deliveryId] = { ...record, createdAt: now(), updatedAt: now() };
+      persist();
+      return null;
+    },
+
+    /**
+     * Merge fields into an existing webhook delivery
+     */
+    updateWebhookDelivery(deliveryId, fields) {
+      if (!data.webhookDeliveries[deliveryId]) {
+        return null;
+      }
+      data.webhookDeliveries[deliveryId] = { ...data.webhookDeliveries[deliveryId], ...fields, updatedAt: now() };
+      persist();
+      return data.webhookDeliveries[deliveryId];
+    },
+
+    /**
+     * Get webhook deliveries in one of the given statuses, oldest first
+     */
+    getWebhookDeliveriesByStatus(...statuses) {
+      return Object.values(data.webhookDeliveries)
+        .filter((delivery) => statuses.includes(delivery.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Get a webhook's deliveries, newest first
+     */
+    getWebhookDeliveries(webhookId, { limit = 50 } = {}) {
+      return Object.values(data.webhookDeliveries)
+        .filter((delivery) => delivery.webhookId === webhookId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+
+    /**
+     * Drop finished (delivered or failed) webhook deliveries last updated before an ISO time
+     */
+    pruneWebhookDeliveries(before) {
+      let pruned = false;
+      for (const [deliveryId, delivery] of Object.entries(data.webhookDeliveries)) {
+        if (delivery.status !== "pending" && delivery.updatedAt < before) {
+          delete data.webhookDeliveries[deliveryId];
+          pruned = true;
+        }
+      }
+      if (pruned) {
+        persist();
+      }
+    },
+
+    /**
+     * Save a UserOperation accepted by a mempool, keyed by userOpHash
+     * @param {Object} record - {userOpHash, chainId, entryPoint, userOp, status, ...}
+     */
+    saveUserOp(record) {
+      data.userOps[record.userOpHash] = withStatus(
+        { ...record, createdAt: data.userOps[record.userOpHash]?.createdAt || now(), updatedAt: now() },
+        record.status
+      );
+      persist();
+      return data.userOps[record.userOpHash];
+    },
+
+    /**
+     * Merge fields into an existing UserOperation, recording a status change if one is given
+     */
+    updateUserOp(userOpHash, fields) {
+      const existing = data.userOps[userOpHash];
+      if (!existing) {
+        return null;
+      }
+      const updated = { ...existing, ...fields, updatedAt: now() };
+      data.userOps[userOpHash] = fields.status && fields.status !== existing.status
+        ? withStatus(updated, fields.status)
+        : updated;
+      persist();
+      return data.userOps[userOpHash];
+    },
+
+    getUserOp(userOpHash) {
+      return data.userOps[userOpHash] || null;
+    },
+
+    /**
+     * Get a chain's UserOperations in one of the given statuses, oldest first
+     */
+    getUserOpsByStatus(chainId, ...statuses) {
+      return Object.values(data.userOps)
+        .filter((record) => record.chainId === chainId && statuses.includes(record.status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Drop UserOperations that left the mempool (included, failed, dropped, replaced) before an ISO time
+     */
+    pruneUserOps(before) {
+      let pruned = false;
+      for (const [userOpHash, record] of Object.entries(data.userOps)) {
+        if (!["pending", "submitted"].includes(record.status) && record.updatedAt < before) {
+          delete data.userOps[userOpHash];
+          pruned = true;
+        }
+      }
+      if (pruned) {
+        persist();
+      }
+    },
+
+    /**
+     * Get an account's action records, newest first
+     * @param {string} address - userAccount address (case-insensitive)
+     * @param {Object} options - {limit}
+     */
+    getActionsByAccount(address, { limit = 100 } = {}) {
+      const account = address.toLowerCase();
+      return Object.values(data.actions)
+        .filter((action) => action.userAccount?.toLowerCase() === account)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import crypto from "crypto";
+
+// Response headers the frontend reads cross-origin
+const EXPOSED_HEADERS = ["Retry-After", "Idempotent-Replayed", "RateLimit-Limit", "RateLimit-Remaining", "X-Request-Id"];
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Split a comma-separated env value into its non-empty entries
+ */
+export function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Express middleware requiring one of the configured API keys
+ * The key is read from the X-API-Key header, or the apiKey query parameter for clients that cannot
+ * set headers (EventSource). With no keys configured every request is let through. Accepted requests
+ * get req.apiKeyId, a short digest naming the key.
+ * @param {Array<string>} apiKeys - Accepted keys
+ * @returns {Function} Express middleware
+ */
+export function createApiKeyAuth(apiKeys) {
+  const digests = apiKeys.map(digest);
+
+  return (req, res, next) => {
+    if (digests.length === 0) {
+      return next();
+    }
+    const key = req.get("X-API-Key") || req.query.apiKey;
+    // Compare digests so the check takes the same time whatever the key
+    const candidate = typeof key === "string" ? digest(key) : null;
+    if (!candidate || !digests.some((accepted) => crypto.timingSafeEqual(accepted, candidate))) {
+      return res.status(401).json({ error: "Missing or invalid API key" });
+    }
+    // Identifies the client (e.g. to scope its webhooks) without keeping the key itself
+    req.apiKeyId = candidate.toString("hex").slice(0, 16);
+    next();
+  };
+}
+
+/**
+ * Options for the cors middleware: only the listed origins get CORS headers
+ * An empty list allows every origin (local development).
+ * @param {Array<string>} origins - Allowed origins, e.g. ["https://app.example.com"]
+ */
+export function createCorsOptions(origins) {
+  return {
+    origin: origins.length > 0 ? origins : true,
+    exposedHeaders: EXPOSED_HEADERS,
+  };
+}
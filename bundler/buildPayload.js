@@ -1,19 +1,38 @@
 import { ethers } from "ethers";
 
+// How long a signed payload stays valid unless the caller asks otherwise
+export const DEFAULT_PAYLOAD_TTL_SECONDS = 600;
+
+/**
+ * Replay-protection fields for a new payload: creation time, a random nonce and a deadline
+ * The bundler accepts each (userAccount, nonce) once and rejects the payload after its deadline.
+ * @param {number} ttlSeconds - Seconds until the payload expires
+ * @returns {Object} {timestamp, nonce, deadline} (nonce as a decimal string)
+ */
+export function createPayloadValidity(ttlSeconds = DEFAULT_PAYLOAD_TTL_SECONDS) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    timestamp,
+    nonce: ethers.toBigInt(ethers.randomBytes(16)).toString(),
+    deadline: timestamp + ttlSeconds,
+  };
+}
+
 /**
  * Build EIL composite payload
  * @param {Object} params - Payload parameters
  * @param {string} params.userAccount - User account address
  * @param {Array} params.actions - Array of actions {chainId, adapter, calldata}
  * @param {Array} params.fileOps - Array of file operations {cid, purpose}
+ * @param {number} params.ttlSeconds - Seconds until the payload expires
  * @returns {string} JSON string of composite payload
  */
-export function buildEILPayload({ userAccount, actions, fileOps }) {
+export function buildEILPayload({ userAccount, actions, fileOps, ttlSeconds }) {
   const payload = {
     userAccount,
     actions: actions || [],
     fileOps: fileOps || [],
-    timestamp: Math.floor(Date.now() / 1000),
+    ...createPayloadValidity(ttlSeconds),
   };
   return JSON.stringify(payload);
 }
@@ -54,7 +73,7 @@ export function encodeNFTMintCalldata(cid) {
  * @returns {Object} Complete payload object with encoded calldata
  */
 export function buildCompletePayload(config) {
-  const { userAccount, swapParams, nftParams, fileOps } = config;
+  const { userAccount, swapParams, nftParams, fileOps, ttlSeconds } = config;
   
   const actions = [];
   
@@ -80,7 +99,119 @@ export function buildCompletePayload(config) {
     userAccount,
     actions,
     fileOps: fileOps || [],
-    timestamp: Math.floor(Date.now() / 1000),
+    ...createPayloadValidity(ttlSeconds),
+  };
+}
+
+
+/**
+ * EIP-712 types for the composite EIL payload
+ * Shared by the frontend (signing) and the bundler (verification)
+ * userOpHash binds the signature to the UserOp submitted with the payload, so its gas fields,
+ * paymasterAndData and callData cannot be swapped after signing.
+ */
+export const EIL_PAYLOAD_TYPES = {
+  CompositePayload: [
+    { name: "userAccount", type: "address" },
+    { name: "actions", type: "Action[]" },
+    { name: "fileOps", type: "FileOp[]" },
+    { name: "timestamp", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "userOpHash", type: "bytes32" },
+  ],
+  Action: [
+    { name: "chainId", type: "uint256" },
+    { name: "adapter", type: "address" },
+    { name: "calldata", type: "bytes" },
+  ],
+  FileOp: [
+    { name: "cid", type: "string" },
+    { name: "purpose", type: "string" },
+  ],
+};
+
+/**
+ * Build the EIP-712 domain for composite payloads
+ * @param {number} chainId - Chain the signature is bound to
+ * @param {string} verifyingContract - OmnichainSuperAccountRouter on that chain
+ * @returns {Object} EIP-712 domain
+ */
+export function getEILPayloadDomain(chainId, verifyingContract) {
+  return {
+    name: "EIL Composite Payload",
+    version: "1",
+    chainId: Number(chainId),
+    verifyingContract,
   };
 }
 
+/**
+ * Convert a composite payload into its EIP-712 message
+ * Numbers are emitted as decimal strings so the message is JSON-safe for wallets. A payload without
+ * userOpHash (quoted or previewed before its UserOp is final) has the zero hash there.
+ * @param {Object} payload - Composite payload {userAccount, actions, fileOps, timestamp, nonce, deadline, userOpHash}
+ * @returns {Object} CompositePayload message
+ */
+export function toEILTypedMessage(payload) {
+  return {
+    userAccount: payload.userAccount,
+    actions: (payload.actions || []).map((action) => ({
+      chainId: BigInt(action.chainId).toString(),
+      adapter: action.adapter,
+      calldata: action.calldata || "0x",
+    })),
+    fileOps: (payload.fileOps || []).map((fileOp) => ({
+      cid: fileOp.cid,
+      purpose: fileOp.purpose,
+    })),
+    timestamp: BigInt(payload.timestamp).toString(),
+    nonce: BigInt(payload.nonce).toString(),
+    deadline: BigInt(payload.deadline).toString(),
+    userOpHash: payload.userOpHash || ethers.ZeroHash,
+  };
+}
+
+/**
+ * Compute the EIP-712 digest of a composite payload
+ * @param {Object} payload - Composite payload
+ * @param {Object} domain - Domain from getEILPayloadDomain
+ * @returns {string} Typed data hash
+ */
+export function hashEILPayload(payload, domain) {
+  return ethers.TypedDataEncoder.hash(domain, EIL_PAYLOAD_TYPES, toEILTypedMessage(payload));
+}
+
+/**
+ * Compute a domain-independent hash identifying a composite payload
+ * Uses the EIP-712 struct hash, so key order and number formatting don't change it
+ * @param {Object} payload - Composite payload
+ * @returns {string} CompositePayload struct hash
+ */
+export function getPayloadHash(payload) {
+  return ethers.TypedDataEncoder.hashStruct("CompositePayload", EIL_PAYLOAD_TYPES, toEILTypedMessage(payload));
+}
+
+/**
+ * Derive the router actionId for a payload action
+ * Depends only on signed content, so the same signed payload always maps to the same actionIds:
+ * the account and its payload nonce (each accepted once), the action's position (unique ids when
+ * a payload repeats an adapter call), the action itself and the payload timestamp the router gets.
+ * It leaves out userOpHash: a smart account's UserOp callData carries the actionIds, so they are
+ * known before the UserOp, and so its hash, is final.
+ * @param {Object} payload - Composite payload
+ * @param {number} index - Position of the action in payload.actions
+ * @returns {Object} {actionId, timestamp}
+ */
+export function createActionIdentity(payload, index) {
+  const { userAccount } = payload;
+  const { adapter: adapterAddress, calldata } = payload.actions[index];
+  const timestamp = Number(payload.timestamp);
+  const actionId = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "uint256", "uint256", "address", "bytes", "uint256"],
+      [userAccount, BigInt(payload.nonce), index, adapterAddress, calldata, BigInt(timestamp)]
+    )
+  );
+  return { actionId, timestamp };
+}
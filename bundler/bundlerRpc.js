@@ -0,0 +1,303 @@
+import { ethers } from "ethers";
+import {
+  buildUserOperation,
+  getEntryPointContract,
+  getEntryPointVersion,
+  getPreVerificationGas,
+  getUserOperationReceipt,
+  serializeUserOperation,
+  simulateValidation,
+} from "./userOperation.js";
+import { createGasEstimator } from "./gasEstimation.js";
+import { logger } from "./logger.js";
+
+// JSON-RPC 2.0 and ERC-7769 (bundler RPC) error codes
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  REJECTED_BY_ENTRYPOINT: -32500,
+  REJECTED_BY_PAYMASTER: -32501,
+  OUT_OF_TIME_RANGE: -32503,
+  THROTTLED: -32504,
+  INVALID_SIGNATURE: -32507,
+  EXECUTION_REVERTED: -32521,
+};
+
+// Fields eth_sendUserOperation requires (v0.6 names; the packed/unpacked forms are both accepted)
+const REQUIRED_FIELDS = [
+  "sender",
+  "nonce",
+  "callData",
+  "callGasLimit",
+  "verificationGasLimit",
+  "preVerificationGas",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+  "signature",
+];
+
+// Least callGasLimit worth sending an operation with calldata (a call with value costs 9100)
+const MIN_CALL_GAS = 9100n;
+
+// An operation must stay valid at least this long to be worth bundling
+const MIN_VALID_SECONDS = 30;
+
+/**
+ * Error answered to the caller with a JSON-RPC error code
+ */
+export function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.data = data;
+  return error;
+}
+
+function parseUserOp(value, required) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, "UserOperation must be an object");
+  }
+  const missing = required.filter((field) => value[field] === undefined || value[field] === null);
+  if (missing.length > 0) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, `UserOperation is missing ${missing.join(", ")}`);
+  }
+  try {
+    return buildUserOperation(value);
+  } catch (error) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Invalid UserOperation: ${error.shortMessage || error.message}`);
+  }
+}
+
+/**
+ * Map a failed simulation to its ERC-7769 error
+ * EntryPoint reasons start with AA1x (factory), AA2x (account) or AA3x (paymaster).
+ */
+function simulationError(simulation) {
+  if (simulation.signatureFailed) {
+    return rpcError(RPC_ERRORS.INVALID_SIGNATURE, "Invalid UserOperation signature");
+  }
+  const reason = simulation.reason || "Validation failed";
+  const code = reason.startsWith("AA3") ? RPC_ERRORS.REJECTED_BY_PAYMASTER : RPC_ERRORS.REJECTED_BY_ENTRYPOINT;
+  return rpcError(code, reason);
+}
+
+/**
+ * Create the ERC-4337 bundler JSON-RPC API for one chain and EntryPoint
+ * (eth_chainId, eth_supportedEntryPoints, eth_sendUserOperation, eth_estimateUserOperationGas,
+ * eth_getUserOperationByHash, eth_getUserOperationReceipt)
+ *
+ * eth_sendUserOperation checks fees, gas limits and preVerificationGas, simulates validation
+ * against the EntryPoint and adds the operation to the mempool, which bundles it.
+ * Lookups by hash cover operations this bundler accepted; receipts of other operations
+ * are searched for in the last receiptLookbackBlocks blocks.
+ *
+ * @param {Object} options
+ * @param {number} options.chainId - Chain served
+ * @param {string} options.entryPointAddress - Supported EntryPoint
+ * @param {ethers.JsonRpcProvider} options.provider - Provider for the chain
+ * @param {Object} options.mempool - Mempool from createUserOpMempool
+ * @param {Object} options.store - Action store (getUserOp)
+ * @param {boolean} options.acceptUserOps - Whether eth_sendUserOperation is served (needs a bundler wallet)
+ * @param {bigint} options.maxVerificationGas - Highest verificationGasLimit accepted
+ * @param {number} options.receiptLookbackBlocks - Blocks searched for receipts of unknown operations
+ * @param {string} options.beneficiary - handleOps beneficiary of v0.7 simulations, which run handleOps
+ *   (v0.7 rejects the zero address)
+ * @param {Function} options.simulate - async (userOp) => {valid, reason, signatureFailed, preOpGas,
+ *   validAfter, validUntil}; defaults to simulateValidation against the EntryPoint
+ * @param {Object} options.gasEstimator - Estimator from createGasEstimator (defaults to one without
+ *   L1 data costs)
+ * @returns {Object} {handle(body) => JSON-RPC response (or array of them for a batch)}
+ */
+export function createBundlerRpc({
+  chainId,
+  entryPointAddress,
+  provider,
+  mempool,
+  store,
+  acceptUserOps = true,
+  maxVerificationGas = 5000000n,
+  receiptLookbackBlocks = 10000,
+  beneficiary = ethers.ZeroAddress,
+  simulate,
+  gasEstimator,
+}) {
+  const version = getEntryPointVersion(entryPointAddress);
+  const entryPoint = getEntryPointContract(entryPointAddress, provider);
+  const simulateOp = simulate || ((userOp) => simulateValidation(entryPoint, userOp, beneficiary));
+  const estimator = gasEstimator ||
+    createGasEstimator({ chainId, entryPointAddress, provider, maxVerificationGas, simulate: simulateOp });
+  const log = logger.child({ chainId });
+
+  function checkEntryPoint(address) {
+    if (typeof address !== "string" || address.toLowerCase() !== entryPointAddress.toLowerCase()) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unsupported EntryPoint: ${address} (supported: ${entryPointAddress})`);
+    }
+  }
+
+  function checkHash(hash) {
+    if (!ethers.isHexString(hash, 32)) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Invalid userOpHash: ${hash}`);
+    }
+  }
+
+  async function sendUserOperation([value, entryPointParam], fields) {
+    checkEntryPoint(entryPointParam);
+    if (!acceptUserOps) {
+      throw rpcError(RPC_ERRORS.INTERNAL_ERROR, "Bundler private key not configured");
+    }
+    const userOp = parseUserOp(value, REQUIRED_FIELDS);
+
+    if (userOp.maxPriorityFeePerGas > userOp.maxFeePerGas) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, "maxPriorityFeePerGas exceeds maxFeePerGas");
+    }
+    const block = await provider.getBlock("latest");
+    if (block?.baseFeePerGas && userOp.maxFeePerGas < block.baseFeePerGas) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `maxFeePerGas below the current base fee (${block.baseFeePerGas})`);
+    }
+    const minPreVerificationGas = getPreVerificationGas(userOp, version);
+    if (userOp.preVerificationGas < minPreVerificationGas) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `preVerificationGas too low (min ${minPreVerificationGas})`);
+    }
+    if (userOp.verificationGasLimit > maxVerificationGas) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `verificationGasLimit too high (max ${maxVerificationGas})`);
+    }
+    if (userOp.callData !== "0x" && userOp.callGasLimit < MIN_CALL_GAS) {
+      throw rpcError(RPC_ERRORS.INVALID_PARAMS, `callGasLimit too low (min ${MIN_CALL_GAS})`);
+    }
+
+    const simulation = await simulateOp(userOp);
+    if (!simulation.valid) {
+      throw simulationError(simulation);
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if (simulation.validAfter > now || (simulation.validUntil && simulation.validUntil < now + MIN_VALID_SECONDS)) {
+      throw rpcError(RPC_ERRORS.OUT_OF_TIME_RANGE, "UserOperation is not valid now or expires too soon", {
+        validAfter: simulation.validAfter,
+        validUntil: simulation.validUntil,
+      });
+    }
+
+    const { userOpHash, error, throttled } = mempool.add(userOp, fields);
+    if (error) {
+      throw rpcError(throttled ? RPC_ERRORS.THROTTLED : RPC_ERRORS.INVALID_PARAMS, error);
+    }
+    return userOpHash;
+  }
+
+  async function estimateUserOperationGas([value, entryPointParam]) {
+    checkEntryPoint(entryPointParam);
+    const estimate = await estimator.estimate(parseUserOp(value, ["sender", "callData"]));
+    if (estimate.simulation) {
+      throw simulationError(estimate.simulation);
+    }
+    if (estimate.error) {
+      throw rpcError(RPC_ERRORS.EXECUTION_REVERTED, estimate.error);
+    }
+    return {
+      preVerificationGas: ethers.toQuantity(estimate.preVerificationGas),
+      verificationGasLimit: ethers.toQuantity(estimate.verificationGasLimit),
+      callGasLimit: ethers.toQuantity(estimate.callGasLimit),
+    };
+  }
+
+  function getKnownUserOp(userOpHash) {
+    const record = store.getUserOp(userOpHash);
+    return record?.chainId === chainId ? record : null;
+  }
+
+  async function getUserOperationByHash([userOpHash]) {
+    checkHash(userOpHash);
+    const record = getKnownUserOp(userOpHash);
+    if (!record || !["pending", "submitted", "included"].includes(record.status)) {
+      return null;
+    }
+    const included = record.status === "included";
+    return {
+      userOperation: serializeUserOperation(buildUserOperation(record.userOp)),
+      entryPoint: record.entryPoint,
+      transactionHash: included ? record.txHash : null,
+      blockHash: included ? record.blockHash : null,
+      blockNumber: included ? ethers.toQuantity(record.blockNumber) : null,
+    };
+  }
+
+  async function getUserOperationReceiptByHash([userOpHash]) {
+    checkHash(userOpHash);
+    const record = getKnownUserOp(userOpHash);
+    if (record) {
+      return record.status === "included"
+        ? getUserOperationReceipt(entryPoint, provider, userOpHash, { txHash: record.txHash })
+        : null;
+    }
+    const latest = await provider.getBlockNumber();
+    return getUserOperationReceipt(entryPoint, provider, userOpHash, {
+      fromBlock: Math.max(0, latest - receiptLookbackBlocks),
+    });
+  }
+
+  const methods = {
+    eth_chainId: async () => ethers.toQuantity(chainId),
+    eth_supportedEntryPoints: async () => [entryPointAddress],
+    eth_sendUserOperation: sendUserOperation,
+    eth_estimateUserOperationGas: estimateUserOperationGas,
+    eth_getUserOperationByHash: getUserOperationByHash,
+    eth_getUserOperationReceipt: getUserOperationReceiptByHash,
+  };
+
+  async function handleCall(request, fields) {
+    const id = request && typeof request === "object" && request.id !== undefined ? request.id : null;
+    try {
+      if (!request || typeof request !== "object" || request.jsonrpc !== "2.0" || typeof request.method !== "string") {
+        throw rpcError(RPC_ERRORS.INVALID_REQUEST, "Invalid JSON-RPC 2.0 request");
+      }
+      const method = Object.hasOwn(methods, request.method) ? methods[request.method] : null;
+      if (!method) {
+        throw rpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+      }
+      const params = request.params === undefined ? [] : request.params;
+      if (!Array.isArray(params)) {
+        throw rpcError(RPC_ERRORS.INVALID_PARAMS, "params must be an array");
+      }
+      return { jsonrpc: "2.0", id, result: await method(params, fields) };
+    } catch (error) {
+      if (!error.rpcCode) {
+        log.error("Bundler RPC call failed", { method: request?.method, error });
+      }
+      return {
+        jsonrpc: "2.0",
+        id,
+        error: {
+          code: error.rpcCode || RPC_ERRORS.INTERNAL_ERROR,
+          message: error.rpcCode ? error.message : "Internal error",
+          ...(error.data !== undefined && { data: error.data }),
+        },
+      };
+    }
+  }
+
+  return {
+    chainId,
+    entryPointAddress,
+
+    /**
+     * Answer a JSON-RPC request or batch
+     * @param {Object} fields - Stored with operations sent in the request (requestId, apiKeyId)
+     */
+    async handle(body, fields = {}) {
+      if (Array.isArray(body)) {
+        if (body.length === 0) {
+          return handleCall(null);
+        }
+        // Calls in a batch run one after another, so a batch's operations reach the mempool in order
+        const responses = [];
+        for (const request of body) {
+          responses.push(await handleCall(request, fields));
+        }
+        return responses;
+      }
+      return handleCall(body, fields);
+    },
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * Environment variable suffix for a chain's network name, e.g. chainA -> CHAIN_A,
+ * optimismSepolia -> OPTIMISM_SEPOLIA (used for RPC_<NAME> and PRIVATE_KEY_<NAME>)
+ *
+ * CommonJS so hardhat.config.js and the deploy scripts can require it; the bundler and
+ * frontend get it from chainRegistry.js.
+ */
+function getChainEnvName(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/[^A-Za-z0-9]/g, "_").toUpperCase();
+}
+
+module.exports = { getChainEnvName };
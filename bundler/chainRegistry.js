@@ -0,0 +1,72 @@
+/**
+ * Chain registry shared by the bundler and the frontend
+ *
+ * chains.json lists every supported chain under its hardhat network name, with its chainId,
+ * RPC URLs, LayerZero EID/endpoint, block explorer, deployed contract addresses (contracts: name ->
+ * address), deployment details that are not contracts (meta: deployer, Owner, trustedRouter,
+ * vaultToken, ...) and, for rollups, how L1 data is priced (l1DataFee: "op-stack" or "arbitrum").
+ * sourceChain is where the bundler submits UserOps and sends LayerZero messages from;
+ * destinationChain is the default target of the demo flows.
+ */
+
+export { getChainEnvName } from "./chainEnvName.cjs";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Build lookup helpers over a parsed chains.json
+ * Entries without a chainId (e.g. contracts saved from a throwaway hardhat network) are ignored.
+ * @param {Object} registry - {sourceChain, destinationChain, chains: {[key]: chain}}
+ * @returns {Object} Registry API
+ */
+export function createChainRegistry(registry) {
+  const chains = Object.entries(registry?.chains || {})
+    .filter(([, chain]) => chain.chainId)
+    .map(([key, chain]) => ({
+      ...chain,
+      key,
+      chainId: Number(chain.chainId),
+      rpcUrls: chain.rpcUrls || [],
+      contracts: chain.contracts || {},
+      meta: chain.meta || {},
+    }));
+
+  const byKey = Object.fromEntries(chains.map((chain) => [chain.key, chain]));
+
+  function getChain(chainId) {
+    return chains.find((chain) => chain.chainId === Number(chainId)) || null;
+  }
+
+  return {
+    chains,
+    sourceChain: byKey[registry?.sourceChain] || chains[0] || null,
+    destinationChain: byKey[registry?.destinationChain] || chains[1] || null,
+
+    getChain,
+
+    getChainByKey(key) {
+      return byKey[key] || null;
+    },
+
+    getChainByEid(eid) {
+      return chains.find((chain) => chain.layerZero?.eid === Number(eid)) || null;
+    },
+
+    /**
+     * Deployed address of a contract on a chain, or null if it is missing or unset
+     */
+    getContract(chainId, name) {
+      const address = getChain(chainId)?.contracts[name];
+      return address && address !== ZERO_ADDRESS ? address : null;
+    },
+
+    getExplorerTxUrl(chainId, txHash) {
+      const explorerUrl = getChain(chainId)?.explorerUrl;
+      return explorerUrl ? `${explorerUrl}/tx/${txHash}` : "#";
+    },
+
+    getChainName(chainId) {
+      return getChain(chainId)?.name || `Chain ${chainId}`;
+    },
+  };
+}
@@ -0,0 +1,275 @@
+import { ethers } from "ethers";
+import { logger, runWithLogContext } from "./logger.js";
+
+const routerABI = [
+  "function isActionExecuted(bytes32 actionId) external view returns (bool)",
+  "function endpoint() external view returns (address)",
+  "event CrossChainActionReceived(bytes32 indexed actionId, uint32 srcEid, address indexed userAccount, address targetAdapter, bool success)",
+];
+
+const endpointABI = [
+  "function inboundPayloadHash(address receiver, uint32 srcEid, bytes32 sender, uint64 nonce) external view returns (bytes32)",
+  "function lazyInboundNonce(address receiver, uint32 srcEid, bytes32 sender) external view returns (uint64)",
+  "event PacketSent(bytes encodedPayload, bytes options, address sendLibrary)",
+  "event LzReceiveAlert(address indexed receiver, address indexed executor, tuple(uint32 srcEid, bytes32 sender, uint64 nonce) origin, bytes32 guid, uint256 gas, uint256 value, bytes message, bytes extraData, bytes reason)",
+];
+
+const endpointInterface = new ethers.Interface(endpointABI);
+
+// Stored for a message the endpoint will not deliver until it is verified again (nilify)
+const NIL_PAYLOAD_HASH = ethers.MaxUint256;
+
+/**
+ * The LayerZero packets sent in a transaction's logs, in send order
+ * EndpointV2 emits PacketSent(encodedPacket, ...); the packet header is version (1 byte), nonce (8),
+ * srcEid (4), sender (32), dstEid (4), receiver (32) and guid (32)
+ * @param {Array} logs - Transaction receipt logs
+ * @returns {Array} [{guid, nonce, srcEid, sender, dstEid, receiver}] with nonce as a bigint
+ */
+export function getLayerZeroPackets(logs) {
+  const packets = [];
+  for (const log of logs || []) {
+    let parsed = null;
+    try {
+      parsed = endpointInterface.parseLog(log);
+    } catch (e) {
+      // Not an endpoint log
+    }
+    if (parsed?.name !== "PacketSent") {
+      continue;
+    }
+    const packet = parsed.args.encodedPayload;
+    packets.push({
+      guid: ethers.dataSlice(packet, 81, 113),
+      nonce: BigInt(ethers.dataSlice(packet, 1, 9)),
+      srcEid: Number(ethers.dataSlice(packet, 9, 13)),
+      sender: ethers.dataSlice(packet, 13, 45),
+      dstEid: Number(ethers.dataSlice(packet, 45, 49)),
+      receiver: ethers.getAddress(ethers.dataSlice(packet, 61, 81)),
+    });
+  }
+  return packets;
+}
+
+/**
+ * Find the newest log matching a filter, searching back from toBlock in pages of blockRange blocks
+ * and giving up after maxBlocks (providers cap eth_getLogs ranges)
+ */
+async function findLatestLog(contract, filter, fromBlock, toBlock, { blockRange, maxBlocks }) {
+  const lowest = Math.max(fromBlock, toBlock - maxBlocks + 1);
+  for (let end = toBlock; end >= lowest; end -= blockRange) {
+    const logs = await contract.queryFilter(filter, Math.max(lowest, end - blockRange + 1), end);
+    if (logs.length > 0) {
+      return logs[logs.length - 1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a delivery checker for LayerZero actions
+ * An action is "sent" until its message is observed on the destination chain: "delivered" once the
+ * destination endpoint has verified it, then "executed" or "failed" once the router ran it. Messages
+ * whose lzReceive reverted (LzReceiveAlert) fail as delivered but reverted; ones not executed within
+ * timeoutMs of being sent fail as not delivered (or not executed, when they were delivered).
+ * @param {Object} options
+ * @param {Object} options.store - Action store
+ * @param {Function} options.getChainContext - chainId => {provider, routerAddress} or null
+ * @param {number} options.sourceChainId - Chain the messages are sent from (their PacketSent logs)
+ * @param {number} options.timeoutMs - How long after sentAt an action may stay undelivered
+ * @param {number} options.logBlockRange - Blocks per eth_getLogs query
+ * @param {number} options.maxLogBlocks - Blocks searched back for an action's destination events
+ * @param {Function} options.now - Clock (ms)
+ * @returns {Object} {checkAction(action)}
+ */
+export function createDeliveryChecker({
+  store,
+  getChainContext,
+  sourceChainId,
+  timeoutMs = 60 * 60 * 1000,
+  logBlockRange = 5000,
+  maxLogBlocks = 50000,
+  now = () => Date.now(),
+}) {
+  const logSearch = { blockRange: logBlockRange, maxBlocks: maxLogBlocks };
+  const endpoints = new Map();
+
+  async function getEndpoint(router, provider) {
+    const routerAddress = await router.getAddress();
+    if (!endpoints.has(routerAddress)) {
+      endpoints.set(routerAddress, new ethers.Contract(await router.endpoint(), endpointABI, provider));
+    }
+    return endpoints.get(routerAddress);
+  }
+
+  /**
+   * The action's LayerZero packet, read once from its send transaction and kept on the record
+   */
+  async function getPacket(action) {
+    if (action.lzNonce != null) {
+      return { nonce: BigInt(action.lzNonce), srcEid: action.srcEid, sender: action.srcSender };
+    }
+    const source = getChainContext(sourceChainId);
+    if (!action.guid || !action.txHash || !source?.provider) {
+      return null;
+    }
+    const receipt = await source.provider.getTransactionReceipt(action.txHash);
+    const packet = getLayerZeroPackets(receipt?.logs).find((entry) => entry.guid === action.guid);
+    if (!packet) {
+      return null;
+    }
+    store.updateAction(action.actionId, { lzNonce: packet.nonce.toString(), srcEid: packet.srcEid, srcSender: packet.sender });
+    return packet;
+  }
+
+  function fail(action, error, fields = {}) {
+    store.setActionStatus(action.actionId, "failed", { ...fields, error });
+    logger.warn("LayerZero action failed on destination chain", { dstChainId: Number(action.chainId), reason: error });
+  }
+
+  /**
+   * Check one sent or delivered action against its destination router and endpoint
+   * @param {Object} action - Action record in "sent" or "delivered" status
+   */
+  async function checkAction(action) {
+    const dstChainId = Number(action.chainId);
+    const context = getChainContext(dstChainId);
+    if (!context?.routerAddress) {
+      return;
+    }
+    const router = new ethers.Contract(context.routerAddress, routerABI, context.provider);
+    const latest = await context.provider.getBlockNumber();
+
+    // Start of the destination event search, normally recorded when the message was sent
+    let fromBlock = action.dstFromBlock;
+    if (fromBlock === undefined || fromBlock === null) {
+      fromBlock = latest;
+      store.updateAction(action.actionId, { dstFromBlock: fromBlock });
+    }
+
+    // Endpoint state is read before the router's, so a message executed in between is seen as executed
+    const packet = await getPacket(action);
+    let endpoint = null;
+    let payloadHash = ethers.ZeroHash;
+    let cleared = false;
+    if (packet) {
+      endpoint = await getEndpoint(router, context.provider);
+      payloadHash = await endpoint.inboundPayloadHash(context.routerAddress, packet.srcEid, packet.sender, packet.nonce);
+      cleared = payloadHash === ethers.ZeroHash &&
+        BigInt(await endpoint.lazyInboundNonce(context.routerAddress, packet.srcEid, packet.sender)) >= packet.nonce;
+    }
+
+    if (await router.isActionExecuted(action.actionId)) {
+      const received = await findLatestLog(
+        router,
+        router.filters.CrossChainActionReceived(action.actionId),
+        fromBlock,
+        latest,
+        logSearch
+      );
+      const delivery = received ? { deliveryTxHash: received.transactionHash, dstBlockNumber: received.blockNumber } : {};
+      if (action.status === "sent") {
+        store.setActionStatus(action.actionId, "delivered", delivery);
+      }
+      // The router only marks an action executed after the adapter call returns, so a set flag
+      // without a matching event (e.g. outside the search window) still means success
+      const success = received ? received.args.success : true;
+      if (!success) {
+        fail(action, "Adapter execution failed on destination chain", delivery);
+        return;
+      }
+      store.setActionStatus(action.actionId, "executed", { ...delivery, error: null });
+      logger.info("LayerZero action executed on destination chain", { dstChainId, deliveryTxHash: received?.transactionHash });
+      return;
+    }
+
+    if (cleared) {
+      // Cleared by the endpoint (skipped or burnt) without the router running the action
+      fail(action, "LayerZero message was cleared on the destination chain without executing the action");
+      return;
+    }
+
+    const verified = payloadHash !== ethers.ZeroHash && BigInt(payloadHash) !== NIL_PAYLOAD_HASH;
+    if (verified) {
+      if (action.status === "sent") {
+        store.setActionStatus(action.actionId, "delivered");
+        logger.info("LayerZero message verified on destination chain", { dstChainId });
+      }
+      const alert = await findLatestLog(
+        endpoint,
+        endpoint.filters.LzReceiveAlert(context.routerAddress),
+        fromBlock,
+        latest,
+        logSearch
+      );
+      // LzReceiveAlert is filtered by receiver only; the GUID picks this action's message
+      if (alert && alert.args.guid === action.guid) {
+        fail(action, `Delivered but lzReceive reverted on destination chain: ${decodeReason(alert.args.reason)}`, {
+          deliveryTxHash: alert.transactionHash,
+          dstBlockNumber: alert.blockNumber,
+        });
+        return;
+      }
+    }
+
+    const sentAt = Date.parse(action.sentAt || action.createdAt);
+    if (now() - sentAt > timeoutMs) {
+      fail(action, verified
+        ? `Delivered but not executed within ${Math.round(timeoutMs / 1000)}s`
+        : `Not delivered within ${Math.round(timeoutMs / 1000)}s`);
+    }
+  }
+
+  return { checkAction };
+}
+
+/**
+ * Readable revert reason of a failed lzReceive (Error(string) or the raw data)
+ */
+function decodeReason(data) {
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+  } catch (e) {
+    return data === "0x" ? "no reason" : data;
+  }
+}
+
+/**
+ * Start polling destination chains for delivery of LayerZero actions
+ * Picks up every action in "sent" or "delivered" status, including ones recorded before a restart
+ * @param {Object} options - createDeliveryChecker options, plus intervalMs (poll interval)
+ * @returns {Function} Stops the watcher
+ */
+export function startDeliveryWatcher({ store, intervalMs = 15000, ...options }) {
+  const checker = createDeliveryChecker({ store, ...options });
+  let timer = null;
+  let stopped = false;
+
+  async function poll() {
+    for (const action of [...store.getActionsByStatus("sent"), ...store.getActionsByStatus("delivered")]) {
+      const fields = {
+        requestId: action.requestId,
+        payloadHash: action.payloadHash,
+        actionId: action.actionId,
+        txHash: action.txHash,
+      };
+      await runWithLogContext(fields, async () => {
+        try {
+          await checker.checkAction(action);
+        } catch (error) {
+          logger.error("Delivery check failed", { error });
+        }
+      });
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, intervalMs);
+    }
+  }
+
+  timer = setTimeout(poll, intervalMs);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
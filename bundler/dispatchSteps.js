@@ -0,0 +1,117 @@
+/**
+ * Dispatch steps of a payload job run by the bundler wallet (see jobQueue.js): cross-chain actions
+ * bound for the same LayerZero EID share one batch step, sent as one sendBatchCrossChainActions
+ * message. On the destination each batched action succeeds or fails on its own.
+ */
+
+/**
+ * Plan the dispatch steps for a payload's actions
+ * Cross-chain actions bound for the same LayerZero EID share one batch step (one message and one
+ * fee); a group of one stays a plain action step. Actions without a batch EID (local and HACK_MODE
+ * actions) are never batched.
+ * @param {Array} actions - Payload actions
+ * @param {Array} identities - {actionId, timestamp} per action
+ * @param {Function} getBatchEid - chainId => LayerZero EID the action is sent to, or null
+ * @returns {Array} Job steps after the userOp step
+ */
+export function planDispatchSteps(actions, identities, getBatchEid) {
+  const steps = [];
+  const batches = new Map();
+
+  actions.forEach((action, index) => {
+    const step = { type: "action", index, ...identities[index] };
+    const chainId = Number(action.chainId);
+    const eid = getBatchEid(chainId);
+    if (!eid) {
+      steps.push(step);
+      return;
+    }
+    if (!batches.has(eid)) {
+      const batch = { type: "batch", eid, chainId, actions: [] };
+      batches.set(eid, batch);
+      steps.push(batch);
+    }
+    batches.get(eid).actions.push({ index, ...identities[index] });
+  });
+
+  return steps.map((step) =>
+    step.type === "batch" && step.actions.length === 1 ? { type: "action", ...step.actions[0] } : step
+  );
+}
+
+/**
+ * Create the runner of batch steps: one sendBatchCrossChainActions message for every action still
+ * pending (a plain send when only one is left). Retries only resend the actions an earlier attempt
+ * did not get executed on the destination.
+ * @param {Object} options
+ * @param {Object} options.store - Action store (getPayload)
+ * @param {Function} options.isActionExecuted - async (chainId, actionId) => bool
+ * @param {Function} options.sendAction - async (chainId, adapter, calldata, userAccount, identity) => result
+ * @param {Function} options.sendBatch - async (chainId, actions, userAccount) => {txHash, fee, actions}
+ * @param {Function} options.recordResult - (actionId, result) => void, persists a dispatch result
+ * @param {Function} options.getExecutedResult - (chainId, actionId) => result for an executed action
+ * @returns {Function} async (job, step) => {result}
+ */
+export function createBatchStepRunner({
+  store,
+  isActionExecuted,
+  sendAction,
+  sendBatch,
+  recordResult,
+  getExecutedResult,
+}) {
+  return async function runBatchStep(job, step) {
+    const { payload } = store.getPayload(job.payloadHash);
+    const results = {};
+    let pending = step.actions;
+
+    // Only resend the actions an earlier attempt did not get executed
+    if (step.attempts > 1) {
+      pending = [];
+      for (const entry of step.actions) {
+        if (await isActionExecuted(step.chainId, entry.actionId)) {
+          results[entry.actionId] = getExecutedResult(step.chainId, entry.actionId);
+        } else {
+          pending.push(entry);
+        }
+      }
+    }
+
+    let batchResult = null;
+    if (pending.length === 1) {
+      const [entry] = pending;
+      const action = payload.actions[entry.index];
+      const { receipt, ...result } = await sendAction(
+        action.chainId,
+        action.adapter,
+        action.calldata,
+        payload.userAccount,
+        { actionId: entry.actionId, timestamp: entry.timestamp }
+      );
+      results[entry.actionId] = { ...result, actionId: entry.actionId };
+    } else if (pending.length > 1) {
+      batchResult = await sendBatch(
+        step.chainId,
+        pending.map((entry) => ({ ...payload.actions[entry.index], actionId: entry.actionId, timestamp: entry.timestamp })),
+        payload.userAccount
+      );
+      for (const result of batchResult.actions) {
+        results[result.actionId] = result;
+      }
+    }
+
+    for (const entry of pending) {
+      recordResult(entry.actionId, results[entry.actionId]);
+    }
+
+    return {
+      result: {
+        chainId: step.chainId,
+        eid: step.eid,
+        txHash: batchResult?.txHash || null,
+        fee: batchResult?.fee || null,
+        actions: step.actions.map((entry) => results[entry.actionId]),
+      },
+    };
+  };
+}
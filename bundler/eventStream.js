@@ -0,0 +1,88 @@
+// Action statuses after which nothing more happens to the action
+export const FINAL_ACTION_STATUSES = ["executed", "failed", "skipped"];
+
+/**
+ * Whether a payload's job has finished and none of its actions can change any more
+ * (LayerZero actions stay open until delivery is observed on the destination chain)
+ * @param {Object} store - Action store
+ * @param {string} hash - Payload hash
+ */
+export function isPayloadSettled(store, hash) {
+  const payload = store.getPayload(hash);
+  return !["queued", "processing"].includes(payload.status) &&
+    store.getActionsForPayload(hash).every((action) => FINAL_ACTION_STATUSES.includes(action.status));
+}
+
+/**
+ * Create the handler of GET /api/payloads/:hash/events, streaming a payload's progress as
+ * Server-Sent Events
+ * Starts with a "snapshot" event (the payload and its actions), then sends an "action" event for
+ * every action status change (queued, submitted, mined, sent, delivered, executed, failed, skipped),
+ * a "payload" event for every payload update and "end" once the payload is settled. A comment line
+ * every heartbeatMs keeps idle streams open through proxies.
+ * @param {Object} options
+ * @param {Object} options.store - Action store (getPayload, getActionsForPayload, subscribe)
+ * @param {number} options.heartbeatMs - Heartbeat interval
+ * @returns {Function} Express handler (req, res)
+ */
+export function createPayloadEventStream({ store, heartbeatMs = 15000 }) {
+  return (req, res) => {
+    const { hash } = req.params;
+    const payload = store.getPayload(hash);
+    if (!payload) {
+      return res.status(404).json({ error: `Payload ${hash} not found` });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (event, data) => {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const withIndex = (action) => ({ ...action, index: payload.actionIds.indexOf(action.actionId) });
+
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let closed = false;
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+    };
+    const endIfSettled = () => {
+      if (isPayloadSettled(store, hash)) {
+        send("end", { payloadHash: hash, status: store.getPayload(hash).status });
+        close();
+      }
+    };
+
+    send("snapshot", { ...payload, actions: store.getActionsForPayload(hash).map(withIndex) });
+
+    unsubscribe = store.subscribe((event) => {
+      if (event.payloadHash !== hash) {
+        return;
+      }
+      if (event.type === "action") {
+        send("action", withIndex(event.action));
+      } else {
+        const { payload: signedPayload, ...summary } = event.payload;
+        send("payload", summary);
+      }
+      endIfSettled();
+    });
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), heartbeatMs);
+    req.on("close", close);
+    endIfSettled();
+  };
+}
@@ -0,0 +1,239 @@
+import { ethers } from "ethers";
+import {
+  getEntryPointContract,
+  getEntryPointVersion,
+  getPreVerificationGas,
+  simulateValidation,
+  toEntryPointStruct,
+} from "./userOperation.js";
+
+// Predeploys that price L1 data on rollups (chains.json "l1DataFee")
+const OP_STACK_GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+const ARBITRUM_NODE_INTERFACE = "0x00000000000000000000000000000000000000C8";
+export const L1_DATA_FEE_MODELS = ["op-stack", "arbitrum"];
+
+const gasPriceOracleInterface = new ethers.Interface([
+  "function getL1Fee(bytes data) external view returns (uint256)",
+]);
+const nodeInterface = new ethers.Interface([
+  "function gasEstimateL1Component(address to, bool contractCreation, bytes data) external payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)",
+]);
+
+// L1 fees move between the estimate and inclusion, so their gas share gets extra room
+const L1_DATA_GAS_MARGIN_PERCENT = 20n;
+// Verification gas measured by simulation gets extra room for state changes before inclusion
+const VERIFICATION_GAS_MARGIN_PERCENT = 20n;
+
+// Fallbacks when gas cannot be measured: v0.7 (no simulateValidation) and undeployed senders
+const DEFAULT_VERIFICATION_GAS = 500000n;
+const DEFAULT_CALL_GAS = 1000000n;
+
+// Well-formed ECDSA signature used to simulate unsigned operations: it recovers to some address,
+// so accounts spend the same gas as on a real signature and fail with SIG_VALIDATION_FAILED
+const DUMMY_SIGNATURE = ethers.concat([
+  "0x" + "ff".repeat(15) + "f0" + "00".repeat(16), // r
+  "0x7a" + "aa".repeat(31), // s, below secp256k1n / 2
+  "0x1c", // v
+]);
+
+function withMargin(value, percent) {
+  return value + (value * percent) / 100n;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a === b ? 0 : a < b ? -1 : 1));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Suggest EIP-1559 fees from eth_feeHistory
+ * The priority fee is the median of recent blocks' rewardPercentile tips (or the node's
+ * eth_maxPriorityFeePerGas when recent blocks paid none); maxFeePerGas leaves room for the
+ * base fee to double before inclusion.
+ * @param {ethers.JsonRpcProvider} provider - Provider for the chain
+ * @param {Object} options - {blockCount, rewardPercentile}
+ * @returns {Object} {baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas} as bigints
+ */
+export async function suggestFees(provider, { blockCount = 10, rewardPercentile = 50 } = {}) {
+  const history = await provider.send("eth_feeHistory", [ethers.toQuantity(blockCount), "latest", [rewardPercentile]]);
+  // baseFeePerGas has one entry more than the blocks asked for: the next block's base fee
+  const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+  const tips = (history.reward || []).map(([tip]) => BigInt(tip)).filter((tip) => tip > 0n);
+  const maxPriorityFeePerGas = tips.length > 0
+    ? median(tips)
+    : (await provider.getFeeData()).maxPriorityFeePerGas ?? 0n;
+
+  return {
+    baseFeePerGas,
+    maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas,
+    maxPriorityFeePerGas,
+  };
+}
+
+/**
+ * Gas a rollup charges for posting a transaction's data to L1, in L2 gas units
+ * @param {ethers.JsonRpcProvider} provider - Provider for the rollup
+ * @param {string|null} model - "op-stack" (GasPriceOracle.getL1Fee, e.g. Base) or "arbitrum"
+ *   (NodeInterface.gasEstimateL1Component); other chains have no L1 data cost
+ * @param {Object} tx - {chainId, to, data, gasPrice}; gasPrice converts an L1 fee into gas
+ * @returns {bigint}
+ */
+export async function getL1DataGas(provider, model, { chainId, to, data, gasPrice }) {
+  if (model === "op-stack") {
+    // The oracle prices a whole serialized transaction; its signature adds ~67 bytes, within the margin
+    const serialized = ethers.Transaction.from({
+      type: 2,
+      chainId,
+      nonce: 0xffff,
+      to,
+      data,
+      gasLimit: 10000000n,
+      maxFeePerGas: gasPrice,
+      maxPriorityFeePerGas: gasPrice,
+    }).unsignedSerialized;
+    const result = await provider.call({
+      to: OP_STACK_GAS_PRICE_ORACLE,
+      data: gasPriceOracleInterface.encodeFunctionData("getL1Fee", [serialized]),
+    });
+    const [l1Fee] = gasPriceOracleInterface.decodeFunctionResult("getL1Fee", result);
+    return gasPrice > 0n ? (l1Fee + gasPrice - 1n) / gasPrice : 0n;
+  }
+  if (model === "arbitrum") {
+    const result = await provider.call({
+      to: ARBITRUM_NODE_INTERFACE,
+      data: nodeInterface.encodeFunctionData("gasEstimateL1Component", [to, false, data]),
+    });
+    const [gasEstimateForL1] = nodeInterface.decodeFunctionResult("gasEstimateL1Component", result);
+    return gasEstimateForL1;
+  }
+  return 0n;
+}
+
+/**
+ * Create a UserOperation gas estimator for one chain and EntryPoint
+ *
+ * - preVerificationGas: the calldata and per-op EntryPoint overhead, plus the L1 data cost of the
+ *   handleOps transaction on rollups
+ * - verificationGasLimit: simulateValidation (v0.6) with the op's account, factory and paymaster,
+ *   plus a margin; senders that are neither deployed nor created by initCode are not simulated
+ *   (the bundler skips their UserOps)
+ * - callGasLimit: eth_estimateGas of the account call as made by the EntryPoint
+ * - fees: suggestFees, unless the operation sets its own
+ *
+ * @param {Object} options
+ * @param {number} options.chainId - Chain estimated for
+ * @param {string} options.entryPointAddress - EntryPoint the operations go to
+ * @param {ethers.JsonRpcProvider} options.provider - Provider for the chain
+ * @param {string|null} options.l1DataFee - L1 data fee model of the chain (see getL1DataGas)
+ * @param {bigint} options.maxVerificationGas - Verification gas available to the simulation
+ * @param {string} options.beneficiary - handleOps beneficiary of v0.7 simulations, which run handleOps
+ *   (v0.7 rejects the zero address)
+ * @param {Function} options.simulate - async (userOp) => simulateValidation result; defaults to
+ *   simulateValidation against the EntryPoint
+ * @returns {Object} {estimate(userOp)}
+ */
+export function createGasEstimator({
+  chainId,
+  entryPointAddress,
+  provider,
+  l1DataFee = null,
+  maxVerificationGas = 5000000n,
+  beneficiary = ethers.ZeroAddress,
+  simulate,
+}) {
+  const version = getEntryPointVersion(entryPointAddress);
+  const entryPoint = getEntryPointContract(entryPointAddress, provider);
+  const simulateOp = simulate || ((userOp) => simulateValidation(entryPoint, userOp, beneficiary));
+
+  async function getPreVerificationGasWithL1(userOp, gasPrice) {
+    const preVerificationGas = getPreVerificationGas(userOp, version);
+    if (!l1DataFee) {
+      return { preVerificationGas, l1DataGas: 0n };
+    }
+    const signature = userOp.signature === "0x" ? DUMMY_SIGNATURE : userOp.signature;
+    const data = entryPoint.interface.encodeFunctionData("handleOps", [
+      [toEntryPointStruct({ ...userOp, preVerificationGas, signature }, version)],
+      ethers.ZeroAddress,
+    ]);
+    const l1DataGas = withMargin(
+      await getL1DataGas(provider, l1DataFee, { chainId, to: entryPointAddress, data, gasPrice }),
+      L1_DATA_GAS_MARGIN_PERCENT
+    );
+    return { preVerificationGas: preVerificationGas + l1DataGas, l1DataGas };
+  }
+
+  return {
+    chainId,
+    entryPointAddress,
+
+    /**
+     * Estimate gas limits and fees for a UserOperation
+     * Gas limits the operation already sets are re-estimated; fees it sets are kept.
+     * @param {Object} userOp - UserOperation from buildUserOperation (signature may be empty)
+     * @returns {Object} {preVerificationGas, verificationGasLimit, callGasLimit, maxFeePerGas,
+     *   maxPriorityFeePerGas, l1DataGas, simulated} as bigints (simulated: verification was measured),
+     *   or {error, simulation} when validation fails, or {error, reverted: true} when the call reverts
+     */
+    async estimate(userOp) {
+      const fees = await suggestFees(provider);
+      const maxFeePerGas = userOp.maxFeePerGas || fees.maxFeePerGas;
+      const maxPriorityFeePerGas = userOp.maxPriorityFeePerGas || fees.maxPriorityFeePerGas;
+      const gasPrice = maxFeePerGas < fees.baseFeePerGas + maxPriorityFeePerGas
+        ? maxFeePerGas
+        : fees.baseFeePerGas + maxPriorityFeePerGas;
+
+      // Gas fields are filled with at least their final size, so the op's calldata is not underpriced
+      const operation = {
+        ...userOp,
+        callGasLimit: userOp.callGasLimit || DEFAULT_CALL_GAS,
+        verificationGasLimit: maxVerificationGas,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+      };
+      // An unsigned op is costed with a 65-byte signature
+      const { preVerificationGas, l1DataGas } = await getPreVerificationGasWithL1(operation, gasPrice);
+
+      const deployed = (await provider.getCode(userOp.sender)) !== "0x";
+      const simulated = version === "0.6" && (deployed || userOp.initCode !== "0x");
+      let verificationGasLimit = DEFAULT_VERIFICATION_GAS;
+      if (simulated) {
+        // No fees, so the account needs no deposit; an unsigned op only fails its signature check
+        const simulation = await simulateOp({
+          ...operation,
+          signature: userOp.signature === "0x" ? DUMMY_SIGNATURE : userOp.signature,
+          preVerificationGas,
+          maxFeePerGas: 0n,
+          maxPriorityFeePerGas: 0n,
+        });
+        if (!simulation.valid && !simulation.signatureFailed) {
+          return { error: simulation.reason, simulation };
+        }
+        // preOpGas covers preVerificationGas plus what verification used
+        verificationGasLimit = withMargin(simulation.preOpGas - preVerificationGas, VERIFICATION_GAS_MARGIN_PERCENT);
+      }
+
+      let callGasLimit = 0n;
+      if (userOp.callData !== "0x") {
+        callGasLimit = DEFAULT_CALL_GAS;
+        if (deployed) {
+          try {
+            callGasLimit = await provider.estimateGas({ from: entryPointAddress, to: userOp.sender, data: userOp.callData });
+          } catch (error) {
+            return { error: `Execution reverted: ${error.shortMessage || error.message}`, reverted: true };
+          }
+        }
+      }
+
+      return {
+        preVerificationGas,
+        verificationGasLimit,
+        callGasLimit,
+        maxFeePerGas,
+        maxPriorityFeePerGas,
+        l1DataGas,
+        simulated,
+      };
+    },
+  };
+}
@@ -0,0 +1,206 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+import { withTimeout } from "./timeout.js";
+
+const routerABI = [
+  "function authorizedExecutors(address executor) external view returns (bool)",
+  "function owner() external view returns (address)",
+  "function peers(uint32 eid) external view returns (bytes32)",
+];
+
+const adapterABI = [
+  "function trustedRouter() external view returns (address)",
+];
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Create the bundler's readiness check (GET /health/ready)
+ *
+ * Per chain it checks that the RPC answers with the expected chain ID, that the bundler wallet
+ * holds at least minBalanceWei, that the router lets the bundler send (authorizedExecutors or
+ * owner), that the router's LayerZero peers point at the other chains' routers, and that every
+ * registered adapter trusts the address that will call it. Checks run concurrently and each
+ * one fails on its own timeout; results are cached for cacheMs.
+ *
+ * @param {Object} options
+ * @param {Object} options.chainRegistry - Registry from createChainRegistry
+ * @param {Function} options.getChainContext - chainId => {provider, routerAddress} or null
+ * @param {string|null} options.bundlerAddress - Bundler wallet address (null if not configured)
+ * @param {bigint} options.minBalanceWei - Lowest acceptable bundler balance per chain
+ * @param {boolean} options.hackMode - Adapters on destination chains are called directly by the bundler
+ * @param {number} options.timeoutMs - Per-check timeout
+ * @param {number} options.cacheMs - How long a result is reused
+ * @returns {Function} async () => {ready, checkedAt, checks: [{name, chainId, status, detail}]}
+ */
+export function createReadinessCheck({
+  chainRegistry,
+  getChainContext,
+  bundlerAddress,
+  minBalanceWei,
+  hackMode,
+  timeoutMs = 5000,
+  cacheMs = 10000,
+}) {
+  const sourceChainId = chainRegistry.sourceChain.chainId;
+  let cached = null;
+
+  // Each check resolves to a detail string on success, throws on failure, or returns null to skip
+  function buildChecks() {
+    const checks = [];
+    const add = (name, chainId, run) => checks.push({ name, chainId, run });
+
+    if (!bundlerAddress) {
+      add("wallet", null, async () => {
+        throw new Error("PRIVATE_KEY_BUNDLER not configured");
+      });
+    }
+
+    for (const chain of chainRegistry.chains) {
+      const { provider, routerAddress } = getChainContext(chain.chainId);
+      const router = routerAddress ? new ethers.Contract(routerAddress, routerABI, provider) : null;
+
+      add("rpc", chain.chainId, async () => {
+        const start = Date.now();
+        const chainId = Number(await provider.send("eth_chainId", []));
+        if (chainId !== chain.chainId) {
+          throw new Error(`RPC is on chain ${chainId}, expected ${chain.chainId}`);
+        }
+        return `block ${await provider.getBlockNumber()} in ${Date.now() - start}ms`;
+      });
+
+      if (bundlerAddress) {
+        add("balance", chain.chainId, async () => {
+          const balance = await provider.getBalance(bundlerAddress);
+          if (balance < minBalanceWei) {
+            throw new Error(`${ethers.formatEther(balance)} ETH, below ${ethers.formatEther(minBalanceWei)} ETH`);
+          }
+          return `${ethers.formatEther(balance)} ETH`;
+        });
+      }
+
+      add("router", chain.chainId, async () => {
+        if (!router) {
+          throw new Error("OmnichainSuperAccountRouter not in chains.json");
+        }
+        if (!bundlerAddress) {
+          return null;
+        }
+        const [authorized, owner] = await Promise.all([router.authorizedExecutors(bundlerAddress), router.owner()]);
+        if (!authorized && !sameAddress(owner, bundlerAddress)) {
+          throw new Error(`Bundler ${bundlerAddress} is not an authorized executor of ${routerAddress}`);
+        }
+        return authorized ? "bundler is an authorized executor" : "bundler is the router owner";
+      });
+
+      // LayerZero peers: this router must accept messages from (and send to) every other chain's router
+      for (const peer of chainRegistry.chains) {
+        if (peer.chainId === chain.chainId) {
+          continue;
+        }
+        add(`peer:${peer.chainId}`, chain.chainId, async () => {
+          if (hackMode || !router) {
+            return null;
+          }
+          const peerRouter = getChainContext(peer.chainId).routerAddress;
+          const eid = peer.layerZero?.eid;
+          if (!eid || !peerRouter) {
+            throw new Error(`Chain ${peer.chainId} has no LayerZero EID or router in chains.json`);
+          }
+          const configured = await router.peers(eid);
+          if (configured !== ethers.zeroPadValue(peerRouter, 32)) {
+            throw new Error(`peers(${eid}) is ${configured}, expected router ${peerRouter}`);
+          }
+          return `peers(${eid}) = ${peerRouter}`;
+        });
+      }
+
+      // Adapters are called by the router, except destination chains in HACK_MODE (bundler calls them)
+      const expectedCaller = hackMode && chain.chainId !== sourceChainId ? bundlerAddress : routerAddress;
+      for (const [name, address] of Object.entries(chain.contracts)) {
+        if (!name.endsWith("Adapter") || !ethers.isAddress(address)) {
+          continue;
+        }
+        add(`adapter:${name}`, chain.chainId, async () => {
+          if (!expectedCaller) {
+            return null;
+          }
+          const trustedRouter = await new ethers.Contract(address, adapterABI, provider).trustedRouter();
+          if (!sameAddress(trustedRouter, expectedCaller)) {
+            throw new Error(`trustedRouter is ${trustedRouter}, expected ${expectedCaller}`);
+          }
+          return `trusts ${trustedRouter}`;
+        });
+      }
+    }
+
+    return checks;
+  }
+
+  async function runChecks() {
+    let checks;
+    try {
+      checks = buildChecks();
+    } catch (error) {
+      // e.g. a registry entry the checks cannot be built from: report it instead of failing the route
+      checks = [{ name: "checks", chainId: null, run: async () => { throw error; } }];
+    }
+    const results = await Promise.all(checks.map(async ({ name, chainId, run }) => {
+      try {
+        const detail = await withTimeout(run(), timeoutMs);
+        return { name, chainId, status: detail === null ? "skipped" : "ok", detail };
+      } catch (error) {
+        return { name, chainId, status: "fail", detail: error.shortMessage || error.message };
+      }
+    }));
+    return {
+      ready: results.every((check) => check.status !== "fail"),
+      checkedAt: new Date().toISOString(),
+      checks: results,
+    };
+  }
+
+  return () => {
+    if (!cached || Date.now() - cached.at > cacheMs) {
+      const result = runChecks();
+      cached = { at: Date.now(), result };
+      // A failed run is not reused
+      result.catch(() => {
+        if (cached?.result === result) {
+          cached = null;
+        }
+      });
+    }
+    return cached.result;
+  };
+}
+
+/**
+ * Create the handler of GET /health/ready: 200 when every check passed or was skipped, 503 otherwise
+ * @param {Object} options
+ * @param {Function} options.checkReadiness - Check from createReadinessCheck
+ * @param {Object} options.info - Fields added to every response (mode, bundlerAddress)
+ * @returns {Function} Express handler (req, res)
+ */
+export function createReadinessHandler({ checkReadiness, info = {} }) {
+  return async (req, res) => {
+    let readiness;
+    try {
+      readiness = await checkReadiness();
+    } catch (error) {
+      logger.error("Readiness check failed", { error });
+      readiness = {
+        ready: false,
+        checkedAt: new Date().toISOString(),
+        checks: [{ name: "checks", chainId: null, status: "fail", detail: error.shortMessage || error.message }],
+      };
+    }
+    res.status(readiness.ready ? 200 : 503).json({
+      status: readiness.ready ? "ready" : "unavailable",
+      ...info,
+      ...readiness,
+    });
+  };
+}
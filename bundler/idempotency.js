@@ -0,0 +1,96 @@
+import crypto from "crypto";
+
+// Longest accepted Idempotency-Key (UUIDs and similar fit comfortably)
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so the same body always fingerprints the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function fingerprintBody(body) {
+  return crypto.createHash("sha256").update(canonicalJson(body ?? null)).digest("hex");
+}
+
+/**
+ * Express middleware honouring the Idempotency-Key request header on submission routes
+ *
+ * The first request with a key runs normally and its response is stored. Repeating the key with
+ * the same body replays that response (with an Idempotent-Replayed header) without running the
+ * route again; the same key with a different body is rejected with 422, and a repeat that arrives
+ * while the first request is still running gets 409 with Retry-After. 5xx and 429 responses are not stored, so
+ * the client can retry them with the same key. Keys are scoped to the caller (its API key, or its
+ * IP when the API is open) and the route, and kept for ttlMs.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Action store (claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey)
+ * @param {number} options.ttlMs - How long a stored response is replayed
+ * @returns {Function} Express middleware
+ */
+export function createIdempotencyMiddleware({ store, ttlMs = 24 * 60 * 60 * 1000 }) {
+  return (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) {
+      return next();
+    }
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    // Another client reusing the same key must neither see this response nor be blocked by it
+    const caller = req.apiKeyId ? `key:${req.apiKeyId}` : `ip:${req.ip}`;
+    const scopedKey = `${caller} ${req.method} ${req.baseUrl}${req.path} ${key}`;
+    const fingerprint = fingerprintBody(req.body);
+    const existing = store.claimIdempotencyKey({
+      key: scopedKey,
+      fingerprint,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    });
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: "Idempotency-Key was already used with a different request body",
+        });
+      }
+      if (!existing.response) {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.response.status).json(existing.response.body);
+    }
+
+    // Store the route's response once it is sent
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 500 && res.statusCode !== 429) {
+        store.completeIdempotencyKey(scopedKey, { status: res.statusCode, body });
+        stored = true;
+      }
+      return json(body);
+    };
+    // A 5xx, 429 or non-JSON response frees the key for a retry. If the client drops the connection
+    // (e.g. its timeout fires) the key stays claimed and the route's eventual response is stored.
+    res.on("finish", () => {
+      if (!stored) {
+        store.releaseIdempotencyKey(scopedKey);
+      }
+    });
+    next();
+  };
+}
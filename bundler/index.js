@@ -2,8 +2,58 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { ethers } from "ethers";
-import { buildCompletePayload } from "./buildPayload.js";
+import { buildCompletePayload, createActionIdentity, getEILPayloadDomain, getPayloadHash } from "./buildPayload.js";
+import {
+  buildAccountCalls,
+  getLayerZeroFees,
+  getVaultDepositValue,
+  planAccountCalls,
+  verifyAccountCallData,
+} from "./accountCalls.js";
 import { buildVaultCrossChainAction } from "./vaultActions.js";
+import {
+  ENTRYPOINT_V06,
+  buildUserOperation,
+  decodeFailedOp,
+  findExecutedUserOperation,
+  getEntryPointContract,
+  getEntryPointVersion,
+  getUserOpHash,
+  getUserOperationReceipt,
+  serializeUserOperation,
+  simulateValidation,
+  sendUserOperation,
+  sendUserOperations,
+} from "./userOperation.js";
+import { verifyPayloadSignature } from "./verifySignature.js";
+import { createAccountResolver } from "./accountFactory.js";
+import { createActionStore } from "./actionStore.js";
+import { getLayerZeroPackets, startDeliveryWatcher } from "./deliveryWatcher.js";
+import { createJobQueue } from "./jobQueue.js";
+import { createBatchStepRunner, planDispatchSteps } from "./dispatchSteps.js";
+import { createPayloadQuoter } from "./quote.js";
+import { createPayloadEventStream, isPayloadSettled } from "./eventStream.js";
+import { createNonceManager } from "./nonceManager.js";
+import { createChainRegistry, getChainEnvName } from "./chainRegistry.js";
+import { simulateCall } from "./simulation.js";
+import { createPayloadValidator, getKnownAdapters } from "./payloadSchema.js";
+import { createIdempotencyMiddleware } from "./idempotency.js";
+import { createApiKeyAuth, createCorsOptions, parseList } from "./auth.js";
+import { createRequestRateLimiter, createUsageLimits, sendUsageLimitExceeded } from "./rateLimits.js";
+import { createMetrics } from "./metrics.js";
+import { createReadinessCheck, createReadinessHandler } from "./healthChecks.js";
+import { logger, runWithLogContext, createRequestContext } from "./logger.js";
+import { createWebhookNotifier } from "./webhooks.js";
+import { createUserOpMempool } from "./userOpMempool.js";
+import { RPC_ERRORS, createBundlerRpc } from "./bundlerRpc.js";
+import { L1_DATA_FEE_MODELS, createGasEstimator } from "./gasEstimation.js";
+import {
+  createSponsorshipService,
+  encodeTokenPaymasterData,
+  getMaxOperationCost,
+  parseTokenPaymasterData,
+  quoteTokenPayment,
+} from "./paymaster.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -16,152 +66,427 @@ dotenv.config({ path: path.join(__dirname, "..", ".env") });
 dotenv.config(); // Also try current directory (for Railway deployment)
 
 const app = express();
-app.use(cors());
+// Behind a reverse proxy, TRUST_PROXY ("true", a hop count or subnets) makes req.ip the client's address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+// Every request gets an X-Request-Id that its log lines and the jobs and actions it creates carry
+app.use(createRequestContext());
+app.use(cors(createCorsOptions(parseList(process.env.CORS_ORIGINS))));
 app.use(express.json());
+// API routes are rate limited per client IP and, when BUNDLER_API_KEYS is set, need a key
+app.use(
+  "/api",
+  createRequestRateLimiter({ max: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || "120") }),
+  createApiKeyAuth(parseList(process.env.BUNDLER_API_KEYS))
+);
 
 const PORT = process.env.PORT || 3001;
 
-// Load deployment addresses (try current directory first for Railway, then parent)
-let deployments = {};
-const deploymentsPaths = [
-  path.join(__dirname, "deployments.json"), // Current directory (Railway)
-  path.join(__dirname, "..", "deployments.json"), // Parent directory (local)
-];
-for (const deploymentsPath of deploymentsPaths) {
-  if (fs.existsSync(deploymentsPath)) {
-    deployments = JSON.parse(fs.readFileSync(deploymentsPath, "utf8"));
-    break;
-  }
+// Load the chain registry (chains, RPCs, LayerZero config and deployed contracts):
+// CHAIN_REGISTRY_PATH if set, otherwise chains.json in the project root
+const registryPath = process.env.CHAIN_REGISTRY_PATH || path.join(__dirname, "..", "chains.json");
+if (!fs.existsSync(registryPath)) {
+  throw new Error(`Chain registry not found at ${registryPath} (set CHAIN_REGISTRY_PATH)`);
+}
+const chainRegistry = createChainRegistry(JSON.parse(fs.readFileSync(registryPath, "utf8")));
+const sourceChain = chainRegistry.sourceChain;
+logger.info("Chain registry loaded", {
+  path: registryPath,
+  chains: chainRegistry.chains.map((chain) => ({ name: chain.name, chainId: chain.chainId })),
+});
+
+// Payload schema (known chains and adapters come from the registry)
+const validatePayload = createPayloadValidator(chainRegistry, {
+  maxFutureSkewSeconds: parseInt(process.env.PAYLOAD_MAX_FUTURE_SKEW_SECONDS || "300"),
+  maxTtlSeconds: parseInt(process.env.PAYLOAD_MAX_TTL_SECONDS || "86400"),
+});
+
+// Persistent record of submitted payloads and their actions
+const actionStore = createActionStore(
+  process.env.ACTION_STORE_PATH || path.join(__dirname, "data", "actions.json")
+);
+// Store writes are batched: write what is left before the process exits
+process.on("exit", () => actionStore.flush());
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => process.exit(0));
 }
+// Finished payloads (with their actions and job) are kept this long, then pruned (0 keeps them forever)
+const ACTION_RETENTION_MS = parseInt(process.env.ACTION_RETENTION_DAYS || "30") * 24 * 60 * 60 * 1000;
+const ACTION_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// One log line per action status change, so an operation can be traced across chains by actionId and txHash
+actionStore.subscribe((event) => {
+  if (event.type !== "action") {
+    return;
+  }
+  const { action } = event;
+  logger[action.status === "failed" ? "warn" : "info"]("Action status changed", {
+    requestId: action.requestId,
+    payloadHash: action.payloadHash,
+    actionId: action.actionId,
+    chainId: Number(action.chainId),
+    status: action.status,
+    method: action.method,
+    txHash: action.txHash,
+    guid: action.guid,
+    deliveryTxHash: action.deliveryTxHash,
+    error: action.error,
+  });
+});
+
+// Idempotency-Key support for submission routes (responses replayed for IDEMPOTENCY_TTL_MS)
+const idempotent = createIdempotencyMiddleware({
+  store: actionStore,
+  ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS || String(24 * 60 * 60 * 1000)),
+});
+
+// Prometheus metrics (GET /metrics); queue and wallet readings are taken at scrape time
+const metrics = createMetrics({
+  store: actionStore,
+  chainIds: chainRegistry.chains.map((chain) => chain.chainId),
+  getQueueDepth: () => jobQueue.depth(),
+  getDeadLetterCount: () => jobQueue.getDeadLetters().length,
+  getWalletBalance: async (chainId) => (bundlerWallet ? providers[chainId].getBalance(bundlerWallet.address) : null),
+});
+
+// What each account and client IP may make the bundler wallet do (0 disables a limit)
+const usageLimits = createUsageLimits({
+  store: actionStore,
+  maxActionsPerHour: parseInt(process.env.RATE_LIMIT_ACTIONS_PER_HOUR || "60"),
+  maxFeeWeiPerDay: BigInt(process.env.SPEND_LIMIT_WEI_PER_DAY || ethers.parseEther("0.05").toString()),
+});
 
-// Setup providers
-const providerChainA = new ethers.JsonRpcProvider(process.env.RPC_CHAIN_A || "https://sepolia.base.org");
-const providerChainB = new ethers.JsonRpcProvider(process.env.RPC_CHAIN_B || "https://sepolia-rollup.arbitrum.io/rpc");
+// Setup providers - RPC_<NETWORK> (e.g. RPC_CHAIN_A) overrides the registry's first RPC URL
+const providers = {};
+for (const chain of chainRegistry.chains) {
+  chain.rpcUrl = process.env[`RPC_${getChainEnvName(chain.key)}`] || chain.rpcUrls[0];
+  providers[chain.chainId] = metrics.createProvider(chain.rpcUrl, chain.chainId);
+}
+const sourceProvider = providers[sourceChain.chainId];
 
 // Bundler wallet (for submitting UserOps and sending cross-chain messages)
 const bundlerWallet = process.env.PRIVATE_KEY_BUNDLER
-  ? new ethers.Wallet(process.env.PRIVATE_KEY_BUNDLER, providerChainA)
+  ? new ethers.Wallet(process.env.PRIVATE_KEY_BUNDLER, sourceProvider)
   : null;
 
-console.log("Bundler wallet:", bundlerWallet?.address || "NOT CONFIGURED");
+if (bundlerWallet) {
+  logger.info("Bundler wallet loaded", { bundlerAddress: bundlerWallet.address });
+} else {
+  logger.warn("Bundler wallet not configured (PRIVATE_KEY_BUNDLER)");
+}
+
+// Every bundler transaction goes through its chain's nonce manager, so concurrent
+// submissions never race for a nonce and stuck transactions get replaced
+const nonceManagers = {};
+if (bundlerWallet) {
+  const nonceManagerOptions = {
+    privateKey: process.env.PRIVATE_KEY_BUNDLER,
+    store: actionStore,
+    stuckAfterMs: parseInt(process.env.TX_STUCK_AFTER_MS || "60000"),
+    feeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT || "20"),
+    maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || "3"),
+  };
+  for (const chain of chainRegistry.chains) {
+    nonceManagers[chain.chainId] = createNonceManager({
+      ...nonceManagerOptions,
+      chainId: chain.chainId,
+      provider: providers[chain.chainId],
+      onMined: (receipt) => metrics.recordFee(chain.chainId, "gas", receipt.fee),
+    });
+  }
+}
+
+/**
+ * Get the bundler wallet's nonce manager for a chain
+ */
+function getNonceManager(chainId) {
+  const manager = nonceManagers[chainId];
+  if (!manager) {
+    throw new Error(bundlerWallet ? `Unknown chainId: ${chainId}` : "Bundler private key not configured");
+  }
+  return manager;
+}
 
 // HACK_MODE: Direct adapter calls (disabled by default - use LayerZero)
 // Set HACK_MODE=true in .env to enable direct calls
 const HACK_MODE = process.env.HACK_MODE === "true";
 
 if (HACK_MODE) {
-  console.log("WARNING: HACK_MODE enabled: Using direct adapter calls (LayerZero integration skipped)");
+  logger.warn("HACK_MODE enabled: using direct adapter calls (LayerZero integration skipped)");
 } else {
-  console.log("LayerZero mode: Using OmnichainSuperAccountRouter OApp for cross-chain messaging");
+  logger.info("LayerZero mode: using OmnichainSuperAccountRouter OApp for cross-chain messaging");
+}
+
+/**
+ * EntryPoint used on a chain: ENTRYPOINT_ADDRESS (source chain only), then the registry, then the canonical v0.6
+ */
+function getEntryPointAddress(chainId) {
+  return (chainId === sourceChain.chainId && process.env.ENTRYPOINT_ADDRESS) ||
+    chainRegistry.getContract(chainId, "EntryPoint") ||
+    ENTRYPOINT_V06;
+}
+
+/**
+ * A chain's paymaster from the registry ("VerifyingPaymaster" or "TokenPaymaster"), or null
+ * Both implement the v0.6 paymaster interface, so chains on a v0.7 EntryPoint have none.
+ */
+function getPaymasterAddress(chainId, name) {
+  if (getEntryPointVersion(getEntryPointAddress(chainId)) !== "0.6") {
+    return null;
+  }
+  return chainRegistry.getContract(chainId, name);
 }
 
 /**
  * Submit UserOperation to EntryPoint
- * For MVP: Skip EntryPoint submission since UserOp structure isn't fully ERC-4337 compliant
- * In production, use proper ERC-4337 UserOp builder and EntryPoint submission
+ * Validates the UserOp with simulateValidation, then sends handleOps from the bundler wallet.
+ * Senders without code or initCode (plain EOAs) cannot be validated by the EntryPoint and are skipped.
  */
 async function submitUserOp(userOp, signature) {
-  const ENTRYPOINT_ADDRESS = process.env.ENTRYPOINT_ADDRESS || "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+  const ENTRYPOINT_ADDRESS = getEntryPointAddress(sourceChain.chainId);
+  
+  if (!bundlerWallet) {
+    throw new Error("Bundler private key not configured");
+  }
+  
+  // The UserOp carries its own signature over the userOpHash; fall back to the request signature
+  const operation = buildUserOperation({
+    ...userOp,
+    signature: userOp.signature || signature,
+  });
+  
+  const senderCode = await sourceProvider.getCode(operation.sender);
+  if (senderCode === "0x" && operation.initCode === "0x") {
+    logger.info("UserOp sender is not a smart account, EntryPoint submission skipped", { sender: operation.sender });
+    return {
+      hash: null,
+      status: "skipped",
+      reason: "Sender is not a deployed smart account and no initCode was provided",
+    };
+  }
   
-  console.log("UserOp signature received. EntryPoint:", ENTRYPOINT_ADDRESS);
-  console.log("UserOp:", userOp);
-  console.log("Note: EntryPoint submission skipped - UserOp structure is simplified for MVP");
+  const entryPoint = getEntryPointContract(ENTRYPOINT_ADDRESS, bundlerWallet);
+  const beneficiary = process.env.BUNDLER_BENEFICIARY || bundlerWallet.address;
   
-  // Don't return a fake hash - return null instead
-  // EntryPoint requires proper ERC-4337 UserOp structure with correct validation and signature format
-  // For MVP, we skip EntryPoint and directly execute cross-chain actions
-  // In production, use proper ERC-4337 SDK to build and submit UserOps
+  // A retried step, or a job resumed after a restart, may find its UserOp already executed:
+  // sending it again would fail on the nonce, so report that execution instead
+  const userOpHash = getUserOpHash(operation, ENTRYPOINT_ADDRESS, sourceChain.chainId);
+  const executed = await findExecutedUserOperation(entryPoint, sourceProvider, operation, userOpHash);
+  if (executed) {
+    logger.info("UserOp already included", {
+      userOpHash,
+      entryPoint: ENTRYPOINT_ADDRESS,
+      txHash: executed.receipt.transactionHash,
+      success: executed.success,
+    });
+    return {
+      hash: userOpHash,
+      userOpHash,
+      txHash: executed.receipt.transactionHash,
+      status: "submitted",
+      success: executed.success,
+      actualGasCost: BigInt(executed.actualGasCost).toString(),
+      entryPoint: ENTRYPOINT_ADDRESS,
+      userOp: serializeUserOperation(operation),
+    };
+  }
+  
+  const simulation = await simulateValidation(entryPoint, operation, beneficiary);
+  if (!simulation.valid) {
+    logger.warn("UserOp validation failed", { sender: operation.sender, reason: simulation.reason });
+    return {
+      hash: null,
+      status: "rejected",
+      reason: simulation.reason,
+      entryPoint: ENTRYPOINT_ADDRESS,
+    };
+  }
+  
+  const result = await sendUserOperation(entryPoint, operation, beneficiary, (tx) =>
+    getNonceManager(sourceChain.chainId).sendTransaction(tx)
+  );
+  logger.info("UserOp included", {
+    userOpHash: result.userOpHash,
+    entryPoint: ENTRYPOINT_ADDRESS,
+    txHash: result.txHash,
+    success: result.success,
+  });
   
   return {
-    hash: null, // No fake hash - EntryPoint not actually called
-    status: "skipped",
-    reason: "MVP uses simplified UserOp structure. EntryPoint submission requires full ERC-4337 compliance.",
+    hash: result.userOpHash,
+    userOpHash: result.userOpHash,
+    txHash: result.txHash,
+    status: "submitted",
+    success: result.success,
+    actualGasCost: result.actualGasCost,
+    entryPoint: ENTRYPOINT_ADDRESS,
+    userOp: serializeUserOperation(operation),
   };
 }
 
+// ERC-4337 bundler RPC (POST /api/rpc[/:chainId]): each chain has a UserOperation mempool
+// bundled from the bundler wallet; without one, the RPC still serves estimates and lookups.
+// Gas estimates (also POST /api/gas-estimate) include the chain's L1 data cost on rollups.
+const bundlerRpcs = {};
+const userOpMempools = {};
+const gasEstimators = {};
+for (const chain of chainRegistry.chains) {
+  const entryPointAddress = getEntryPointAddress(chain.chainId);
+  const entryPoint = getEntryPointContract(entryPointAddress, providers[chain.chainId]);
+  const beneficiary = process.env.BUNDLER_BENEFICIARY || bundlerWallet?.address || ethers.ZeroAddress;
+  const maxVerificationGas = BigInt(process.env.USEROP_MAX_VERIFICATION_GAS || "5000000");
+
+  if (chain.l1DataFee && !L1_DATA_FEE_MODELS.includes(chain.l1DataFee)) {
+    logger.warn("Unknown l1DataFee in chain registry, L1 data costs ignored", { chainId: chain.chainId, l1DataFee: chain.l1DataFee });
+  }
+  gasEstimators[chain.chainId] = createGasEstimator({
+    chainId: chain.chainId,
+    entryPointAddress,
+    provider: providers[chain.chainId],
+    l1DataFee: L1_DATA_FEE_MODELS.includes(chain.l1DataFee) ? chain.l1DataFee : null,
+    maxVerificationGas,
+    beneficiary,
+  });
+
+  const mempool = createUserOpMempool({
+    chainId: chain.chainId,
+    entryPointAddress,
+    store: actionStore,
+    validate: (operation) => simulateValidation(entryPoint, operation, beneficiary),
+    sendBundle: async (operations) => {
+      try {
+        return await sendUserOperations(entryPoint, operations, beneficiary, (tx) =>
+          getNonceManager(chain.chainId).sendTransaction(tx)
+        );
+      } catch (error) {
+        error.failedOp = decodeFailedOp(entryPoint, error);
+        throw error;
+      }
+    },
+    maxOpsPerSender: parseInt(process.env.USEROP_MAX_PER_SENDER || "4"),
+    maxBundleSize: parseInt(process.env.USEROP_MAX_BUNDLE_SIZE || "10"),
+    bundleIntervalMs: parseInt(process.env.USEROP_BUNDLE_INTERVAL_MS || "2000"),
+  });
+  userOpMempools[chain.chainId] = mempool;
+  bundlerRpcs[chain.chainId] = createBundlerRpc({
+    chainId: chain.chainId,
+    entryPointAddress,
+    provider: providers[chain.chainId],
+    mempool,
+    store: actionStore,
+    acceptUserOps: Boolean(bundlerWallet),
+    maxVerificationGas,
+    beneficiary,
+    gasEstimator: gasEstimators[chain.chainId],
+  });
+}
+
+// Gas sponsorship (POST /api/paymaster/sponsor): PAYMASTER_SIGNER_KEY approves UserOps for the
+// VerifyingPaymaster deployed on each chain (chains.json contracts.VerifyingPaymaster).
+// Sponsored adapters default to every adapter in the registry.
+let sponsorship = null;
+if (process.env.PAYMASTER_SIGNER_KEY) {
+  sponsorship = createSponsorshipService({
+    store: actionStore,
+    signer: new ethers.Wallet(process.env.PAYMASTER_SIGNER_KEY),
+    paymasters: Object.fromEntries(
+      chainRegistry.chains
+        .map((chain) => [chain.chainId, getPaymasterAddress(chain.chainId, "VerifyingPaymaster")])
+        .filter(([, address]) => address)
+    ),
+    allowedAccounts: parseList(process.env.PAYMASTER_ALLOWED_ACCOUNTS),
+    allowedAdapters: process.env.PAYMASTER_ALLOWED_ADAPTERS
+      ? parseList(process.env.PAYMASTER_ALLOWED_ADAPTERS)
+      : Object.values(getKnownAdapters(chainRegistry)).flat(),
+    routers: chainRegistry.chains
+      .map((chain) => getChainContext(chain.chainId).routerAddress)
+      .filter(Boolean),
+    dailyBudgetWei: BigInt(process.env.PAYMASTER_DAILY_BUDGET_WEI || ethers.parseEther("0.01").toString()),
+    validitySeconds: parseInt(process.env.PAYMASTER_VALIDITY_SECONDS || "600"),
+  });
+}
+
+// Counterfactual SuperAccounts (GET /api/smart-accounts/:owner): each chain's SuperAccountFactory
+// (chains.json contracts.SuperAccountFactory) gives an owner's account address before it is deployed
+const accountResolver = createAccountResolver({ chainRegistry, providers, getEntryPointAddress });
+
+/**
+ * Send a bundler wallet transaction carrying one or more actions and wait for it to be mined
+ * The actions move to "submitted" once the transaction is broadcast and to "mined" once it has a
+ * receipt, so payload event streams show progress before the dispatch result is recorded.
+ * @param {number} chainId - Chain to send on
+ * @param {Object} request - Populated transaction
+ * @param {Array<string>} actionIds - Actions the transaction carries
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function sendActionTransaction(chainId, request, actionIds) {
+  const tx = await getNonceManager(chainId).sendTransaction(request);
+  for (const actionId of actionIds) {
+    actionStore.setActionStatus(actionId, "submitted", { txHash: tx.hash });
+  }
+  const receipt = await tx.wait();
+  for (const actionId of actionIds) {
+    actionStore.setActionStatus(actionId, "mined", { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+  }
+  return receipt;
+}
+
 /**
  * Send cross-chain message via LayerZero or HACK_MODE direct call
+ * @param {Object} identity - {actionId, timestamp} fixed when the job was queued, so a retried
+ *   send reuses the same actionId and the router's replay protection applies
  */
-async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAccount) {
+async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAccount, identity) {
   // Get source chain ID (where bundler runs)
-  const sourceChainId = parseInt(process.env.CHAIN_A_ID || "84532");
+  const sourceChainId = sourceChain.chainId;
   
   // If destination is same as source, execute locally through router (not cross-chain)
   if (chainId === sourceChainId) {
-    console.log(`Local action: Executing through router on chain ${chainId} (same as source)`);
-    
-    const provider = providerChainA;
-    const wallet = bundlerWallet ? new ethers.Wallet(bundlerWallet.privateKey, provider) : null;
-    if (!wallet) {
-      throw new Error("Bundler private key not configured");
-    }
     
     // Get router address
-    const chainKey = sourceChainId.toString();
-    const omnichainRouterAddress = process.env.OMNICHAIN_ROUTER_ADDRESS || 
-                                   deployments[chainKey]?.OmnichainSuperAccountRouter ||
-                                   deployments.chainA?.OmnichainSuperAccountRouter;
+    const omnichainRouterAddress = getChainContext(sourceChainId).routerAddress;
     
-    if (!omnichainRouterAddress || omnichainRouterAddress === "0x0000000000000000000000000000000000000000") {
+    if (!omnichainRouterAddress) {
       throw new Error("OmnichainSuperAccountRouter not deployed for local actions");
     }
     
     // Load router ABI (executeLocalAction function)
     const routerABI = [
-      "function executeLocalAction(tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId) action) external returns (bool)",
+      "function executeLocalAction(tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId) action) external payable returns (bool)",
     ];
     
-    const router = new ethers.Contract(omnichainRouterAddress, routerABI, wallet);
+    const router = new ethers.Contract(omnichainRouterAddress, routerABI, sourceProvider);
     
-    // Generate unique action ID for replay protection
-    const actionId = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ["address", "address", "bytes", "uint256"],
-        [userAccount, adapterAddress, calldata, BigInt(Math.floor(Date.now() / 1000))]
-      )
-    );
+    const { actionId } = identity;
     
     // Build CrossChainAction struct
     const action = {
       userAccount: userAccount,
       targetAdapter: adapterAddress,
       adapterCalldata: calldata,
-      timestamp: BigInt(Math.floor(Date.now() / 1000)),
+      timestamp: BigInt(identity.timestamp),
       actionId: actionId
     };
     
-    // Extract ETH amount from calldata for vault deposits
-    // Check if this is a vault adapter (deposit operation)
-    let ethValue = 0n;
-    try {
-      // Try to decode as VaultAction: (uint8 operation, address user, uint256 amount, uint32 targetChainId)
-      // If operation == 0 (Deposit) and adapter is VaultAdapter, extract amount
-      const vaultAdapterA = deployments.chainA?.VaultAdapter;
-      const vaultAdapterB = deployments.chainB?.VaultAdapter;
-      if (adapterAddress === vaultAdapterA || adapterAddress === vaultAdapterB) {
-        const decoded = ethers.AbiCoder.defaultAbiCoder().decode(
-          ["uint8", "address", "uint256", "uint32"],
-          calldata
-        );
-        const operation = decoded[0]; // 0 = Deposit
-        if (operation === 0n) {
-          ethValue = decoded[2]; // amount
-          console.log(`Vault deposit detected: sending ${ethers.formatEther(ethValue)} ETH with transaction`);
-        }
-      }
-    } catch (e) {
-      // Not a vault action or decode failed, no ETH to send
-      console.log("Not a vault deposit or decode failed, no ETH value");
+    // Vault deposits carry their ETH amount with the transaction
+    const ethValue = getVaultDepositValue(chainRegistry, adapterAddress, calldata);
+    if (ethValue > 0n) {
+      logger.info("Vault deposit: sending ETH with transaction", { valueWei: ethValue });
     }
     
     // Execute local action through router with ETH value for vault deposits
-    const tx = await router.executeLocalAction(action, { value: ethValue });
-    await tx.wait();
+    const receipt = await sendActionTransaction(
+      chainId,
+      await router.executeLocalAction.populateTransaction(action, { value: ethValue }),
+      [actionId]
+    );
     
-    console.log(`SUCCESS: Local action executed through router on chain ${chainId}, tx: ${tx.hash}`);
+    logger.info("Local action executed through router", { chainId, txHash: receipt.hash });
     return {
       chainId,
-      txHash: tx.hash,
+      txHash: receipt.hash,
       method: "local_via_router",
       actionId: actionId,
     };
@@ -170,40 +495,27 @@ async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAcco
   // Cross-chain action: Use LayerZero or HACK_MODE
   if (HACK_MODE) {
     // HACK_MODE: Directly call adapter contract on destination chain
-    console.log(`HACK_MODE: Directly calling adapter on chain ${chainId}`);
-    
-    let provider;
-    if (chainId === parseInt(process.env.CHAIN_A_ID || "84532")) {
-      provider = providerChainA;
-    } else if (chainId === parseInt(process.env.CHAIN_B_ID || "421614")) {
-      provider = providerChainB;
-    } else {
-      throw new Error(`Unknown chainId: ${chainId}`);
-    }
-    
-    const wallet = bundlerWallet ? new ethers.Wallet(bundlerWallet.privateKey, provider) : null;
-    if (!wallet) {
-      throw new Error("Bundler private key not configured for HACK_MODE");
-    }
     
     // Load adapter ABI
     const adapterABI = [
       "function executeFromEIL(address userAccount, bytes calldata payload) external",
     ];
     
-    const adapter = new ethers.Contract(adapterAddress, adapterABI, wallet);
-    const tx = await adapter.executeFromEIL(userAccount, calldata);
-    await tx.wait();
+    const adapter = new ethers.Contract(adapterAddress, adapterABI);
+    const receipt = await sendActionTransaction(
+      chainId,
+      await adapter.executeFromEIL.populateTransaction(userAccount, calldata),
+      [identity.actionId]
+    );
     
-    console.log(`SUCCESS: HACK_MODE: Adapter called on chain ${chainId}, tx: ${tx.hash}`);
+    logger.info("HACK_MODE: adapter called directly", { chainId, adapter: adapterAddress, txHash: receipt.hash });
     return {
       chainId,
-      txHash: tx.hash,
+      txHash: receipt.hash,
       method: "direct_call",
     };
   } else {
     // LayerZero integration - USING OAPP CONTRACT (EXTENSION DEMONSTRATION)
-    console.log(`LayerZero: Sending cross-chain message via OApp contract to chain ${chainId}`);
     
     try {
       // Get LayerZero endpoint address and EID for the destination chain
@@ -213,20 +525,10 @@ async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAcco
         throw new Error(`LayerZero EID not configured for chain ${chainId}`);
       }
       
-      // Source chain info (Chain A - where bundler runs)
-      const sourceWallet = bundlerWallet;
-      
-      if (!sourceWallet) {
-        throw new Error("Bundler wallet not configured for LayerZero");
-      }
-      
       // Get OApp router address (must be deployed first)
-      const chainKey = sourceChainId.toString();
-      const omnichainRouterAddress = process.env.OMNICHAIN_ROUTER_ADDRESS || 
-                                     deployments[chainKey]?.OmnichainSuperAccountRouter ||
-                                     deployments.chainA?.OmnichainSuperAccountRouter;
+      const omnichainRouterAddress = getChainContext(sourceChainId).routerAddress;
       
-      if (!omnichainRouterAddress || omnichainRouterAddress === "0x0000000000000000000000000000000000000000") {
+      if (!omnichainRouterAddress) {
         throw new Error("OmnichainSuperAccountRouter not deployed. Deploy OApp contract first.");
       }
       
@@ -236,22 +538,16 @@ async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAcco
         "function quoteCrossChainAction(uint32 dstEid, tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId) action, tuple(uint128 nativeDropAmount, bytes executorLzReceiveOption) options) external view returns (tuple(uint256 nativeFee, uint256 lzTokenFee))"
       ];
       
-      const router = new ethers.Contract(omnichainRouterAddress, routerABI, sourceWallet);
+      const router = new ethers.Contract(omnichainRouterAddress, routerABI, sourceProvider);
       
-      // Generate unique action ID for replay protection
-      const actionId = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(
-          ["address", "address", "bytes", "uint256"],
-          [userAccount, adapterAddress, calldata, BigInt(Math.floor(Date.now() / 1000))]
-        )
-      );
+      const { actionId } = identity;
       
       // Build CrossChainAction struct
       const action = {
         userAccount: userAccount,
         targetAdapter: adapterAddress,
         adapterCalldata: calldata,
-        timestamp: BigInt(Math.floor(Date.now() / 1000)),
+        timestamp: BigInt(identity.timestamp),
         actionId: actionId
       };
       
@@ -261,49 +557,62 @@ async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAcco
         executorLzReceiveOption: "0x" // Default executor options (empty)
       };
       
-      // Quote fee using OApp contract
+      // Destination block to start searching for delivery from (used by the delivery watcher)
+      let dstFromBlock = null;
+      try {
+        dstFromBlock = await getChainContext(chainId)?.provider.getBlockNumber();
+      } catch (error) {
+        logger.warn("Could not read destination block number", { dstChainId: chainId, error });
+      }
+      
+      // Quote fee using OApp contract. Without a quote the send fails (and the job retries):
+      // a guessed fee either underpays the endpoint or overpays from the bundler wallet.
       let fee;
       try {
-        console.log(`Quoting LayerZero fee for EID ${layerZeroEid}...`);
         const feeResult = await router.quoteCrossChainAction(layerZeroEid, action, options);
         fee = feeResult.nativeFee;
-        console.log(`LayerZero fee quote (via OApp): ${ethers.formatEther(fee)} ETH (native)`);
       } catch (error) {
-        console.error("Could not get fee quote from OApp:", error.message);
-        // Use a default fee (LayerZero messages typically cost 0.0001-0.001 ETH on testnets)
-        fee = ethers.parseEther("0.001"); // Default fee
-        console.warn(`Using default fee: ${ethers.formatEther(fee)} ETH`);
+        throw new Error(`LayerZero fee quote failed: ${error.shortMessage || error.message}`);
       }
       
       // Send via OApp contract (THIS DEMONSTRATES EXTENSION)
       // The sendCrossChainAction function is payable and requires native token for fees
       const feeWithBuffer = fee + (fee / 10n); // Add 10% buffer
-      console.log(`Sending LayerZero message with fee: ${ethers.formatEther(feeWithBuffer)} ETH`);
       
-      const tx = await router.sendCrossChainAction(
-        layerZeroEid,
-        action,
-        options,
-        {
-          value: feeWithBuffer,
-        }
+      const receipt = await sendActionTransaction(
+        sourceChainId,
+        await router.sendCrossChainAction.populateTransaction(
+          layerZeroEid,
+          action,
+          options,
+          {
+            value: feeWithBuffer,
+          }
+        ),
+        [actionId]
       );
-      
-      const receipt = await tx.wait();
-      console.log(`SUCCESS: LayerZero message sent via OApp to chain ${chainId} (EID: ${layerZeroEid}), tx: ${tx.hash}`);
-      console.log(`Action ID: ${actionId}`);
+      metrics.recordFee(sourceChainId, "layerzero", fee);
+      const guid = extractLayerZeroGuid(receipt);
+      logger.info("LayerZero message sent via OApp", {
+        dstChainId: chainId,
+        eid: layerZeroEid,
+        feeWei: feeWithBuffer,
+        guid,
+        txHash: receipt.hash,
+      });
       
       return {
         chainId,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         method: "layerzero_oapp",
         eid: layerZeroEid,
         actionId: actionId,
+        guid,
+        dstFromBlock: dstFromBlock ?? null,
         receipt: receipt,
       };
     } catch (error) {
-      console.error("LayerZero OApp send failed:", error.message);
-      console.error("Error details:", error);
+      logger.error("LayerZero OApp send failed", { dstChainId: chainId, error });
       // Don't fallback to HACK_MODE - throw error so user knows LayerZero failed
       throw new Error(`LayerZero send failed: ${error.message}. Check router configuration and ensure adapters trust the router.`);
     }
@@ -311,176 +620,1395 @@ async function sendCrossChainMessage(chainId, adapterAddress, calldata, userAcco
 }
 
 /**
- * Fallback to direct adapter calls
+ * Send several actions bound for the same chain as one LayerZero message (sendBatchCrossChainActions)
+ * @param {number} chainId - Destination chain
+ * @param {Array} actions - [{adapter, calldata, actionId, timestamp}] with identities fixed at queue time
+ * @param {string} userAccount - Account the actions run for
+ * @returns {Object} {chainId, txHash, method, eid, guid, fee, actions: per-action results}
  */
-async function sendCrossChainMessageFallback(chainId, adapterAddress, calldata, userAccount) {
-  console.log(`HACK_MODE: Directly calling adapter on chain ${chainId}`);
-  
-  let provider;
-  if (chainId === parseInt(process.env.CHAIN_A_ID || "84532")) {
-    provider = providerChainA;
-  } else if (chainId === parseInt(process.env.CHAIN_B_ID || "421614")) {
-    provider = providerChainB;
-  } else {
-    throw new Error(`Unknown chainId: ${chainId}`);
+async function sendBatchCrossChainMessage(chainId, actions, userAccount) {
+  const sourceChainId = sourceChain.chainId;
+
+  try {
+    const layerZeroEid = getLayerZeroEid(chainId);
+    if (!layerZeroEid) {
+      throw new Error(`LayerZero EID not configured for chain ${chainId}`);
+    }
+
+    const omnichainRouterAddress = getChainContext(sourceChainId).routerAddress;
+    if (!omnichainRouterAddress) {
+      throw new Error("OmnichainSuperAccountRouter not deployed. Deploy OApp contract first.");
+    }
+
+    const routerABI = [
+      "function sendBatchCrossChainActions(uint32 dstEid, tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId)[] actions, tuple(uint128 nativeDropAmount, bytes executorLzReceiveOption) options) external payable returns (bytes32)",
+      "function quoteBatchCrossChainActions(uint32 dstEid, tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId)[] actions, tuple(uint128 nativeDropAmount, bytes executorLzReceiveOption) options) external view returns (tuple(uint256 nativeFee, uint256 lzTokenFee))"
+    ];
+    const router = new ethers.Contract(omnichainRouterAddress, routerABI, sourceProvider);
+
+    const batch = actions.map((action) => ({
+      userAccount: userAccount,
+      targetAdapter: action.adapter,
+      adapterCalldata: action.calldata,
+      timestamp: BigInt(action.timestamp),
+      actionId: action.actionId,
+    }));
+    const options = {
+      nativeDropAmount: 0n,
+      executorLzReceiveOption: "0x"
+    };
+
+    let dstFromBlock = null;
+    try {
+      dstFromBlock = await getChainContext(chainId)?.provider.getBlockNumber();
+    } catch (error) {
+      logger.warn("Could not read destination block number", { dstChainId: chainId, error });
+    }
+
+    // One quote covers the whole batch message; without it the send fails like sendCrossChainMessage
+    let fee;
+    try {
+      const feeResult = await router.quoteBatchCrossChainActions(layerZeroEid, batch, options);
+      fee = feeResult.nativeFee;
+    } catch (error) {
+      throw new Error(`LayerZero batch fee quote failed: ${error.shortMessage || error.message}`);
+    }
+
+    const feeWithBuffer = fee + (fee / 10n); // Add 10% buffer
+
+    const receipt = await sendActionTransaction(
+      sourceChainId,
+      await router.sendBatchCrossChainActions.populateTransaction(
+        layerZeroEid,
+        batch,
+        options,
+        { value: feeWithBuffer }
+      ),
+      actions.map((action) => action.actionId)
+    );
+    const guid = extractLayerZeroGuid(receipt);
+    metrics.recordFee(sourceChainId, "layerzero", fee);
+    logger.info("LayerZero batch sent via OApp", {
+      dstChainId: chainId,
+      eid: layerZeroEid,
+      batchSize: actions.length,
+      feeWei: feeWithBuffer,
+      guid,
+      txHash: receipt.hash,
+    });
+
+    return {
+      chainId,
+      txHash: receipt.hash,
+      method: "layerzero_oapp",
+      eid: layerZeroEid,
+      guid,
+      fee: feeWithBuffer.toString(),
+      actions: actions.map((action) => ({
+        chainId,
+        txHash: receipt.hash,
+        method: "layerzero_oapp",
+        eid: layerZeroEid,
+        actionId: action.actionId,
+        guid,
+        dstFromBlock: dstFromBlock ?? null,
+        batchSize: actions.length,
+      })),
+    };
+  } catch (error) {
+    logger.error("LayerZero OApp batch send failed", { dstChainId: chainId, error });
+    throw new Error(`LayerZero batch send failed: ${error.message}. Check router configuration and ensure adapters trust the router.`);
   }
-  
-  const wallet = bundlerWallet ? new ethers.Wallet(bundlerWallet.privateKey, provider) : null;
-  if (!wallet) {
-    throw new Error("Bundler private key not configured");
+}
+
+/**
+ * Extract the LayerZero message GUIDs from a send transaction receipt, in send order
+ */
+function extractLayerZeroGuids(receipt) {
+  return getLayerZeroPackets(receipt?.logs).map((packet) => packet.guid);
+}
+
+/**
+ * The LayerZero message GUID of a single-message send transaction
+ */
+function extractLayerZeroGuid(receipt) {
+  return extractLayerZeroGuids(receipt)[0] || null;
+}
+
+/**
+ * Map a dispatch result to the initial status of its action record
+ * LayerZero actions are only "sent" until delivery is observed on the destination chain
+ */
+function getInitialActionStatus(result) {
+  if (result.error) {
+    return "failed";
   }
-  
-  // Load adapter ABI
-  const adapterABI = [
-    "function executeFromEIL(address userAccount, bytes calldata payload) external",
-  ];
-  
-  const adapter = new ethers.Contract(adapterAddress, adapterABI, wallet);
-  const tx = await adapter.executeFromEIL(userAccount, calldata);
-  await tx.wait();
-  
-  console.log(`SUCCESS: HACK_MODE: Adapter called on chain ${chainId}, tx: ${tx.hash}`);
-  return {
-    chainId,
-    txHash: tx.hash,
-    method: "direct_call",
-  };
+  return result.method === "layerzero_oapp" ? "sent" : "executed";
+}
+
+/**
+ * How an action bound for a chain will be dispatched, recorded when it is queued
+ */
+function getDispatchMethod(chainId) {
+  if (chainId === sourceChain.chainId) {
+    return "local_via_router";
+  }
+  return HACK_MODE ? "direct_call" : "layerzero_oapp";
+}
+
+/**
+ * How each payload action is dispatched ({method, eid}), for planAccountCalls
+ */
+function getDispatchMethods(actions) {
+  return actions.map((action) => {
+    const chainId = Number(action.chainId);
+    const method = getDispatchMethod(chainId);
+    return { method, eid: method === "layerzero_oapp" ? chainRegistry.getChain(chainId)?.layerZero?.eid || null : null };
+  });
+}
+
+/**
+ * Whether a UserOp's sender is a smart account (deployed, or deployed by its initCode) rather than
+ * an EOA. Smart accounts run their payload actions from the UserOp's callData; the bundler wallet
+ * dispatches them for EOAs.
+ */
+async function isAccountSender(userOp) {
+  const operation = buildUserOperation(userOp);
+  return operation.initCode !== "0x" || (await sourceProvider.getCode(operation.sender)) !== "0x";
 }
 
 /**
- * Get LayerZero Endpoint ID for a chain
+ * Get LayerZero Endpoint ID for a chain (from the chain registry)
  */
 function getLayerZeroEid(chainId) {
-  // LayerZero Endpoint IDs (EIDs) for testnets
-  const eidMap = {
-    84532: parseInt(process.env.LAYER0_EID_CHAIN_A || "40245"), // Base Sepolia
-    421614: parseInt(process.env.LAYER0_EID_CHAIN_B || "40231"), // Arbitrum Sepolia
-  };
-  const eid = eidMap[chainId];
+  const eid = chainRegistry.getChain(chainId)?.layerZero?.eid;
   if (!eid) {
-    console.error(`LayerZero EID not found for chainId ${chainId}`);
+    logger.error("LayerZero EID not found in chain registry", { chainId });
   }
   return eid || null;
 }
 
 /**
- * Get LayerZero Endpoint address for a chain
+ * Get the provider and OmnichainSuperAccountRouter for a configured chain
+ * @returns {Object|null} {provider, routerAddress} or null for unknown chains
  */
-function getLayerZeroEndpoint(chainId) {
-  const endpointMap = {
-    84532: process.env.LAYER0_ENDPOINT_CHAIN_A || "0x6EDCE65403992e310A62460808c4b910D972f10f",
-    421614: process.env.LAYER0_ENDPOINT_CHAIN_B || "0x6EDCE65403992e310A62460808c4b910D972f10f",
+function getChainContext(chainId) {
+  const chain = chainRegistry.getChain(chainId);
+  if (!chain) {
+    return null;
+  }
+  // OMNICHAIN_ROUTER_ADDRESS overrides the source chain router from the registry
+  const routerOverride = chain.chainId === sourceChain.chainId ? process.env.OMNICHAIN_ROUTER_ADDRESS : null;
+  return {
+    provider: providers[chain.chainId],
+    routerAddress: routerOverride || chainRegistry.getContract(chain.chainId, "OmnichainSuperAccountRouter"),
   };
-  return endpointMap[chainId] || null;
 }
 
 /**
- * Process EIL composite payload
+ * Host part of an RPC URL, safe to log (paths and query strings often carry API keys)
  */
-app.post("/api/process-payload", async (req, res) => {
+function getUrlHost(url) {
   try {
-    const { userOp, signature, payload } = req.body;
-    
-    if (!userOp || !signature || !payload) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-    
-    console.log("Processing payload:", payload);
-    console.log("Payload type:", typeof payload);
-    console.log("Payload keys:", Object.keys(payload || {}));
-    console.log("Payload.actions:", payload.actions);
-    console.log("Payload.actions type:", typeof payload.actions);
-    console.log("Is payload.actions array?:", Array.isArray(payload.actions));
-    
-    // Validate payload structure
-    if (!payload || typeof payload !== 'object') {
-      return res.status(400).json({ error: "Invalid payload: payload is not an object" });
-    }
-    
-    if (!payload.userAccount) {
-      return res.status(400).json({ error: "Invalid payload: missing userAccount" });
-    }
-    
-    // Ensure actions is an array
-    if (!payload.actions) {
-      console.warn("Payload missing actions array, initializing empty array");
-      payload.actions = [];
-    }
-    
-    if (!Array.isArray(payload.actions)) {
-      console.error("Payload.actions is not an array:", payload.actions);
-      return res.status(400).json({ 
-        error: `Invalid payload: actions must be an array, got ${typeof payload.actions}`,
-        received: payload.actions
-      });
-    }
-    
-    // Submit UserOp
-    const userOpResult = await submitUserOp(userOp, signature);
-    console.log("UserOp submitted:", userOpResult);
-    
-    // Process each action
-    const results = [];
-    for (const action of payload.actions) {
-      try {
-        const result = await sendCrossChainMessage(
-          action.chainId,
-          action.adapter,
-          action.calldata,
-          payload.userAccount
-        );
-        results.push(result);
-      } catch (error) {
-        console.error(`Error processing action on chain ${action.chainId}:`, error);
-        results.push({
-          chainId: action.chainId,
-          error: error.message,
-        });
-      }
-    }
-    
-    res.json({
-      success: true,
-      userOp: userOpResult,
-      actions: results,
-      payload,
-    });
-  } catch (error) {
-    console.error("Error processing payload:", error);
-    res.status(500).json({ error: error.message });
+    return new URL(url).host;
+  } catch (e) {
+    return "invalid URL";
   }
-});
+}
 
 /**
- * Root route
+ * Get the EIP-712 domain payload signatures must be bound to on a chain
+ * The verifying contract is the OmnichainSuperAccountRouter deployed on that chain
  */
-app.get("/", (req, res) => {
-  res.json({
-    status: "ok",
-    message: "Bundler/Orchestrator API",
-    endpoints: {
-      health: "GET /health",
-      processPayload: "POST /api/process-payload"
-    },
-    mode: HACK_MODE ? "HACK_MODE" : "LAYERZERO",
-    bundlerAddress: bundlerWallet?.address || "NOT CONFIGURED",
-  });
-});
+function getPayloadDomain(chainId) {
+  const routerAddress = getChainContext(chainId)?.routerAddress;
+  if (!routerAddress) {
+    return null;
+  }
+  return getEILPayloadDomain(chainId, routerAddress);
+}
 
 /**
- * Health check
+ * Check whether the destination router has already executed an action
  */
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    mode: HACK_MODE ? "HACK_MODE" : "LAYERZERO",
-    bundlerAddress: bundlerWallet?.address || "NOT CONFIGURED",
+async function isActionExecutedOnChain(chainId, actionId) {
+  const context = getChainContext(Number(chainId));
+  if (!context?.routerAddress) {
+    return false;
+  }
+  const router = new ethers.Contract(
+    context.routerAddress,
+    ["function isActionExecuted(bytes32 actionId) external view returns (bool)"],
+    context.provider
+  );
+  return router.isActionExecuted(actionId);
+}
+
+/**
+ * LayerZero EID an action bound for a chain is batched under (see planDispatchSteps), or null for
+ * local and HACK_MODE actions
+ */
+function getBatchEid(chainId) {
+  if (HACK_MODE || chainId === sourceChain.chainId) {
+    return null;
+  }
+  return chainRegistry.getChain(chainId)?.layerZero?.eid || null;
+}
+
+/**
+ * actionIds dispatched by a job step (for the userOp step, those its callData runs)
+ */
+function getStepActionIds(step) {
+  if (step.type === "userOp") {
+    return (step.calls || []).flatMap((call) => call.actions.map((entry) => entry.actionId));
+  }
+  return step.type === "batch" ? step.actions.map((entry) => entry.actionId) : [step.actionId];
+}
+
+/**
+ * Persist the dispatch result of one action on its record
+ */
+function recordDispatchResult(actionId, result) {
+  actionStore.saveAction({
+    actionId,
+    method: result.method || null,
+    txHash: result.txHash || null,
+    eid: result.eid || null,
+    guid: result.guid || null,
+    dstFromBlock: result.dstFromBlock ?? null,
+    status: getInitialActionStatus(result),
+    error: null,
   });
-});
+}
 
-app.listen(PORT, () => {
-  console.log(`Bundler/Orchestrator running on port ${PORT}`);
-  console.log(`Chain A RPC: ${process.env.RPC_CHAIN_A || "https://sepolia.base.org"}`);
-  console.log(`Chain B RPC: ${process.env.RPC_CHAIN_B || "https://sepolia-rollup.arbitrum.io/rpc"}`);
+/**
+ * Result for an action an earlier attempt already got executed on its destination
+ */
+function getExecutedActionResult(chainId, actionId) {
+  logger.info("Action already executed on destination, not resending", { actionId, dstChainId: Number(chainId) });
+  actionStore.setActionStatus(actionId, "executed");
+  const record = actionStore.getAction(actionId);
+  return { chainId, actionId, txHash: record.txHash || null, method: record.method || null };
+}
+
+const runBatchStep = createBatchStepRunner({
+  store: actionStore,
+  isActionExecuted: isActionExecutedOnChain,
+  sendAction: sendCrossChainMessage,
+  sendBatch: sendBatchCrossChainMessage,
+  recordResult: recordDispatchResult,
+  getExecutedResult: getExecutedActionResult,
+});
+
+/**
+ * Run one step of a dispatch job (see jobQueue.js)
+ * Throwing makes the queue retry the step with backoff; a rejected UserOp halts the job. Retrying the
+ * userOp step is safe: submitUserOp reports a UserOp the EntryPoint already executed instead of resending it.
+ * Log lines written while the step runs carry the actionId(s) it dispatches.
+ */
+function runDispatchStep(job, step) {
+  const fields = step.type === "action" ? { actionId: step.actionId } : { actionIds: getStepActionIds(step) };
+  return runWithLogContext(fields, () => dispatchStep(job, step));
+}
+
+/**
+ * Record the actions a smart account ran from its UserOp's callData (the userOp step's calls)
+ * They all share the handleOps transaction: local actions are executed, LayerZero actions sent, one
+ * message per call in callData order. A reverted UserOp ran none of them.
+ * @returns {Array} Per-action dispatch results
+ */
+async function recordAccountCallResults(calls, userOpResult) {
+  const entryPoint = getEntryPointContract(userOpResult.entryPoint, sourceProvider);
+  const receipt = await getUserOperationReceipt(entryPoint, sourceProvider, userOpResult.userOpHash, {
+    txHash: userOpResult.txHash,
+  });
+  // Only the operation's own logs, so other operations in the bundle cannot shift the GUIDs
+  const guids = extractLayerZeroGuids({ logs: receipt?.logs || [] });
+  
+  const results = [];
+  let message = 0;
+  for (const call of calls) {
+    const guid = call.method === "layerzero_oapp" && userOpResult.success ? guids[message++] || null : null;
+    for (const entry of call.actions) {
+      if (!userOpResult.success) {
+        const error = `UserOperation reverted${receipt?.reason ? `: ${receipt.reason}` : ""}`;
+        actionStore.setActionStatus(entry.actionId, "failed", { txHash: userOpResult.txHash, error });
+        results.push({ chainId: call.chainId, actionId: entry.actionId, txHash: userOpResult.txHash, method: call.method, error });
+        continue;
+      }
+      const result = {
+        chainId: call.chainId,
+        txHash: userOpResult.txHash,
+        method: call.method,
+        eid: call.eid,
+        actionId: entry.actionId,
+        guid,
+        dstFromBlock: actionStore.getAction(entry.actionId)?.dstFromBlock ?? null,
+        batchSize: call.actions.length,
+      };
+      recordDispatchResult(entry.actionId, result);
+      results.push(result);
+    }
+  }
+  return results;
+}
+
+async function dispatchStep(job, step) {
+  if (step.type === "userOp") {
+    // The delivery watcher searches destination chains for the UserOp's messages from here on
+    for (const call of step.calls || []) {
+      const pending = call.actions.filter((entry) => actionStore.getAction(entry.actionId)?.dstFromBlock == null);
+      if (call.method !== "layerzero_oapp" || pending.length === 0) {
+        continue;
+      }
+      try {
+        const dstFromBlock = await getChainContext(call.chainId)?.provider.getBlockNumber();
+        for (const entry of pending) {
+          actionStore.saveAction({ actionId: entry.actionId, dstFromBlock });
+        }
+      } catch (error) {
+        logger.warn("Could not read destination block number", { dstChainId: call.chainId, error });
+      }
+    }
+    
+    const userOpResult = await submitUserOp(job.userOp, job.signature);
+    
+    const { userOp: submittedUserOp, ...userOpSummary } = userOpResult;
+    actionStore.updatePayload(job.payloadHash, { userOp: userOpSummary });
+    if (step.calls?.length && userOpResult.status === "submitted") {
+      userOpResult.actions = await recordAccountCallResults(step.calls, userOpResult);
+    }
+    return { result: userOpResult, halt: userOpResult.status === "rejected" };
+  }
+  
+  if (step.type === "batch") {
+    return runBatchStep(job, step);
+  }
+  
+  const { payload } = actionStore.getPayload(job.payloadHash);
+  const action = payload.actions[step.index];
+  
+  // An earlier attempt may have gone through before failing (RPC timeout, restart mid-send)
+  if (step.attempts > 1 && await isActionExecutedOnChain(action.chainId, step.actionId)) {
+    return { result: getExecutedActionResult(action.chainId, step.actionId) };
+  }
+  
+  const { receipt, ...result } = await sendCrossChainMessage(
+    action.chainId,
+    action.adapter,
+    action.calldata,
+    payload.userAccount,
+    { actionId: step.actionId, timestamp: step.timestamp }
+  );
+  result.actionId = step.actionId;
+  
+  recordDispatchResult(step.actionId, result);
+  return { result };
+}
+
+/**
+ * Record the outcome of a finished dispatch job on its payload and action records
+ */
+function finishDispatchJob(job) {
+  const userOpResult = job.steps[0].result;
+  
+  for (const step of job.steps) {
+    // Actions the account runs from callData never ran if its UserOp was not included
+    if (step.type === "userOp") {
+      if (step.status === "dead" || userOpResult?.status === "rejected") {
+        const error = step.status === "dead"
+          ? `UserOperation submission failed: ${step.lastError}`
+          : `Not dispatched: ${userOpResult.reason}`;
+        for (const actionId of getStepActionIds(step)) {
+          actionStore.setActionStatus(actionId, step.status === "dead" ? "failed" : "skipped", { error });
+        }
+      }
+      continue;
+    }
+    if (step.status !== "done") {
+      const error = step.status === "dead"
+        ? step.lastError
+        : `Not dispatched: ${userOpResult?.reason || job.steps[0].lastError || "UserOperation failed"}`;
+      for (const actionId of getStepActionIds(step)) {
+        actionStore.setActionStatus(actionId, step.status === "dead" ? "failed" : "skipped", { error });
+      }
+    }
+  }
+  
+  let status = job.status === "completed" ? "processed" : job.status;
+  if (userOpResult?.status === "rejected") {
+    status = "rejected";
+  } else if (userOpResult?.success === false && job.steps[0].calls?.length) {
+    status = "failed";
+  }
+  actionStore.updatePayload(job.payloadHash, { status });
+  logger[job.status === "completed" ? "info" : "warn"]("Job finished", { jobStatus: job.status, payloadStatus: status });
+}
+
+/**
+ * Build the API view of a dispatch job
+ * `actions` keeps the shape of the old synchronous response (chainId, txHash, method, error),
+ * one entry per payload action in payload order - batch steps are expanded per action
+ */
+function formatJob(job) {
+  const [userOpStep, ...dispatchSteps] = job.steps;
+  const userOpResult = userOpStep.result;
+  
+  let error = null;
+  if (userOpResult?.status === "rejected") {
+    error = `UserOperation rejected by EntryPoint: ${userOpResult.reason}`;
+  } else if (userOpStep.status === "dead") {
+    error = `UserOperation submission failed: ${userOpStep.lastError}`;
+  } else if (job.status === "failed") {
+    error = "All actions failed";
+  }
+  
+  const formatAction = (step, index, actionId, result) => ({
+    ...(result || { chainId: actionStore.getAction(actionId)?.chainId, actionId }),
+    index,
+    batched: step.type === "batch",
+    step: step.status,
+    attempts: step.attempts,
+    status: actionStore.getAction(actionId)?.status || null,
+    error: step.status === "done" ? null : step.lastError || null,
+  });
+  
+  const accountActions = (userOpStep.calls || []).flatMap((call) =>
+    call.actions.map((entry) => formatAction(
+      userOpStep,
+      entry.index,
+      entry.actionId,
+      userOpResult?.actions?.find((result) => result.actionId === entry.actionId)
+    ))
+  );
+  const actions = accountActions.concat(dispatchSteps.flatMap((step) =>
+    step.type === "batch"
+      ? step.actions.map((entry, position) =>
+          formatAction(step, entry.index, entry.actionId, step.result?.actions[position]))
+      : [formatAction(step, step.index, step.actionId, step.result)]
+  ));
+  
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    payloadHash: job.payloadHash,
+    userAccount: job.userAccount,
+    error,
+    userOp: userOpResult || { status: userOpStep.status, error: userOpStep.lastError || null },
+    actions: actions.sort((a, b) => a.index - b.index),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null,
+  };
+}
+
+// Payload dispatch runs in the background; steps are retried and dead-lettered per JOB_* settings
+const jobQueue = createJobQueue({
+  store: actionStore,
+  runStep: runDispatchStep,
+  onJobFinished: finishDispatchJob,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || "3"),
+  backoffMs: parseInt(process.env.JOB_BACKOFF_MS || "5000"),
+});
+
+/**
+ * Process EIL composite payload
+ */
+app.post("/api/process-payload", idempotent, async (req, res) => {
+  try {
+    const { userOp, signature, payload } = req.body;
+    
+    if (!userOp || !signature || !payload) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    
+    const payloadErrors = validatePayload(payload);
+    if (payloadErrors.length > 0) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({ error: "Invalid payload", errors: payloadErrors });
+    }
+    if (Number(payload.deadline) <= Math.floor(Date.now() / 1000)) {
+      metrics.countPayload("expired");
+      return res.status(400).json({
+        error: "Payload expired",
+        errors: [{ field: "deadline", message: `expired at ${new Date(Number(payload.deadline) * 1000).toISOString()}` }],
+      });
+    }
+    
+    // The payload names the UserOp it was signed for, so a relayer cannot swap the UserOp's gas
+    // fields, paymasterAndData or callData. EIP-191 signatures cover the whole UserOp already.
+    let userOpHash;
+    try {
+      userOpHash = getUserOpHash(buildUserOperation(userOp), getEntryPointAddress(sourceChain.chainId), sourceChain.chainId);
+    } catch (error) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({ error: `Invalid userOp: ${error.shortMessage || error.message}` });
+    }
+    if ((payload.userOpHash || req.body.signatureType === "eip712") && payload.userOpHash?.toLowerCase() !== userOpHash) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({
+        error: "Payload does not match its UserOp",
+        errors: [{ field: "userOpHash", message: `must be the submitted UserOp's hash ${userOpHash}` }],
+      });
+    }
+    
+    // Verify the signature before acting on the payload - it must match the exact signed body
+    // EIP-712 signatures name their chain; the rest of the domain comes from our deployments
+    const domain = getPayloadDomain(Number(req.body.domain?.chainId || sourceChain.chainId));
+    const verification = await verifyPayloadSignature(req.body, sourceProvider, domain, {
+      accountFactory: chainRegistry.getContract(sourceChain.chainId, "SuperAccountFactory"),
+    });
+    if (!verification.valid) {
+      logger.warn("Rejected payload: invalid signature", { userAccount: payload.userAccount, reason: verification.reason });
+      metrics.countPayload("unauthorized");
+      return res.status(401).json({ error: `Invalid signature: ${verification.reason}` });
+    }
+    logger.debug("Payload signature verified", { userAccount: verification.account, method: verification.method });
+    
+    let payloadHash;
+    try {
+      payloadHash = getPayloadHash(payload);
+    } catch (error) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({ error: `Invalid payload: ${error.shortMessage || error.message}` });
+    }
+    
+    // Each action's router identity, fixed now so retries and restarts reuse it
+    const actionIdentities = payload.actions.map((action, index) =>
+      createActionIdentity(payload, index)
+    );
+    
+    // A smart account runs the payload's actions itself: its UserOp's callData must make their router
+    // calls (see accountCalls.js), paying LayerZero fees from the account. The bundler wallet only
+    // dispatches for EOA senders, and HACK_MODE direct calls.
+    let accountCalls = null;
+    try {
+      if (await isAccountSender(userOp)) {
+        if (ethers.getAddress(payload.userAccount) !== ethers.getAddress(userOp.sender)) {
+          metrics.countPayload("invalid");
+          return res.status(400).json({ error: "payload.userAccount must be the UserOp sender" });
+        }
+        accountCalls = planAccountCalls(payload, actionIdentities, getDispatchMethods(payload.actions));
+      }
+    } catch (error) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({ error: `Invalid userOp: ${error.shortMessage || error.message}` });
+    }
+    const accountSendsMessages = accountCalls?.some((call) => call.method === "layerzero_oapp");
+    
+    // LayerZero fees the bundler would pay, counted against the daily spend limit and, when the
+    // UserOp pays in tokens, against what its paymasterAndData commits to
+    const tokenPayment = getTokenPaymasterData(userOp);
+    let quote = null;
+    if (usageLimits.limitsFees || tokenPayment || accountSendsMessages) {
+      quote = await quotePayload(payload);
+    }
+    
+    if (accountCalls) {
+      const unquoted = quote?.actions.find((action) => action.method === "layerzero_oapp" && action.error);
+      if (unquoted) {
+        metrics.countPayload("invalid");
+        return res.status(400).json({ error: `Could not quote LayerZero fees: ${unquoted.error}` });
+      }
+      let check;
+      try {
+        const expected = buildAccountCalls(payload, accountCalls, {
+          chainRegistry,
+          routerAddress: getChainContext(sourceChain.chainId).routerAddress,
+          fees: quote ? getLayerZeroFees(quote.actions) : {},
+        });
+        check = verifyAccountCallData(buildUserOperation(userOp).callData, accountCalls, expected);
+      } catch (error) {
+        check = { valid: false, reason: error.message };
+      }
+      if (!check.valid) {
+        metrics.countPayload("invalid");
+        return res.status(400).json({ error: `UserOp callData does not run the payload actions: ${check.reason}` });
+      }
+    }
+    
+    const feeWei = quote && !accountCalls ? BigInt(quote.totals.lzFee) : 0n;
+    if (tokenPayment && tokenPayment.layerZeroFeeWei < feeWei) {
+      metrics.countPayload("invalid");
+      return res.status(400).json({
+        error: `UserOp token payment covers ${tokenPayment.layerZeroFeeWei} wei of LayerZero fees, dispatching needs ${feeWei}. Quote again.`,
+      });
+    }
+    
+    // Replay protection, checked after the signature so nobody can burn another account's nonces
+    const usedNonce = actionStore.claimNonce({
+      userAccount: verification.account,
+      nonce: BigInt(payload.nonce).toString(),
+      payloadHash,
+      deadline: Number(payload.deadline),
+    });
+    if (usedNonce) {
+      logger.warn("Rejected payload: nonce already used", {
+        userAccount: verification.account,
+        nonce: payload.nonce,
+        payloadHash,
+        claimedBy: usedNonce.payloadHash,
+      });
+      metrics.countPayload("replayed");
+      return res.status(409).json({
+        error: usedNonce.payloadHash === payloadHash
+          ? "Payload already submitted"
+          : "Nonce already used by another payload",
+        payloadHash: usedNonce.payloadHash,
+        jobId: actionStore.getPayload(usedNonce.payloadHash)?.jobId || null,
+      });
+    }
+    
+    // Rate and spend limits, per account and per client IP. Checked after the nonce so replaying
+    // someone else's payload cannot use up their allowance; a refused payload keeps its nonce free.
+    const exceeded = usageLimits.reserve(
+      [`account:${verification.account.toLowerCase()}`, `ip:${req.ip}`],
+      { actions: payload.actions.length, feeWei }
+    );
+    if (exceeded) {
+      actionStore.releaseNonce(verification.account, BigInt(payload.nonce).toString());
+      logger.warn("Rejected payload: usage limit exceeded", { payloadHash, key: exceeded.key, reason: exceeded.error });
+      metrics.countPayload("rate_limited");
+      return sendUsageLimitExceeded(res, exceeded);
+    }
+    
+    const accountActionIds = new Set(accountCalls?.flatMap((call) => call.actions.map((entry) => entry.actionId)));
+    const job = jobQueue.enqueue(
+      {
+        payloadHash,
+        requestId: req.requestId,
+        userAccount: verification.account,
+        userOp,
+        signature,
+      },
+      [
+        { type: "userOp", required: true, ...(accountCalls && { calls: accountCalls }) },
+        ...planDispatchSteps(payload.actions, actionIdentities, getBatchEid)
+          .filter((step) => !getStepActionIds(step).some((actionId) => accountActionIds.has(actionId))),
+      ]
+    );
+    
+    actionStore.savePayload({
+      hash: payloadHash,
+      userAccount: verification.account,
+      signer: verification.signer,
+      signatureType: req.body.signatureType || "eip191",
+      payload,
+      jobId: job.jobId,
+      requestId: req.requestId,
+      apiKeyId: req.apiKeyId,
+      actionIds: actionIdentities.map((identity) => identity.actionId),
+      status: "queued",
+    });
+    for (const [index, action] of payload.actions.entries()) {
+      actionStore.saveAction({
+        actionId: actionIdentities[index].actionId,
+        payloadHash,
+        requestId: req.requestId,
+        userAccount: verification.account,
+        chainId: action.chainId,
+        adapter: action.adapter,
+        method: getDispatchMethod(action.chainId),
+        status: "queued",
+      });
+    }
+    
+    logger.info("Payload queued", {
+      payloadHash,
+      jobId: job.jobId,
+      userAccount: verification.account,
+      actionIds: actionIdentities.map((identity) => identity.actionId),
+    });
+    metrics.countPayload("queued");
+    res.status(202).json({
+      success: true,
+      jobId: job.jobId,
+      payloadHash,
+      status: job.status,
+    });
+  } catch (error) {
+    logger.error("Error processing payload", { error });
+    metrics.countPayload("error");
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Estimate gas for a bundler transaction and its cost at the chain's current fees
+ * @returns {Object} {gasLimit, gasCost} in gas units and wei
+ */
+async function estimateTxCost(chainId, request) {
+  const provider = providers[chainId];
+  if (!provider) {
+    throw new Error(`Unknown chainId: ${chainId}`);
+  }
+  const [gasLimit, feeData] = await Promise.all([
+    provider.estimateGas({ ...request, from: bundlerWallet?.address }),
+    provider.getFeeData(),
+  ]);
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  return { gasLimit, gasCost: gasLimit * gasPrice };
+}
+
+const { quotePayload } = createPayloadQuoter({
+  chainRegistry,
+  sourceChainId: sourceChain.chainId,
+  routerAddress: getChainContext(sourceChain.chainId)?.routerAddress,
+  provider: sourceProvider,
+  estimateTxCost,
+  getBatchEid,
+  hackMode: HACK_MODE,
+});
+
+// LayerZero fees can rise between a quote and dispatch; token payments commit to this much more
+const TOKEN_PAYMENT_LAYERZERO_FEE_MARGIN_PERCENT = 10n;
+
+/**
+ * The source chain TokenPaymaster's paymasterAndData fields of a UserOp, or null if it pays otherwise
+ */
+function getTokenPaymasterData(userOp) {
+  const tokenPaymaster = getPaymasterAddress(sourceChain.chainId, "TokenPaymaster");
+  let data = null;
+  try {
+    data = parseTokenPaymasterData(userOp?.paymasterAndData);
+  } catch {
+    return null;
+  }
+  return tokenPaymaster && data?.paymaster === ethers.getAddress(tokenPaymaster) ? data : null;
+}
+
+/**
+ * Quote paying for a payload in an ERC-20 through the source chain's TokenPaymaster: the UserOp's
+ * gas plus the payload's LayerZero fees, converted at the paymaster's price
+ * A UserOp already paying in tokens keeps its committed LayerZero fee; otherwise the quoted fee plus
+ * a margin is committed. The UserOp's gas is estimated when it has no gas fields.
+ * @param {Object} payload - Composite payload as submitted to /api/process-payload
+ * @param {bigint} lzFeeWei - The payload's quoted LayerZero fees
+ * @param {Object} options - {paymentToken, userOp}
+ * @returns {Object} {chainId, paymaster, paymasterAndData, token, symbol, decimals, price, gasWei,
+ *   layerZeroFeeWei, amount, amountFormatted} with amounts as strings; amount is what validation takes
+ *   and includes the UserOp's maximum gas cost. {paymasterAndData, error} when the amount is unknown.
+ */
+async function quotePayloadTokenPayment(payload, lzFeeWei, { paymentToken, userOp = {} }) {
+  const chainId = sourceChain.chainId;
+  const paymaster = getPaymasterAddress(chainId, "TokenPaymaster");
+  if (!paymaster) {
+    return { error: `No TokenPaymaster deployed for the EntryPoint on chain ${chainId}` };
+  }
+  const committed = getTokenPaymasterData(userOp);
+  const token = committed?.token || paymentToken;
+  const layerZeroFeeWei = committed?.layerZeroFeeWei ??
+    lzFeeWei + (lzFeeWei * TOKEN_PAYMENT_LAYERZERO_FEE_MARGIN_PERCENT) / 100n;
+  const paymasterAndData = encodeTokenPaymasterData({ paymaster, token, layerZeroFeeWei });
+  const base = { chainId, paymaster, paymasterAndData, token, layerZeroFeeWei: layerZeroFeeWei.toString() };
+
+  let operation = buildUserOperation({ sender: payload.userAccount, callData: "0x", ...userOp, paymasterAndData });
+  if (!operation.verificationGasLimit || !operation.maxFeePerGas) {
+    // Validation takes the tokens, so this fails until the sender has approved the paymaster
+    const estimate = await gasEstimators[chainId].estimate(operation);
+    if (estimate.error) {
+      return { ...base, error: `Could not estimate UserOp gas: ${estimate.error}` };
+    }
+    const { callGasLimit, verificationGasLimit, preVerificationGas, maxFeePerGas, maxPriorityFeePerGas } = estimate;
+    operation = { ...operation, callGasLimit, verificationGasLimit, preVerificationGas, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  const gasWei = getMaxOperationCost(operation);
+  const payment = await quoteTokenPayment(providers[chainId], { paymaster, token, gasWei, layerZeroFeeWei });
+  if (payment.error) {
+    return { ...base, error: payment.error };
+  }
+  return {
+    ...base,
+    token: payment.token,
+    symbol: payment.symbol,
+    decimals: payment.decimals,
+    price: payment.price.toString(),
+    gasWei: gasWei.toString(),
+    amount: payment.amount.toString(),
+    amountFormatted: ethers.formatUnits(payment.amount, payment.decimals),
+  };
+}
+
+/**
+ * Quote the cost of dispatching a payload before it is signed
+ * Takes the same body as /api/process-payload; no signature is needed.
+ * With paymentToken (or a userOp paying through the TokenPaymaster), the response also has
+ * tokenPayment: what the TokenPaymaster takes for the UserOp's gas and the LayerZero fees.
+ */
+app.post("/api/quote", async (req, res) => {
+  try {
+    const { payload, paymentToken, userOp } = req.body;
+    
+    const payloadErrors = validatePayload(payload);
+    if (payloadErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid payload", errors: payloadErrors });
+    }
+    if (paymentToken !== undefined && !ethers.isAddress(paymentToken)) {
+      return res.status(400).json({ error: "paymentToken must be an address" });
+    }
+    
+    const quote = await quotePayload(payload);
+    if (paymentToken || getTokenPaymasterData(userOp)) {
+      try {
+        // A smart account pays the LayerZero fees of its own messages, so tokens only cover its gas
+        const lzFeeWei = userOp?.sender && await isAccountSender(userOp) ? 0n : BigInt(quote.totals.lzFee);
+        quote.tokenPayment = await quotePayloadTokenPayment(payload, lzFeeWei, { paymentToken, userOp });
+      } catch (error) {
+        quote.tokenPayment = { error: error.shortMessage || error.message };
+      }
+    }
+    res.json(quote);
+  } catch (error) {
+    logger.error("Error quoting payload", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Estimate a UserOperation's gas limits and suggest fees, for clients filling in a UserOp
+ * Body: {userOp: {sender, nonce, callData, initCode, paymasterAndData, ...}, chainId (default: source chain)}
+ * Returns decimal strings ready to put in the UserOp, plus the EntryPoint they were estimated against.
+ */
+app.post("/api/gas-estimate", async (req, res) => {
+  const { userOp, chainId = sourceChain.chainId } = req.body || {};
+  const estimator = gasEstimators[Number(chainId)];
+  if (!estimator) {
+    return res.status(400).json({ error: `Unknown chainId: ${chainId}` });
+  }
+  if (!userOp || !ethers.isAddress(userOp.sender)) {
+    return res.status(400).json({ error: "userOp.sender must be an address" });
+  }
+
+  let operation;
+  try {
+    operation = buildUserOperation(userOp);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid userOp: ${error.shortMessage || error.message}` });
+  }
+
+  try {
+    const estimate = await estimator.estimate(operation);
+    if (estimate.error) {
+      return res.status(400).json({ error: estimate.error });
+    }
+    res.json({
+      chainId: estimator.chainId,
+      entryPoint: estimator.entryPointAddress,
+      callGasLimit: estimate.callGasLimit.toString(),
+      verificationGasLimit: estimate.verificationGasLimit.toString(),
+      preVerificationGas: estimate.preVerificationGas.toString(),
+      maxFeePerGas: estimate.maxFeePerGas.toString(),
+      maxPriorityFeePerGas: estimate.maxPriorityFeePerGas.toString(),
+      l1DataGas: estimate.l1DataGas.toString(),
+      simulated: estimate.simulated,
+    });
+  } catch (error) {
+    logger.error("Error estimating UserOp gas", { chainId, sender: operation.sender, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Ask the paymaster to pay for a UserOperation
+ * Body: {userOp, chainId (default: source chain), payload (optional, the payload the UserOp belongs to), stub}
+ * With stub: true, returns placeholder paymasterAndData to estimate gas with; otherwise the UserOp's gas
+ * fields must be final and the returned paymasterAndData carries the signer's approval.
+ * 404 when the chain has no paymaster, 403 when the sponsorship policy declines.
+ */
+app.post("/api/paymaster/sponsor", async (req, res) => {
+  const { userOp, chainId = sourceChain.chainId, payload, stub = false } = req.body || {};
+  if (!sponsorship?.getPaymaster(chainId)) {
+    return res.status(404).json({ error: `No paymaster configured for chain ${chainId}` });
+  }
+  if (!userOp || !ethers.isAddress(userOp.sender)) {
+    return res.status(400).json({ error: "userOp.sender must be an address" });
+  }
+  if (payload !== undefined) {
+    const payloadErrors = validatePayload(payload);
+    if (payloadErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid payload", errors: payloadErrors });
+    }
+  }
+
+  let operation;
+  try {
+    operation = buildUserOperation(userOp);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid userOp: ${error.shortMessage || error.message}` });
+  }
+
+  try {
+    const result = stub
+      ? sponsorship.getStubData(operation, { chainId, payload })
+      : await sponsorship.sponsor(operation, { chainId, payload });
+    if (result.error) {
+      return res.status(result.declined ? 403 : 400).json({ error: result.error });
+    }
+    res.json({
+      chainId: Number(chainId),
+      paymasterAndData: result.paymasterAndData,
+      ...(stub ? {} : {
+        paymaster: result.paymaster,
+        validUntil: result.validUntil,
+        validAfter: result.validAfter,
+        maxCostWei: result.maxCostWei.toString(),
+      }),
+    });
+  } catch (error) {
+    logger.error("Error sponsoring UserOp", { chainId, sender: operation.sender, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Simulate every action of a payload without spending gas
+ * Local actions run through the source router's executeLocalAction as the bundler; other actions
+ * call the destination adapter's executeFromEIL directly, impersonating its trusted router
+ * (the step LayerZero delivery, or the bundler in HACK_MODE, would perform).
+ * @param {Object} payload - Composite payload as submitted to /api/process-payload
+ * @returns {Object} {payloadHash, success, actions: [{index, chainId, target, from, success, returnData, revert, events}]}
+ */
+async function simulatePayload(payload) {
+  const sourceChainId = sourceChain.chainId;
+  const payloadHash = getPayloadHash(payload);
+  const routerInterface = new ethers.Interface([
+    "function executeLocalAction(tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId) action) external payable returns (bool)",
+  ]);
+  const adapterABI = [
+    "function executeFromEIL(address userAccount, bytes calldata payload) external",
+    "function trustedRouter() external view returns (address)",
+  ];
+  
+  const actions = await Promise.all(payload.actions.map(async (action, index) => {
+    const chainId = Number(action.chainId);
+    const result = { index, chainId, target: null, from: null };
+    
+    try {
+      const context = getChainContext(chainId);
+      if (!context) {
+        throw new Error(`Unknown chainId: ${chainId}`);
+      }
+      const identity = createActionIdentity(payload, index);
+      const value = getVaultDepositValue(chainRegistry, action.adapter, action.calldata);
+      
+      let tx;
+      if (chainId === sourceChainId) {
+        if (!context.routerAddress) {
+          throw new Error("OmnichainSuperAccountRouter not deployed for local actions");
+        }
+        tx = {
+          from: bundlerWallet?.address || ethers.ZeroAddress,
+          to: context.routerAddress,
+          data: routerInterface.encodeFunctionData("executeLocalAction", [{
+            userAccount: payload.userAccount,
+            targetAdapter: action.adapter,
+            adapterCalldata: action.calldata,
+            timestamp: BigInt(identity.timestamp),
+            actionId: identity.actionId,
+          }]),
+          value,
+        };
+        result.target = "router";
+      } else {
+        const adapter = new ethers.Contract(action.adapter, adapterABI, context.provider);
+        const trustedRouter = await adapter.trustedRouter().catch(() => context.routerAddress);
+        if (!trustedRouter) {
+          throw new Error(`No trusted router known for adapter ${action.adapter}`);
+        }
+        tx = {
+          from: trustedRouter,
+          to: action.adapter,
+          data: adapter.interface.encodeFunctionData("executeFromEIL", [payload.userAccount, action.calldata]),
+          value,
+        };
+        result.target = "adapter";
+      }
+      
+      result.from = tx.from;
+      Object.assign(result, await simulateCall(context.provider, tx));
+    } catch (error) {
+      Object.assign(result, {
+        success: false,
+        returnData: null,
+        revert: { reason: error.shortMessage || error.message, selector: null, data: null },
+        events: [],
+      });
+    }
+    return result;
+  }));
+  
+  return {
+    payloadHash,
+    success: actions.every((action) => action.success),
+    actions,
+  };
+}
+
+/**
+ * Dry-run a payload: decoded revert reasons and emitted events per action, no gas spent
+ * Takes the same body as /api/process-payload; no signature is needed.
+ */
+app.post("/api/simulate", async (req, res) => {
+  try {
+    const { payload } = req.body;
+    
+    const payloadErrors = validatePayload(payload);
+    if (payloadErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid payload", errors: payloadErrors });
+    }
+    
+    res.json(await simulatePayload(payload));
+  } catch (error) {
+    logger.error("Error simulating payload", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Look up a single action by actionId
+ */
+app.get("/api/actions/:actionId", (req, res) => {
+  const action = actionStore.getAction(req.params.actionId);
+  if (!action) {
+    return res.status(404).json({ error: `Action ${req.params.actionId} not found` });
+  }
+  res.json(action);
+});
+
+/**
+ * Look up a submitted payload and its actions by payload hash
+ */
+app.get("/api/payloads/:hash", (req, res) => {
+  const payload = actionStore.getPayload(req.params.hash);
+  if (!payload) {
+    return res.status(404).json({ error: `Payload ${req.params.hash} not found` });
+  }
+  res.json({
+    ...payload,
+    actions: actionStore.getActionsForPayload(req.params.hash),
+  });
+});
+
+// Stream a payload's progress as Server-Sent Events (see eventStream.js)
+app.get("/api/payloads/:hash/events", createPayloadEventStream({ store: actionStore }));
+
+// Signed callbacks when actions finish and payloads settle (see webhooks.js)
+const webhooks = createWebhookNotifier({
+  store: actionStore,
+  isPayloadSettled: (hash) => isPayloadSettled(actionStore, hash),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6"),
+  backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS || "10000"),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000"),
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+});
+
+/**
+ * View of a webhook for its owner (the secret is only returned at registration)
+ */
+function formatWebhook(webhook) {
+  const { secret, apiKeyId, ...view } = webhook;
+  return view;
+}
+
+/**
+ * Register a webhook for an account's payloads or, without userAccount, for every payload
+ * submitted with the caller's API key. The response carries the signing secret, shown once.
+ */
+app.post("/api/webhooks", (req, res) => {
+  const { url, events, userAccount } = req.body || {};
+  if (userAccount !== undefined && !ethers.isAddress(userAccount)) {
+    return res.status(400).json({ error: `Invalid userAccount: ${userAccount}` });
+  }
+  const { webhook, error } = webhooks.register({
+    url,
+    events,
+    userAccount: userAccount ? ethers.getAddress(userAccount) : null,
+    apiKeyId: req.apiKeyId,
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  logger.info("Webhook registered", { webhookId: webhook.id, userAccount: webhook.userAccount, events: webhook.events });
+  res.status(201).json({ ...formatWebhook(webhook), secret: webhook.secret });
+});
+
+/**
+ * Look up a webhook, or delete it; both need its secret in the X-Webhook-Secret header
+ */
+function findOwnedWebhook(req, res) {
+  const webhook = actionStore.getWebhook(req.params.id);
+  if (!webhook || !webhooks.checkSecret(webhook, req.get("X-Webhook-Secret"))) {
+    res.status(404).json({ error: `Webhook ${req.params.id} not found` });
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * A webhook and its recent deliveries
+ */
+app.get("/api/webhooks/:id", (req, res) => {
+  const webhook = findOwnedWebhook(req, res);
+  if (!webhook) {
+    return;
+  }
+  const deliveries = actionStore.getWebhookDeliveries(webhook.id).map(({ body, ...delivery }) => delivery);
+  res.json({ ...formatWebhook(webhook), deliveries });
+});
+
+app.delete("/api/webhooks/:id", (req, res) => {
+  const webhook = findOwnedWebhook(req, res);
+  if (!webhook) {
+    return;
+  }
+  actionStore.deleteWebhook(webhook.id);
+  logger.info("Webhook deleted", { webhookId: webhook.id });
+  res.status(204).end();
+});
+
+/**
+ * ERC-4337 bundler JSON-RPC (eth_sendUserOperation, eth_estimateUserOperationGas,
+ * eth_getUserOperationByHash, eth_getUserOperationReceipt, eth_supportedEntryPoints, eth_chainId)
+ * /api/rpc serves the source chain, /api/rpc/:chainId any registry chain
+ */
+app.post(["/api/rpc", "/api/rpc/:chainId"], async (req, res) => {
+  const chainId = req.params.chainId ? Number(req.params.chainId) : sourceChain.chainId;
+  const rpc = bundlerRpcs[chainId];
+  if (!rpc) {
+    return res.status(404).json({ error: `Unknown chainId: ${req.params.chainId}` });
+  }
+  try {
+    res.json(await rpc.handle(req.body, { requestId: req.requestId, apiKeyId: req.apiKeyId }));
+  } catch (error) {
+    logger.error("Bundler RPC request failed", { chainId, error });
+    res.json({
+      jsonrpc: "2.0",
+      id: Array.isArray(req.body) ? null : req.body?.id ?? null,
+      error: { code: RPC_ERRORS.INTERNAL_ERROR, message: error.message },
+    });
+  }
+});
+
+// Malformed JSON sent to the bundler RPC gets a JSON-RPC parse error instead of express's 400 page
+app.use("/api/rpc", (error, req, res, next) => {
+  if (error.type !== "entity.parse.failed") {
+    return next(error);
+  }
+  res.json({ jsonrpc: "2.0", id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: "Parse error" } });
+});
+
+/**
+ * Parse a ?limit= query value: a positive integer clamped to max, or the fallback when missing or invalid
+ */
+function parseLimit(value, { fallback, max }) {
+  const limit = Number(value);
+  if (value === undefined || value === "" || !Number.isInteger(limit) || limit < 1) {
+    return fallback;
+  }
+  return Math.min(limit, max);
+}
+
+/**
+ * List an account's action history, newest first
+ * Query: limit (default 100, at most 1000)
+ */
+app.get("/api/accounts/:address/actions", (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: `Invalid address: ${req.params.address}` });
+  }
+  const limit = parseLimit(req.query.limit, { fallback: 100, max: 1000 });
+  res.json({
+    account: ethers.getAddress(req.params.address),
+    actions: actionStore.getActionsByAccount(req.params.address, { limit }),
+  });
+});
+
+/**
+ * An owner's SuperAccount on every configured chain: its counterfactual address, whether it is deployed,
+ * its EntryPoint nonce and the initCode a first UserOp needs to deploy it
+ * Query: salt (default 0). address is null when the chains' factories disagree or none is deployed.
+ */
+app.get("/api/smart-accounts/:owner", async (req, res) => {
+  if (!ethers.isAddress(req.params.owner)) {
+    return res.status(400).json({ error: `Invalid address: ${req.params.owner}` });
+  }
+  const salt = req.query.salt || "0";
+  if (!/^\d+$/.test(salt)) {
+    return res.status(400).json({ error: "salt must be a non-negative integer" });
+  }
+  try {
+    res.json(await accountResolver.resolve(ethers.getAddress(req.params.owner), BigInt(salt)));
+  } catch (error) {
+    logger.error("Error resolving smart account", { owner: req.params.owner, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List jobs with dead-lettered steps
+ */
+app.get("/api/jobs/dead-letter", (req, res) => {
+  res.json({ jobs: jobQueue.getDeadLetters().map(formatJob) });
+});
+
+/**
+ * Look up a dispatch job by jobId
+ */
+app.get("/api/jobs/:jobId", (req, res) => {
+  const job = actionStore.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found` });
+  }
+  res.json(formatJob(job));
+});
+
+/**
+ * Requeue a job's dead-lettered steps
+ */
+app.post("/api/jobs/:jobId/retry", idempotent, (req, res) => {
+  const job = actionStore.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found` });
+  }
+  const requeued = jobQueue.retryDead(req.params.jobId);
+  if (!requeued) {
+    return res.status(409).json({ error: `Job ${req.params.jobId} has no dead-lettered steps` });
+  }
+  for (const step of requeued.steps) {
+    if (step.type === "action" && step.status === "pending") {
+      actionStore.setActionStatus(step.actionId, "queued", { error: null });
+    }
+  }
+  actionStore.updatePayload(requeued.payloadHash, { status: "queued" });
+  logger.info("Job requeued", {
+    jobId: requeued.jobId,
+    payloadHash: requeued.payloadHash,
+    originalRequestId: requeued.requestId,
+  });
+  res.status(202).json(formatJob(requeued));
+});
+
+/**
+ * Prometheus metrics
+ */
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
+/**
+ * Root route
+ */
+app.get("/", (req, res) => {
+  res.json({
+    status: "ok",
+    message: "Bundler/Orchestrator API",
+    endpoints: {
+      health: "GET /health",
+      processPayload: "POST /api/process-payload",
+      quote: "POST /api/quote",
+      gasEstimate: "POST /api/gas-estimate",
+      sponsorUserOp: "POST /api/paymaster/sponsor",
+      simulate: "POST /api/simulate",
+      action: "GET /api/actions/:actionId",
+      payload: "GET /api/payloads/:hash",
+      payloadEvents: "GET /api/payloads/:hash/events (Server-Sent Events)",
+      accountActions: "GET /api/accounts/:address/actions",
+      smartAccount: "GET /api/smart-accounts/:owner",
+      job: "GET /api/jobs/:jobId",
+      deadLetterJobs: "GET /api/jobs/dead-letter",
+      retryJob: "POST /api/jobs/:jobId/retry",
+      bundlerRpc: "POST /api/rpc[/:chainId] (ERC-4337 JSON-RPC)",
+      registerWebhook: "POST /api/webhooks",
+      webhook: "GET|DELETE /api/webhooks/:id (X-Webhook-Secret)",
+      metrics: "GET /metrics (Prometheus)",
+      ready: "GET /health/ready"
+    },
+    mode: HACK_MODE ? "HACK_MODE" : "LAYERZERO",
+    bundlerAddress: bundlerWallet?.address || "NOT CONFIGURED",
+  });
+});
+
+// Dependency checks behind /health/ready (RPCs, balances, router and adapter configuration)
+const checkReadiness = createReadinessCheck({
+  chainRegistry,
+  getChainContext,
+  bundlerAddress: bundlerWallet?.address || null,
+  minBalanceWei: BigInt(process.env.HEALTH_MIN_BALANCE_WEI || ethers.parseEther("0.01").toString()),
+  hackMode: HACK_MODE,
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || "5000"),
+  cacheMs: parseInt(process.env.HEALTH_CHECK_CACHE_MS || "10000"),
+});
+
+/**
+ * Health check
+ */
+app.get("/health", (req, res) => {
+  res.json({
+    status: "ok",
+    mode: HACK_MODE ? "HACK_MODE" : "LAYERZERO",
+    bundlerAddress: bundlerWallet?.address || "NOT CONFIGURED",
+  });
+});
+
+/**
+ * Readiness check: 200 when every dependency check passes, 503 with the failing checks otherwise
+ */
+app.get("/health/ready", createReadinessHandler({
+  checkReadiness,
+  info: {
+    mode: HACK_MODE ? "HACK_MODE" : "LAYERZERO",
+    bundlerAddress: bundlerWallet?.address || "NOT CONFIGURED",
+  },
+}));
+
+app.listen(PORT, () => {
+  logger.info("Bundler/Orchestrator running", { port: Number(PORT) });
+  
+  // Pick up nonces and pending transactions from before a restart, then resume queued jobs
+  Promise.all(Object.values(nonceManagers).map((manager) =>
+    manager.resync().catch((error) => {
+      logger.error("Nonce resync failed", { chainId: manager.chainId, error });
+    })
+  )).then(() => {
+    jobQueue.start();
+    if (bundlerWallet) {
+      for (const mempool of Object.values(userOpMempools)) {
+        mempool.start();
+      }
+    }
+  });
+  webhooks.start();
+  
+  if (ACTION_RETENTION_MS > 0) {
+    const pruneActions = () => {
+      const pruned = actionStore.pruneFinished(new Date(Date.now() - ACTION_RETENTION_MS).toISOString());
+      if (pruned) {
+        logger.info("Pruned finished payloads", { pruned });
+      }
+    };
+    pruneActions();
+    setInterval(pruneActions, ACTION_PRUNE_INTERVAL_MS).unref();
+  }
+  
+  // Track LayerZero actions until they are executed (or fail) on the destination chain
+  startDeliveryWatcher({
+    store: actionStore,
+    getChainContext,
+    sourceChainId: sourceChain.chainId,
+    intervalMs: parseInt(process.env.DELIVERY_POLL_INTERVAL_MS || "15000"),
+    timeoutMs: parseInt(process.env.DELIVERY_TIMEOUT_MS || "3600000"),
+    logBlockRange: parseInt(process.env.DELIVERY_LOG_BLOCK_RANGE || "5000"),
+  });
+  // Hosts only: RPC URLs often embed provider API keys
+  for (const chain of chainRegistry.chains) {
+    logger.info("Chain RPC configured", { chain: chain.name, chainId: chain.chainId, rpcHost: getUrlHost(chain.rpcUrl) });
+  }
 });
 
@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import { logger, runWithLogContext } from "./logger.js";
+
+/**
+ * Create an in-process job queue persisted through the action store
+ *
+ * A job is a list of steps run in order. A step that throws is retried with
+ * exponential backoff; after maxAttempts it is dead-lettered and the job moves on.
+ * A step can return {halt: true} to skip the rest of the job (e.g. rejected UserOp);
+ * a dead-lettered step marked `required` does the same.
+ * Steps left "running" by a crash are requeued on start, so step handlers must be
+ * safe to run twice.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Action store (saveJob, getJob, getJobsByStatus)
+ * @param {Function} options.runStep - async (job, step) => {result, halt}
+ * @param {Function} options.onJobFinished - Called with the job once no steps are pending
+ * @param {number} options.maxAttempts - Attempts per step before dead-lettering
+ * @param {number} options.backoffMs - Delay before the first retry, doubled on each attempt
+ * @param {number} options.pollMs - Idle poll interval
+ * @returns {Object} Queue API
+ */
+export function createJobQueue({
+  store,
+  runStep,
+  onJobFinished = () => {},
+  maxAttempts = 3,
+  backoffMs = 5000,
+  pollMs = 1000,
+}) {
+  let timer = null;
+  let running = false;
+  let stopped = true;
+
+  function nextDueStep(job) {
+    const step = job.steps.find((s) => s.status === "pending" || s.status === "running");
+    if (!step) {
+      return null;
+    }
+    if (step.nextAttemptAt && Date.parse(step.nextAttemptAt) > Date.now()) {
+      return null;
+    }
+    return step;
+  }
+
+  function finishJob(job) {
+    const dead = job.steps.filter((s) => s.status === "dead").length;
+    const halted = job.steps.some((s) => s.status === "skipped");
+    let status = "completed";
+    if (halted) {
+      status = "failed";
+    } else if (dead > 0) {
+      status = dead === job.steps.length ? "failed" : "partial";
+    }
+    const finished = store.saveJob({ ...job, status, finishedAt: new Date().toISOString() });
+    onJobFinished(finished);
+  }
+
+  function skipRemaining(job) {
+    for (const rest of job.steps) {
+      if (rest.status === "pending") {
+        rest.status = "skipped";
+      }
+    }
+  }
+
+  function stepName(step) {
+    return `${step.type}${step.index ?? ""}`;
+  }
+
+  // Steps log under the job's IDs (and the request that queued it), not whatever ran tick()
+  function processStep(job, step) {
+    return runWithLogContext(
+      { requestId: job.requestId, jobId: job.jobId, payloadHash: job.payloadHash },
+      () => runJobStep(job, step)
+    );
+  }
+
+  async function runJobStep(job, step) {
+    step.status = "running";
+    step.attempts = (step.attempts || 0) + 1;
+    job.status = "running";
+    store.saveJob(job);
+
+    try {
+      const { result, halt } = await runStep(job, step);
+      step.status = "done";
+      step.result = result;
+      step.lastError = null;
+      if (halt) {
+        skipRemaining(job);
+      }
+    } catch (error) {
+      step.lastError = error.message;
+      if (step.attempts >= maxAttempts) {
+        step.status = "dead";
+        logger.error("Job step dead-lettered", { step: stepName(step), attempts: step.attempts, error });
+        if (step.required) {
+          skipRemaining(job);
+        }
+      } else {
+        step.status = "pending";
+        const delay = backoffMs * 2 ** (step.attempts - 1);
+        step.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn("Job step failed, retrying", { step: stepName(step), attempts: step.attempts, maxAttempts, retryInMs: delay, error });
+      }
+    }
+
+    store.saveJob(job);
+    if (!job.steps.some((s) => s.status === "pending")) {
+      finishJob(job);
+    }
+  }
+
+  async function tick() {
+    if (running || stopped) {
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    try {
+      // Run due steps until none are left, one at a time (the bundler wallet sends serially)
+      let worked = true;
+      while (worked && !stopped) {
+        worked = false;
+        for (const job of store.getJobsByStatus("queued", "running")) {
+          const step = nextDueStep(job);
+          if (step) {
+            await processStep(job, step);
+            worked = true;
+            break;
+          }
+        }
+      }
+    } finally {
+      running = false;
+      if (!stopped) {
+        timer = setTimeout(tick, pollMs);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Queue a job and return it immediately
+     * @param {Object} fields - Job metadata (payloadHash, userAccount, ...)
+     * @param {Array} steps - Steps to run in order, e.g. {type: "action", index}
+     */
+    enqueue(fields, steps) {
+      const job = store.saveJob({
+        ...fields,
+        jobId: crypto.randomUUID(),
+        status: "queued",
+        steps: steps.map((step) => ({ ...step, status: "pending", attempts: 0 })),
+      });
+      setImmediate(tick);
+      return job;
+    },
+
+    /**
+     * Requeue a job's dead-lettered steps (and the steps they skipped) with a fresh attempt budget
+     */
+    retryDead(jobId) {
+      const job = store.getJob(jobId);
+      if (!job || !job.steps.some((s) => s.status === "dead")) {
+        return null;
+      }
+      for (const step of job.steps) {
+        if (step.status === "dead" || step.status === "skipped") {
+          Object.assign(step, { status: "pending", attempts: 0, nextAttemptAt: null });
+        }
+      }
+      const requeued = store.saveJob({ ...job, status: "queued", finishedAt: null });
+      setImmediate(tick);
+      return requeued;
+    },
+
+    /**
+     * Jobs with at least one dead-lettered step
+     */
+    getDeadLetters() {
+      return store
+        .getJobsByStatus("partial", "failed")
+        .filter((job) => job.steps.some((s) => s.status === "dead"));
+    },
+
+    /**
+     * Number of jobs waiting or in progress
+     */
+    depth() {
+      return store.getJobsByStatus("queued", "running").length;
+    },
+
+    /**
+     * Start processing, requeueing steps interrupted by a previous shutdown
+     */
+    start() {
+      for (const job of store.getJobsByStatus("running")) {
+        for (const step of job.steps) {
+          if (step.status === "running") {
+            step.status = "pending";
+            logger.warn("Recovering interrupted job step", { jobId: job.jobId, requestId: job.requestId, step: stepName(step) });
+          }
+        }
+        store.saveJob(job);
+      }
+      stopped = false;
+      setImmediate(tick);
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
@@ -0,0 +1,180 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+// "silent" writes nothing (hardhat test sets it unless LOG_LEVEL is given)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Field names whose values never reach the logs
+const REDACTED_FIELD = /signature|private.?key|api.?key|authorization|mnemonic|secret|password/i;
+const REDACTED = "[REDACTED]";
+
+// Secrets inside free text such as error messages: "apiKey=...", "privateKey: ...", bearer tokens,
+// URL paths and queries (where providers put their keys) and 65-byte hex signatures
+const REDACTED_TEXT = [
+  [/\b((?:signature|private.?key|api.?key|authorization|mnemonic|secret|password|token)["']?\s*[:=]\s*["']?)[^\s"',&}]+/gi, `$1${REDACTED}`],
+  [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  [/\b((?:https?|wss?):\/\/)(?:[^\s/@"']+@)?([^\s/?#"']+)([^\s"']*)/gi,
+    (url, scheme, host, rest) => (rest && rest !== "/" ? `${scheme}${host}/${REDACTED}` : `${scheme}${host}${rest}`)],
+  [/\b0x[0-9a-fA-F]{130}\b/g, REDACTED],
+];
+
+// Long strings (calldata, raw transactions, RPC error dumps) are cut to this length
+const MAX_STRING_LENGTH = 300;
+const MAX_DEPTH = 5;
+const MAX_STACK_FRAMES = 5;
+
+// Accepted incoming X-Request-Id values; anything else gets a fresh ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Requests logged at debug level (probes and scrapes)
+const QUIET_PATHS = ["/health", "/health/ready", "/metrics"];
+
+// Correlation fields (requestId, jobId, payloadHash, actionId, ...) of the code currently running
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with extra correlation fields, added to every log line written while it runs
+ * (including from async work it starts). A field set to undefined removes an inherited one.
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Run fn (typically scheduling background work) without the current correlation fields
+ */
+export function runWithoutLogContext(fn) {
+  return context.exit(fn);
+}
+
+function redactText(value) {
+  return REDACTED_TEXT.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function truncate(value) {
+  return value.length > MAX_STRING_LENGTH
+    ? `${value.slice(0, MAX_STRING_LENGTH)}...(${value.length} chars)`
+    : value;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    // Redacted and truncated by serialize, like any other string
+    message: error.shortMessage || error.message,
+    code: error.code,
+    reason: error.reason,
+    // Stack frames help with programming errors; RPC and contract errors carry a code instead
+    stack: error.code || !error.stack
+      ? undefined
+      : error.stack.split("\n").slice(1, 1 + MAX_STACK_FRAMES).map((frame) => frame.trim()),
+  };
+}
+
+/**
+ * Copy a value into something JSON can hold: redacted, truncated, BigInts as strings
+ */
+function serialize(value, depth = 0) {
+  if (value instanceof Error) {
+    return serialize(serializeError(value), depth);
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (typeof value === "string") {
+    return truncate(redactText(value));
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Object]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, depth + 1));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined || item === null) {
+      continue;
+    }
+    result[key] = REDACTED_FIELD.test(key) ? REDACTED : serialize(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Create a JSON-lines logger
+ * Each line is {time, level, msg, ...context, ...fields}; the context comes from runWithLogContext.
+ * Fields named like secrets (signature, privateKey, apiKey, authorization, ...) are redacted, and so
+ * are secrets in string values and error messages (see REDACTED_TEXT).
+ * @param {Object} options
+ * @param {string} options.level - Lowest level written (debug, info, warn, error, silent)
+ * @param {Object} options.base - Fields on every line
+ * @param {Function} options.write - Receives each line
+ * @returns {Object} Logger API
+ */
+export function createLogger({
+  level = "info",
+  base = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) {
+      return;
+    }
+    const entry = serialize({ ...base, ...context.getStore(), ...fields });
+    write(JSON.stringify({ time: new Date().toISOString(), level: levelName, msg, ...entry }));
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+
+    /**
+     * Logger adding fields to every line
+     */
+    child(fields) {
+      return createLogger({ level, base: { ...base, ...fields }, write });
+    },
+  };
+}
+
+/**
+ * The bundler's logger (LOG_LEVEL sets the level, default info)
+ */
+export const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+/**
+ * Express middleware giving every request a correlation ID
+ * The ID is taken from a valid X-Request-Id header or generated, returned in the X-Request-Id
+ * response header, kept on req.requestId and added to every log line written for the request.
+ * Each request is logged once it has been answered.
+ */
+export function createRequestContext(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.requestId = requestId;
+    res.set("X-Request-Id", requestId);
+
+    const start = Date.now();
+    runWithLogContext({ requestId }, () => {
+      res.on("finish", () => {
+        const level = QUIET_PATHS.includes(req.path) ? "debug" : res.statusCode >= 500 ? "error" : "info";
+        log[level]("Request handled", {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - start,
+          ip: req.ip,
+        });
+      });
+      next();
+    });
+  };
+}
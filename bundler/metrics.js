@@ -0,0 +1,181 @@
+import client from "prom-client";
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+import { withTimeout } from "./timeout.js";
+
+// Action statuses counted as outcomes (an action reaches exactly one of them)
+const ACTION_OUTCOMES = ["executed", "failed", "skipped"];
+
+/**
+ * JsonRpcProvider timing every request it sends through its public send method
+ * Requests ethers batches into one HTTP call are timed one by one, each from when it was made.
+ */
+class TimedJsonRpcProvider extends ethers.JsonRpcProvider {
+  #onRequest;
+
+  /**
+   * @param {string} url - RPC URL
+   * @param {Function} onRequest - (method, result, seconds) after each request, result "ok" or "error"
+   */
+  constructor(url, onRequest) {
+    super(url);
+    this.#onRequest = onRequest;
+  }
+
+  async send(method, params) {
+    const start = process.hrtime.bigint();
+    let result = "ok";
+    try {
+      return await super.send(method, params);
+    } catch (error) {
+      result = "error";
+      throw error;
+    } finally {
+      this.#onRequest(method, result, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+}
+
+/**
+ * Create the bundler's Prometheus metrics, served in text format from GET /metrics
+ * Action outcomes are counted from the action store's change events; queue depth and wallet
+ * balances are read when Prometheus scrapes.
+ * @param {Object} options
+ * @param {Object} options.store - Action store (subscribe)
+ * @param {Array<number>} options.chainIds - Chains to report wallet balances for
+ * @param {Function} options.getQueueDepth - () => jobs queued or running
+ * @param {Function} options.getDeadLetterCount - () => jobs with dead-lettered steps
+ * @param {Function} options.getWalletBalance - async chainId => bundler wallet balance in wei, or null
+ * @param {number} options.balanceTimeoutMs - How long a scrape waits for each balance
+ * @returns {Object} Metrics API
+ */
+export function createMetrics({
+  store,
+  chainIds,
+  getQueueDepth,
+  getDeadLetterCount,
+  getWalletBalance,
+  balanceTimeoutMs = 5000,
+}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: "bundler_" });
+
+  const payloadsReceived = new client.Counter({
+    name: "bundler_payloads_received_total",
+    help: "Payload submissions by outcome (queued, invalid, expired, unauthorized, replayed, rate_limited, error)",
+    labelNames: ["outcome"],
+    registers: [registry],
+  });
+  const actions = new client.Counter({
+    name: "bundler_actions_total",
+    help: "Actions that reached a final status, by dispatch method and outcome",
+    labelNames: ["method", "outcome"],
+    registers: [registry],
+  });
+  const actionDuration = new client.Histogram({
+    name: "bundler_action_duration_seconds",
+    help: "Time from submission to an action's final status",
+    labelNames: ["method", "outcome"],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+    registers: [registry],
+  });
+  const feesSpent = new client.Counter({
+    name: "bundler_fees_spent_wei_total",
+    help: "Wei the bundler wallet spent, by chain and kind (gas, layerzero)",
+    labelNames: ["chain_id", "kind"],
+    registers: [registry],
+  });
+  const rpcDuration = new client.Histogram({
+    name: "bundler_rpc_request_duration_seconds",
+    help: "JSON-RPC request latency by chain, method and result (ok, error)",
+    labelNames: ["chain_id", "method", "result"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+  });
+  new client.Gauge({
+    name: "bundler_queue_depth",
+    help: "Dispatch jobs queued or running",
+    registers: [registry],
+    collect() {
+      this.set(getQueueDepth());
+    },
+  });
+  new client.Gauge({
+    name: "bundler_dead_letter_jobs",
+    help: "Dispatch jobs with dead-lettered steps",
+    registers: [registry],
+    collect() {
+      this.set(getDeadLetterCount());
+    },
+  });
+  new client.Gauge({
+    name: "bundler_wallet_balance_wei",
+    help: "Bundler wallet balance per chain",
+    labelNames: ["chain_id"],
+    registers: [registry],
+    async collect() {
+      await Promise.all(chainIds.map(async (chainId) => {
+        try {
+          const balance = await withTimeout(getWalletBalance(chainId), balanceTimeoutMs);
+          if (balance !== null) {
+            this.set({ chain_id: chainId }, Number(balance));
+          }
+        } catch (error) {
+          // Report no value rather than a stale one
+          this.remove({ chain_id: chainId });
+          logger.warn("Could not read bundler balance", { chainId, error });
+        }
+      }));
+    },
+  });
+
+  store.subscribe((event) => {
+    if (event.type !== "action" || !ACTION_OUTCOMES.includes(event.action.status)) {
+      return;
+    }
+    const labels = { method: event.action.method || "none", outcome: event.action.status };
+    actions.inc(labels);
+    actionDuration.observe(labels, (Date.now() - Date.parse(event.action.createdAt)) / 1000);
+  });
+
+  return {
+    contentType: registry.contentType,
+
+    /**
+     * Prometheus text exposition of every metric
+     * @returns {Promise<string>}
+     */
+    render() {
+      return registry.metrics();
+    },
+
+    /**
+     * Count a payload submission by outcome
+     */
+    countPayload(outcome) {
+      payloadsReceived.inc({ outcome });
+    },
+
+    /**
+     * Add to the wei spent on a chain
+     * @param {number} chainId - Chain the wallet paid on
+     * @param {string} kind - "gas" or "layerzero"
+     * @param {bigint} amount - Wei
+     */
+    recordFee(chainId, kind, amount) {
+      feesSpent.inc({ chain_id: chainId, kind }, Number(amount));
+    },
+
+    /**
+     * Create a JSON-RPC provider whose requests are timed in bundler_rpc_request_duration_seconds
+     * @param {string} url - RPC URL
+     * @param {number} chainId - Chain label for its requests
+     * @returns {ethers.JsonRpcProvider}
+     */
+    createProvider(url, chainId) {
+      return new TimedJsonRpcProvider(url, (method, result, seconds) => {
+        rpcDuration.observe({ chain_id: chainId, method, result }, seconds);
+      });
+    },
+  };
+}
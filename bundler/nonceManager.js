@@ -0,0 +1,273 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+/**
+ * Create a nonce manager for the bundler key on one chain
+ *
+ * Every bundler transaction on the chain goes through sendTransaction, which assigns nonces
+ * one at a time so concurrent submissions never race for the same nonce. Sent transactions
+ * are persisted until mined; one that is still pending after stuckAfterMs (stuck, or dropped
+ * from the mempool) is re-sent with the same nonce and fees bumped by feeBumpPercent.
+ * resync() reloads the chain's pending nonce and resumes watching persisted transactions
+ * after a restart.
+ *
+ * @param {Object} options
+ * @param {string} options.privateKey - Bundler private key
+ * @param {ethers.Provider} options.provider - Provider for the chain
+ * @param {number} options.chainId - Chain the manager signs for
+ * @param {Object} options.store - Action store (savePendingTx, removePendingTx, getPendingTxs)
+ * @param {number} options.stuckAfterMs - How long a transaction may stay pending before it is replaced
+ * @param {number} options.feeBumpPercent - Fee increase per replacement (nodes require at least 10)
+ * @param {number} options.maxReplacements - Replacements before giving up on a transaction
+ * @param {number} options.pollMs - Receipt poll interval
+ * @param {Function} options.onMined - Called with every mined receipt, reverted ones included (e.g. to meter gas spent)
+ * @returns {Object} Nonce manager API
+ */
+export function createNonceManager({
+  privateKey,
+  provider,
+  chainId,
+  store,
+  stuckAfterMs = 60000,
+  feeBumpPercent = 20,
+  maxReplacements = 3,
+  pollMs = 2000,
+  onMined = () => {},
+}) {
+  const wallet = new ethers.Wallet(privateKey, provider);
+  const log = logger.child({ chainId });
+  let nextNonce = null;
+  // Serializes nonce assignment and broadcast; each send waits for the previous one
+  let lock = Promise.resolve();
+
+  function withLock(fn) {
+    const run = lock.then(fn, fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  function isNonceError(error) {
+    const message = `${error.code || ""} ${error.shortMessage || error.message}`.toLowerCase();
+    return error.code === "NONCE_EXPIRED" || message.includes("nonce too low") || message.includes("nonce has already been used");
+  }
+
+  function bump(value) {
+    return value === null || value === undefined
+      ? value
+      : (BigInt(value) * BigInt(100 + feeBumpPercent)) / 100n;
+  }
+
+  // Serialize a tracked transaction for the store (BigInt -> string)
+  function toRecord(tx) {
+    return {
+      ...tx,
+      value: tx.value?.toString() ?? "0",
+      gasLimit: tx.gasLimit.toString(),
+      maxFeePerGas: tx.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString() ?? null,
+      gasPrice: tx.gasPrice?.toString() ?? null,
+    };
+  }
+
+  async function loadFees() {
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas !== null) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  async function broadcast(tx) {
+    const response = await wallet.sendTransaction({
+      to: tx.to,
+      data: tx.data,
+      value: BigInt(tx.value || 0),
+      nonce: tx.nonce,
+      gasLimit: BigInt(tx.gasLimit),
+      ...(tx.gasPrice
+        ? { gasPrice: BigInt(tx.gasPrice) }
+        : { maxFeePerGas: BigInt(tx.maxFeePerGas), maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas) }),
+    });
+    return response.hash;
+  }
+
+  async function resync() {
+    nextNonce = await provider.getTransactionCount(wallet.address, "pending");
+    for (const tx of store.getPendingTxs(chainId)) {
+      nextNonce = Math.max(nextNonce, tx.nonce + 1);
+    }
+    return nextNonce;
+  }
+
+  /**
+   * Re-send a pending transaction with the same nonce and bumped fees
+   */
+  async function replace(tx) {
+    const replacement = {
+      ...tx,
+      maxFeePerGas: bump(tx.maxFeePerGas),
+      maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas),
+      gasPrice: bump(tx.gasPrice),
+    };
+    // Never bid below the current network fees
+    const current = await loadFees();
+    for (const field of ["maxFeePerGas", "maxPriorityFeePerGas", "gasPrice"]) {
+      if (replacement[field] && current[field] && current[field] > BigInt(replacement[field])) {
+        replacement[field] = current[field];
+      }
+    }
+
+    const hash = await broadcast(replacement);
+    const record = toRecord({
+      ...replacement,
+      hashes: [...tx.hashes, hash],
+      replacements: tx.replacements + 1,
+      lastSentAt: new Date().toISOString(),
+    });
+    store.savePendingTx(record);
+    log.warn("Replaced stuck transaction", {
+      nonce: tx.nonce,
+      replacement: record.replacements,
+      maxReplacements,
+      replacedTxHash: tx.hashes[tx.hashes.length - 1],
+      txHash: hash,
+    });
+    return record;
+  }
+
+  /**
+   * Wait until one of a transaction's hashes (original or replacements) is mined
+   */
+  async function waitForTx(initial) {
+    let tx = initial;
+
+    while (true) {
+      for (const hash of tx.hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          store.removePendingTx(chainId, tx.nonce);
+          onMined(receipt);
+          if (receipt.status === 0) {
+            throw new Error(`Transaction ${receipt.hash} reverted on chain ${chainId}`);
+          }
+          return receipt;
+        }
+      }
+
+      // The nonce was consumed but none of our hashes were mined
+      const latestNonce = await provider.getTransactionCount(wallet.address, "latest");
+      if (latestNonce > tx.nonce) {
+        // A receipt may just not be indexed yet - check once more before giving up
+        await new Promise((resolve) => setTimeout(resolve, pollMs));
+        const receipts = await Promise.all(tx.hashes.map((hash) => provider.getTransactionReceipt(hash)));
+        if (!receipts.some(Boolean)) {
+          store.removePendingTx(chainId, tx.nonce);
+          throw new Error(`Nonce ${tx.nonce} on chain ${chainId} was used by another transaction`);
+        }
+        continue;
+      }
+
+      if (Date.now() - Date.parse(tx.lastSentAt) > stuckAfterMs) {
+        if (tx.replacements >= maxReplacements) {
+          throw new Error(`Transaction with nonce ${tx.nonce} still pending on chain ${chainId} after ${tx.replacements} replacements`);
+        }
+        try {
+          tx = await replace(tx);
+        } catch (error) {
+          // "already known" / "nonce too low" means an earlier hash is about to be mined
+          log.warn("Could not replace transaction", { nonce: tx.nonce, txHash: tx.hashes[tx.hashes.length - 1], error });
+          tx = { ...tx, lastSentAt: new Date().toISOString() };
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  return {
+    address: wallet.address,
+    chainId,
+
+    /**
+     * Sign and broadcast a transaction with the next nonce
+     * Gas is estimated before the nonce is assigned, so a call that would revert never takes one.
+     * @param {Object} request - {to, data, value} (e.g. from contract.method.populateTransaction)
+     * @returns {Object} {hash, nonce, wait} - wait() resolves with the receipt of whichever
+     *   hash (original or replacement) was mined and throws if it reverted
+     */
+    async sendTransaction(request) {
+      const gasLimit = request.gasLimit ?? await wallet.estimateGas(request);
+      const fees = await loadFees();
+
+      const tx = await withLock(async () => {
+        if (nextNonce === null) {
+          await resync();
+        }
+
+        const pending = {
+          to: request.to,
+          data: request.data || "0x",
+          value: request.value ?? 0n,
+          gasLimit,
+          ...fees,
+          nonce: nextNonce,
+        };
+
+        let hash;
+        try {
+          hash = await broadcast(pending);
+        } catch (error) {
+          if (!isNonceError(error)) {
+            // Nothing was sent; make sure the nonce is reused by the next transaction
+            await resync();
+            throw error;
+          }
+          // Another sender used our nonce (e.g. a second bundler instance) - resync and retry once
+          log.warn("Nonce already used, resyncing", { nonce: pending.nonce });
+          pending.nonce = await resync();
+          hash = await broadcast(pending);
+        }
+        nextNonce = pending.nonce + 1;
+
+        const record = toRecord({
+          ...pending,
+          chainId,
+          hashes: [hash],
+          replacements: 0,
+          sentAt: new Date().toISOString(),
+          lastSentAt: new Date().toISOString(),
+        });
+        store.savePendingTx(record);
+        return record;
+      });
+
+      log.info("Sent transaction", { nonce: tx.nonce, txHash: tx.hashes[0] });
+      return {
+        hash: tx.hashes[0],
+        nonce: tx.nonce,
+        wait: () => waitForTx(tx),
+      };
+    },
+
+    /**
+     * Reload the pending nonce and resume watching transactions persisted before a restart
+     */
+    async resync() {
+      await withLock(resync);
+      for (const tx of store.getPendingTxs(chainId)) {
+        log.info("Resuming pending transaction", { nonce: tx.nonce, txHash: tx.hashes[tx.hashes.length - 1] });
+        waitForTx(tx).catch((error) => {
+          log.error("Pending transaction failed", { nonce: tx.nonce, txHashes: tx.hashes, error });
+        });
+      }
+      return nextNonce;
+    },
+
+    /**
+     * Transactions sent but not yet mined
+     */
+    getPendingTransactions() {
+      return store.getPendingTxs(chainId);
+    },
+  };
+}
@@ -0,0 +1,211 @@
+import Ajv from "ajv";
+import { ethers } from "ethers";
+
+/**
+ * JSON schema for the EIL composite payload
+ * Shared by the bundler (enforced on every payload route), the frontend (checked before signing)
+ * and the conformance tests for doc/EIL_payload_examples.json. Chain IDs and adapters come from
+ * the chain registry, so the schema is built per registry.
+ */
+
+// Payload timestamps are unix seconds between 2020-01-01 and 2100-01-01
+export const MIN_PAYLOAD_TIMESTAMP = 1577836800;
+export const MAX_PAYLOAD_TIMESTAMP = 4102444800;
+
+// OmnichainSuperAccountRouter rejects batches larger than this
+export const MAX_PAYLOAD_ACTIONS = 50;
+
+// Messages for keywords whose ajv defaults say nothing useful
+const KEYWORD_MESSAGES = {
+  knownAddress: "must be an adapter registered for this chain in chains.json",
+};
+
+// Numeric fields accept a number or a decimal string (anyOf); one message per field
+const UNIX_SECONDS_MESSAGE = `must be a unix timestamp in seconds (number or numeric string) between ${MIN_PAYLOAD_TIMESTAMP} and ${MAX_PAYLOAD_TIMESTAMP}`;
+const NUMERIC_FIELD_MESSAGES = {
+  timestamp: UNIX_SECONDS_MESSAGE,
+  deadline: UNIX_SECONDS_MESSAGE,
+  nonce: "must be a uint256 (non-negative integer or decimal string)",
+};
+
+const unixSecondsSchema = {
+  anyOf: [
+    { type: "integer", minimum: MIN_PAYLOAD_TIMESTAMP, maximum: MAX_PAYLOAD_TIMESTAMP },
+    { type: "string", format: "unix-seconds" },
+  ],
+};
+
+/**
+ * Adapter contracts per chain ID: every registry contract whose name ends in "Adapter"
+ * @returns {Object} {chainId: [address, ...]}
+ */
+export function getKnownAdapters(chainRegistry) {
+  return Object.fromEntries(
+    chainRegistry.chains.map((chain) => [
+      chain.chainId,
+      Object.entries(chain.contracts)
+        .filter(([name, address]) => name.endsWith("Adapter") && ethers.isAddress(address))
+        .map(([, address]) => address),
+    ])
+  );
+}
+
+/**
+ * Build the payload JSON schema for a chain registry
+ * @param {Object} chainRegistry - Registry from createChainRegistry
+ * @returns {Object} JSON schema (draft-07 plus the "address", "unix-seconds" formats and the
+ * "knownAddress" keyword registered by createPayloadValidator)
+ */
+export function createPayloadSchema(chainRegistry) {
+  const knownAdapters = getKnownAdapters(chainRegistry);
+
+  return {
+    title: "EIL composite payload",
+    type: "object",
+    required: ["userAccount", "actions", "fileOps", "timestamp", "nonce", "deadline"],
+    additionalProperties: false,
+    properties: {
+      userAccount: { type: "string", format: "address" },
+      actions: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_PAYLOAD_ACTIONS,
+        items: {
+          type: "object",
+          required: ["chainId", "adapter", "calldata"],
+          additionalProperties: false,
+          properties: {
+            chainId: { type: "integer", enum: chainRegistry.chains.map((chain) => chain.chainId) },
+            adapter: { type: "string", format: "address" },
+            calldata: { type: "string", pattern: "^0x([0-9a-fA-F]{2})*$" },
+          },
+          // Adapters must be registered on the action's chain (chains without adapters are not checked)
+          allOf: Object.entries(knownAdapters)
+            .filter(([, adapters]) => adapters.length > 0)
+            .map(([chainId, adapters]) => ({
+              if: { properties: { chainId: { const: Number(chainId) } }, required: ["chainId"] },
+              then: { properties: { adapter: { type: "string", knownAddress: adapters } } },
+            })),
+        },
+      },
+      fileOps: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["cid", "purpose"],
+          additionalProperties: false,
+          properties: {
+            // CIDv0 (base58 "Qm...") or CIDv1 in base32 ("b...")
+            cid: { type: "string", pattern: "^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$" },
+            purpose: { type: "string", minLength: 1, maxLength: 64 },
+            // Informational only: metadata is not part of the signed payload
+            metadata: { type: "object" },
+          },
+        },
+      },
+      timestamp: unixSecondsSchema,
+      // Replay protection: each (userAccount, nonce) is accepted once, until the deadline
+      nonce: {
+        anyOf: [
+          { type: "integer", minimum: 0, maximum: Number.MAX_SAFE_INTEGER },
+          { type: "string", format: "uint256" },
+        ],
+      },
+      deadline: unixSecondsSchema,
+      // The UserOp the payload is submitted with (getUserOpHash); unset while the UserOp is not final
+      userOpHash: { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" },
+    },
+  };
+}
+
+/**
+ * JSON pointer of an ajv error as a field path, e.g. /actions/0/adapter -> actions[0].adapter
+ */
+function toFieldPath(instancePath, missingProperty) {
+  const segments = instancePath.split("/").slice(1);
+  if (missingProperty) {
+    segments.push(missingProperty);
+  }
+  return segments.reduce(
+    (path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment),
+    ""
+  ) || "payload";
+}
+
+/**
+ * Turn ajv errors into one {field, message} entry per problem
+ * Branch errors inside anyOf and the if/then wrapper errors are dropped in favour of the parent message.
+ */
+function formatErrors(errors) {
+  const formatted = [];
+  for (const error of errors || []) {
+    if (error.schemaPath.includes("/anyOf/") || error.keyword === "if") {
+      continue;
+    }
+    const field = toFieldPath(error.instancePath, error.params.missingProperty || error.params.additionalProperty);
+    let message = KEYWORD_MESSAGES[error.keyword] || error.message;
+    if (error.keyword === "anyOf" && NUMERIC_FIELD_MESSAGES[field]) {
+      message = NUMERIC_FIELD_MESSAGES[field];
+    } else if (error.keyword === "required") {
+      message = "is required";
+    } else if (error.keyword === "additionalProperties") {
+      message = "is not an allowed field";
+    } else if (error.keyword === "format" && error.params.format === "address") {
+      message = "must be a valid address (checksummed or all lowercase)";
+    } else if (error.keyword === "pattern" && field.endsWith(".calldata")) {
+      message = "must be 0x-prefixed hex with an even number of digits";
+    } else if (error.keyword === "pattern" && field.endsWith(".cid")) {
+      message = "must be an IPFS CID (v0 base58 or v1 base32)";
+    } else if (error.keyword === "pattern" && field === "userOpHash") {
+      message = "must be a 0x-prefixed 32-byte hex hash";
+    } else if (error.keyword === "enum" && field.endsWith(".chainId")) {
+      message = `must be a chain in chains.json (${error.params.allowedValues.join(", ")})`;
+    }
+    if (!formatted.some((entry) => entry.field === field && entry.message === message)) {
+      formatted.push({ field, message });
+    }
+  }
+  return formatted;
+}
+
+/**
+ * Compile the payload schema into a validator
+ * @param {Object} chainRegistry - Registry from createChainRegistry
+ * @param {Object} options - {maxFutureSkewSeconds, maxTtlSeconds}: how far ahead of the local clock a
+ * timestamp may be, and the longest allowed deadline - timestamp
+ * @returns {Function} (payload, {now}) => [{field, message}]; empty when the payload is valid.
+ * Expiry against the current time is left to the caller, so old payloads (e.g. examples) still validate.
+ */
+export function createPayloadValidator(chainRegistry, { maxFutureSkewSeconds = 300, maxTtlSeconds = 86400 } = {}) {
+  const ajv = new Ajv({ allErrors: true });
+  ajv.addFormat("address", (value) => ethers.isAddress(value));
+  ajv.addFormat("unix-seconds", (value) =>
+    /^\d{1,12}$/.test(value) && Number(value) >= MIN_PAYLOAD_TIMESTAMP && Number(value) <= MAX_PAYLOAD_TIMESTAMP
+  );
+  ajv.addFormat("uint256", (value) => /^\d{1,78}$/.test(value) && BigInt(value) <= ethers.MaxUint256);
+  ajv.addKeyword({
+    keyword: "knownAddress",
+    type: "string",
+    schemaType: "array",
+    errors: false,
+    validate: (addresses, value) => addresses.some((address) => address.toLowerCase() === value.toLowerCase()),
+  });
+  const validate = ajv.compile(createPayloadSchema(chainRegistry));
+
+  return (payload, { now = Math.floor(Date.now() / 1000) } = {}) => {
+    if (!validate(payload)) {
+      return formatErrors(validate.errors);
+    }
+    const errors = [];
+    if (Number(payload.timestamp) > now + maxFutureSkewSeconds) {
+      errors.push({ field: "timestamp", message: `must not be more than ${maxFutureSkewSeconds}s in the future` });
+    }
+    const ttl = Number(payload.deadline) - Number(payload.timestamp);
+    if (ttl <= 0) {
+      errors.push({ field: "deadline", message: "must be after timestamp" });
+    } else if (ttl > maxTtlSeconds) {
+      errors.push({ field: "deadline", message: `must be at most ${maxTtlSeconds}s after timestamp` });
+    }
+    return errors;
+  };
+}
@@ -0,0 +1,332 @@
+import { ethers } from "ethers";
+import { ROUTER_ABI } from "./accountCalls.js";
+import { decodeCallData } from "./userOperation.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// paymasterAndData = paymaster (20 bytes) | abi.encode(uint48 validUntil, uint48 validAfter) | signature (65 bytes)
+const VALIDITY_TYPES = ["uint48", "uint48"];
+const PAYMASTER_AND_DATA_LENGTH = 20 + 64 + 65;
+
+// Stand-in for the signer's signature in stub paymasterAndData: same length and no zero bytes,
+// so gas estimated with the stub also covers the signed operation
+const STUB_SIGNATURE = "0x" + "ff".repeat(64) + "1c";
+
+// TokenPaymaster paymasterAndData = paymaster (20 bytes) | token (20 bytes) | uint256 layerZeroFeeWei
+const TOKEN_PAYMASTER_DATA_LENGTH = 20 + 20 + 32;
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+
+const tokenPaymasterInterface = new ethers.Interface([
+  "function tokens(address token) external view returns (bool allowed, uint8 decimals, address oracle, uint8 oracleDecimals, uint32 maxOracleAge, uint256 price)",
+  "function getTokenAmount(address token, uint256 weiAmount) external view returns (uint256)",
+]);
+const erc20Interface = new ethers.Interface(["function symbol() external view returns (string)"]);
+
+const userOpFieldTypes = [
+  "address", "uint256", "bytes32", "bytes32", "uint256", "uint256", "uint256", "uint256", "uint256",
+];
+
+/**
+ * Hash the VerifyingPaymaster signer approves (VerifyingPaymaster.getHash)
+ * @param {Object} userOp - UserOperation from buildUserOperation
+ * @param {Object} approval - {chainId, paymaster, validUntil, validAfter}
+ * @returns {string} bytes32 hash, signed as an EIP-191 personal message
+ */
+export function getPaymasterHash(userOp, { chainId, paymaster, validUntil, validAfter }) {
+  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+  const userOpFieldsHash = ethers.keccak256(abiCoder.encode(userOpFieldTypes, [
+    userOp.sender,
+    userOp.nonce,
+    ethers.keccak256(userOp.initCode),
+    ethers.keccak256(userOp.callData),
+    userOp.callGasLimit,
+    userOp.verificationGasLimit,
+    userOp.preVerificationGas,
+    userOp.maxFeePerGas,
+    userOp.maxPriorityFeePerGas,
+  ]));
+  return ethers.keccak256(abiCoder.encode(
+    ["bytes32", "uint256", "address", "uint48", "uint48"],
+    [userOpFieldsHash, chainId, paymaster, validUntil, validAfter]
+  ));
+}
+
+/**
+ * Encode VerifyingPaymaster paymasterAndData
+ */
+export function encodePaymasterAndData({ paymaster, validUntil, validAfter, signature }) {
+  return ethers.concat([
+    paymaster,
+    ethers.AbiCoder.defaultAbiCoder().encode(VALIDITY_TYPES, [validUntil, validAfter]),
+    signature,
+  ]);
+}
+
+/**
+ * Decode VerifyingPaymaster paymasterAndData
+ * @returns {Object|null} {paymaster, validUntil, validAfter, signature}, or null if it is not that layout
+ */
+export function parsePaymasterAndData(paymasterAndData) {
+  if (ethers.dataLength(paymasterAndData) !== PAYMASTER_AND_DATA_LENGTH) {
+    return null;
+  }
+  const [validUntil, validAfter] = ethers.AbiCoder.defaultAbiCoder().decode(
+    VALIDITY_TYPES,
+    ethers.dataSlice(paymasterAndData, 20, 84)
+  );
+  return {
+    paymaster: ethers.getAddress(ethers.dataSlice(paymasterAndData, 0, 20)),
+    validUntil: Number(validUntil),
+    validAfter: Number(validAfter),
+    signature: ethers.dataSlice(paymasterAndData, 84),
+  };
+}
+
+/**
+ * Most the EntryPoint (v0.6) can charge a paymaster for an operation: its prefund, where
+ * verification gas counts three times (account validation, paymaster validation and postOp)
+ */
+export function getMaxOperationCost(userOp) {
+  const gas = userOp.callGasLimit + userOp.verificationGasLimit * 3n + userOp.preVerificationGas;
+  return gas * userOp.maxFeePerGas;
+}
+
+/**
+ * Encode TokenPaymaster paymasterAndData
+ * @param {Object} fields - {paymaster, token, layerZeroFeeWei}: the LayerZero fees the sender agrees to
+ *   pay for, in wei, on top of the UserOp's gas
+ */
+export function encodeTokenPaymasterData({ paymaster, token, layerZeroFeeWei }) {
+  return ethers.concat([paymaster, token, ethers.toBeHex(layerZeroFeeWei, 32)]);
+}
+
+/**
+ * Decode TokenPaymaster paymasterAndData
+ * @returns {Object|null} {paymaster, token, layerZeroFeeWei (bigint)}, or null if it is not that layout
+ */
+export function parseTokenPaymasterData(paymasterAndData) {
+  if (!paymasterAndData || ethers.dataLength(paymasterAndData) !== TOKEN_PAYMASTER_DATA_LENGTH) {
+    return null;
+  }
+  return {
+    paymaster: ethers.getAddress(ethers.dataSlice(paymasterAndData, 0, 20)),
+    token: ethers.getAddress(ethers.dataSlice(paymasterAndData, 20, 40)),
+    layerZeroFeeWei: BigInt(ethers.dataSlice(paymasterAndData, 40)),
+  };
+}
+
+/**
+ * What a TokenPaymaster takes from the sender, at its current price: the most the UserOp's gas can cost
+ * plus the LayerZero fees. postOp refunds the gas the UserOp did not use.
+ * @param {ethers.Provider} provider - Provider for the paymaster's chain
+ * @param {Object} options - {paymaster, token, gasWei (getMaxOperationCost), layerZeroFeeWei}
+ * @returns {Object} {token, symbol, decimals, price (wei per whole token), amount} with bigints,
+ *   or {error} when the paymaster does not accept the token
+ */
+export async function quoteTokenPayment(provider, { paymaster, token, gasWei, layerZeroFeeWei }) {
+  const contract = new ethers.Contract(paymaster, tokenPaymasterInterface, provider);
+  const config = await contract.tokens(token);
+  if (!config.allowed) {
+    return { error: `Token ${token} is not accepted by the paymaster` };
+  }
+  const [amount, symbol] = await Promise.all([
+    contract.getTokenAmount(token, gasWei + layerZeroFeeWei),
+    new ethers.Contract(token, erc20Interface, provider).symbol().catch(() => null),
+  ]);
+  return { token: ethers.getAddress(token), symbol, decimals: Number(config.decimals), price: config.price, amount };
+}
+
+/**
+ * Create the sponsorship service: decides whether the VerifyingPaymaster pays for a UserOperation
+ * and signs the approval the paymaster checks on-chain
+ *
+ * Policy (addresses compare case-insensitively; an empty list allows everything):
+ * - the sender is an allowed account
+ * - every call in the operation's execute/executeBatch callData, and every action of the payload
+ *   it belongs to, goes to an allowed adapter; for a call to a router, every action it carries does
+ * - the sender's sponsored operations stay within dailyBudgetWei over 24 hours; each approval
+ *   reserves the operation's maximum cost (getMaxOperationCost)
+ *
+ * Approvals expire after validitySeconds, so an unused one does not stay spendable.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Action store (recordUsage, getUsageSince, pruneUsage)
+ * @param {ethers.Signer} options.signer - The paymasters' verifying signer
+ * @param {Object} options.paymasters - {chainId: VerifyingPaymaster address}
+ * @param {Array<string>} options.allowedAccounts - Senders that may be sponsored
+ * @param {Array<string>} options.allowedAdapters - Contracts sponsored operations may call
+ * @param {Array<string>} options.routers - OmnichainSuperAccountRouters accounts run their actions through
+ * @param {bigint} options.dailyBudgetWei - Per-sender budget; 0n disables the limit
+ * @param {number} options.validitySeconds - How long an approval is valid
+ * @returns {Object} Sponsorship API
+ */
+export function createSponsorshipService({
+  store,
+  signer,
+  paymasters,
+  allowedAccounts = [],
+  allowedAdapters = [],
+  routers = [],
+  dailyBudgetWei = 0n,
+  validitySeconds = 600,
+}) {
+  const accounts = new Set(allowedAccounts.map((address) => address.toLowerCase()));
+  const adapters = new Set(allowedAdapters.map((address) => address.toLowerCase()));
+  const routerAddresses = new Set(routers.map((address) => address.toLowerCase()));
+
+  function getPaymaster(chainId) {
+    return paymasters[Number(chainId)] || null;
+  }
+
+  function getValidity(now) {
+    return { validUntil: Math.floor(now / 1000) + validitySeconds, validAfter: 0 };
+  }
+
+  /**
+   * Contracts a call reaches: its target, or the adapters of the actions a router call carries
+   */
+  function getCallTargets(call) {
+    if (!routerAddresses.has(String(call.to).toLowerCase())) {
+      return [call.to];
+    }
+    let parsed = null;
+    try {
+      parsed = routerInterface.parseTransaction({ data: call.data });
+    } catch {
+      // Not an action call
+    }
+    if (parsed?.name === "executeLocalAction") {
+      return [parsed.args.action.targetAdapter];
+    }
+    if (parsed?.name === "sendCrossChainAction") {
+      return [parsed.args.action.targetAdapter];
+    }
+    if (parsed?.name === "sendBatchCrossChainActions") {
+      return parsed.args.actions.map((action) => action.targetAdapter);
+    }
+    return [call.to];
+  }
+
+  /**
+   * Why the policy declines to sponsor an operation, or null if it does not
+   */
+  function checkPolicy(userOp, payload) {
+    if (accounts.size > 0 && !accounts.has(userOp.sender.toLowerCase())) {
+      return `Account ${userOp.sender} is not eligible for sponsorship`;
+    }
+    if (payload?.userAccount && payload.userAccount.toLowerCase() !== userOp.sender.toLowerCase()) {
+      return "payload.userAccount does not match the UserOp sender";
+    }
+
+    const calls = decodeCallData(userOp.callData);
+    if (calls === null) {
+      return "Only SuperAccount execute and executeBatch calls are sponsored";
+    }
+    if (adapters.size > 0) {
+      const targets = [
+        ...calls.flatMap(getCallTargets),
+        ...(payload?.actions || []).map((action) => action.adapter),
+      ];
+      const disallowed = targets.find((target) => !adapters.has(String(target).toLowerCase()));
+      if (disallowed) {
+        return `Calls to ${disallowed} are not sponsored`;
+      }
+    }
+    return null;
+  }
+
+  function getSponsoredSince(key, since) {
+    return store.getUsageSince(key, since)
+      .reduce((sum, entry) => sum + BigInt(entry.sponsoredWei || 0), 0n);
+  }
+
+  return {
+    getPaymaster,
+
+    /**
+     * Stub paymasterAndData for estimating an operation's gas before it is sponsored
+     * The policy is checked (except the budget, which needs the operation's gas); the signature is a
+     * placeholder the paymaster rejects, which gas estimation tolerates.
+     * @param {Object} userOp - UserOperation from buildUserOperation (gas fields may be unset)
+     * @param {Object} context - {chainId, payload}
+     * @returns {Object} {paymasterAndData} or {error, declined} (declined: refused by policy)
+     */
+    getStubData(userOp, { chainId, payload }) {
+      const paymaster = getPaymaster(chainId);
+      if (!paymaster) {
+        return { error: `No paymaster configured for chain ${chainId}` };
+      }
+      const declined = checkPolicy(userOp, payload);
+      if (declined) {
+        return { error: declined, declined: true };
+      }
+      return {
+        paymasterAndData: encodePaymasterAndData({ paymaster, ...getValidity(Date.now()), signature: STUB_SIGNATURE }),
+      };
+    },
+
+    /**
+     * Sponsor an operation: check the policy, reserve its maximum cost against the sender's daily
+     * budget and sign the paymaster approval
+     * @param {Object} userOp - UserOperation from buildUserOperation, with gas limits and fees set
+     * @param {Object} context - {chainId, payload}
+     * @returns {Object} {paymasterAndData, paymaster, validUntil, validAfter, maxCostWei (bigint)}
+     *   or {error, declined}
+     */
+    async sponsor(userOp, { chainId, payload }) {
+      const paymaster = getPaymaster(chainId);
+      if (!paymaster) {
+        return { error: `No paymaster configured for chain ${chainId}` };
+      }
+      if (!userOp.callGasLimit && userOp.callData !== "0x") {
+        return { error: "userOp.callGasLimit must be set" };
+      }
+      for (const field of ["verificationGasLimit", "preVerificationGas", "maxFeePerGas"]) {
+        if (!userOp[field]) {
+          return { error: `userOp.${field} must be set` };
+        }
+      }
+
+      const declined = checkPolicy(userOp, payload);
+      if (declined) {
+        return { error: declined, declined: true };
+      }
+
+      const now = Date.now();
+      const maxCostWei = getMaxOperationCost(userOp);
+      const key = `sponsor:${userOp.sender.toLowerCase()}`;
+      if (dailyBudgetWei > 0n) {
+        store.pruneUsage(new Date(now - DAY_MS).toISOString());
+        const sponsored = getSponsoredSince(key, new Date(now - DAY_MS).toISOString());
+        if (sponsored + maxCostWei > dailyBudgetWei) {
+          return {
+            error: `Sponsorship budget exceeded: at most ${ethers.formatEther(dailyBudgetWei)} ETH of gas per day per account`,
+            declined: true,
+          };
+        }
+      }
+
+      const validity = getValidity(now);
+      const hash = getPaymasterHash(userOp, { chainId: Number(chainId), paymaster, ...validity });
+      const signature = await signer.signMessage(ethers.getBytes(hash));
+
+      store.recordUsage({
+        keys: [key],
+        actions: 0,
+        feeWei: "0",
+        sponsoredWei: maxCostWei.toString(),
+        at: new Date(now).toISOString(),
+      });
+      logger.info("UserOp sponsored", { chainId, sender: userOp.sender, maxCostWei, ...validity });
+
+      return {
+        paymasterAndData: encodePaymasterAndData({ paymaster, ...validity, signature }),
+        paymaster,
+        ...validity,
+        maxCostWei,
+      };
+    },
+  };
+}
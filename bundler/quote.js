@@ -0,0 +1,156 @@
+import { ethers } from "ethers";
+import { createActionIdentity } from "./buildPayload.js";
+import { DEFAULT_MESSAGE_OPTIONS, ROUTER_ABI, getVaultDepositValue, toRouterAction } from "./accountCalls.js";
+import { planDispatchSteps } from "./dispatchSteps.js";
+
+/**
+ * Split an amount over n parts; the first part takes the remainder
+ */
+export function splitAmount(amount, parts) {
+  const share = amount / BigInt(parts);
+  return Array.from({ length: parts }, (_, i) => (i === 0 ? amount - share * BigInt(parts - 1) : share));
+}
+
+/**
+ * Create the payload quoter behind POST /api/quote
+ * @param {Object} options
+ * @param {Object} options.chainRegistry - Registry from createChainRegistry
+ * @param {number} options.sourceChainId - Chain the bundler dispatches from
+ * @param {string} options.routerAddress - Source chain OmnichainSuperAccountRouter (null if not deployed)
+ * @param {Object} options.provider - Source chain provider (fee quotes)
+ * @param {Function} options.estimateTxCost - async (chainId, request) => {gasLimit, gasCost}
+ * @param {Function} options.getBatchEid - chainId => LayerZero EID actions are sent to, or null
+ * @param {boolean} options.hackMode - Cross-chain actions are direct adapter calls (HACK_MODE)
+ * @returns {Object} {quotePayload(payload)}
+ */
+export function createPayloadQuoter({
+  chainRegistry,
+  sourceChainId,
+  routerAddress,
+  provider,
+  estimateTxCost,
+  getBatchEid,
+  hackMode = false,
+}) {
+  const router = routerAddress ? new ethers.Contract(routerAddress, ROUTER_ABI, provider) : null;
+
+  /**
+   * Quote what dispatching a payload would cost, step by step as it would be dispatched
+   * (see planDispatchSteps): LayerZero native fees and source-chain gas for cross-chain sends,
+   * gas for local (and HACK_MODE direct) executions. Batch costs are split over their actions.
+   * A step that cannot be quoted gets an error and is left out of the totals.
+   * @param {Object} payload - Composite payload as submitted to /api/process-payload
+   * @returns {Object} {sourceChainId, actions, totals, totalsEth, complete} with amounts as wei strings
+   */
+  async function quotePayload(payload) {
+    const identities = payload.actions.map((action, index) => createActionIdentity(payload, index));
+
+    const actions = [];
+    for (const step of planDispatchSteps(payload.actions, identities, getBatchEid)) {
+      const entries = step.type === "batch" ? step.actions : [step];
+      const chainId = Number(payload.actions[entries[0].index].chainId);
+
+      const quote = { lzFee: 0n, sourceGas: 0n, localGas: 0n, gasLimit: null, eid: null, error: null };
+      const routerActions = entries.map((entry) => toRouterAction(payload, entry.index, entry));
+
+      try {
+        if (chainId === sourceChainId) {
+          quote.method = "local_via_router";
+          if (!router) {
+            throw new Error("OmnichainSuperAccountRouter not deployed for local actions");
+          }
+          const action = payload.actions[entries[0].index];
+          const value = getVaultDepositValue(chainRegistry, action.adapter, action.calldata);
+          const { gasLimit, gasCost } = await estimateTxCost(
+            chainId,
+            await router.executeLocalAction.populateTransaction(routerActions[0], { value })
+          );
+          Object.assign(quote, { gasLimit, localGas: gasCost });
+        } else if (hackMode) {
+          quote.method = "direct_call";
+          const action = payload.actions[entries[0].index];
+          const adapter = new ethers.Contract(action.adapter, [
+            "function executeFromEIL(address userAccount, bytes calldata payload) external",
+          ]);
+          const { gasLimit, gasCost } = await estimateTxCost(
+            chainId,
+            await adapter.executeFromEIL.populateTransaction(payload.userAccount, action.calldata)
+          );
+          Object.assign(quote, { gasLimit, localGas: gasCost });
+        } else {
+          quote.method = "layerzero_oapp";
+          quote.eid = getBatchEid(chainId);
+          if (!quote.eid) {
+            throw new Error(`LayerZero EID not configured for chain ${chainId}`);
+          }
+          if (!router) {
+            throw new Error("OmnichainSuperAccountRouter not deployed. Deploy OApp contract first.");
+          }
+          let request;
+          if (step.type === "batch") {
+            const fee = await router.quoteBatchCrossChainActions(quote.eid, routerActions, DEFAULT_MESSAGE_OPTIONS);
+            quote.lzFee = fee.nativeFee;
+            request = await router.sendBatchCrossChainActions.populateTransaction(
+              quote.eid, routerActions, DEFAULT_MESSAGE_OPTIONS, { value: fee.nativeFee }
+            );
+          } else {
+            const fee = await router.quoteCrossChainAction(quote.eid, routerActions[0], DEFAULT_MESSAGE_OPTIONS);
+            quote.lzFee = fee.nativeFee;
+            request = await router.sendCrossChainAction.populateTransaction(
+              quote.eid, routerActions[0], DEFAULT_MESSAGE_OPTIONS, { value: fee.nativeFee }
+            );
+          }
+          const { gasLimit, gasCost } = await estimateTxCost(sourceChainId, request);
+          Object.assign(quote, { gasLimit, sourceGas: gasCost });
+        }
+      } catch (error) {
+        // Nothing of a failed step counts, not even a fee quoted before its gas estimate failed
+        Object.assign(quote, { lzFee: 0n, sourceGas: 0n, localGas: 0n, error: error.shortMessage || error.message });
+      }
+
+      const lzFees = splitAmount(quote.lzFee, entries.length);
+      const sourceGas = splitAmount(quote.sourceGas, entries.length);
+      const localGas = splitAmount(quote.localGas, entries.length);
+      entries.forEach((entry, position) => {
+        actions.push({
+          index: entry.index,
+          chainId,
+          method: quote.method,
+          eid: quote.eid,
+          batched: step.type === "batch",
+          batchSize: entries.length,
+          gasLimit: quote.gasLimit?.toString() ?? null,
+          lzFee: lzFees[position],
+          sourceGas: sourceGas[position],
+          localGas: localGas[position],
+          total: lzFees[position] + sourceGas[position] + localGas[position],
+          error: quote.error,
+        });
+      });
+    }
+
+    actions.sort((a, b) => a.index - b.index);
+    const totals = { lzFee: 0n, sourceGas: 0n, localGas: 0n, total: 0n };
+    for (const action of actions) {
+      for (const field of Object.keys(totals)) {
+        totals[field] += action[field];
+      }
+    }
+
+    const toWeiStrings = (amounts) =>
+      Object.fromEntries(Object.entries(amounts).map(([field, amount]) => [field, amount.toString()]));
+
+    return {
+      sourceChainId,
+      actions: actions.map((action) => ({
+        ...action,
+        ...toWeiStrings({ lzFee: action.lzFee, sourceGas: action.sourceGas, localGas: action.localGas, total: action.total }),
+      })),
+      totals: toWeiStrings(totals),
+      totalsEth: Object.fromEntries(Object.entries(totals).map(([field, amount]) => [field, ethers.formatEther(amount)])),
+      complete: actions.every((action) => !action.error),
+    };
+  }
+
+  return { quotePayload };
+}
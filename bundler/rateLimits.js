@@ -0,0 +1,148 @@
+import { ethers } from "ethers";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function tooManyRequests(res, retryAfter, body) {
+  if (retryAfter !== null) {
+    res.set("Retry-After", String(retryAfter));
+  }
+  return res.status(429).json({ ...body, retryAfter });
+}
+
+/**
+ * Express middleware limiting each client IP to max requests per window
+ * Counts are kept in memory; req.ip honours the app's "trust proxy" setting.
+ * @param {Object} options - {max (0 disables the limit), windowMs}
+ * @returns {Function} Express middleware
+ */
+export function createRequestRateLimiter({ max, windowMs = MINUTE_MS }) {
+  const requests = new Map();
+
+  // Forget clients that have gone quiet
+  setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [ip, times] of requests) {
+      if (times[times.length - 1] <= cutoff) {
+        requests.delete(ip);
+      }
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    if (!max) {
+      return next();
+    }
+    const now = Date.now();
+    const times = (requests.get(req.ip) || []).filter((time) => time > now - windowMs);
+    requests.set(req.ip, times);
+
+    res.set("RateLimit-Limit", String(max));
+    if (times.length >= max) {
+      res.set("RateLimit-Remaining", "0");
+      return tooManyRequests(res, Math.ceil((times[0] + windowMs - now) / 1000), {
+        error: `Too many requests: at most ${max} per ${windowMs / 1000}s from one IP`,
+      });
+    }
+    times.push(now);
+    res.set("RateLimit-Remaining", String(max - times.length));
+    next();
+  };
+}
+
+/**
+ * Seconds until enough of a key's usage leaves the window for `amount` more to fit, or null if it never will
+ * @param {Array} entries - Usage records in the window, oldest first
+ * @param {Function} amountOf - record => BigInt amount it used
+ */
+function getRetryAfter(entries, amountOf, used, amount, limit, windowMs, now) {
+  if (amount > limit) {
+    return null;
+  }
+  let remaining = used;
+  for (const entry of entries) {
+    remaining -= amountOf(entry);
+    if (remaining + amount <= limit) {
+      return Math.max(1, Math.ceil((Date.parse(entry.at) + windowMs - now) / 1000));
+    }
+  }
+  return null;
+}
+
+/**
+ * Per-account and per-IP limits on what submissions may consume: actions per hour and wei of
+ * LayerZero fees per day. Usage is persisted in the action store, so it survives restarts.
+ * @param {Object} options
+ * @param {Object} options.store - Action store (recordUsage, getUsageSince, pruneUsage)
+ * @param {number} options.maxActionsPerHour - 0 disables the limit
+ * @param {bigint} options.maxFeeWeiPerDay - 0n disables the limit
+ */
+export function createUsageLimits({ store, maxActionsPerHour, maxFeeWeiPerDay }) {
+  const limits = [
+    {
+      field: "actions",
+      limit: BigInt(maxActionsPerHour),
+      windowMs: HOUR_MS,
+      describe: (key) => `at most ${maxActionsPerHour} actions per hour per ${key.split(":")[0]}`,
+    },
+    {
+      field: "feeWei",
+      limit: maxFeeWeiPerDay,
+      windowMs: DAY_MS,
+      describe: (key) => `at most ${ethers.formatEther(maxFeeWeiPerDay)} ETH of LayerZero fees per day per ${key.split(":")[0]}`,
+    },
+  ].filter(({ limit }) => limit > 0n);
+
+  return {
+    // Whether submissions need a fee estimate (the spend limit is on)
+    limitsFees: limits.some(({ field }) => field === "feeWei"),
+
+    /**
+     * Check a submission against every key's limits and record it if all of them allow it
+     * @param {Array<string>} keys - e.g. ["account:0x...", "ip:203.0.113.7"]
+     * @param {Object} usage - {actions, feeWei (bigint)}
+     * @returns {Object|null} null once recorded, otherwise {error, key, limit, used, requested, retryAfter}
+     * (retryAfter in seconds, null when the submission alone exceeds the limit)
+     */
+    reserve(keys, { actions, feeWei = 0n }) {
+      const now = Date.now();
+      store.pruneUsage(new Date(now - DAY_MS).toISOString());
+      const requested = { actions: BigInt(actions), feeWei: BigInt(feeWei) };
+
+      for (const { field, limit, windowMs, describe } of limits) {
+        for (const key of keys) {
+          const entries = store.getUsageSince(key, new Date(now - windowMs).toISOString());
+          const amountOf = (entry) => BigInt(entry[field]);
+          const used = entries.reduce((sum, entry) => sum + amountOf(entry), 0n);
+          if (used + requested[field] > limit) {
+            return {
+              error: `Rate limit exceeded: ${describe(key)}`,
+              key,
+              limit: limit.toString(),
+              used: used.toString(),
+              requested: requested[field].toString(),
+              retryAfter: getRetryAfter(entries, amountOf, used, requested[field], limit, windowMs, now),
+            };
+          }
+        }
+      }
+
+      store.recordUsage({
+        keys,
+        actions: Number(requested.actions),
+        feeWei: requested.feeWei.toString(),
+        at: new Date(now).toISOString(),
+      });
+      return null;
+    },
+  };
+}
+
+/**
+ * Send the 429 for a submission usageLimits.reserve turned down
+ */
+export function sendUsageLimitExceeded(res, exceeded) {
+  const { retryAfter, ...body } = exceeded;
+  return tooManyRequests(res, retryAfter, body);
+}
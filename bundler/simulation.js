@@ -0,0 +1,137 @@
+import { ethers } from "ethers";
+
+// Events the bundler knows how to decode in simulation results
+const eventsInterface = new ethers.Interface([
+  "event CrossChainActionReceived(bytes32 indexed actionId, uint32 srcEid, address indexed userAccount, address targetAdapter, bool success)",
+  "event SwapExecuted(address indexed userAccount, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, address executor)",
+  "event NFTMinted(uint256 indexed tokenId, address indexed owner, string tokenURI, address indexed executor)",
+  "event VaultOperationExecuted(uint8 indexed operation, address indexed user, uint256 amount, uint32 targetChainId, bool success)",
+  "event Deposit(address indexed user, uint32 chainId, uint256 amount, uint256 totalUserBalance)",
+  "event Withdraw(address indexed user, uint32 chainId, uint256 amount, uint256 totalUserBalance)",
+  "event CrossChainDeposit(address indexed user, uint32 srcChainId, uint32 dstChainId, uint256 amount)",
+  "event CrossChainWithdraw(address indexed user, uint32 srcChainId, uint32 dstChainId, uint256 amount)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+// Enough balance for the impersonated sender to cover the call value and gas
+const SENDER_BALANCE_MARGIN = ethers.parseEther("1");
+
+/**
+ * Decode a revert from a failed eth_call
+ * Error(string) and Panic(uint256) are decoded (JsonRpcProvider already does, other providers such
+ * as hardhat's only pass the revert data on); anything else is returned as raw data
+ * @returns {Object} {reason, selector, data}
+ */
+function decodeRevert(error) {
+  const data = error.data || error.info?.error?.data || null;
+  const hexData = typeof data === "string" && ethers.isHexString(data) ? data : null;
+  const reason = error.reason || (hexData && hexData.length > 2
+    ? ethers.AbiCoder.getBuiltinCallException("call", {}, hexData).reason
+    : error.shortMessage || error.message);
+  return {
+    reason,
+    selector: hexData && hexData.length >= 10 ? hexData.slice(0, 10) : null,
+    data: hexData,
+  };
+}
+
+function toJsonValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJsonValue);
+  }
+  return value;
+}
+
+/**
+ * Decode raw logs with the known event ABIs; unknown logs are returned as-is
+ * @param {Array} logs - [{address, topics, data}]
+ * @returns {Array} [{address, name, args}] or [{address, topics, data}]
+ */
+export function decodeEvents(logs) {
+  return logs.map((log) => {
+    let parsed = null;
+    try {
+      parsed = eventsInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch (error) {
+      // Unknown event or ABI mismatch; fall through to the raw log
+    }
+    if (!parsed) {
+      return { address: log.address, topics: log.topics, data: log.data };
+    }
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = toJsonValue(parsed.args[i]);
+    });
+    return { address: log.address, name: parsed.name, args };
+  });
+}
+
+function collectCallTraceLogs(frame, logs = []) {
+  for (const log of frame.logs || []) {
+    logs.push(log);
+  }
+  for (const call of frame.calls || []) {
+    collectCallTraceLogs(call, logs);
+  }
+  return logs;
+}
+
+/**
+ * Logs a call would emit, via eth_simulateV1 or, failing that, a callTracer debug_traceCall
+ * @returns {Promise<Array|null>} Raw logs, or null when the node supports neither method
+ */
+async function traceCallLogs(provider, call, stateOverrides) {
+  try {
+    const [block] = await provider.send("eth_simulateV1", [
+      { blockStateCalls: [{ stateOverrides, calls: [call] }], validation: false },
+      "latest",
+    ]);
+    return block.calls[0].logs || [];
+  } catch (error) {
+    // Not supported by this node; try the call tracer
+  }
+
+  try {
+    const trace = await provider.send("debug_traceCall", [
+      call,
+      "latest",
+      { tracer: "callTracer", tracerConfig: { withLog: true }, stateOverrides },
+    ]);
+    return collectCallTraceLogs(trace);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a transaction as eth_call without sending it
+ * The sender is given enough balance for the call, so any address (e.g. a router) can be
+ * impersonated. Events are only reported when the node can trace calls.
+ * @param {Object} provider - ethers provider of the chain to simulate on
+ * @param {Object} tx - {from, to, data, value}
+ * @returns {Promise<Object>} {success, returnData, revert, events}; events is null if unavailable
+ */
+export async function simulateCall(provider, { from, to, data, value = 0n }) {
+  const call = { from, to, data, value: ethers.toQuantity(value) };
+  const stateOverrides = {
+    [from]: { balance: ethers.toQuantity(value + SENDER_BALANCE_MARGIN) },
+  };
+
+  let returnData;
+  try {
+    returnData = await provider.send("eth_call", [call, "latest", stateOverrides]);
+  } catch (error) {
+    return { success: false, returnData: null, revert: decodeRevert(error), events: [] };
+  }
+
+  const logs = await traceCallLogs(provider, call, stateOverrides);
+  return {
+    success: true,
+    returnData,
+    revert: null,
+    events: logs ? decodeEvents(logs) : null,
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Resolve a promise, or reject once timeoutMs has passed
+ * The promise itself keeps running; only the wait for it ends.
+ */
+export function withTimeout(promise, timeoutMs) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,254 @@
+import { buildUserOperation, getUserOpHash, serializeUserOperation } from "./userOperation.js";
+import { logger, runWithLogContext, runWithoutLogContext } from "./logger.js";
+
+// Statuses of operations still waiting for (or in) a bundle
+const OPEN_STATUSES = ["pending", "submitted"];
+
+// A replacement for a pending operation must raise both fees by at least this much
+const REPLACEMENT_FEE_BUMP_PERCENT = 10n;
+
+// Operations that left the mempool are kept this long for eth_getUserOperationByHash
+const OP_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a UserOperation mempool for one chain and EntryPoint, persisted through the action store
+ *
+ * Operations accepted over the bundler RPC wait here as "pending". Every bundleIntervalMs the
+ * mempool takes one operation per sender (lowest nonce first), highest priority fee first,
+ * re-validates each and sends them to the EntryPoint in one handleOps transaction.
+ * An operation the EntryPoint rejects with FailedOp is dropped and the rest of the bundle
+ * is sent again without it. Operations left "submitted" by a crash are re-bundled on start,
+ * where re-validation fails those that were already included.
+ *
+ * Statuses: pending, submitted (in a bundle being sent), included, failed (rejected on
+ * re-validation or by the EntryPoint), replaced (by a higher-fee operation with the same nonce).
+ *
+ * @param {Object} options
+ * @param {number} options.chainId - Chain the EntryPoint is on
+ * @param {string} options.entryPointAddress - EntryPoint the operations are sent to
+ * @param {Object} options.store - Action store (saveUserOp, updateUserOp, getUserOp, getUserOpsByStatus)
+ * @param {Function} options.validate - async (userOp) => {valid, reason}, run again before bundling
+ * @param {Function} options.sendBundle - async (userOps) => {txHash, blockNumber, blockHash, results};
+ *   throws on failure, with error.failedOp = {opIndex, reason} when the EntryPoint rejected an operation
+ * @param {number} options.maxOpsPerSender - Pending operations a sender may have at once
+ * @param {number} options.maxBundleSize - Operations per handleOps transaction
+ * @param {number} options.maxSize - Pending operations the mempool holds
+ * @param {number} options.maxSendAttempts - Failed bundle sends an operation survives
+ * @param {number} options.bundleIntervalMs - Time between bundles
+ * @returns {Object} Mempool API
+ */
+export function createUserOpMempool({
+  chainId,
+  entryPointAddress,
+  store,
+  validate,
+  sendBundle,
+  maxOpsPerSender = 4,
+  maxBundleSize = 10,
+  maxSize = 1000,
+  maxSendAttempts = 3,
+  bundleIntervalMs = 2000,
+}) {
+  const log = logger.child({ chainId });
+  let timer = null;
+  let running = false;
+  let stopped = true;
+
+  function getPending() {
+    return store.getUserOpsByStatus(chainId, "pending");
+  }
+
+  function isSameSender(record, sender) {
+    return record.sender.toLowerCase() === sender.toLowerCase();
+  }
+
+  /**
+   * Next bundle: each sender's lowest-nonce operation, highest priority fee first
+   */
+  function selectBundle() {
+    const bySender = new Map();
+    for (const record of getPending()) {
+      const sender = record.sender.toLowerCase();
+      const current = bySender.get(sender);
+      if (!current || BigInt(record.userOp.nonce) < BigInt(current.userOp.nonce)) {
+        bySender.set(sender, record);
+      }
+    }
+    return [...bySender.values()]
+      .sort((a, b) => {
+        const feeA = BigInt(a.userOp.maxPriorityFeePerGas);
+        const feeB = BigInt(b.userOp.maxPriorityFeePerGas);
+        return feeA === feeB ? 0 : feeA > feeB ? -1 : 1;
+      })
+      .slice(0, maxBundleSize);
+  }
+
+  function fail(record, reason) {
+    log.warn("UserOp removed from mempool", { userOpHash: record.userOpHash, sender: record.sender, reason });
+    store.updateUserOp(record.userOpHash, { status: "failed", error: reason });
+  }
+
+  /**
+   * Re-validate and send one bundle; returns whether there was anything to send
+   */
+  async function bundleOnce() {
+    const candidates = selectBundle();
+    if (candidates.length === 0) {
+      return false;
+    }
+
+    let bundle = [];
+    for (const record of candidates) {
+      const validation = await validate(buildUserOperation(record.userOp));
+      if (validation.valid) {
+        bundle.push(record);
+      } else {
+        fail(record, validation.reason);
+      }
+    }
+
+    while (bundle.length > 0) {
+      for (const record of bundle) {
+        store.updateUserOp(record.userOpHash, { status: "submitted" });
+      }
+      const userOpHashes = bundle.map((record) => record.userOpHash);
+      try {
+        const result = await runWithLogContext({ userOpHashes }, () =>
+          sendBundle(bundle.map((record) => buildUserOperation(record.userOp)))
+        );
+        for (const [index, record] of bundle.entries()) {
+          const { success, actualGasCost, actualGasUsed } = result.results[index] || {};
+          store.updateUserOp(record.userOpHash, {
+            status: "included",
+            txHash: result.txHash,
+            blockNumber: result.blockNumber,
+            blockHash: result.blockHash,
+            success,
+            actualGasCost,
+            actualGasUsed,
+          });
+        }
+        log.info("UserOp bundle included", { userOpHashes, txHash: result.txHash, blockNumber: result.blockNumber });
+        return true;
+      } catch (error) {
+        const failedOp = error.failedOp;
+        if (failedOp && bundle[failedOp.opIndex]) {
+          // Drop the operation the EntryPoint rejected and send the others again
+          fail(bundle[failedOp.opIndex], failedOp.reason);
+          bundle = bundle.filter((record, index) => index !== failedOp.opIndex);
+          continue;
+        }
+
+        log.error("UserOp bundle failed", { userOpHashes, error });
+        for (const record of bundle) {
+          const sendAttempts = (store.getUserOp(record.userOpHash).sendAttempts || 0) + 1;
+          if (sendAttempts >= maxSendAttempts) {
+            store.updateUserOp(record.userOpHash, { sendAttempts });
+            fail(record, error.shortMessage || error.message);
+          } else {
+            store.updateUserOp(record.userOpHash, { status: "pending", sendAttempts });
+          }
+        }
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async function tick() {
+    if (running || stopped) {
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    try {
+      store.pruneUserOps(new Date(Date.now() - OP_RETENTION_MS).toISOString());
+      // Bundles go out back to back while there is work, one transaction at a time
+      let sent = true;
+      while (sent && !stopped) {
+        sent = await bundleOnce();
+      }
+    } catch (error) {
+      log.error("UserOp bundling failed", { error });
+    } finally {
+      running = false;
+      if (!stopped) {
+        timer = setTimeout(tick, bundleIntervalMs);
+      }
+    }
+  }
+
+  return {
+    chainId,
+    entryPointAddress,
+
+    /**
+     * Add a validated UserOperation, replacing a pending one with the same sender and nonce
+     * if it pays enough more
+     * @param {Object} userOp - UserOperation from buildUserOperation
+     * @param {Object} fields - Extra fields stored with the operation (requestId, apiKeyId, ...)
+     * @returns {Object} {userOpHash} or {error, throttled} (throttled: sender or mempool limit reached)
+     */
+    add(userOp, fields = {}) {
+      const userOpHash = getUserOpHash(userOp, entryPointAddress, chainId);
+      if (store.getUserOp(userOpHash)) {
+        return { error: `UserOperation ${userOpHash} already known` };
+      }
+
+      const open = store.getUserOpsByStatus(chainId, ...OPEN_STATUSES);
+      const fromSender = open.filter((record) => isSameSender(record, userOp.sender));
+      const replaced = fromSender.find((record) => BigInt(record.userOp.nonce) === userOp.nonce);
+      if (replaced) {
+        if (replaced.status === "submitted") {
+          return { error: "A UserOperation with this nonce is already being bundled" };
+        }
+        const minFee = (fee) => BigInt(fee) + (BigInt(fee) * REPLACEMENT_FEE_BUMP_PERCENT) / 100n;
+        if (userOp.maxFeePerGas < minFee(replaced.userOp.maxFeePerGas) ||
+            userOp.maxPriorityFeePerGas < minFee(replaced.userOp.maxPriorityFeePerGas)) {
+          return {
+            error: `Replacement UserOperation must raise maxFeePerGas and maxPriorityFeePerGas by ${REPLACEMENT_FEE_BUMP_PERCENT}%`,
+          };
+        }
+      } else if (fromSender.length >= maxOpsPerSender) {
+        return { error: `Sender has ${fromSender.length} UserOperations in the mempool (max ${maxOpsPerSender})`, throttled: true };
+      } else if (open.length >= maxSize) {
+        return { error: "Mempool is full", throttled: true };
+      }
+
+      if (replaced) {
+        store.updateUserOp(replaced.userOpHash, { status: "replaced", replacedBy: userOpHash });
+        log.info("UserOp replaced", { userOpHash: replaced.userOpHash, replacedBy: userOpHash });
+      }
+      store.saveUserOp({
+        ...fields,
+        userOpHash,
+        chainId,
+        entryPoint: entryPointAddress,
+        sender: userOp.sender,
+        userOp: serializeUserOperation(userOp),
+        status: "pending",
+      });
+      log.info("UserOp added to mempool", { userOpHash, sender: userOp.sender, nonce: userOp.nonce });
+      return { userOpHash };
+    },
+
+    /**
+     * Pending operations, in the order they would be bundled per sender
+     */
+    getPending,
+
+    start() {
+      for (const record of store.getUserOpsByStatus(chainId, "submitted")) {
+        log.warn("Recovering interrupted UserOp bundle", { userOpHash: record.userOpHash });
+        store.updateUserOp(record.userOpHash, { status: "pending" });
+      }
+      stopped = false;
+      runWithoutLogContext(() => setImmediate(tick));
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
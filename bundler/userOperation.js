@@ -0,0 +1,496 @@
+import { ethers } from "ethers";
+
+// Canonical EntryPoint deployments
+export const ENTRYPOINT_V06 = "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+export const ENTRYPOINT_V07 = "0x0000000071727De22E5E9d8BAf0edAc6f37da032";
+
+const USER_OP_V06_TUPLE =
+  "tuple(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)";
+const USER_OP_V07_TUPLE =
+  "tuple(address sender, uint256 nonce, bytes initCode, bytes callData, bytes32 accountGasLimits, uint256 preVerificationGas, bytes32 gasFees, bytes paymasterAndData, bytes signature)";
+
+const ENTRYPOINT_ABIS = {
+  "0.6": [
+    `function handleOps(${USER_OP_V06_TUPLE}[] ops, address beneficiary) external`,
+    `function simulateValidation(${USER_OP_V06_TUPLE} userOp) external`,
+    `function getUserOpHash(${USER_OP_V06_TUPLE} userOp) external view returns (bytes32)`,
+    "function getNonce(address sender, uint192 key) external view returns (uint256)",
+    "error FailedOp(uint256 opIndex, string reason)",
+    "error ValidationResult(tuple(uint256 preOpGas, uint256 prefund, bool sigFailed, uint48 validAfter, uint48 validUntil, bytes paymasterContext) returnInfo, tuple(uint256 stake, uint256 unstakeDelaySec) senderInfo, tuple(uint256 stake, uint256 unstakeDelaySec) factoryInfo, tuple(uint256 stake, uint256 unstakeDelaySec) paymasterInfo)",
+    "error ValidationResultWithAggregation(tuple(uint256 preOpGas, uint256 prefund, bool sigFailed, uint48 validAfter, uint48 validUntil, bytes paymasterContext) returnInfo, tuple(uint256 stake, uint256 unstakeDelaySec) senderInfo, tuple(uint256 stake, uint256 unstakeDelaySec) factoryInfo, tuple(uint256 stake, uint256 unstakeDelaySec) paymasterInfo, tuple(address aggregator, tuple(uint256 stake, uint256 unstakeDelaySec) stakeInfo) aggregatorInfo)",
+    "event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)",
+    "event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)",
+    "event BeforeExecution()",
+  ],
+  "0.7": [
+    `function handleOps(${USER_OP_V07_TUPLE}[] ops, address beneficiary) external`,
+    `function getUserOpHash(${USER_OP_V07_TUPLE} userOp) external view returns (bytes32)`,
+    "function getNonce(address sender, uint192 key) external view returns (uint256)",
+    "error FailedOp(uint256 opIndex, string reason)",
+    "error FailedOpWithRevert(uint256 opIndex, string reason, bytes inner)",
+    "event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)",
+    "event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)",
+    "event BeforeExecution()",
+  ],
+};
+
+const superAccountInterface = new ethers.Interface([
+  "function execute(address to, uint256 value, bytes data) external",
+  "function executeBatch(address[] tos, uint256[] values, bytes[] datas) external",
+]);
+
+/**
+ * Resolve the EntryPoint version for an address
+ * ENTRYPOINT_VERSION overrides detection for non-canonical deployments
+ */
+export function getEntryPointVersion(entryPointAddress) {
+  if (process.env.ENTRYPOINT_VERSION) {
+    return process.env.ENTRYPOINT_VERSION;
+  }
+  return entryPointAddress.toLowerCase() === ENTRYPOINT_V07.toLowerCase() ? "0.7" : "0.6";
+}
+
+/**
+ * Get an EntryPoint contract with the ABI matching its version
+ */
+export function getEntryPointContract(entryPointAddress, runner) {
+  const version = getEntryPointVersion(entryPointAddress);
+  const abi = ENTRYPOINT_ABIS[version];
+  if (!abi) {
+    throw new Error(`Unsupported EntryPoint version: ${version}`);
+  }
+  return new ethers.Contract(entryPointAddress, abi, runner);
+}
+
+/**
+ * Encode SuperAccount.execute calldata
+ */
+export function encodeExecuteCallData(to, value, data) {
+  return superAccountInterface.encodeFunctionData("execute", [to, value || 0n, data || "0x"]);
+}
+
+/**
+ * Encode SuperAccount.executeBatch calldata
+ * @param {Array} calls - Array of calls {to, value, data}
+ */
+export function encodeExecuteBatchCallData(calls) {
+  return superAccountInterface.encodeFunctionData("executeBatch", [
+    calls.map((call) => call.to),
+    calls.map((call) => call.value || 0n),
+    calls.map((call) => call.data || "0x"),
+  ]);
+}
+
+/**
+ * Encode calls as SuperAccount callData, using execute for a single call
+ */
+export function encodeCallData(calls) {
+  if (calls.length === 1) {
+    return encodeExecuteCallData(calls[0].to, calls[0].value, calls[0].data);
+  }
+  return encodeExecuteBatchCallData(calls);
+}
+
+/**
+ * Decode SuperAccount execute/executeBatch callData into its calls
+ * @returns {Array|null} Array of calls {to, value, data}; empty for "0x", null for any other callData
+ */
+export function decodeCallData(callData) {
+  if (!callData || callData === "0x") {
+    return [];
+  }
+  let decoded;
+  try {
+    decoded = superAccountInterface.parseTransaction({ data: callData });
+  } catch {
+    return null;
+  }
+  if (!decoded) {
+    return null;
+  }
+  if (decoded.name === "execute") {
+    const [to, value, data] = decoded.args;
+    return [{ to, value, data }];
+  }
+  const [tos, values, datas] = decoded.args;
+  return tos.map((to, index) => ({ to, value: values[index], data: datas[index] }));
+}
+
+function toHex(value) {
+  if (!value || value === "0x") {
+    return "0x";
+  }
+  return ethers.hexlify(value);
+}
+
+/**
+ * Build a spec-compliant UserOperation from a client-supplied partial
+ * Accepts both the packed (initCode, paymasterAndData) and the unpacked
+ * (factory/factoryData, paymaster/paymasterData) field forms
+ * @param {Object} partial - UserOp fields sent by the client
+ * @returns {Object} Normalized UserOperation with BigInt numeric fields
+ */
+export function buildUserOperation(partial) {
+  let initCode = toHex(partial.initCode);
+  if (initCode === "0x" && partial.factory && partial.factory !== ethers.ZeroAddress) {
+    initCode = ethers.concat([partial.factory, toHex(partial.factoryData)]);
+  }
+
+  let paymasterAndData = toHex(partial.paymasterAndData);
+  if (paymasterAndData === "0x" && partial.paymaster && partial.paymaster !== ethers.ZeroAddress) {
+    paymasterAndData = ethers.concat([partial.paymaster, toHex(partial.paymasterData)]);
+  }
+
+  return {
+    sender: ethers.getAddress(partial.sender),
+    nonce: BigInt(partial.nonce || 0),
+    initCode,
+    callData: toHex(partial.callData),
+    callGasLimit: BigInt(partial.callGasLimit || 0),
+    verificationGasLimit: BigInt(partial.verificationGasLimit || 0),
+    preVerificationGas: BigInt(partial.preVerificationGas || 0),
+    maxFeePerGas: BigInt(partial.maxFeePerGas || 0),
+    maxPriorityFeePerGas: BigInt(partial.maxPriorityFeePerGas || 0),
+    paymasterAndData,
+    signature: toHex(partial.signature),
+  };
+}
+
+/**
+ * Pack a UserOperation into the v0.7 PackedUserOperation layout
+ * Gas limits and fees are packed as two uint128 values per bytes32
+ * @param {Object} userOp - UserOperation from buildUserOperation
+ * @param {Object} paymasterGas - Paymaster gas limits {verificationGasLimit, postOpGasLimit}
+ */
+export function packUserOperation(userOp, paymasterGas = {}) {
+  const packUints = (high, low) =>
+    ethers.concat([ethers.toBeHex(high, 16), ethers.toBeHex(low, 16)]);
+
+  // v0.7 paymasterAndData: paymaster (20) | verificationGasLimit (16) | postOpGasLimit (16) | data
+  let paymasterAndData = userOp.paymasterAndData;
+  if (paymasterAndData !== "0x") {
+    const paymaster = ethers.dataSlice(paymasterAndData, 0, 20);
+    const paymasterData = ethers.dataSlice(paymasterAndData, 20);
+    paymasterAndData = ethers.concat([
+      paymaster,
+      packUints(
+        BigInt(paymasterGas.verificationGasLimit || userOp.verificationGasLimit),
+        BigInt(paymasterGas.postOpGasLimit || 0)
+      ),
+      paymasterData,
+    ]);
+  }
+
+  return {
+    sender: userOp.sender,
+    nonce: userOp.nonce,
+    initCode: userOp.initCode,
+    callData: userOp.callData,
+    accountGasLimits: packUints(userOp.verificationGasLimit, userOp.callGasLimit),
+    preVerificationGas: userOp.preVerificationGas,
+    gasFees: packUints(userOp.maxPriorityFeePerGas, userOp.maxFeePerGas),
+    paymasterAndData,
+    signature: userOp.signature,
+  };
+}
+
+/**
+ * Convert a UserOperation into the struct layout of the given EntryPoint version
+ */
+export function toEntryPointStruct(userOp, version) {
+  return version === "0.7" ? packUserOperation(userOp) : userOp;
+}
+
+/**
+ * Compute a UserOperation's hash the way the EntryPoint does (getUserOpHash), without an RPC call
+ * @param {Object} userOp - UserOperation from buildUserOperation
+ * @param {string} entryPointAddress - EntryPoint the operation is sent to
+ * @param {number|bigint} chainId - Chain the EntryPoint is on
+ */
+export function getUserOpHash(userOp, entryPointAddress, chainId) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const version = getEntryPointVersion(entryPointAddress);
+  const struct = toEntryPointStruct(userOp, version);
+
+  const packed = version === "0.7"
+    ? coder.encode(
+      ["address", "uint256", "bytes32", "bytes32", "bytes32", "uint256", "bytes32", "bytes32"],
+      [
+        struct.sender, struct.nonce, ethers.keccak256(struct.initCode), ethers.keccak256(struct.callData),
+        struct.accountGasLimits, struct.preVerificationGas, struct.gasFees, ethers.keccak256(struct.paymasterAndData),
+      ]
+    )
+    : coder.encode(
+      ["address", "uint256", "bytes32", "bytes32", "uint256", "uint256", "uint256", "uint256", "uint256", "bytes32"],
+      [
+        struct.sender, struct.nonce, ethers.keccak256(struct.initCode), ethers.keccak256(struct.callData),
+        struct.callGasLimit, struct.verificationGasLimit, struct.preVerificationGas,
+        struct.maxFeePerGas, struct.maxPriorityFeePerGas, ethers.keccak256(struct.paymasterAndData),
+      ]
+    );
+  return ethers.keccak256(
+    coder.encode(["bytes32", "address", "uint256"], [ethers.keccak256(packed), entryPointAddress, chainId])
+  );
+}
+
+// Gas the bundler spends on a UserOperation outside its verification and call gas (calldata and
+// per-op EntryPoint overhead), as in the reference bundler
+const PRE_VERIFICATION_OVERHEAD = {
+  fixed: 21000,
+  perUserOp: 18300,
+  perUserOpWord: 4,
+  zeroByte: 4,
+  nonZeroByte: 16,
+  bundleSize: 1,
+  signatureSize: 65,
+};
+
+/**
+ * Gas the bundler spends on a UserOperation outside its verification and call gas: its share of
+ * the handleOps transaction's base cost and calldata, plus the EntryPoint's per-op overhead
+ * An empty signature is costed as a 65-byte ECDSA signature, so estimates hold once it is signed.
+ * @param {Object} userOp - UserOperation from buildUserOperation
+ * @param {string} version - EntryPoint version ("0.6" or "0.7")
+ * @returns {bigint}
+ */
+export function getPreVerificationGas(userOp, version = "0.6") {
+  const overhead = PRE_VERIFICATION_OVERHEAD;
+  const signature = userOp.signature === "0x" ? ethers.hexlify(new Uint8Array(overhead.signatureSize).fill(1)) : userOp.signature;
+  const struct = toEntryPointStruct({ ...userOp, preVerificationGas: 100000n, signature }, version);
+  const tuple = version === "0.7" ? USER_OP_V07_TUPLE : USER_OP_V06_TUPLE;
+  const encoded = ethers.getBytes(ethers.AbiCoder.defaultAbiCoder().encode([tuple], [struct]));
+
+  const callDataCost = encoded.reduce((sum, byte) => sum + (byte === 0 ? overhead.zeroByte : overhead.nonZeroByte), 0);
+  const words = Math.ceil(encoded.length / 32);
+  return BigInt(Math.ceil(
+    callDataCost + overhead.fixed / overhead.bundleSize + overhead.perUserOp + overhead.perUserOpWord * words
+  ));
+}
+
+/**
+ * Convert BigInt fields to hex strings for JSON responses
+ */
+export function serializeUserOperation(userOp) {
+  return Object.fromEntries(
+    Object.entries(userOp).map(([key, value]) => [
+      key,
+      typeof value === "bigint" ? ethers.toBeHex(value) : value,
+    ])
+  );
+}
+
+/**
+ * Decode a FailedOp revert from an EntryPoint call error
+ * @returns {Object|null} {opIndex, reason}
+ */
+export function decodeFailedOp(entryPoint, error) {
+  const decoded = decodeEntryPointError(entryPoint, error);
+  if (decoded?.name !== "FailedOp" && decoded?.name !== "FailedOpWithRevert") {
+    return null;
+  }
+  return { opIndex: Number(decoded.args.opIndex), reason: decoded.args.reason };
+}
+
+function decodeEntryPointError(entryPoint, error) {
+  const data = error?.data || error?.info?.error?.data;
+  if (!data || typeof data !== "string") {
+    return null;
+  }
+  try {
+    return entryPoint.interface.parseError(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Simulate UserOperation validation against the EntryPoint
+ * v0.6 simulateValidation always reverts: ValidationResult means success,
+ * FailedOp carries the rejection reason. v0.7 has no on-chain simulateValidation,
+ * so handleOps is run as a static call instead.
+ * @returns {Object} {valid, reason, signatureFailed} and, from v0.6 simulations, {preOpGas, prefund,
+ *   validAfter, validUntil} (validUntil 0 means no expiry)
+ */
+export async function simulateValidation(entryPoint, userOp, beneficiary) {
+  const version = getEntryPointVersion(await entryPoint.getAddress());
+  const struct = toEntryPointStruct(userOp, version);
+
+  try {
+    if (version === "0.7") {
+      await entryPoint.handleOps.staticCall([struct], beneficiary);
+      return { valid: true };
+    }
+    await entryPoint.simulateValidation.staticCall(struct);
+  } catch (error) {
+    const decoded = decodeEntryPointError(entryPoint, error);
+    if (decoded?.name === "ValidationResult" || decoded?.name === "ValidationResultWithAggregation") {
+      const { preOpGas, prefund, sigFailed, validAfter, validUntil } = decoded.args.returnInfo;
+      const result = { preOpGas, prefund, validAfter: Number(validAfter), validUntil: Number(validUntil) };
+      if (sigFailed) {
+        return { ...result, valid: false, signatureFailed: true, reason: "Signature validation failed" };
+      }
+      return { ...result, valid: true };
+    }
+    if (decoded?.name === "FailedOp" || decoded?.name === "FailedOpWithRevert") {
+      return { valid: false, reason: decoded.args.reason };
+    }
+    return { valid: false, reason: error.shortMessage || error.message };
+  }
+
+  // A v0.6 EntryPoint that returns normally is not a real EntryPoint
+  return { valid: false, reason: "simulateValidation did not revert with a result" };
+}
+
+/**
+ * Submit a bundle of UserOperations to the EntryPoint in one handleOps transaction
+ * @param {Function} sendTransaction - Optional broadcaster for the populated handleOps tx
+ *   (e.g. the bundler's nonce manager); defaults to the EntryPoint contract's runner
+ * @returns {Object} {txHash, blockNumber, blockHash, results: [{userOpHash, success, actualGasCost,
+ *   actualGasUsed}]} in bundle order (success null if the EntryPoint emitted no event for the op)
+ */
+export async function sendUserOperations(entryPoint, userOps, beneficiary, sendTransaction) {
+  const version = getEntryPointVersion(await entryPoint.getAddress());
+  const structs = userOps.map((userOp) => toEntryPointStruct(userOp, version));
+
+  const userOpHashes = await Promise.all(structs.map((struct) => entryPoint.getUserOpHash(struct)));
+  const tx = sendTransaction
+    ? await sendTransaction(await entryPoint.handleOps.populateTransaction(structs, beneficiary))
+    : await entryPoint.handleOps(structs, beneficiary);
+  const receipt = await tx.wait();
+
+  // UserOperationEvent reports whether each account call itself succeeded
+  const events = new Map();
+  for (const log of receipt.logs) {
+    try {
+      const parsed = entryPoint.interface.parseLog(log);
+      if (parsed?.name === "UserOperationEvent") {
+        events.set(parsed.args.userOpHash, parsed);
+      }
+    } catch (e) {
+      // Log from another contract
+    }
+  }
+
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    results: userOpHashes.map((userOpHash) => {
+      const event = events.get(userOpHash);
+      return {
+        userOpHash,
+        success: event ? event.args.success : null,
+        actualGasCost: event ? event.args.actualGasCost.toString() : null,
+        actualGasUsed: event ? event.args.actualGasUsed.toString() : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Submit a UserOperation to the EntryPoint via handleOps
+ * @param {Function} sendTransaction - Optional broadcaster for the populated handleOps tx
+ * @returns {Object} {userOpHash, txHash, success, actualGasCost}
+ */
+export async function sendUserOperation(entryPoint, userOp, beneficiary, sendTransaction) {
+  const { txHash, results: [result] } = await sendUserOperations(entryPoint, [userOp], beneficiary, sendTransaction);
+  return {
+    userOpHash: result.userOpHash,
+    txHash,
+    success: result.success,
+    actualGasCost: result.actualGasCost,
+  };
+}
+
+/**
+ * Find a UserOperation that may already have been executed (e.g. a handleOps sent before a retry or a
+ * restart). Logs are only searched once the EntryPoint has used the operation's nonce.
+ * @param {ethers.Contract} entryPoint - EntryPoint contract with a provider runner
+ * @param {ethers.JsonRpcProvider} provider - Provider for the EntryPoint's chain
+ * @param {Object} userOp - UserOperation from buildUserOperation
+ * @param {string} userOpHash - Its hash (getUserOpHash)
+ * @param {Object} options - {lookbackBlocks: how far back to search for it}
+ * @returns {Object|null} Its receipt (see getUserOperationReceipt), or null if its nonce is unused or
+ *   another operation used it
+ */
+export async function findExecutedUserOperation(entryPoint, provider, userOp, userOpHash, { lookbackBlocks = 10000 } = {}) {
+  const nonce = BigInt(userOp.nonce);
+  // getNonce returns key << 64 | next sequence number, so a used nonce is below it
+  if (BigInt(await entryPoint.getNonce(userOp.sender, nonce >> 64n)) <= nonce) {
+    return null;
+  }
+  const latest = await provider.getBlockNumber();
+  return getUserOperationReceipt(entryPoint, provider, userOpHash, {
+    fromBlock: Math.max(0, latest - lookbackBlocks),
+  });
+}
+
+/**
+ * Find a UserOperation's execution on chain and build its ERC-4337 receipt
+ * (eth_getUserOperationReceipt format: quantities as hex, the raw transaction receipt, and the
+ * logs the operation emitted)
+ * @param {ethers.Contract} entryPoint - EntryPoint contract with a provider runner
+ * @param {ethers.JsonRpcProvider} provider - Provider for the EntryPoint's chain
+ * @param {string} userOpHash - Operation to look up
+ * @param {Object} options - {txHash: known handleOps transaction, fromBlock: search start otherwise}
+ * @returns {Object|null} Receipt, or null if the operation was not found
+ */
+export async function getUserOperationReceipt(entryPoint, provider, userOpHash, { txHash = null, fromBlock = 0 } = {}) {
+  if (!txHash) {
+    const events = await entryPoint.queryFilter(entryPoint.filters.UserOperationEvent(userOpHash), fromBlock, "latest");
+    if (events.length === 0) {
+      return null;
+    }
+    txHash = events[events.length - 1].transactionHash;
+  }
+  const receipt = await provider.send("eth_getTransactionReceipt", [txHash]);
+  if (!receipt) {
+    return null;
+  }
+
+  const entryPointAddress = (await entryPoint.getAddress()).toLowerCase();
+  const parse = (log) => {
+    if (log.address.toLowerCase() !== entryPointAddress) {
+      return null;
+    }
+    try {
+      return entryPoint.interface.parseLog(log);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // The op's own logs sit between the previous op's UserOperationEvent (or BeforeExecution) and its own
+  let start = 0;
+  for (const [index, log] of receipt.logs.entries()) {
+    const parsed = parse(log);
+    if (parsed?.name === "BeforeExecution") {
+      start = index + 1;
+    }
+    if (parsed?.name === "UserOperationRevertReason" && parsed.args.userOpHash === userOpHash) {
+      receipt.revertReason = parsed.args.revertReason;
+    }
+    if (parsed?.name !== "UserOperationEvent") {
+      continue;
+    }
+    if (parsed.args.userOpHash !== userOpHash) {
+      start = index + 1;
+      continue;
+    }
+    const { revertReason, ...transactionReceipt } = receipt;
+    return {
+      userOpHash,
+      entryPoint: ethers.getAddress(entryPointAddress),
+      sender: parsed.args.sender,
+      nonce: ethers.toBeHex(parsed.args.nonce),
+      paymaster: parsed.args.paymaster,
+      actualGasCost: ethers.toBeHex(parsed.args.actualGasCost),
+      actualGasUsed: ethers.toBeHex(parsed.args.actualGasUsed),
+      success: parsed.args.success,
+      reason: parsed.args.success ? "" : revertReason || "",
+      logs: receipt.logs.slice(start, index),
+      receipt: transactionReceipt,
+    };
+  }
+  return null;
+}
@@ -0,0 +1,138 @@
+import { ethers } from "ethers";
+import { EIL_PAYLOAD_TYPES, toEILTypedMessage } from "./buildPayload.js";
+import { getAccountAddress, parseInitCode } from "./accountFactory.js";
+
+// ERC-1271 isValidSignature magic value
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
+
+const accountABI = [
+  "function owner() external view returns (address)",
+  "function isValidSignature(bytes32 hash, bytes signature) external view returns (bytes4)",
+];
+
+/**
+ * Build the exact message signed with personal_sign (legacy EIP-191 clients)
+ * Older clients sign JSON.stringify({ userOp, payload }) of the request body
+ */
+export function buildSignedMessage(userOp, payload) {
+  return JSON.stringify({ userOp, payload });
+}
+
+/**
+ * Compute the digest and recover the signer for a signing scheme
+ * @param {Object} request - {userOp, payload, signature}
+ * @param {string} signatureType - "eip712" (CompositePayload typed data) or "eip191" (legacy JSON message)
+ * @param {Object} domain - EIP-712 domain the bundler expects, required for "eip712"
+ * @returns {Object} {digest, signer}
+ */
+function recoverSigner({ userOp, payload, signature }, signatureType, domain) {
+  if (signatureType === "eip712") {
+    if (!domain) {
+      throw new Error("No EIP-712 domain configured for this chain");
+    }
+    const message = toEILTypedMessage(payload);
+    return {
+      digest: ethers.TypedDataEncoder.hash(domain, EIL_PAYLOAD_TYPES, message),
+      signer: ethers.verifyTypedData(domain, EIL_PAYLOAD_TYPES, message, signature),
+    };
+  }
+  if (signatureType === "eip191") {
+    const message = buildSignedMessage(userOp, payload);
+    return {
+      digest: ethers.hashMessage(message),
+      signer: ethers.verifyMessage(message, signature),
+    };
+  }
+  throw new Error(`Unsupported signature type: ${signatureType}`);
+}
+
+/**
+ * Check a signature against a contract account
+ * Accepts the signature if the recovered signer is the account owner(),
+ * otherwise falls back to ERC-1271 isValidSignature
+ */
+async function verifyContractAccount(account, digest, signer, signature, provider) {
+  const contract = new ethers.Contract(account, accountABI, provider);
+
+  try {
+    const owner = await contract.owner();
+    if (signer && owner.toLowerCase() === signer.toLowerCase()) {
+      return { valid: true, owner, method: "owner" };
+    }
+  } catch (e) {
+    // Account has no owner() - rely on ERC-1271 alone
+  }
+
+  try {
+    const result = await contract.isValidSignature(digest, signature);
+    if (result === ERC1271_MAGIC_VALUE) {
+      return { valid: true, owner: null, method: "erc1271" };
+    }
+  } catch (e) {
+    // Account does not implement ERC-1271
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Verify that a request was signed by the owner of payload.userAccount
+ * EOAs must have signed themselves; contract accounts are checked via owner() or ERC-1271.
+ * Shared by every submission flow (Swap+NFT and vault) before the bundler spends gas.
+ * A SuperAccount that is not deployed yet is accepted when the UserOp's initCode deploys it through
+ * the trusted factory and the signer is the owner in that initCode.
+ * @param {Object} request - {userOp, payload, signature, signatureType}
+ * @param {ethers.Provider} provider - Provider for the chain the account lives on
+ * @param {Object} domain - Expected EIP-712 domain (never taken from the request)
+ * @param {Object} options - {accountFactory: the chain's SuperAccountFactory, if any}
+ * @returns {Object} {valid, signer, account, method, reason}
+ */
+export async function verifyPayloadSignature(request, provider, domain, { accountFactory } = {}) {
+  const { payload, signature, signatureType = "eip191" } = request;
+
+  if (!signature || !ethers.isHexString(signature)) {
+    return { valid: false, reason: "Missing or malformed signature" };
+  }
+  if (!payload?.userAccount || !ethers.isAddress(payload.userAccount)) {
+    return { valid: false, reason: "Payload has no valid userAccount to verify against" };
+  }
+
+  let recovered;
+  try {
+    recovered = recoverSigner(request, signatureType, domain);
+  } catch (error) {
+    return { valid: false, reason: `Could not recover signer: ${error.shortMessage || error.message}` };
+  }
+
+  const account = ethers.getAddress(payload.userAccount);
+  const code = await provider.getCode(account);
+
+  if (code === "0x") {
+    const deployment = accountFactory ? parseInitCode(request.userOp?.initCode) : null;
+    if (deployment && deployment.factory === ethers.getAddress(accountFactory) && recovered.signer === deployment.owner) {
+      if (await getAccountAddress(provider, deployment) === account) {
+        return { valid: true, signer: recovered.signer, account, method: "counterfactual" };
+      }
+    }
+    if (recovered.signer !== account) {
+      return {
+        valid: false,
+        signer: recovered.signer,
+        account,
+        reason: `Signature was made by ${recovered.signer}, not by account ${account}`,
+      };
+    }
+    return { valid: true, signer: recovered.signer, account, method: "eoa" };
+  }
+
+  const result = await verifyContractAccount(account, recovered.digest, recovered.signer, signature, provider);
+  if (!result.valid) {
+    return {
+      valid: false,
+      signer: recovered.signer,
+      account,
+      reason: `Signature by ${recovered.signer} is not valid for smart account ${account}`,
+    };
+  }
+  return { valid: true, signer: recovered.signer, account, method: result.method };
+}
@@ -0,0 +1,342 @@
+import crypto from "crypto";
+import net from "net";
+import { logger, runWithLogContext, runWithoutLogContext } from "./logger.js";
+
+export const WEBHOOK_EVENTS = ["action.completed", "payload.completed"];
+
+// Action statuses after which nothing more happens to the action
+const FINAL_ACTION_STATUSES = ["executed", "failed", "skipped"];
+
+// Finished deliveries are kept this long for GET /api/webhooks/:id
+const DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a URL host is loopback, private, link-local or otherwise internal
+ * Only literal hosts are recognised; names resolving to private addresses are not.
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || /\.(localhost|local|internal)$/.test(host)) {
+    return true;
+  }
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(host)) {
+    return host === "::" || host === "::1" || host.startsWith("::ffff:") || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+  return false;
+}
+
+/**
+ * Check a webhook URL: http(s), no credentials, and (unless allowPrivate) not an internal host
+ * @returns {string|null} Why the URL is refused, or null
+ */
+export function validateWebhookUrl(value, { allowPrivate = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return "url must be an absolute http(s) URL";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return "url must be an absolute http(s) URL";
+  }
+  if (url.username || url.password) {
+    return "url must not contain credentials";
+  }
+  if (!allowPrivate && isPrivateHost(url.hostname)) {
+    return `url host ${url.hostname} is internal (set WEBHOOK_ALLOW_PRIVATE_URLS=true to allow it)`;
+  }
+  return null;
+}
+
+/**
+ * X-Webhook-Signature value for a request body: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+ */
+export function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check an X-Webhook-Signature header on a received body (for receivers and tests)
+ * @param {string} secret - The webhook's secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Webhook-Signature value
+ * @param {Object} options - {toleranceSeconds: oldest accepted timestamp, against replays}
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, body, header, { toleranceSeconds = 300 } = {}) {
+  const fields = Object.fromEntries(
+    String(header || "").split(",").map((part) => part.trim().split("=", 2))
+  );
+  const timestamp = Number(fields.t);
+  if (!Number.isInteger(timestamp) || !fields.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhookBody(secret, body, timestamp).split("v1=")[1], "hex");
+  const received = Buffer.from(fields.v1, "hex");
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Create the webhook notifier
+ *
+ * Webhooks are registered for one account's payloads, or for every payload submitted with the
+ * API key that registered them. When an action reaches a final status (action.completed) or a
+ * whole payload is settled (payload.completed), each matching webhook gets a delivery, persisted
+ * in the store and POSTed as JSON with an X-Webhook-Signature header. Failed deliveries (network
+ * errors, timeouts, non-2xx answers) are retried with exponential backoff, including after a
+ * restart, and marked failed after maxAttempts.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Action store (subscribe, webhooks and webhook deliveries)
+ * @param {Function} options.isPayloadSettled - hash => whether the payload and all its actions are final
+ * @param {number} options.maxAttempts - Attempts per delivery
+ * @param {number} options.backoffMs - Delay before the first retry (doubles each attempt)
+ * @param {number} options.timeoutMs - How long a receiver has to answer
+ * @param {boolean} options.allowPrivateUrls - Allow loopback and private-network URLs (local testing)
+ * @param {number} options.maxPerOwner - Webhooks one account or API key may register
+ * @param {Function} options.fetch - fetch implementation
+ * @returns {Object} Notifier API
+ */
+export function createWebhookNotifier({
+  store,
+  isPayloadSettled,
+  maxAttempts = 6,
+  backoffMs = 10000,
+  timeoutMs = 10000,
+  allowPrivateUrls = false,
+  maxPerOwner = 10,
+  fetch = globalThis.fetch,
+}) {
+  let timer = null;
+  let running = false;
+  let stopped = true;
+
+  function matches(webhook, type, payload) {
+    if (!webhook.events.includes(type)) {
+      return false;
+    }
+    if (webhook.userAccount) {
+      return webhook.userAccount.toLowerCase() === payload.userAccount?.toLowerCase();
+    }
+    return Boolean(webhook.apiKeyId) && webhook.apiKeyId === payload.apiKeyId;
+  }
+
+  /**
+   * Queue a delivery of an event to every matching webhook (once per webhook and eventKey)
+   */
+  function queueEvent(type, eventKey, payload, data) {
+    let queued = false;
+    for (const webhook of store.getWebhooks()) {
+      if (!matches(webhook, type, payload)) {
+        continue;
+      }
+      const deliveryId = crypto.randomUUID();
+      const existing = store.claimWebhookDelivery({
+        deliveryId,
+        webhookId: webhook.id,
+        eventKey,
+        type,
+        body: { id: deliveryId, type, createdAt: new Date().toISOString(), data },
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+      });
+      queued = queued || !existing;
+    }
+    if (queued) {
+      wake();
+    }
+  }
+
+  function onStoreEvent(event) {
+    const payload = store.getPayload(event.payloadHash);
+    if (!payload) {
+      return;
+    }
+    const { payload: signedPayload, ...summary } = payload;
+
+    if (event.type === "action" && FINAL_ACTION_STATUSES.includes(event.action.status)) {
+      const { action } = event;
+      queueEvent("action.completed", `action.completed:${action.actionId}:${action.status}`, payload, action);
+    }
+    // Payload retries can settle a payload again with another status
+    if (isPayloadSettled(event.payloadHash)) {
+      queueEvent("payload.completed", `payload.completed:${payload.hash}:${payload.status}`, payload, {
+        ...summary,
+        payloadHash: payload.hash,
+        actions: store.getActionsForPayload(payload.hash),
+      });
+    }
+  }
+
+  async function deliver(delivery) {
+    const webhook = store.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      store.updateWebhookDelivery(delivery.deliveryId, { status: "failed", lastError: "Webhook deleted" });
+      return;
+    }
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.body);
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SuperAccount-Bundler-Webhooks",
+          "X-Webhook-Id": delivery.deliveryId,
+          "X-Webhook-Event": delivery.type,
+          "X-Webhook-Signature": signWebhookBody(webhook.secret, body),
+        },
+        body,
+        // Redirects could point at internal hosts the URL check refused
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        const error = new Error(`Receiver answered ${response.status}`);
+        error.responseStatus = response.status;
+        throw error;
+      }
+      store.updateWebhookDelivery(delivery.deliveryId, {
+        status: "delivered",
+        attempts,
+        responseStatus: response.status,
+        lastError: null,
+        deliveredAt: new Date().toISOString(),
+      });
+      logger.info("Webhook delivered", { attempts, responseStatus: response.status });
+    } catch (error) {
+      const failed = attempts >= maxAttempts;
+      const delay = backoffMs * 2 ** (attempts - 1);
+      store.updateWebhookDelivery(delivery.deliveryId, {
+        status: failed ? "failed" : "pending",
+        attempts,
+        responseStatus: error.responseStatus ?? null,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : new Date(Date.now() + delay).toISOString(),
+      });
+      if (failed) {
+        logger.error("Webhook delivery failed", { attempts, error });
+      } else {
+        logger.warn("Webhook delivery failed, retrying", { attempts, maxAttempts, retryInMs: delay, error });
+      }
+    }
+  }
+
+  function getDueDeliveries() {
+    const now = Date.now();
+    return store.getWebhookDeliveriesByStatus("pending").filter((delivery) => Date.parse(delivery.nextAttemptAt) <= now);
+  }
+
+  async function tick() {
+    if (running || stopped) {
+      return;
+    }
+    running = true;
+    clearTimeout(timer);
+    try {
+      store.pruneWebhookDeliveries(new Date(Date.now() - DELIVERY_RETENTION_MS).toISOString());
+      // Receivers are independent, so due deliveries go out together
+      for (let due = getDueDeliveries(); due.length > 0; due = getDueDeliveries()) {
+        await Promise.all(due.map((delivery) => runWithLogContext({
+          requestId: delivery.body.data.requestId,
+          payloadHash: delivery.body.data.payloadHash,
+          actionId: delivery.body.data.actionId,
+          webhookId: delivery.webhookId,
+          deliveryId: delivery.deliveryId,
+          event: delivery.type,
+        }, () => deliver(delivery))));
+      }
+    } finally {
+      running = false;
+    }
+
+    const next = store.getWebhookDeliveriesByStatus("pending")
+      .map((delivery) => Date.parse(delivery.nextAttemptAt))
+      .sort((a, b) => a - b)[0];
+    if (next !== undefined && !stopped) {
+      timer = setTimeout(tick, Math.max(0, next - Date.now()));
+    }
+  }
+
+  // Deliveries run in the background, not under the request or job that produced the event
+  function wake() {
+    if (!stopped && !running) {
+      runWithoutLogContext(() => setImmediate(tick));
+    }
+  }
+
+  store.subscribe(onStoreEvent);
+
+  return {
+    /**
+     * Register a webhook for one account's payloads, or for the payloads submitted with an API key
+     * @param {Object} options - {url, events (default all), userAccount, apiKeyId}
+     * @returns {Object} {webhook} including its signing secret, or {error}
+     */
+    register({ url, events = WEBHOOK_EVENTS, userAccount = null, apiKeyId = null }) {
+      const urlError = validateWebhookUrl(url, { allowPrivate: allowPrivateUrls });
+      if (urlError) {
+        return { error: urlError };
+      }
+      if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+        return { error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(", ")}` };
+      }
+      if (!userAccount && !apiKeyId) {
+        return { error: "userAccount is required (or register with an API key to follow the payloads it submits)" };
+      }
+      const owned = store.getWebhooks().filter((webhook) =>
+        userAccount
+          ? webhook.userAccount?.toLowerCase() === userAccount.toLowerCase()
+          : !webhook.userAccount && webhook.apiKeyId === apiKeyId
+      );
+      if (owned.length >= maxPerOwner) {
+        return { error: `At most ${maxPerOwner} webhooks per ${userAccount ? "account" : "API key"}` };
+      }
+
+      const webhook = store.saveWebhook({
+        id: crypto.randomUUID(),
+        url,
+        events: [...new Set(events)],
+        userAccount,
+        apiKeyId: userAccount ? null : apiKeyId,
+        secret: `whsec_${crypto.randomBytes(32).toString("hex")}`,
+      });
+      return { webhook };
+    },
+
+    /**
+     * Whether a secret is the webhook's signing secret (which also authorizes managing it)
+     */
+    checkSecret(webhook, secret) {
+      if (typeof secret !== "string") {
+        return false;
+      }
+      const digest = (value) => crypto.createHash("sha256").update(value).digest();
+      return crypto.timingSafeEqual(digest(webhook.secret), digest(secret));
+    },
+
+    /**
+     * Start sending, including deliveries left pending by a previous run
+     */
+    start() {
+      stopped = false;
+      setImmediate(tick);
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
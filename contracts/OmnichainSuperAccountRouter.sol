@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@layerzerolabs/lz-evm-oapp-v2/contracts/oapp/OApp.sol";
 import "@layerzerolabs/lz-evm-oapp-v2/contracts/oapp/interfaces/IOAppCore.sol";
 import "@layerzerolabs/lz-evm-oapp-v2/contracts/oapp/libs/OptionsBuilder.sol";
+import "./interfaces/ISuperAccountFactory.sol";
 
 /**
  * @title OmnichainSuperAccountRouter
@@ -39,6 +40,8 @@ contract OmnichainSuperAccountRouter is OApp {
     mapping(bytes32 => bool) public executedActions;
     mapping(uint32 => address) public trustedAdapters;  // EID => Adapter address
     mapping(address => bool) public authorizedExecutors;  // Who can trigger sends
+    address public accountFactory;  // Accounts it deployed may send and execute their own actions
+    bool public executingLocalAction;  // Set while executeLocalAction runs its adapter call
 
     // Events
     event CrossChainActionSent(
@@ -58,6 +61,7 @@ contract OmnichainSuperAccountRouter is OApp {
 
     event AdapterConfigured(uint32 eid, address adapter);
     event ExecutorAuthorized(address executor, bool authorized);
+    event AccountFactoryConfigured(address factory);
 
     // Modifiers
     modifier onlyAuthorized() {
@@ -68,6 +72,15 @@ contract OmnichainSuperAccountRouter is OApp {
         _;
     }
 
+    /**
+     * @dev Authorized executors and the owner act for any account; a SuperAccount deployed by
+     * accountFactory (running its actions from its own UserOperation) only for itself
+     */
+    modifier onlyAuthorizedFor(address _userAccount) {
+        require(_isAuthorizedFor(_userAccount), "OmnichainRouter: not authorized");
+        _;
+    }
+
     /**
      * @dev Constructor for OApp
      * @param _endpoint LayerZero EndpointV2 address
@@ -92,7 +105,7 @@ contract OmnichainSuperAccountRouter is OApp {
         uint32 _dstEid,
         CrossChainAction calldata _action,
         MessageOptions calldata _options
-    ) external payable onlyAuthorized returns (bytes32 messageId) {
+    ) external payable onlyAuthorizedFor(_action.userAccount) returns (bytes32 messageId) {
         require(!executedActions[_action.actionId], "OmnichainRouter: action already executed");
         require(_action.userAccount != address(0), "OmnichainRouter: invalid user account");
         require(_action.targetAdapter != address(0), "OmnichainRouter: invalid adapter");
@@ -190,8 +203,8 @@ contract OmnichainSuperAccountRouter is OApp {
                 );
             }
 
-            // Execute the action on the adapter
-            bool success = _executeAdapter(action, _executor);
+            // Execute the action on the adapter (a failed call is recorded, not reverted)
+            (bool success, ) = _executeAdapter(action, _executor);
 
             // Mark as executed (replay protection - even if execution failed)
             executedActions[action.actionId] = true;
@@ -225,7 +238,7 @@ contract OmnichainSuperAccountRouter is OApp {
      */
     function executeLocalAction(
         CrossChainAction calldata _action
-    ) external payable onlyAuthorized returns (bool success) {
+    ) external payable onlyAuthorizedFor(_action.userAccount) returns (bool success) {
         require(!executedActions[_action.actionId], "OmnichainRouter: action already executed");
         require(_action.userAccount != address(0), "OmnichainRouter: invalid user account");
         require(_action.targetAdapter != address(0), "OmnichainRouter: invalid adapter");
@@ -242,8 +255,19 @@ contract OmnichainSuperAccountRouter is OApp {
             );
         }
 
-        // Execute the action with ETH value forwarded
-        success = _executeAdapter(_action, msg.sender);
+        // Execute the action with ETH value forwarded; adapters refuse operations that settle a
+        // LayerZero message (e.g. VaultAdapter cross-chain deposits) while the flag is set
+        executingLocalAction = true;
+        bytes memory returnData;
+        (success, returnData) = _executeAdapter(_action, msg.sender);
+        executingLocalAction = false;
+
+        // Locally the caller gets the adapter's revert, and the action can be run again
+        if (!success) {
+            assembly {
+                revert(add(returnData, 32), mload(returnData))
+            }
+        }
 
         // Mark as executed (replay protection)
         executedActions[_action.actionId] = true;
@@ -270,16 +294,31 @@ contract OmnichainSuperAccountRouter is OApp {
         return uint32(block.chainid);
     }
 
+    /**
+     * @dev Whether msg.sender may send or execute actions for a user account
+     * @notice Any contract can claim to be a user account, so only accounts the configured factory
+     * deployed (and so whose owner signs their UserOperations) may act for themselves
+     */
+    function _isAuthorizedFor(address _userAccount) internal view returns (bool) {
+        if (authorizedExecutors[msg.sender] || msg.sender == owner()) {
+            return true;
+        }
+        return msg.sender == _userAccount &&
+            accountFactory != address(0) &&
+            ISuperAccountFactory(accountFactory).isAccount(msg.sender);
+    }
+
     /**
      * @dev Internal function to execute adapter action
      * @param _action Cross-chain action to execute
      * @param _executor Executor address from LayerZero
      * @return success Whether execution succeeded
+     * @return returnData Adapter return data (its revert data when it failed)
      */
     function _executeAdapter(
         CrossChainAction memory _action,
         address _executor
-    ) internal returns (bool success) {
+    ) internal returns (bool success, bytes memory returnData) {
         // Prepare calldata for adapter.executeFromEIL(userAccount, payload)
         bytes memory adapterCallData = abi.encodeWithSelector(
             bytes4(keccak256("executeFromEIL(address,bytes)")),
@@ -289,16 +328,7 @@ contract OmnichainSuperAccountRouter is OApp {
 
         // Forward ETH value to adapter (for vault deposits)
         // msg.value will be forwarded from executeLocalAction()
-        (success, ) = _action.targetAdapter.call{value: msg.value}(adapterCallData);
-
-        // Log execution for debugging
-        if (!success) {
-            // Revert with reason if possible
-            assembly {
-                returndatacopy(0, 0, returndatasize())
-                revert(0, returndatasize())
-            }
-        }
+        (success, returnData) = _action.targetAdapter.call{value: msg.value}(adapterCallData);
     }
 
     /**
@@ -341,6 +371,15 @@ contract OmnichainSuperAccountRouter is OApp {
         emit ExecutorAuthorized(_executor, _authorized);
     }
 
+    /**
+     * @dev Set the factory whose accounts may send and execute their own actions
+     * @param _factory SuperAccountFactory address (address(0): only executors and the owner)
+     */
+    function setAccountFactory(address _factory) external onlyOwner {
+        accountFactory = _factory;
+        emit AccountFactoryConfigured(_factory);
+    }
+
     /**
      * @dev Get quote for cross-chain message
      * @param _dstEid Destination endpoint ID
@@ -381,7 +420,8 @@ contract OmnichainSuperAccountRouter is OApp {
     
     /**
      * @dev Batch cross-chain actions - send multiple actions in one LayerZero message
-     * @notice INNOVATION: Batching reduces gas costs and enables atomic multi-chain operations
+     * @notice INNOVATION: Batching reduces gas costs. Actions are not atomic: on the destination each
+     * one succeeds or fails on its own (see _handleBatchActions)
      * @param _dstEid Destination endpoint ID
      * @param _actions Array of cross-chain actions to execute
      * @param _options Message options
@@ -391,12 +431,13 @@ contract OmnichainSuperAccountRouter is OApp {
         uint32 _dstEid,
         CrossChainAction[] calldata _actions,
         MessageOptions calldata _options
-    ) external payable onlyAuthorized returns (bytes32 messageId) {
+    ) external payable returns (bytes32 messageId) {
         require(_actions.length > 0, "OmnichainRouter: empty batch");
         require(_actions.length <= 50, "OmnichainRouter: batch too large"); // Gas limit protection
         
-        // Validate all actions
+        // Validate all actions (the caller must be authorized for each one's account, see onlyAuthorizedFor)
         for (uint i = 0; i < _actions.length; i++) {
+            require(_isAuthorizedFor(_actions[i].userAccount), "OmnichainRouter: not authorized");
             require(!executedActions[_actions[i].actionId], "OmnichainRouter: action already executed");
             require(_actions[i].userAccount != address(0), "OmnichainRouter: invalid user account");
             require(_actions[i].targetAdapter != address(0), "OmnichainRouter: invalid adapter");
@@ -442,10 +483,43 @@ contract OmnichainSuperAccountRouter is OApp {
         
         return receipt.guid;
     }
-    
+
+    /**
+     * @dev Get quote for a batch cross-chain message (same payload and options as sendBatchCrossChainActions)
+     * @param _dstEid Destination endpoint ID
+     * @param _actions Array of cross-chain actions
+     * @param _options Message options
+     * @return fee Messaging fee (native + lzToken)
+     */
+    function quoteBatchCrossChainActions(
+        uint32 _dstEid,
+        CrossChainAction[] calldata _actions,
+        MessageOptions calldata _options
+    ) external view returns (MessagingFee memory fee) {
+        require(_actions.length > 0, "OmnichainRouter: empty batch");
+
+        bytes memory payload = abi.encode(_actions);
+        bytes memory options = OptionsBuilder.newOptions();
+        uint32 gasLimit = uint32(200000 * _actions.length);
+        options = OptionsBuilder.addExecutorLzReceiveOption(options, gasLimit, 0);
+        if (_options.nativeDropAmount > 0) {
+            options = OptionsBuilder.addExecutorNativeDropOption(
+                options,
+                _options.nativeDropAmount,
+                bytes32(uint256(uint160(_actions[0].userAccount)))
+            );
+        }
+
+        fee = _quote(_dstEid, payload, options, false);
+        return fee;
+    }
+
     /**
      * @dev Handle batch actions execution (external for try/catch)
-     * @notice Helper function to execute batch of actions
+     * @notice Helper function to execute batch of actions. An action whose adapter is not trusted or
+     * whose adapter call fails is marked executed with CrossChainActionReceived(success=false), and the
+     * rest of the batch still runs; actions already executed are skipped. It only reverts when the
+     * payload is not a batch.
      */
     function _handleBatchActions(
         Origin calldata _origin,
@@ -457,18 +531,16 @@ contract OmnichainSuperAccountRouter is OApp {
         CrossChainAction[] memory actions = abi.decode(_payload, (CrossChainAction[]));
         
         // Execute all actions in batch
+        address trustedAdapter = trustedAdapters[_origin.srcEid];
         for (uint i = 0; i < actions.length; i++) {
-            require(!executedActions[actions[i].actionId], "OmnichainRouter: action already executed");
-            
-            address trustedAdapter = trustedAdapters[_origin.srcEid];
-            if (trustedAdapter != address(0)) {
-                require(
-                    actions[i].targetAdapter == trustedAdapter,
-                    "OmnichainRouter: adapter not trusted for source chain"
-                );
+            if (executedActions[actions[i].actionId]) {
+                continue;
+            }
+
+            bool actionSuccess = false;
+            if (trustedAdapter == address(0) || actions[i].targetAdapter == trustedAdapter) {
+                (actionSuccess, ) = _executeAdapter(actions[i], _executor);
             }
-            
-            bool actionSuccess = _executeAdapter(actions[i], _executor);
             executedActions[actions[i].actionId] = true;
             
             emit CrossChainActionReceived(
@@ -479,6 +551,7 @@ contract OmnichainSuperAccountRouter is OApp {
                 actionSuccess
             );
         }
+        return true;
     }
     
     // ============ CONDITIONAL EXECUTION (INNOVATION EXTENSION) ============
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "./interfaces/IEntryPoint.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title SuperAccount
@@ -13,6 +14,12 @@ contract SuperAccount {
     address public owner;
     uint256 public nonce;
 
+    // Returned from validateUserOp when the signature does not match the owner
+    uint256 internal constant SIG_VALIDATION_FAILED = 1;
+
+    // ERC-1271 magic value returned for valid signatures
+    bytes4 internal constant ERC1271_MAGIC_VALUE = 0x1626ba7e;
+
     event SuperAccountInitialized(address indexed owner);
     event Executed(address indexed to, uint256 value, bytes data);
     event BatchExecuted(address[] targets, bytes[] calldatas);
@@ -35,6 +42,66 @@ contract SuperAccount {
         emit SuperAccountInitialized(anOwner);
     }
 
+    /**
+     * @dev Validate a UserOperation - only callable by EntryPoint (v0.6)
+     * @notice The owner signs the userOpHash as an EIP-191 personal message
+     * @param userOp UserOperation being validated
+     * @param userOpHash Hash of the UserOperation computed by the EntryPoint
+     * @param missingAccountFunds Prefund owed to the EntryPoint for this operation
+     * @return validationData 0 on success, SIG_VALIDATION_FAILED on signature mismatch
+     */
+    function validateUserOp(
+        IEntryPoint.UserOperation calldata userOp,
+        bytes32 userOpHash,
+        uint256 missingAccountFunds
+    ) external onlyEntryPoint returns (uint256 validationData) {
+        return _validateUserOp(userOp.signature, userOpHash, missingAccountFunds);
+    }
+
+    /**
+     * @dev Validate a PackedUserOperation - only callable by EntryPoint (v0.7)
+     * @notice Same checks as the v0.6 overload; the v0.7 userOpHash covers the packed gas fields
+     */
+    function validateUserOp(
+        IEntryPoint.PackedUserOperation calldata userOp,
+        bytes32 userOpHash,
+        uint256 missingAccountFunds
+    ) external onlyEntryPoint returns (uint256 validationData) {
+        return _validateUserOp(userOp.signature, userOpHash, missingAccountFunds);
+    }
+
+    function _validateUserOp(
+        bytes calldata signature,
+        bytes32 userOpHash,
+        uint256 missingAccountFunds
+    ) internal returns (uint256 validationData) {
+        bytes32 hash = ECDSA.toEthSignedMessageHash(userOpHash);
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        if (error != ECDSA.RecoverError.NoError || recovered != owner) {
+            validationData = SIG_VALIDATION_FAILED;
+        }
+
+        if (missingAccountFunds > 0) {
+            // EntryPoint verifies the deposit itself, so ignore the call result
+            (bool success, ) = payable(msg.sender).call{value: missingAccountFunds}("");
+            (success);
+        }
+    }
+
+    /**
+     * @dev ERC-1271 signature check - valid if the owner signed the hash
+     * @param hash Digest that was signed (already EIP-191 or EIP-712 prefixed)
+     * @param signature Owner signature over the digest
+     * @return magicValue ERC1271_MAGIC_VALUE if valid, 0xffffffff otherwise
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4 magicValue) {
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == owner) {
+            return ERC1271_MAGIC_VALUE;
+        }
+        return 0xffffffff;
+    }
+
     /**
      * @dev Execute a single call - only callable by EntryPoint
      * @param to Target address
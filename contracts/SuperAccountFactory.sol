@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./SuperAccount.sol";
+import "./interfaces/IEntryPoint.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
+
+/**
+ * @title SuperAccountFactory
+ * @dev Deploys SuperAccounts with CREATE2, so an account's address is known before it exists
+ * @notice The address depends only on this factory's address, the EntryPoint, the owner and the salt.
+ * Deployed at the same address on every chain (see scripts/deployAccountFactory.js), it gives an owner
+ * the same account address everywhere. UserOperations deploy the account through initCode:
+ * factory address | createAccount(owner, salt) calldata.
+ */
+contract SuperAccountFactory {
+    IEntryPoint public immutable entryPoint;
+
+    // Accounts this factory deployed (the router lets them act for themselves)
+    mapping(address => bool) public isAccount;
+
+    event AccountCreated(address indexed account, address indexed owner, uint256 salt);
+
+    constructor(IEntryPoint anEntryPoint) {
+        require(address(anEntryPoint) != address(0), "SuperAccountFactory: invalid entryPoint");
+        entryPoint = anEntryPoint;
+    }
+
+    /**
+     * @dev Deploy the owner's account for a salt, or return it if it already exists
+     * @notice Returning the existing account keeps calls from the EntryPoint (initCode) and others idempotent
+     * @param owner Account owner, who signs its UserOperations
+     * @param salt Lets one owner have several accounts
+     * @return account The account at getAccountAddress(owner, salt)
+     */
+    function createAccount(address owner, uint256 salt) external returns (SuperAccount account) {
+        address predicted = getAccountAddress(owner, salt);
+        if (predicted.code.length > 0) {
+            return SuperAccount(payable(predicted));
+        }
+        account = new SuperAccount{salt: bytes32(salt)}(entryPoint, owner);
+        isAccount[address(account)] = true;
+        emit AccountCreated(address(account), owner, salt);
+    }
+
+    /**
+     * @dev Counterfactual address of the owner's account for a salt, deployed or not
+     */
+    function getAccountAddress(address owner, uint256 salt) public view returns (address) {
+        return Create2.computeAddress(
+            bytes32(salt),
+            keccak256(abi.encodePacked(type(SuperAccount).creationCode, abi.encode(entryPoint, owner)))
+        );
+    }
+}
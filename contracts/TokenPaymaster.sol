@@ -0,0 +1,252 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IEntryPoint.sol";
+import "./interfaces/IPriceFeed.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title TokenPaymaster
+ * @dev ERC-4337 paymaster (EntryPoint v0.6) that takes an allow-listed ERC-20 for a UserOperation's gas
+ * and the LayerZero fees the bundler pays to dispatch the payload it belongs to
+ * @notice paymasterAndData = paymaster (20 bytes) | token (20 bytes) | uint256 layerZeroFeeWei (32 bytes).
+ * Validation takes the most the operation can cost from the sender (who must have approved this paymaster);
+ * postOp refunds what the operation did not use. Token prices are owner-set, or read from a Chainlink feed
+ * and cached, since validation may not read other contracts' storage or the clock.
+ */
+contract TokenPaymaster {
+    using SafeERC20 for IERC20;
+
+    enum PostOpMode {
+        opSucceeded,
+        opReverted,
+        postOpReverted
+    }
+
+    struct TokenConfig {
+        bool allowed;
+        uint8 decimals;
+        IPriceFeed oracle;
+        uint8 oracleDecimals;
+        uint32 maxOracleAge;
+        // Wei per whole token; for oracle tokens, the last fresh reading
+        uint256 price;
+    }
+
+    IEntryPoint public immutable entryPoint;
+    address public owner;
+    mapping(address => TokenConfig) public tokens;
+
+    // Gas postOp uses after the EntryPoint measured actualGasCost, charged with the operation
+    uint256 public constant POST_OP_GAS = 60000;
+
+    uint256 private constant TOKEN_OFFSET = 20;
+    uint256 private constant LAYERZERO_FEE_OFFSET = 40;
+    uint256 private constant PAYMASTER_DATA_LENGTH = 72;
+
+    event TokenPriceSet(address indexed token, uint256 price);
+    event TokenOracleSet(address indexed token, address indexed oracle, uint32 maxOracleAge);
+    event TokenRemoved(address indexed token);
+    event UserOperationPaid(
+        address indexed sender,
+        address indexed token,
+        uint256 tokenCharge,
+        uint256 actualGasCost,
+        uint256 layerZeroFeeWei
+    );
+
+    modifier onlyEntryPoint() {
+        require(msg.sender == address(entryPoint), "TokenPaymaster: not entryPoint");
+        _;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "TokenPaymaster: not owner");
+        _;
+    }
+
+    constructor(IEntryPoint anEntryPoint) {
+        require(address(anEntryPoint) != address(0), "TokenPaymaster: invalid entryPoint");
+        entryPoint = anEntryPoint;
+        owner = msg.sender;
+    }
+
+    /**
+     * @dev Accept a token at a fixed price (owner only)
+     * @param price Wei per whole token
+     */
+    function setTokenPrice(address token, uint256 price) external onlyOwner {
+        require(price > 0, "TokenPaymaster: invalid price");
+        tokens[token] = TokenConfig(true, IERC20Metadata(token).decimals(), IPriceFeed(address(0)), 0, 0, price);
+        emit TokenPriceSet(token, price);
+    }
+
+    /**
+     * @dev Accept a token priced by a Chainlink feed of its price in the native currency (owner only)
+     * @param maxOracleAge Oldest feed update the paymaster still prices with, in seconds
+     */
+    function setTokenOracle(address token, IPriceFeed oracle, uint32 maxOracleAge) external onlyOwner {
+        require(address(oracle) != address(0), "TokenPaymaster: invalid oracle");
+        tokens[token] = TokenConfig(true, IERC20Metadata(token).decimals(), oracle, oracle.decimals(), maxOracleAge, 0);
+        emit TokenOracleSet(token, address(oracle), maxOracleAge);
+        require(_tryUpdatePrice(token), "TokenPaymaster: no fresh oracle price");
+    }
+
+    /**
+     * @dev Stop accepting a token (owner only)
+     */
+    function removeToken(address token) external onlyOwner {
+        delete tokens[token];
+        emit TokenRemoved(token);
+    }
+
+    /**
+     * @dev Refresh an oracle token's cached price from its feed; anyone may call it
+     */
+    function updatePrice(address token) external {
+        require(address(tokens[token].oracle) != address(0), "TokenPaymaster: token has no oracle");
+        require(_tryUpdatePrice(token), "TokenPaymaster: no fresh oracle price");
+    }
+
+    /**
+     * @dev Token amount (in the token's smallest unit) worth weiAmount, rounded up
+     */
+    function getTokenAmount(address token, uint256 weiAmount) public view returns (uint256) {
+        TokenConfig storage config = tokens[token];
+        require(config.allowed, "TokenPaymaster: token not allowed");
+        return _toTokenAmount(weiAmount, config.price, config.decimals);
+    }
+
+    /**
+     * @dev Take the most the operation can cost, in tokens, from the sender - only callable by EntryPoint
+     * @param maxCost Most the EntryPoint can charge for the operation's gas, in wei
+     * @return context Sender, token, its price and decimals, and the amount taken, for postOp
+     * @return validationData Always 0: no signature and no time range
+     */
+    function validatePaymasterUserOp(
+        IEntryPoint.UserOperation calldata userOp,
+        bytes32, /* userOpHash */
+        uint256 maxCost
+    ) external onlyEntryPoint returns (bytes memory context, uint256 validationData) {
+        require(
+            userOp.paymasterAndData.length == PAYMASTER_DATA_LENGTH,
+            "TokenPaymaster: invalid paymasterAndData length"
+        );
+        address token = address(bytes20(userOp.paymasterAndData[TOKEN_OFFSET:LAYERZERO_FEE_OFFSET]));
+        uint256 layerZeroFeeWei = uint256(bytes32(userOp.paymasterAndData[LAYERZERO_FEE_OFFSET:PAYMASTER_DATA_LENGTH]));
+
+        TokenConfig storage config = tokens[token];
+        require(config.allowed, "TokenPaymaster: token not allowed");
+        uint256 preCharge = _toTokenAmount(maxCost + layerZeroFeeWei, config.price, config.decimals);
+        IERC20(token).safeTransferFrom(userOp.sender, address(this), preCharge);
+
+        context = abi.encode(
+            userOp.sender,
+            token,
+            config.price,
+            config.decimals,
+            preCharge,
+            layerZeroFeeWei,
+            userOp.maxFeePerGas
+        );
+        validationData = 0;
+    }
+
+    /**
+     * @dev Charge the operation's actual gas and LayerZero fees at the validation price and refund the rest
+     * - only callable by EntryPoint
+     * @notice LayerZero fees are charged even when the operation reverted: the bundler dispatches the
+     * payload's actions either way
+     */
+    function postOp(PostOpMode, bytes calldata context, uint256 actualGasCost) external onlyEntryPoint {
+        (
+            address sender,
+            address token,
+            uint256 price,
+            uint8 decimals,
+            uint256 preCharge,
+            uint256 layerZeroFeeWei,
+            uint256 maxFeePerGas
+        ) = abi.decode(context, (address, address, uint256, uint8, uint256, uint256, uint256));
+
+        uint256 costWei = actualGasCost + POST_OP_GAS * maxFeePerGas + layerZeroFeeWei;
+        uint256 tokenCharge = _toTokenAmount(costWei, price, decimals);
+        if (tokenCharge > preCharge) {
+            tokenCharge = preCharge;
+        }
+        if (preCharge > tokenCharge) {
+            IERC20(token).safeTransfer(sender, preCharge - tokenCharge);
+        }
+        emit UserOperationPaid(sender, token, tokenCharge, actualGasCost, layerZeroFeeWei);
+
+        if (address(tokens[token].oracle) != address(0)) {
+            _tryUpdatePrice(token);
+        }
+    }
+
+    /**
+     * @dev Send collected tokens, e.g. to reimburse the bundler for gas and LayerZero fees (owner only)
+     */
+    function withdrawToken(IERC20 token, address to, uint256 amount) external onlyOwner {
+        token.safeTransfer(to, amount);
+    }
+
+    /**
+     * @dev Add to the paymaster's EntryPoint deposit, which pays for the operations' gas
+     */
+    function deposit() external payable {
+        entryPoint.depositTo{value: msg.value}(address(this));
+    }
+
+    /**
+     * @dev The paymaster's EntryPoint deposit
+     */
+    function getDeposit() external view returns (uint256) {
+        return entryPoint.balanceOf(address(this));
+    }
+
+    /**
+     * @dev Withdraw from the EntryPoint deposit (owner only)
+     */
+    function withdrawTo(address payable withdrawAddress, uint256 amount) external onlyOwner {
+        entryPoint.withdrawTo(withdrawAddress, amount);
+    }
+
+    /**
+     * @dev Stake with the EntryPoint; bundlers require it of paymasters that read token balances (owner only)
+     */
+    function addStake(uint32 unstakeDelaySec) external payable onlyOwner {
+        entryPoint.addStake{value: msg.value}(unstakeDelaySec);
+    }
+
+    function unlockStake() external onlyOwner {
+        entryPoint.unlockStake();
+    }
+
+    function withdrawStake(address payable withdrawAddress) external onlyOwner {
+        entryPoint.withdrawStake(withdrawAddress);
+    }
+
+    function _toTokenAmount(uint256 weiAmount, uint256 price, uint8 decimals) private pure returns (uint256) {
+        return (weiAmount * 10 ** decimals + price - 1) / price;
+    }
+
+    /**
+     * @dev Cache the feed's answer, scaled to wei per whole token, unless it is invalid or stale
+     */
+    function _tryUpdatePrice(address token) private returns (bool) {
+        TokenConfig storage config = tokens[token];
+        try config.oracle.latestRoundData() returns (uint80, int256 answer, uint256, uint256 updatedAt, uint80) {
+            if (answer <= 0 || block.timestamp > updatedAt + config.maxOracleAge) {
+                return false;
+            }
+            config.price = (uint256(answer) * 1e18) / 10 ** config.oracleDecimals;
+            emit TokenPriceSet(token, config.price);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "./OmnichainVault.sol";
+import "./interfaces/IOmnichainRouter.sol";
 
 /**
  * @title VaultAdapter
@@ -77,12 +78,14 @@ contract VaultAdapter {
             
         } else if (action.operation == VaultOperation.CrossChainDeposit) {
             // Execute cross-chain deposit (receiving side)
+            _requireReceivedMessage();
             uint32 srcChainId = getCurrentChainEID();
             vault.executeCrossChainDeposit(action.user, srcChainId, action.amount);
             success = true;
             
         } else if (action.operation == VaultOperation.CrossChainWithdraw) {
             // Execute cross-chain withdrawal (source side)
+            _requireReceivedMessage();
             vault.executeCrossChainWithdraw(action.user, action.targetChainId, action.amount);
             success = true;
         }
@@ -96,6 +99,20 @@ contract VaultAdapter {
         );
     }
     
+    /**
+     * @dev Cross-chain operations settle a LayerZero message, so they may not come from the router's
+     * local path (executeLocalAction), where no message was sent and no funds moved.
+     * A trusted router without code is the HACK_MODE bundler calling directly.
+     */
+    function _requireReceivedMessage() internal view {
+        if (trustedRouter.code.length > 0) {
+            require(
+                !IOmnichainRouter(trustedRouter).executingLocalAction(),
+                "VaultAdapter: cross-chain operation from local action"
+            );
+        }
+    }
+
     /**
      * @dev Get current chain EID (simplified - should use actual LayerZero EID mapping)
      */
@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IEntryPoint.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title VerifyingPaymaster
+ * @dev ERC-4337 paymaster (EntryPoint v0.6) paying for UserOperations approved by an off-chain signer
+ * @notice The bundler's sponsorship service signs the operations its policy accepts.
+ * paymasterAndData = paymaster (20 bytes) | abi.encode(uint48 validUntil, uint48 validAfter) | signature (65 bytes)
+ */
+contract VerifyingPaymaster {
+    enum PostOpMode {
+        opSucceeded,
+        opReverted,
+        postOpReverted
+    }
+
+    IEntryPoint public immutable entryPoint;
+    address public owner;
+    address public verifyingSigner;
+
+    uint256 private constant VALID_TIMESTAMP_OFFSET = 20;
+    uint256 private constant SIGNATURE_OFFSET = 84;
+
+    // validationData flag for a signature that does not match the verifying signer
+    uint256 internal constant SIG_VALIDATION_FAILED = 1;
+
+    event VerifyingSignerChanged(address indexed previousSigner, address indexed newSigner);
+    event UserOperationSponsored(address indexed sender, uint256 actualGasCost);
+
+    modifier onlyEntryPoint() {
+        require(msg.sender == address(entryPoint), "VerifyingPaymaster: not entryPoint");
+        _;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "VerifyingPaymaster: not owner");
+        _;
+    }
+
+    constructor(IEntryPoint anEntryPoint, address aVerifyingSigner) {
+        require(address(anEntryPoint) != address(0), "VerifyingPaymaster: invalid entryPoint");
+        require(aVerifyingSigner != address(0), "VerifyingPaymaster: invalid signer");
+        entryPoint = anEntryPoint;
+        owner = msg.sender;
+        verifyingSigner = aVerifyingSigner;
+        emit VerifyingSignerChanged(address(0), aVerifyingSigner);
+    }
+
+    /**
+     * @dev Hash the signer approves: every UserOperation field except paymasterAndData and the
+     * signature, bound to this chain, this paymaster and the approval's validity window
+     * @notice The signer signs it as an EIP-191 personal message
+     */
+    function getHash(
+        IEntryPoint.UserOperation calldata userOp,
+        uint48 validUntil,
+        uint48 validAfter
+    ) public view returns (bytes32) {
+        bytes32 userOpFieldsHash = keccak256(
+            abi.encode(
+                userOp.sender,
+                userOp.nonce,
+                keccak256(userOp.initCode),
+                keccak256(userOp.callData),
+                userOp.callGasLimit,
+                userOp.verificationGasLimit,
+                userOp.preVerificationGas,
+                userOp.maxFeePerGas,
+                userOp.maxPriorityFeePerGas
+            )
+        );
+        return keccak256(abi.encode(userOpFieldsHash, block.chainid, address(this), validUntil, validAfter));
+    }
+
+    /**
+     * @dev Split paymasterAndData into the approval's validity window and signature
+     */
+    function parsePaymasterAndData(bytes calldata paymasterAndData)
+        public
+        pure
+        returns (uint48 validUntil, uint48 validAfter, bytes calldata signature)
+    {
+        (validUntil, validAfter) = abi.decode(paymasterAndData[VALID_TIMESTAMP_OFFSET:SIGNATURE_OFFSET], (uint48, uint48));
+        signature = paymasterAndData[SIGNATURE_OFFSET:];
+    }
+
+    /**
+     * @dev Accept to pay for a UserOperation the verifying signer approved - only callable by EntryPoint
+     * @notice A bad signature is reported through validationData, so simulations still return gas figures
+     * @return context The sender, for postOp
+     * @return validationData SIG_VALIDATION_FAILED on signature mismatch, plus the validity window
+     */
+    function validatePaymasterUserOp(
+        IEntryPoint.UserOperation calldata userOp,
+        bytes32, /* userOpHash */
+        uint256 /* maxCost */
+    ) external onlyEntryPoint returns (bytes memory context, uint256 validationData) {
+        require(
+            userOp.paymasterAndData.length == SIGNATURE_OFFSET + 65,
+            "VerifyingPaymaster: invalid paymasterAndData length"
+        );
+        (uint48 validUntil, uint48 validAfter, bytes calldata signature) = parsePaymasterAndData(userOp.paymasterAndData);
+
+        bytes32 hash = ECDSA.toEthSignedMessageHash(getHash(userOp, validUntil, validAfter));
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        uint256 sigFailed = error != ECDSA.RecoverError.NoError || recovered != verifyingSigner
+            ? SIG_VALIDATION_FAILED
+            : 0;
+
+        // validationData = sigFailed | validUntil << 160 | validAfter << 208
+        validationData = sigFailed | (uint256(validUntil) << 160) | (uint256(validAfter) << 208);
+        context = abi.encode(userOp.sender);
+    }
+
+    /**
+     * @dev Record what a sponsored operation cost - only callable by EntryPoint
+     */
+    function postOp(PostOpMode, bytes calldata context, uint256 actualGasCost) external onlyEntryPoint {
+        emit UserOperationSponsored(abi.decode(context, (address)), actualGasCost);
+    }
+
+    /**
+     * @dev Change the address whose approvals the paymaster honours (owner only)
+     */
+    function setVerifyingSigner(address newSigner) external onlyOwner {
+        require(newSigner != address(0), "VerifyingPaymaster: invalid signer");
+        emit VerifyingSignerChanged(verifyingSigner, newSigner);
+        verifyingSigner = newSigner;
+    }
+
+    /**
+     * @dev Add to the paymaster's EntryPoint deposit, which pays for sponsored operations
+     */
+    function deposit() external payable {
+        entryPoint.depositTo{value: msg.value}(address(this));
+    }
+
+    /**
+     * @dev The paymaster's EntryPoint deposit
+     */
+    function getDeposit() external view returns (uint256) {
+        return entryPoint.balanceOf(address(this));
+    }
+
+    /**
+     * @dev Withdraw from the EntryPoint deposit (owner only)
+     */
+    function withdrawTo(address payable withdrawAddress, uint256 amount) external onlyOwner {
+        entryPoint.withdrawTo(withdrawAddress, amount);
+    }
+
+    /**
+     * @dev Stake with the EntryPoint, which bundlers may require of paymasters (owner only)
+     */
+    function addStake(uint32 unstakeDelaySec) external payable onlyOwner {
+        entryPoint.addStake{value: msg.value}(unstakeDelaySec);
+    }
+
+    function unlockStake() external onlyOwner {
+        entryPoint.unlockStake();
+    }
+
+    function withdrawStake(address payable withdrawAddress) external onlyOwner {
+        entryPoint.withdrawStake(withdrawAddress);
+    }
+}
@@ -21,11 +21,43 @@ interface IEntryPoint {
         bytes signature;
     }
 
+    // EntryPoint v0.7 layout: accountGasLimits is verificationGasLimit | callGasLimit and gasFees is
+    // maxPriorityFeePerGas | maxFeePerGas, as two uint128 each
+    struct PackedUserOperation {
+        address sender;
+        uint256 nonce;
+        bytes initCode;
+        bytes callData;
+        bytes32 accountGasLimits;
+        uint256 preVerificationGas;
+        bytes32 gasFees;
+        bytes paymasterAndData;
+        bytes signature;
+    }
+
     function getUserOpHash(UserOperation calldata userOp) external view returns (bytes32);
     
+    function getNonce(address sender, uint192 key) external view returns (uint256 nonce);
+
+    function simulateValidation(UserOperation calldata userOp) external;
+
     function handleOps(
         UserOperation[] calldata ops,
         address payable beneficiary
     ) external;
+
+    // Deposits and stake (StakeManager), used by paymasters to pay for operations
+
+    function depositTo(address account) external payable;
+
+    function withdrawTo(address payable withdrawAddress, uint256 withdrawAmount) external;
+
+    function balanceOf(address account) external view returns (uint256);
+
+    function addStake(uint32 unstakeDelaySec) external payable;
+
+    function unlockStake() external;
+
+    function withdrawStake(address payable withdrawAddress) external;
 }
 
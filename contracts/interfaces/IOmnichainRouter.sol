@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IOmnichainRouter
+ * @dev The OmnichainSuperAccountRouter function adapters read to tell local actions from received messages
+ */
+interface IOmnichainRouter {
+    function executingLocalAction() external view returns (bool);
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ISuperAccountFactory
+ * @dev The SuperAccountFactory function the router reads to recognize accounts
+ */
+interface ISuperAccountFactory {
+    function isAccount(address account) external view returns (bool);
+}
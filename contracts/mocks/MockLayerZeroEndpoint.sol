@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@layerzerolabs/lz-evm-protocol-v2/contracts/interfaces/ILayerZeroEndpointV2.sol";
+import "@layerzerolabs/lz-evm-oapp-v2/contracts/oapp/interfaces/IOAppReceiver.sol";
+
+/**
+ * @title MockLayerZeroEndpoint
+ * @dev The parts of EndpointV2 an OApp uses: quote and send charge a fee priced per byte of message
+ * and options, and deliver calls lzReceive as the endpoint would
+ */
+contract MockLayerZeroEndpoint {
+    uint256 public constant BASE_FEE = 1e12;
+    uint256 public constant FEE_PER_BYTE = 1e9;
+
+    uint64 public nonce;
+    uint256 public lastFee;
+
+    function setDelegate(address) external {}
+
+    function quote(MessagingParams calldata _params, address) public pure returns (MessagingFee memory) {
+        return MessagingFee(BASE_FEE + FEE_PER_BYTE * (_params.message.length + _params.options.length), 0);
+    }
+
+    function send(
+        MessagingParams calldata _params,
+        address _refundAddress
+    ) external payable returns (MessagingReceipt memory receipt) {
+        MessagingFee memory fee = quote(_params, msg.sender);
+        require(msg.value >= fee.nativeFee, "MockLayerZeroEndpoint: insufficient fee");
+        lastFee = fee.nativeFee;
+        nonce++;
+
+        // Like EndpointV2, keep the fee and refund the rest
+        if (msg.value > fee.nativeFee) {
+            (bool refunded, ) = _refundAddress.call{value: msg.value - fee.nativeFee}("");
+            require(refunded, "MockLayerZeroEndpoint: refund failed");
+        }
+        receipt = MessagingReceipt(keccak256(abi.encode(msg.sender, _params.dstEid, nonce)), nonce, fee);
+    }
+
+    function deliver(address _receiver, Origin calldata _origin, bytes32 _guid, bytes calldata _message) external {
+        IOAppReceiver(_receiver).lzReceive(_origin, _guid, _message, msg.sender, "");
+    }
+}
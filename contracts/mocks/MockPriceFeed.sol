@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../interfaces/IPriceFeed.sol";
+
+/**
+ * @title MockPriceFeed
+ * @dev Chainlink-style price feed whose answer tests set
+ */
+contract MockPriceFeed is IPriceFeed {
+    uint8 public immutable override decimals;
+    int256 public answer;
+    uint256 public updatedAt;
+
+    constructor(uint8 decimals_, int256 answer_) {
+        decimals = decimals_;
+        setAnswer(answer_);
+    }
+
+    function setAnswer(int256 answer_) public {
+        answer = answer_;
+        updatedAt = block.timestamp;
+    }
+
+    function setUpdatedAt(uint256 updatedAt_) external {
+        updatedAt = updatedAt_;
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return (1, answer, updatedAt, updatedAt, 1);
+    }
+}
@@ -0,0 +1,53 @@
+import { chainRegistry } from "../utils/chains.js";
+
+// How each status reported by the bundler's event stream is shown
+const STATUS_LABELS = {
+  queued: "queued",
+  submitted: "transaction submitted",
+  mined: "transaction mined",
+  sent: "LayerZero message sent",
+  delivered: "delivered to destination",
+  executed: "executed",
+  failed: "failed",
+  skipped: "skipped",
+};
+
+const STATUS_COLORS = {
+  executed: "var(--success)",
+  failed: "var(--error)",
+  skipped: "var(--warning)",
+};
+
+/**
+ * Live status of each submitted action, from the bundler's payload event stream
+ */
+export default function ActionProgress({ actions }) {
+  if (!actions?.length) {
+    return null;
+  }
+
+  return (
+    <div style={{
+      marginTop: "1rem",
+      padding: "1rem",
+      background: "var(--bg)",
+      borderRadius: "0.5rem",
+      fontSize: "0.875rem",
+      color: "var(--text-muted)"
+    }}>
+      <p><strong>Progress:</strong></p>
+      <ul style={{ marginLeft: "1.5rem", marginTop: "0.5rem" }}>
+        {actions.map((action, index) => (
+          <li key={action.actionId || index}>
+            Action {index + 1} on {chainRegistry.getChainName(action.chainId)}:{" "}
+            <span style={{ color: STATUS_COLORS[action.status] }}>
+              {STATUS_LABELS[action.status] || action.status}
+            </span>
+            {action.txHash && ` (tx ${action.txHash.substring(0, 10)}...)`}
+            {action.status === "failed" && action.error && ` — ${action.error}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import { chainRegistry } from "../utils/chains.js";
 
 /**
  * Component for direct smart contract interactions
@@ -87,18 +88,18 @@ export default function ContractInteractions({
         vault: vaultA,
         vaultToken: vaultTokenA,
         router: routerA,
-        rpcUrl: "https://sepolia.base.org",
+        rpcUrl: chainRegistry.getChain(chainAId)?.rpcUrls[0],
         chainId: chainAId,
-        chainName: "Base Sepolia",
+        chainName: chainRegistry.getChainName(chainAId),
       };
     } else {
       return {
         vault: vaultB,
         vaultToken: vaultTokenB,
         router: routerB,
-        rpcUrl: "https://sepolia-rollup.arbitrum.io/rpc",
+        rpcUrl: chainRegistry.getChain(chainBId)?.rpcUrls[0],
         chainId: chainBId,
-        chainName: "Arbitrum Sepolia",
+        chainName: chainRegistry.getChainName(chainBId),
       };
     }
   };
@@ -349,8 +350,8 @@ export default function ContractInteractions({
             className="input"
             style={{ flex: 1, marginBottom: 0 }}
           >
-            <option value="chainA">Base Sepolia (Chain A)</option>
-            <option value="chainB">Arbitrum Sepolia (Chain B)</option>
+            <option value="chainA">{chainRegistry.getChainName(chainAId)} (Chain A)</option>
+            <option value="chainB">{chainRegistry.getChainName(chainBId)} (Chain B)</option>
           </select>
           <div style={{ 
             padding: "10px 16px", 
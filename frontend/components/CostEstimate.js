@@ -0,0 +1,63 @@
+import { ethers } from "ethers";
+import { chainRegistry } from "../utils/chains.js";
+
+/**
+ * Cost breakdown of a bundler quote (/api/quote), shown before signing
+ */
+export default function CostEstimate({ quote }) {
+  if (!quote) {
+    return null;
+  }
+
+  const formatWei = (wei) => `${ethers.formatEther(wei)} ETH`;
+
+  return (
+    <div style={{
+      marginTop: "1rem",
+      padding: "1rem",
+      background: "var(--bg)",
+      borderRadius: "0.5rem",
+      fontSize: "0.875rem",
+      color: "var(--text-muted)"
+    }}>
+      <p><strong>Estimated cost:</strong> {formatWei(quote.totals.total)}</p>
+      <ul style={{ marginLeft: "1.5rem", marginTop: "0.5rem" }}>
+        {quote.actions.map((action) => (
+          <li key={action.index}>
+            Action {action.index + 1} on {chainRegistry.getChainName(action.chainId)}
+            {action.batched ? ` (batch of ${action.batchSize})` : ""}:{" "}
+            {action.error ? (
+              <span style={{ color: "var(--error)" }}>could not be quoted ({action.error})</span>
+            ) : (
+              <>
+                {formatWei(action.total)}
+                {BigInt(action.lzFee) > 0n && ` — LayerZero fee ${formatWei(action.lzFee)}`}
+                {BigInt(action.sourceGas) > 0n && `, source gas ${formatWei(action.sourceGas)}`}
+                {BigInt(action.localGas) > 0n && ` — gas ${formatWei(action.localGas)}`}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      {quote.tokenPayment && (
+        quote.tokenPayment.error ? (
+          <p style={{ marginTop: "0.5rem", color: "var(--warning)" }}>
+            Token payment could not be quoted: {quote.tokenPayment.error}
+          </p>
+        ) : (
+          <p style={{ marginTop: "0.5rem" }}>
+            <strong>Paid in {quote.tokenPayment.symbol || "tokens"}:</strong> up to{" "}
+            {quote.tokenPayment.amountFormatted} {quote.tokenPayment.symbol} for UserOp gas (at most{" "}
+            {formatWei(quote.tokenPayment.gasWei)}) and LayerZero fees ({formatWei(quote.tokenPayment.layerZeroFeeWei)});
+            unused gas is refunded
+          </p>
+        )
+      )}
+      {!quote.complete && (
+        <p style={{ marginTop: "0.5rem", color: "var(--warning)" }}>
+          Some actions could not be quoted; the total excludes them.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,34 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { ethers } from "ethers";
-import axios from "axios";
-import { buildCompletePayload } from "../utils/buildPayload.js";
+import { buildCompletePayload, signCompositePayload } from "../utils/buildPayload.js";
+import {
+  PAYMENT_TOKEN,
+  getActionsProgress,
+  getBundlerErrorMessage,
+  quotePayload,
+  simulatePayload,
+  submitPayload,
+  watchPayloadEvents,
+  withSponsorship,
+  withTokenPayment,
+} from "../utils/bundlerApi.js";
+import { assertValidPayload } from "../utils/payloadValidation.js";
+import { prepareSender, signUserOp, withPayloadCalls, withUserOpHash } from "../utils/smartAccount.js";
+import { chainRegistry } from "../utils/chains.js";
+import ActionProgress from "./ActionProgress.js";
+import CostEstimate from "./CostEstimate.js";
+import SimulationResult from "./SimulationResult.js";
 
 export default function SignFlow({ 
   account, 
+  smartAccount,
   provider, 
   cid, 
   bundlerUrl, 
   swapAdapter,
   nftAdapter,
+  routerA,
+  routerB,
   chainAId,
   chainBId,
   onStatusUpdate, 
@@ -18,6 +37,121 @@ export default function SignFlow({
 }) {
   const [signing, setSigning] = useState(false);
   const [processing, setProcessing] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [simulation, setSimulation] = useState(null);
+  const [actionProgress, setActionProgress] = useState(null);
+  const payloadEvents = useRef(null);
+
+  // Stop following the last submission when the component goes away
+  useEffect(() => () => payloadEvents.current?.close(), []);
+
+  /**
+   * Follow a submitted payload over the bundler's event stream: per-action status and the
+   * 80-100% range of the progress bar, which reaches 100% once every action has settled
+   */
+  const watchSubmission = ({ payloadHash }) => {
+    payloadEvents.current?.close();
+    payloadEvents.current = watchPayloadEvents(bundlerUrl, payloadHash, {
+      onChange: ({ actions }) => {
+        setActionProgress(actions);
+        if (onProgress) onProgress(80 + Math.round(getActionsProgress(actions) * 20));
+      },
+    });
+    payloadEvents.current?.done.then(({ actions }) => {
+      const failed = actions.filter((action) => action.status !== "executed").length;
+      onStatusUpdate(
+        failed ? `${failed} action(s) did not execute.` : "All actions executed on their destination chains.",
+        failed ? "warning" : "success"
+      );
+    }, (error) => {
+      console.warn("Payload event stream closed:", error.message);
+      payloadEvents.current = null;
+    });
+  };
+
+  /**
+   * Build the EIL composite payload (swap on Chain A, NFT mint on Chain B) in the
+   * serializable form that is quoted, simulated, signed and submitted
+   * @param {string} userAccount - Account the actions run for: the smart account when there is one
+   */
+  const buildSignablePayload = (userAccount = smartAccount?.address || account) => {
+    // Build EIL composite payload
+    const payload = buildCompletePayload({
+      userAccount,
+      swapParams: {
+        chainId: chainAId,
+        adapter: swapAdapter,
+        tokenIn: ethers.ZeroAddress,
+        tokenOut: ethers.ZeroAddress,
+        amountIn: "1000000000000000", // 0.001 ETH in wei (as string to avoid BigInt)
+        amountOutMin: "0",
+      },
+      nftParams: {
+        chainId: chainBId,
+        adapter: nftAdapter,
+        cid: cid,
+      },
+      fileOps: [
+        {
+          cid: cid,
+          purpose: "nftMetadata",
+        },
+      ],
+    });
+
+    // Convert payload to serializable format (handle any BigInt values)
+    // Ensure actions array is explicitly preserved
+    console.log("Original payload:", payload);
+    console.log("Payload.actions:", payload.actions);
+    console.log("Is payload.actions array?:", Array.isArray(payload.actions));
+    
+    // Build serializable payload explicitly
+    const serializablePayload = {
+      userAccount: payload.userAccount || userAccount,
+      actions: Array.isArray(payload.actions) ? payload.actions.map(action => ({
+        chainId: action.chainId,
+        adapter: action.adapter,
+        calldata: action.calldata || "0x",
+      })) : [],
+      fileOps: Array.isArray(payload.fileOps) ? payload.fileOps : [],
+      timestamp: payload.timestamp.toString(),
+      nonce: payload.nonce,
+      deadline: payload.deadline.toString(),
+    };
+    
+    // Same schema the bundler enforces: report bad fields before anything is signed
+    assertValidPayload(serializablePayload);
+    
+    console.log("Serializable payload:", serializablePayload);
+    console.log("Actions array:", serializablePayload.actions);
+
+    return serializablePayload;
+  };
+
+  const handlePreview = async () => {
+    if (!account || !cid) {
+      onStatusUpdate("Please connect wallet and upload file first", "error");
+      return;
+    }
+
+    setPreviewing(true);
+    onStatusUpdate("Simulating actions...", "info");
+
+    try {
+      const result = await simulatePayload(bundlerUrl, buildSignablePayload());
+      setSimulation(result);
+      onStatusUpdate(
+        result.success ? "Preview: all actions would succeed" : "Preview: some actions would fail",
+        result.success ? "success" : "error"
+      );
+    } catch (error) {
+      console.error("Error simulating payload:", error);
+      onStatusUpdate(`Preview failed: ${getBundlerErrorMessage(error)}`, "error");
+    } finally {
+      setPreviewing(false);
+    }
+  };
 
   const handleSignAndSubmit = async () => {
     if (!account || !provider || !cid) {
@@ -26,176 +160,107 @@ export default function SignFlow({
     }
 
     setSigning(true);
+    setActionProgress(null);
     onStatusUpdate("Building UserOperation and payload...", "info");
 
     try {
-      // Build EIL composite payload
-      const payload = buildCompletePayload({
-        userAccount: account,
-        swapParams: {
-          chainId: chainAId,
-          adapter: swapAdapter,
-          tokenIn: ethers.ZeroAddress,
-          tokenOut: ethers.ZeroAddress,
-          amountIn: "1000000000000000", // 0.001 ETH in wei (as string to avoid BigInt)
-          amountOutMin: "0",
-        },
-        nftParams: {
-          chainId: chainBId,
-          adapter: nftAdapter,
-          cid: cid,
-        },
-        fileOps: [
-          {
-            cid: cid,
-            purpose: "nftMetadata",
-          },
-        ],
-      });
+      // The UserOp's sender is the account's SuperAccount (its first UserOp deploys it through
+      // initCode) when Chain A has a SuperAccountFactory, otherwise the account itself
+      const sender = await prepareSender(provider, account, chainAId);
+      const serializablePayload = buildSignablePayload(sender.userOp.sender);
+      // A SuperAccount runs the actions itself from the UserOp's callData, so its gas and
+      // paymaster data are worked out for that callData
+      const senderUserOp = await withPayloadCalls(bundlerUrl, sender, serializablePayload, chainAId);
 
       onStatusUpdate("Payload built. Requesting signature...", "info");
       if (onProgress) onProgress(75);
 
-      // Build UserOperation (simplified for MVP)
-      const maxFeePerGas = ethers.parseUnits("2", "gwei");
-      const maxPriorityFeePerGas = ethers.parseUnits("1", "gwei");
-      
-      const userOp = {
-        sender: account,
-        nonce: (await provider.getTransactionCount(account)).toString(),
-        callData: "0x",
-        callGasLimit: "1000000",
-        verificationGasLimit: "100000",
-        preVerificationGas: "21000",
-        maxFeePerGas: maxFeePerGas.toString(),
-        maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
-        paymaster: ethers.ZeroAddress,
-        paymasterData: "0x",
-      };
+      // Build UserOperation (simplified for MVP); the bundler fills in gas limits and fees. With
+      // PAYMENT_TOKEN the UserOp pays in that token, otherwise the bundler's paymaster pays the gas
+      // when the sponsorship policy allows
+      let userOp = PAYMENT_TOKEN
+        ? await withTokenPayment(bundlerUrl, senderUserOp, chainAId, serializablePayload, PAYMENT_TOKEN)
+        : await withSponsorship(bundlerUrl, senderUserOp, chainAId, serializablePayload);
 
-      // Request signature
-      // For MVP: Create a simple message to sign
-      const messageToSign = JSON.stringify({ 
-        userOp: {
-          ...userOp,
-          // Ensure all values are strings for serialization
-        },
-        payload: {
-          ...payload,
-          timestamp: payload.timestamp.toString(),
-        }
-      });
-      
-      // Get signer and sign the message (ethers v6 API)
-      // In ethers v6, getSigner() returns a JsonRpcSigner synchronously (no await needed)
-      // We don't pass account - it uses the connected account from the provider
-      let signer;
+      // Show the expected cost before asking for a signature; a failed quote does not block signing
       try {
-        signer = provider.getSigner();
-      } catch (error) {
-        // If getSigner fails, try with account address
-        signer = provider.getSigner(account);
+        const payloadQuote = await quotePayload(bundlerUrl, serializablePayload, { userOp });
+        setQuote(payloadQuote);
+        onStatusUpdate(`Estimated cost: ${payloadQuote.totalsEth.total} ETH. Requesting signature...`, "info");
+      } catch (quoteError) {
+        console.warn("Could not quote payload:", quoteError);
+        setQuote(null);
       }
-      
-      // Verify signer exists
-      if (!signer) {
-        throw new Error('Unable to get signer from provider');
-      }
-      
-      // In ethers v6, signMessage should be available on JsonRpcSigner
-      // If it's not, we'll use the provider's send method directly
-      let signature;
-      if (typeof signer.signMessage === 'function') {
-        // Use signMessage method (preferred)
-        signature = await signer.signMessage(messageToSign);
-      } else {
-        // Fallback: Use provider.send with personal_sign
-        console.warn('signMessage not available, using personal_sign fallback');
-        signature = await provider.send('personal_sign', [messageToSign, account]);
+
+      // A SuperAccount only runs UserOps its owner signed
+      if (sender.entryPoint) {
+        userOp = await signUserOp(provider, userOp, sender.entryPoint, chainAId);
       }
 
+      // The payload names the final UserOp, so it can only be submitted with that UserOp
+      const signedPayload = withUserOpHash(serializablePayload, userOp, chainAId);
+
+      // Request EIP-712 signature over the exact payload submitted below
+      const { signature, domain } = await signCompositePayload(provider, signedPayload, {
+        [chainAId]: routerA,
+        [chainBId]: routerB,
+      });
+
       onStatusUpdate("Signature received. Submitting to bundler...", "info");
       setSigning(false);
       setProcessing(true);
       if (onProgress) onProgress(80);
 
-      // Convert payload to serializable format (handle any BigInt values)
-      // Ensure actions array is explicitly preserved
-      console.log("Original payload:", payload);
-      console.log("Payload.actions:", payload.actions);
-      console.log("Is payload.actions array?:", Array.isArray(payload.actions));
-      
-      // Build serializable payload explicitly
-      const serializablePayload = {
-        userAccount: payload.userAccount || account,
-        actions: Array.isArray(payload.actions) ? payload.actions.map(action => ({
-          chainId: action.chainId,
-          adapter: action.adapter,
-          calldata: action.calldata || "0x",
-        })) : [],
-        fileOps: Array.isArray(payload.fileOps) ? payload.fileOps : [],
-        timestamp: payload.timestamp ? payload.timestamp.toString() : Math.floor(Date.now() / 1000).toString(),
-      };
-      
-      // Validate actions array
-      if (!Array.isArray(serializablePayload.actions) || serializablePayload.actions.length === 0) {
-        console.error("ERROR: Actions array is empty or invalid!");
-        console.error("Payload:", payload);
-        throw new Error("Payload must contain at least one action. Actions: " + JSON.stringify(serializablePayload.actions));
-      }
-      
-      console.log("Serializable payload:", serializablePayload);
-      console.log("Actions array:", serializablePayload.actions);
-
-      const response = await axios.post(`${bundlerUrl}/api/process-payload`, {
+      // The bundler queues the payload; wait for its dispatch job to finish
+      const job = await submitPayload(bundlerUrl, {
         userOp,
         signature,
-        payload: serializablePayload,
+        signatureType: "eip712",
+        domain,
+        payload: signedPayload,
       }, {
-        timeout: 60000, // 60 second timeout
+        onSubmitted: watchSubmission,
+        onUpdate: (update) => {
+          if (update.status === "queued" || update.status === "running") {
+            const dispatched = update.actions.filter((action) => action.step === "done").length;
+            onStatusUpdate(`Bundler processing: ${dispatched}/${update.actions.length} action(s) dispatched...`, "info");
+          }
+        },
       });
 
-      if (response.data.success) {
+      if (job.status !== "failed") {
         onStatusUpdate("Transaction submitted successfully! Processing cross-chain actions...", "success");
-        if (onProgress) onProgress(90);
 
         // Build transaction links - ONLY show real on-chain transactions
         const links = [];
-        // Don't show UserOp link unless it's a real transaction hash
-        // For MVP, EntryPoint submission is skipped (UserOp structure is simplified)
-        // Only show it if we have a valid, non-null hash
-        if (response.data.userOp?.hash && 
-            response.data.userOp.hash !== null && 
-            response.data.userOp.status === "submitted") {
+        // Only show the UserOp link when it actually went through the EntryPoint
+        // (EOA senders are skipped by the bundler). Link the handleOps tx, not the userOpHash.
+        if (job.userOp?.txHash && 
+            job.userOp.status === "submitted") {
           links.push({
             label: "UserOp (EntryPoint) - Chain A",
-            hash: response.data.userOp.hash,
-            url: `https://sepolia.basescan.org/tx/${response.data.userOp.hash}`,
-            chain: "Base Sepolia",
+            hash: job.userOp.txHash,
+            url: chainRegistry.getExplorerTxUrl(chainAId, job.userOp.txHash),
+            chain: chainRegistry.getChainName(chainAId),
           });
         }
-        // For MVP: UserOp is skipped, only show real adapter transactions
 
         // Add links for all actions (cross-chain transactions)
-        if (response.data.actions && Array.isArray(response.data.actions)) {
-          response.data.actions.forEach((action, index) => {
+        if (job.actions && Array.isArray(job.actions)) {
+          job.actions.forEach((action, index) => {
             if (action.txHash) {
-              const sourceChainId = parseInt(process.env.NEXT_PUBLIC_CHAIN_A_ID || "84532");
-              const isLocalAction = action.chainId === sourceChainId;
+              const isLocalAction = action.chainId === chainAId;
               
               // Determine which chain the transaction is actually on
               // For local actions: same chain as action.chainId
-              // For cross-chain (LayerZero): transaction is on source chain (Base Sepolia) where bundler sent message
-              const isTransactionOnChainA = isLocalAction 
-                ? (action.chainId === chainAId)
-                : (action.method === "layerzero_oapp" || action.method === "layerzero_send");
+              // For cross-chain (LayerZero): transaction is on the source chain where bundler sent message
+              const isLayerZeroSend = action.method === "layerzero_oapp" || action.method === "layerzero_send";
+              const transactionChainId = isLayerZeroSend ? chainAId : action.chainId;
               
-              const explorerUrl = isTransactionOnChainA
-                ? `https://sepolia.basescan.org/tx/${action.txHash}`
-                : `https://sepolia.arbiscan.io/tx/${action.txHash}`;
+              const explorerUrl = chainRegistry.getExplorerTxUrl(transactionChainId, action.txHash);
               
-              const transactionChainName = isTransactionOnChainA ? "Base Sepolia" : "Arbitrum Sepolia";
-              const actionChainName = (action.chainId === chainAId || action.chainId === parseInt(process.env.NEXT_PUBLIC_CHAIN_A_ID || "84532")) ? "Base Sepolia" : "Arbitrum Sepolia";
+              const transactionChainName = chainRegistry.getChainName(transactionChainId);
+              const actionChainName = chainRegistry.getChainName(action.chainId);
               const actionType = action.actionType || (action.chainId === chainAId ? "Swap" : "NFT Mint");
               
               // For local actions: show transaction on same chain
@@ -226,7 +291,7 @@ export default function SignFlow({
                   chain: actionChainName,
                   actionType: actionType,
                   isPending: true,
-                  note: "LayerZero message is being delivered. Execution will happen on destination chain in 30-60 seconds. Check the router events on Arbitrum Sepolia."
+                  note: `LayerZero message is being delivered. Execution will happen on destination chain in 30-60 seconds. Check the router events on ${actionChainName}.`
                 });
               }
             } else if (action.error) {
@@ -243,17 +308,18 @@ export default function SignFlow({
         }
 
         onTxLinks(links);
-        if (onProgress) onProgress(100);
+        // Without an event stream the job finishing is the last progress available
+        if (onProgress && !payloadEvents.current) onProgress(100);
         onStatusUpdate(
           `Success! ${links.length} transaction(s) submitted. Check the links below.`,
           "success"
         );
       } else {
-        throw new Error(response.data.error || "Submission failed");
+        throw new Error(job.error || "Submission failed");
       }
     } catch (error) {
       console.error("Error in sign and submit:", error);
-      const errorMessage = error.response?.data?.error || error.message || "Unknown error";
+      const errorMessage = getBundlerErrorMessage(error);
       onStatusUpdate(`Error: ${errorMessage}`, "error");
       
       if (errorMessage.includes("timeout")) {
@@ -292,6 +358,21 @@ export default function SignFlow({
           "Sign & Execute"
         )}
       </button>
+      <button
+        onClick={handlePreview}
+        disabled={previewing || signing || processing || !account || !cid}
+        className="btn btn-secondary"
+        style={{ marginTop: "0.75rem", width: "100%", justifyContent: "center" }}
+      >
+        {previewing ? (
+          <>
+            <span className="loading"></span>
+            Simulating...
+          </>
+        ) : (
+          "Preview"
+        )}
+      </button>
       <p style={{ 
         marginTop: "1rem", 
         fontSize: "0.875rem", 
@@ -316,11 +397,15 @@ export default function SignFlow({
         }}>
           <p><strong>Will execute:</strong></p>
           <ul style={{ marginLeft: "1.5rem", marginTop: "0.5rem" }}>
-            <li>Swap on Chain A (Base Sepolia)</li>
-            <li>Mint NFT on Chain B (Arbitrum Sepolia) with CID: {cid.substring(0, 20)}...</li>
+            <li>Swap on Chain A ({chainRegistry.getChainName(chainAId)})</li>
+            <li>Mint NFT on Chain B ({chainRegistry.getChainName(chainBId)}) with CID: {cid.substring(0, 20)}...</li>
           </ul>
         </div>
       )}
+
+      <CostEstimate quote={quote} />
+      <SimulationResult simulation={simulation} />
+      <ActionProgress actions={actionProgress} />
     </div>
   );
 }
@@ -0,0 +1,53 @@
+import { chainRegistry } from "../utils/chains.js";
+
+/**
+ * Per-action outcome of a bundler dry run (/api/simulate)
+ */
+export default function SimulationResult({ simulation }) {
+  if (!simulation) {
+    return null;
+  }
+
+  return (
+    <div style={{
+      marginTop: "1rem",
+      padding: "1rem",
+      background: "var(--bg)",
+      borderRadius: "0.5rem",
+      fontSize: "0.875rem",
+      color: "var(--text-muted)"
+    }}>
+      <p>
+        <strong>Preview:</strong>{" "}
+        <span style={{ color: simulation.success ? "var(--success)" : "var(--error)" }}>
+          {simulation.success ? "all actions would succeed" : "some actions would fail"}
+        </span>
+      </p>
+      <ul style={{ marginLeft: "1.5rem", marginTop: "0.5rem" }}>
+        {simulation.actions.map((action) => (
+          <li key={action.index}>
+            Action {action.index + 1} on {chainRegistry.getChainName(action.chainId)}:{" "}
+            {action.success ? (
+              <span style={{ color: "var(--success)" }}>ok</span>
+            ) : (
+              <span style={{ color: "var(--error)" }}>
+                reverts: {action.revert?.reason || action.revert?.selector || "unknown reason"}
+              </span>
+            )}
+            {action.events?.length > 0 && (
+              <ul style={{ marginLeft: "1.5rem" }}>
+                {action.events.map((event, i) => (
+                  <li key={i}>
+                    {event.name
+                      ? `${event.name}(${Object.entries(event.args).map(([name, value]) => `${name}: ${value}`).join(", ")})`
+                      : `Unknown event from ${event.address}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
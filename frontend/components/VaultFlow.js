@@ -1,15 +1,38 @@
 import { useState, useEffect } from "react";
 import { ethers } from "ethers";
-import axios from "axios";
+import { createPayloadValidity, signCompositePayload } from "../utils/buildPayload.js";
+import {
+  PAYMENT_TOKEN,
+  getActionsProgress,
+  getBundlerErrorMessage,
+  quotePayload,
+  simulatePayload,
+  submitPayload,
+  watchPayloadEvents,
+  withSponsorship,
+  withTokenPayment,
+} from "../utils/bundlerApi.js";
+import { assertValidPayload } from "../utils/payloadValidation.js";
+import { prepareSender, signUserOp, withPayloadCalls, withUserOpHash } from "../utils/smartAccount.js";
+import { chainRegistry, getChainProvider } from "../utils/chains.js";
+import ActionProgress from "./ActionProgress.js";
+import CostEstimate from "./CostEstimate.js";
+import SimulationResult from "./SimulationResult.js";
+
+// How long to follow a submitted operation before leaving the balance to the periodic refresh
+const SETTLE_TIMEOUT_MS = 120000;
 
 export default function VaultFlow({
   account,
+  smartAccount,
   provider,
   bundlerUrl,
   vaultA,
   vaultAdapterA,
   vaultB,
   vaultAdapterB,
+  routerA,
+  routerB,
   chainAId,
   chainBId,
   onStatusUpdate,
@@ -20,12 +43,18 @@ export default function VaultFlow({
   const [amount, setAmount] = useState("");
   const [targetChain, setTargetChain] = useState("chainA"); // chainA, chainB
   const [processing, setProcessing] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [simulation, setSimulation] = useState(null);
+  const [actionProgress, setActionProgress] = useState(null);
   const [vaultBalance, setVaultBalance] = useState(null);
   const [chainBalances, setChainBalances] = useState({ chainA: null, chainB: null });
   const [loadingBalance, setLoadingBalance] = useState(false);
 
   const loadBalance = async () => {
     if (!account || !provider) return;
+    // Vault positions belong to the payload's userAccount: the smart account when there is one
+    const vaultUser = smartAccount?.address || account;
     
     setLoadingBalance(true);
     try {
@@ -49,14 +78,14 @@ export default function VaultFlow({
         console.error("Error getting network:", error);
       }
       
-      // Load balance from Chain A vault (Base Sepolia)
+      // Load balance from Chain A vault
       if (vaultA) {
         try {
-          const providerA = new ethers.JsonRpcProvider("https://sepolia.base.org");
+          const providerA = getChainProvider(chainAId);
           const vaultContractA = new ethers.Contract(vaultA, vaultABI, providerA);
-          const balanceA = await vaultContractA.getTotalBalance(account);
-          const principalA = await vaultContractA.getPrincipalBalance(account);
-          const yieldA = await vaultContractA.calculatePendingYield(account);
+          const balanceA = await vaultContractA.getTotalBalance(vaultUser);
+          const principalA = await vaultContractA.getPrincipalBalance(vaultUser);
+          const yieldA = await vaultContractA.calculatePendingYield(vaultUser);
           
           const balanceAFormatted = parseFloat(ethers.formatEther(balanceA));
           balances.chainA = balanceAFormatted;
@@ -68,14 +97,14 @@ export default function VaultFlow({
         }
       }
       
-      // Load balance from Chain B vault (Arbitrum Sepolia)
+      // Load balance from Chain B vault
       if (vaultB) {
         try {
-          const providerB = new ethers.JsonRpcProvider("https://sepolia-rollup.arbitrum.io/rpc");
+          const providerB = getChainProvider(chainBId);
           const vaultContractB = new ethers.Contract(vaultB, vaultABI, providerB);
-          const balanceB = await vaultContractB.getTotalBalance(account);
-          const principalB = await vaultContractB.getPrincipalBalance(account);
-          const yieldB = await vaultContractB.calculatePendingYield(account);
+          const balanceB = await vaultContractB.getTotalBalance(vaultUser);
+          const principalB = await vaultContractB.getPrincipalBalance(vaultUser);
+          const yieldB = await vaultContractB.calculatePendingYield(vaultUser);
           
           const balanceBFormatted = parseFloat(ethers.formatEther(balanceB));
           balances.chainB = balanceBFormatted;
@@ -100,6 +129,85 @@ export default function VaultFlow({
     }
   };
 
+  /**
+   * Build the EIL payload for the selected vault operation, as previewed, signed and submitted
+   * @param {string} userAccount - Account the vault position belongs to: the smart account when there is one
+   */
+  const buildVaultPayload = (userAccount = smartAccount?.address || account) => {
+    // Determine which vault adapter to use based on target chain
+    const vaultAdapter = targetChain === "chainA" ? vaultAdapterA : vaultAdapterB;
+    const chainId = targetChain === "chainA" ? chainAId : chainBId;
+    
+    if (!vaultAdapter) {
+      throw new Error("Vault adapter not found for selected chain");
+    }
+
+    // Build vault action matching VaultAdapter.VaultAction struct
+    // VaultOperation enum: Deposit=0, Withdraw=1, CrossChainDeposit=2, CrossChainWithdraw=3
+    const amountWei = ethers.parseEther(amount);
+    const vaultAction = {
+      operation: operation === "deposit" ? 0 : 1, // VaultOperation.Deposit = 0, Withdraw = 1
+      user: userAccount,
+      amount: amountWei,
+      targetChainId: 0 // Local operation for now
+    };
+
+    // Encode vault action - matches VaultAction struct in VaultAdapter.sol
+    // struct VaultAction {
+    //   VaultOperation operation;  // uint8 (enum)
+    //   address user;
+    //   uint256 amount;
+    //   uint32 targetChainId;
+    // }
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    const calldata = abiCoder.encode(
+      ["uint8", "address", "uint256", "uint32"],
+      [vaultAction.operation, vaultAction.user, vaultAction.amount, vaultAction.targetChainId]
+    );
+
+    // Build EIL payload with vault action
+    const payload = {
+      userAccount,
+      actions: [{
+        chainId: chainId,
+        adapter: vaultAdapter,
+        calldata: calldata
+      }],
+      fileOps: [],
+      // Creation time, plus the nonce and deadline the bundler uses for replay protection
+      ...createPayloadValidity()
+    };
+
+    // Same schema the bundler enforces: report bad fields before anything is signed
+    assertValidPayload(payload);
+
+    return payload;
+  };
+
+  const handlePreview = async () => {
+    if (!account || !amount) {
+      onStatusUpdate("Please enter an amount", "error");
+      return;
+    }
+
+    setPreviewing(true);
+    onStatusUpdate("Simulating vault operation...", "info");
+
+    try {
+      const result = await simulatePayload(bundlerUrl, buildVaultPayload());
+      setSimulation(result);
+      onStatusUpdate(
+        result.success ? "Preview: vault operation would succeed" : "Preview: vault operation would fail",
+        result.success ? "success" : "error"
+      );
+    } catch (error) {
+      console.error("Error simulating vault operation:", error);
+      onStatusUpdate(`Preview failed: ${getBundlerErrorMessage(error)}`, "error");
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleVaultOperation = async () => {
     if (!account || !provider || !amount) {
       onStatusUpdate("Please enter an amount", "error");
@@ -107,196 +215,131 @@ export default function VaultFlow({
     }
 
     setProcessing(true);
+    setActionProgress(null);
     onStatusUpdate("Building vault operation payload...", "info");
 
     try {
-      // Determine which vault adapter to use based on target chain
-      const vaultAdapter = targetChain === "chainA" ? vaultAdapterA : vaultAdapterB;
-      const chainId = targetChain === "chainA" ? chainAId : chainBId;
-      
-      if (!vaultAdapter) {
-        throw new Error("Vault adapter not found for selected chain");
+      // The UserOp's sender is the account's SuperAccount (its first UserOp deploys it through
+      // initCode) when Chain A has a SuperAccountFactory, otherwise the account itself
+      const sender = await prepareSender(provider, account, chainAId);
+      const payload = buildVaultPayload(sender.userOp.sender);
+      // A SuperAccount runs the actions itself from the UserOp's callData, so its gas and
+      // paymaster data are worked out for that callData
+      const senderUserOp = await withPayloadCalls(bundlerUrl, sender, payload, chainAId);
+
+      // Build UserOperation; the bundler fills in gas limits and fees. With
+      // PAYMENT_TOKEN the UserOp pays in that token, otherwise the bundler's paymaster pays the gas
+      // when the sponsorship policy allows
+      let userOp = PAYMENT_TOKEN
+        ? await withTokenPayment(bundlerUrl, senderUserOp, chainAId, payload, PAYMENT_TOKEN)
+        : await withSponsorship(bundlerUrl, senderUserOp, chainAId, payload);
+
+      // Show the expected cost before asking for a signature; a failed quote does not block signing
+      try {
+        const payloadQuote = await quotePayload(bundlerUrl, payload, { userOp });
+        setQuote(payloadQuote);
+        onStatusUpdate(`Estimated cost: ${payloadQuote.totalsEth.total} ETH. Requesting signature...`, "info");
+      } catch (quoteError) {
+        console.warn("Could not quote vault operation:", quoteError);
+        setQuote(null);
       }
 
-      // Build vault action matching VaultAdapter.VaultAction struct
-      // VaultOperation enum: Deposit=0, Withdraw=1, CrossChainDeposit=2, CrossChainWithdraw=3
-      const amountWei = ethers.parseEther(amount);
-      const vaultAction = {
-        operation: operation === "deposit" ? 0 : 1, // VaultOperation.Deposit = 0, Withdraw = 1
-        user: account,
-        amount: amountWei,
-        targetChainId: 0 // Local operation for now
-      };
-
-      // Encode vault action - matches VaultAction struct in VaultAdapter.sol
-      // struct VaultAction {
-      //   VaultOperation operation;  // uint8 (enum)
-      //   address user;
-      //   uint256 amount;
-      //   uint32 targetChainId;
-      // }
-      const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-      const calldata = abiCoder.encode(
-        ["uint8", "address", "uint256", "uint32"],
-        [vaultAction.operation, vaultAction.user, vaultAction.amount, vaultAction.targetChainId]
-      );
+      // A SuperAccount only runs UserOps its owner signed
+      if (sender.entryPoint) {
+        userOp = await signUserOp(provider, userOp, sender.entryPoint, chainAId);
+      }
 
-      // Build EIL payload with vault action
-      const payload = {
-        userAccount: account,
-        actions: [{
-          chainId: chainId,
-          adapter: vaultAdapter,
-          calldata: calldata
-        }],
-        fileOps: [],
-        timestamp: Math.floor(Date.now() / 1000)
-      };
-
-      // Build UserOperation
-      const userOp = {
-        sender: account,
-        nonce: (await provider.getTransactionCount(account)).toString(),
-        callData: "0x",
-        callGasLimit: "1000000",
-        verificationGasLimit: "100000",
-        preVerificationGas: "21000",
-        maxFeePerGas: ethers.parseUnits("2", "gwei").toString(),
-        maxPriorityFeePerGas: ethers.parseUnits("1", "gwei").toString(),
-        paymaster: ethers.ZeroAddress,
-        paymasterData: "0x",
-      };
-
-      // Request signature
-      const messageToSign = JSON.stringify({ userOp, payload });
-      const signer = await provider.getSigner();
-      const signature = await signer.signMessage(messageToSign);
+      // The payload names the final UserOp, so it can only be submitted with that UserOp
+      const signedPayload = withUserOpHash(payload, userOp, chainAId);
+
+      // Request EIP-712 signature - the payload must be submitted exactly as signed
+      const { signature, domain } = await signCompositePayload(provider, signedPayload, {
+        [chainAId]: routerA,
+        [chainBId]: routerB,
+      });
 
       onStatusUpdate("Submitting vault operation...", "info");
       if (onProgress) onProgress(50);
 
-      // Submit to bundler
-      const response = await axios.post(`${bundlerUrl}/api/process-payload`, {
+      // Submit to bundler; its event stream reports each action until the operation settles
+      let payloadEvents = null;
+      const job = await submitPayload(bundlerUrl, {
         userOp,
         signature,
-        payload: {
-          ...payload,
-          actions: payload.actions.map(a => ({
-            ...a,
-            calldata: a.calldata || "0x"
-          }))
-        }
+        signatureType: "eip712",
+        domain,
+        payload: signedPayload,
       }, {
-        timeout: 60000
+        onSubmitted: ({ payloadHash }) => {
+          payloadEvents = watchPayloadEvents(bundlerUrl, payloadHash, {
+            onChange: ({ actions }) => {
+              setActionProgress(actions);
+              if (onProgress) onProgress(50 + Math.round(getActionsProgress(actions) * 50));
+            },
+          });
+        },
       });
 
-      if (response.data.success) {
+      if (job.status !== "failed") {
         onStatusUpdate(`${operation === "deposit" ? "Deposit" : "Withdraw"} submitted successfully!`, "success");
-        if (onProgress) onProgress(90);
 
         // Build transaction links
         const links = [];
-        let confirmedTxHash = null;
-        let confirmedChainId = null;
-        
-        if (response.data.actions && Array.isArray(response.data.actions)) {
-          response.data.actions.forEach((action) => {
+        if (job.actions && Array.isArray(job.actions)) {
+          job.actions.forEach((action) => {
             if (action.txHash) {
-              const isChainA = action.chainId === chainAId;
+              const actionChainName = chainRegistry.getChainName(action.chainId);
               links.push({
-                label: `Vault ${operation === "deposit" ? "Deposit" : "Withdraw"} - ${isChainA ? "Base Sepolia" : "Arbitrum Sepolia"}`,
+                label: `Vault ${operation === "deposit" ? "Deposit" : "Withdraw"} - ${actionChainName}`,
                 hash: action.txHash,
-                url: isChainA 
-                  ? `https://sepolia.basescan.org/tx/${action.txHash}`
-                  : `https://sepolia.arbiscan.io/tx/${action.txHash}`,
-                chain: isChainA ? "Base Sepolia" : "Arbitrum Sepolia",
+                url: chainRegistry.getExplorerTxUrl(action.chainId, action.txHash),
+                chain: actionChainName,
                 actionType: operation === "deposit" ? "Deposit" : "Withdraw"
               });
-              
-              // Track the first transaction hash for confirmation
-              if (!confirmedTxHash) {
-                confirmedTxHash = action.txHash;
-                confirmedChainId = action.chainId;
-              }
             }
           });
         }
 
         onTxLinks(links);
-        
-        // Wait for transaction confirmation and then refresh balance
-        if (confirmedTxHash) {
-          onStatusUpdate("Waiting for transaction confirmation...", "info");
-          
+
+        // Refresh the balance once the operation has executed (after LayerZero delivery when cross-chain)
+        let settled = null;
+        if (payloadEvents) {
+          onStatusUpdate("Waiting for the vault operation to execute...", "info");
           try {
-            // Get the provider for the chain where the transaction was executed
-            let txProvider = provider;
-            if (confirmedChainId === chainAId) {
-              txProvider = new ethers.JsonRpcProvider("https://sepolia.base.org");
-            } else if (confirmedChainId === chainBId) {
-              txProvider = new ethers.JsonRpcProvider("https://sepolia-rollup.arbitrum.io/rpc");
-            }
-            
-            // Wait for transaction to be mined (with timeout)
-            console.log(`Waiting for transaction ${confirmedTxHash} to be confirmed...`);
-            const receipt = await txProvider.waitForTransaction(confirmedTxHash, 1, 60000); // Wait up to 60 seconds, 1 confirmation
-            
-            if (receipt && receipt.status === 1) {
-              console.log(`Transaction confirmed! Block: ${receipt.blockNumber}`);
-              onStatusUpdate("Transaction confirmed! Updating balance...", "success");
-              
-              // Wait a bit for state to sync, then refresh balance
-              await new Promise(resolve => setTimeout(resolve, 2000));
-              
-              // Refresh balance with retries
-              let balanceUpdated = false;
-              for (let i = 0; i < 5; i++) {
-                await loadBalance();
-                
-                // Check if balance has changed (optional - can remove if balance is always expected to change)
-                await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds between retries
-                
-                if (i === 4) balanceUpdated = true; // After 5 retries, assume updated
-              }
-              
-              if (balanceUpdated) {
-                onStatusUpdate(`${operation === "deposit" ? "Deposit" : "Withdraw"} complete! Balance updated.`, "success");
-                if (onProgress) onProgress(100);
-              }
-            } else {
-              throw new Error("Transaction failed or was reverted");
-            }
+            settled = await Promise.race([
+              payloadEvents.done,
+              new Promise((resolve, reject) => setTimeout(
+                () => reject(new Error("Timed out waiting for the vault operation to execute")),
+                SETTLE_TIMEOUT_MS
+              )),
+            ]);
           } catch (error) {
-            console.error("Error waiting for transaction confirmation:", error);
-            onStatusUpdate(`Transaction sent but confirmation timeout. Please refresh manually.`, "warning");
-            
-            // Still try to refresh balance in case it went through
-            setTimeout(async () => {
-              for (let i = 0; i < 3; i++) {
-                await loadBalance();
-                await new Promise(resolve => setTimeout(resolve, 3000));
-              }
-            }, 5000);
+            console.warn("Vault operation not settled:", error.message);
+          } finally {
+            payloadEvents.close();
+          }
+        }
+
+        if (settled) {
+          const failedAction = settled.actions.find((action) => action.status !== "executed");
+          if (failedAction) {
+            throw new Error(failedAction.error || `Vault operation ${failedAction.status}`);
           }
+          onStatusUpdate("Vault operation executed! Updating balance...", "success");
+          await loadBalance();
+          onStatusUpdate(`${operation === "deposit" ? "Deposit" : "Withdraw"} complete! Balance updated.`, "success");
+          if (onProgress) onProgress(100);
         } else {
-          // No transaction hash - might be pending LayerZero message
-          onStatusUpdate("Action submitted. Balance will update when transaction confirms.", "info");
+          onStatusUpdate("Action submitted. Balance will update when the operation executes.", "warning");
           if (onProgress) onProgress(100);
-          
-          // Try refreshing balance anyway after a delay
-          setTimeout(async () => {
-            for (let i = 0; i < 3; i++) {
-              await loadBalance();
-              await new Promise(resolve => setTimeout(resolve, 5000));
-            }
-          }, 10000);
         }
       } else {
-        throw new Error(response.data.error || "Operation failed");
+        throw new Error(job.error || "Operation failed");
       }
     } catch (error) {
       console.error("Error in vault operation:", error);
-      onStatusUpdate(`Error: ${error.message}`, "error");
+      onStatusUpdate(`Error: ${getBundlerErrorMessage(error)}`, "error");
     } finally {
       setProcessing(false);
     }
@@ -307,7 +350,7 @@ export default function VaultFlow({
     if (account && (vaultA || vaultB)) {
       loadBalance();
     }
-  }, [account, vaultA, vaultB]);
+  }, [account, smartAccount, vaultA, vaultB]);
   
   // Also reload when target chain changes (to show correct chain balance)
   useEffect(() => {
@@ -325,7 +368,7 @@ export default function VaultFlow({
     }, 30000); // Refresh every 30 seconds
     
     return () => clearInterval(interval);
-  }, [account]);
+  }, [account, smartAccount]);
 
   return (
     <div>
@@ -361,8 +404,8 @@ export default function VaultFlow({
           className="input"
           style={{ width: "100%" }}
         >
-          <option value="chainA">Base Sepolia (Chain A)</option>
-          <option value="chainB">Arbitrum Sepolia (Chain B)</option>
+          <option value="chainA">{chainRegistry.getChainName(chainAId)} (Chain A)</option>
+          <option value="chainB">{chainRegistry.getChainName(chainBId)} (Chain B)</option>
         </select>
       </div>
 
@@ -470,7 +513,7 @@ export default function VaultFlow({
               transition: "all 0.3s ease"
             }}>
               <div style={{ color: "rgba(255, 255, 255, 0.8)", fontSize: "11px", marginBottom: "10px", textTransform: "uppercase", letterSpacing: "0.8px", fontWeight: "600" }}>
-                Base Sepolia
+                {chainRegistry.getChainName(chainAId)}
               </div>
               <div style={{ color: "white", fontSize: "24px", fontWeight: "700", lineHeight: "1.2" }}>
                 {chainBalances.chainA !== null ? `${chainBalances.chainA.toFixed(6)}` : "0.000000"}
@@ -488,7 +531,7 @@ export default function VaultFlow({
               transition: "all 0.3s ease"
             }}>
               <div style={{ color: "rgba(255, 255, 255, 0.8)", fontSize: "11px", marginBottom: "10px", textTransform: "uppercase", letterSpacing: "0.8px", fontWeight: "600" }}>
-                Arbitrum Sepolia
+                {chainRegistry.getChainName(chainBId)}
               </div>
               <div style={{ color: "white", fontSize: "24px", fontWeight: "700", lineHeight: "1.2" }}>
                 {chainBalances.chainB !== null ? `${chainBalances.chainB.toFixed(6)}` : "0.000000"}
@@ -519,6 +562,22 @@ export default function VaultFlow({
         )}
       </button>
 
+      <button
+        onClick={handlePreview}
+        disabled={previewing || processing || !amount || !account}
+        className="btn btn-secondary"
+        style={{ marginTop: "0.75rem", width: "100%", padding: "1rem" }}
+      >
+        {previewing ? (
+          <>
+            <span className="loading"></span>
+            Simulating...
+          </>
+        ) : (
+          "Preview"
+        )}
+      </button>
+
       <p style={{ 
         marginTop: "1rem", 
         fontSize: "0.875rem", 
@@ -529,6 +588,10 @@ export default function VaultFlow({
           ? "Deposit tokens to the omnichain vault on the selected chain"
           : "Withdraw tokens from the omnichain vault on the selected chain"}
       </p>
+
+      <CostEstimate quote={quote} />
+      <SimulationResult simulation={simulation} />
+      <ActionProgress actions={actionProgress} />
     </div>
   );
 }
@@ -1,6 +1,12 @@
+const path = require("path");
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  experimental: {
+    // The payload types, schema, chain registry and UserOp helpers are the bundler's own modules
+    externalDir: true,
+  },
   webpack: (config) => {
     config.resolve.fallback = {
       ...config.resolve.fallback,
@@ -8,9 +14,18 @@ const nextConfig = {
       net: false,
       tls: false,
     };
+    config.resolve.alias = {
+      ...config.resolve.alias,
+      "@bundler": path.join(__dirname, "..", "bundler"),
+      // Same file as the bundler and scripts: CHAIN_REGISTRY_PATH, otherwise the root chains.json
+      "@chain-registry$": process.env.CHAIN_REGISTRY_PATH
+        ? path.resolve(process.env.CHAIN_REGISTRY_PATH)
+        : path.join(__dirname, "..", "chains.json"),
+    };
+    // Packages the bundler modules import (ethers, ajv) come from the frontend's node_modules
+    config.resolve.modules = [path.join(__dirname, "node_modules"), ...(config.resolve.modules || ["node_modules"])];
     return config;
   },
 };
 
 module.exports = nextConfig;
-
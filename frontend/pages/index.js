@@ -4,39 +4,38 @@ import { ethers } from "ethers";
 import SignFlow from "../components/SignFlow";
 import VaultFlow from "../components/VaultFlow";
 import ContractInteractions from "../components/ContractInteractions";
+import { chainRegistry } from "../utils/chains.js";
+import { getSmartAccount } from "../utils/smartAccount.js";
 
 const BUNDLER_URL = process.env.NEXT_PUBLIC_BUNDLER_URL || "https://universal-smart-account-system-production.up.railway.app";
 
-// Load contract addresses from deployments.json
+// Load contract addresses from the chain registry (chains.json)
+// Chain A is the registry's source chain, Chain B its destination chain
 const getDeploymentAddresses = () => {
-  try {
-    const deployments = require("../../deployments.json");
-    return {
-      swapAdapter: deployments.chainA?.SwapAdapter || "0x3442c40DbC3051aF8c25b405410a48dDA70A8636",
-      nftAdapter: deployments.chainB?.NFTAdapter || "0x3442c40DbC3051aF8c25b405410a48dDA70A8636",
-      vaultA: deployments.chainA?.OmnichainVault,
-      vaultAdapterA: deployments.chainA?.VaultAdapter,
-      vaultB: deployments.chainB?.OmnichainVault,
-      vaultAdapterB: deployments.chainB?.VaultAdapter,
-      vaultTokenA: deployments.chainA?.vaultToken || deployments.chainA?.OmnichainVaultToken,
-      vaultTokenB: deployments.chainB?.vaultToken || deployments.chainB?.OmnichainVaultToken,
-      routerA: deployments.chainA?.OmnichainSuperAccountRouter,
-      routerB: deployments.chainB?.OmnichainSuperAccountRouter,
-      chainAId: 84532, // Base Sepolia
-      chainBId: 421614, // Arbitrum Sepolia
-    };
-  } catch (e) {
-    return {
-      swapAdapter: "0x3442c40DbC3051aF8c25b405410a48dDA70A8636",
-      nftAdapter: "0x3442c40DbC3051aF8c25b405410a48dDA70A8636",
-      chainAId: 84532,
-      chainBId: 421614,
-    };
-  }
+  const chainA = chainRegistry.sourceChain;
+  const chainB = chainRegistry.destinationChain;
+  const contractsA = chainA?.contracts || {};
+  const contractsB = chainB?.contracts || {};
+  return {
+    swapAdapter: contractsA.SwapAdapter || "0x3442c40DbC3051aF8c25b405410a48dDA70A8636",
+    nftAdapter: contractsB.NFTAdapter || "0x3442c40DbC3051aF8c25b405410a48dDA70A8636",
+    vaultA: contractsA.OmnichainVault,
+    vaultAdapterA: contractsA.VaultAdapter,
+    vaultB: contractsB.OmnichainVault,
+    vaultAdapterB: contractsB.VaultAdapter,
+    vaultTokenA: chainA?.meta.vaultToken || contractsA.OmnichainVaultToken,
+    vaultTokenB: chainB?.meta.vaultToken || contractsB.OmnichainVaultToken,
+    routerA: contractsA.OmnichainSuperAccountRouter,
+    routerB: contractsB.OmnichainSuperAccountRouter,
+    chainAId: chainA?.chainId,
+    chainBId: chainB?.chainId,
+  };
 };
 
 export default function Home() {
   const [account, setAccount] = useState(null);
+  // The account's SuperAccount (same address on every chain), when chains.json has SuperAccountFactory
+  const [smartAccount, setSmartAccount] = useState(null);
   const [provider, setProvider] = useState(null);
   const [file, setFile] = useState(null);
   const [cid, setCid] = useState(null);
@@ -63,6 +62,14 @@ export default function Home() {
     }
   }, []);
 
+  useEffect(() => {
+    setSmartAccount(null);
+    if (!account) return;
+    getSmartAccount(account)
+      .then(setSmartAccount)
+      .catch((error) => console.warn("Could not resolve smart account:", error));
+  }, [account]);
+
   const connectWallet = async () => {
     if (!window.ethereum) {
       setStatus("Please install MetaMask!");
@@ -269,6 +276,12 @@ export default function Home() {
           <div className="account-display">
             <span>Connected:</span>
             <strong>{formatAddress(account)}</strong>
+            {smartAccount?.address && (
+              <>
+                <span> Smart account:</span>
+                <strong>{formatAddress(smartAccount.address)}</strong>
+              </>
+            )}
           </div>
         )}
       </div>
@@ -336,11 +349,14 @@ export default function Home() {
               </h2>
               <SignFlow
                 account={account}
+                smartAccount={smartAccount}
                 provider={provider}
                 cid={cid}
                 bundlerUrl={BUNDLER_URL}
                 swapAdapter={deploymentAddresses.swapAdapter}
                 nftAdapter={deploymentAddresses.nftAdapter}
+                routerA={deploymentAddresses.routerA}
+                routerB={deploymentAddresses.routerB}
                 chainAId={deploymentAddresses.chainAId}
                 chainBId={deploymentAddresses.chainBId}
                 onStatusUpdate={updateStatus}
@@ -365,6 +381,12 @@ export default function Home() {
               <div className="account-display">
                 <span>Connected:</span>
                 <strong>{formatAddress(account)}</strong>
+                {smartAccount?.address && (
+                  <>
+                    <span> Smart account:</span>
+                    <strong>{formatAddress(smartAccount.address)}</strong>
+                  </>
+                )}
               </div>
             )}
           </div>
@@ -377,12 +399,15 @@ export default function Home() {
               </h2>
               <VaultFlow
                 account={account}
+                smartAccount={smartAccount}
                 provider={provider}
                 bundlerUrl={BUNDLER_URL}
                 vaultA={deploymentAddresses.vaultA}
                 vaultAdapterA={deploymentAddresses.vaultAdapterA}
                 vaultB={deploymentAddresses.vaultB}
                 vaultAdapterB={deploymentAddresses.vaultAdapterB}
+                routerA={deploymentAddresses.routerA}
+                routerB={deploymentAddresses.routerB}
                 chainAId={deploymentAddresses.chainAId}
                 chainBId={deploymentAddresses.chainBId}
                 onStatusUpdate={updateStatus}
@@ -409,6 +434,12 @@ export default function Home() {
               <div className="account-display">
                 <span>Connected:</span>
                 <strong>{formatAddress(account)}</strong>
+                {smartAccount?.address && (
+                  <>
+                    <span> Smart account:</span>
+                    <strong>{formatAddress(smartAccount.address)}</strong>
+                  </>
+                )}
               </div>
             )}
           </div>
@@ -1,15 +1,24 @@
 import { ethers } from "ethers";
+import {
+  EIL_PAYLOAD_TYPES,
+  createPayloadValidity,
+  getEILPayloadDomain,
+  toEILTypedMessage,
+} from "@bundler/buildPayload.js";
+
+// EIP-712 definitions live in the bundler's buildPayload.js so signing and verification can't drift
+export { EIL_PAYLOAD_TYPES, createPayloadValidity, getEILPayloadDomain, toEILTypedMessage };
 
 /**
  * Build EIL composite payload
  * Client-side version for frontend
  */
-export function buildEILPayload({ userAccount, actions, fileOps }) {
+export function buildEILPayload({ userAccount, actions, fileOps, ttlSeconds }) {
   const payload = {
     userAccount,
     actions: actions || [],
     fileOps: fileOps || [],
-    timestamp: Math.floor(Date.now() / 1000),
+    ...createPayloadValidity(ttlSeconds),
   };
   return payload;
 }
@@ -18,7 +27,7 @@ export function buildEILPayload({ userAccount, actions, fileOps }) {
  * Build complete EIL payload with encoded calldata
  */
 export function buildCompletePayload(config) {
-  const { userAccount, swapParams, nftParams, fileOps } = config;
+  const { userAccount, swapParams, nftParams, fileOps, ttlSeconds } = config;
   
   const actions = [];
   
@@ -65,7 +74,29 @@ export function buildCompletePayload(config) {
     userAccount,
     actions,
     fileOps: fileOps || [],
-    timestamp: Math.floor(Date.now() / 1000),
+    ...createPayloadValidity(ttlSeconds),
   };
 }
 
+
+/**
+ * Sign a composite payload as EIP-712 typed data
+ * The domain is bound to the wallet's current chain and that chain's router
+ * @param {ethers.BrowserProvider} provider - Connected wallet provider
+ * @param {Object} payload - Payload exactly as it will be submitted to the bundler
+ * @param {Object} routers - Map of chainId => OmnichainSuperAccountRouter address
+ * @returns {Object} {signature, domain}
+ */
+export async function signCompositePayload(provider, payload, routers) {
+  const network = await provider.getNetwork();
+  const chainId = Number(network.chainId);
+  const verifyingContract = routers[chainId];
+  if (!verifyingContract) {
+    throw new Error(`No router deployed on chain ${chainId}. Switch your wallet to a supported chain.`);
+  }
+
+  const domain = getEILPayloadDomain(chainId, verifyingContract);
+  const signer = await provider.getSigner();
+  const signature = await signer.signTypedData(domain, EIL_PAYLOAD_TYPES, toEILTypedMessage(payload));
+  return { signature, domain };
+}
@@ -0,0 +1,317 @@
+import axios from "axios";
+import { ethers } from "ethers";
+import { formatPayloadErrors } from "./payloadValidation.js";
+
+const TERMINAL_JOB_STATUSES = ["completed", "partial", "failed"];
+
+// Sent with every request when the bundler requires an API key (BUNDLER_API_KEYS)
+const BUNDLER_API_KEY = process.env.NEXT_PUBLIC_BUNDLER_API_KEY;
+const bundlerHeaders = BUNDLER_API_KEY ? { "X-API-Key": BUNDLER_API_KEY } : {};
+
+// ERC-20 that UserOps pay gas and LayerZero fees in through the bundler's TokenPaymaster (unset: pay in ETH)
+export const PAYMENT_TOKEN = process.env.NEXT_PUBLIC_PAYMENT_TOKEN || null;
+
+// How far along an action is at each status reported by the payload event stream
+const ACTION_STATUS_PROGRESS = {
+  queued: 0,
+  submitted: 0.25,
+  mined: 0.5,
+  sent: 0.6,
+  delivered: 0.8,
+  executed: 1,
+  failed: 1,
+  skipped: 1,
+};
+
+/**
+ * POST to a bundler submission route with an Idempotency-Key
+ * Requests that time out or get no response are resent with the same key, as are 409s the
+ * bundler marks with Retry-After (first request still running), so the route runs at most once.
+ * @param {string} url - Submission route
+ * @param {Object} body - Request body, resent unchanged
+ * @param {Object} options - {attempts, timeoutMs}
+ * @returns {Promise<Object>} axios response
+ */
+async function postIdempotent(url, body, { attempts = 3, timeoutMs = 60000 } = {}) {
+  const idempotencyKey = ethers.hexlify(ethers.randomBytes(16));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await axios.post(url, body, {
+        timeout: timeoutMs,
+        headers: { ...bundlerHeaders, "Idempotency-Key": idempotencyKey },
+      });
+    } catch (error) {
+      const retryAfter = error.response?.status === 409 && error.response.headers["retry-after"];
+      if (attempt >= attempts || (error.response && !retryAfter)) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, (Number(retryAfter) || 1) * 1000));
+    }
+  }
+}
+
+/**
+ * Submit a signed payload to the bundler and wait for its dispatch job to finish
+ * The bundler queues the payload and returns a jobId immediately; the job is polled
+ * until every step has completed or been dead-lettered.
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {Object} body - {userOp, signature, signatureType, domain, payload}
+ * @param {Object} options - {onSubmitted({jobId, payloadHash}), onUpdate(job), intervalMs, timeoutMs};
+ * onSubmitted runs once the payload is queued, e.g. to start watchPayloadEvents
+ * @returns {Promise<Object>} Finished job ({jobId, status, error, userOp, actions, ...})
+ */
+export async function submitPayload(bundlerUrl, body, { onSubmitted, ...options } = {}) {
+  const response = await postIdempotent(`${bundlerUrl}/api/process-payload`, body);
+  if (!response.data.jobId) {
+    throw new Error(response.data.error || "Submission failed");
+  }
+  if (onSubmitted) onSubmitted({ jobId: response.data.jobId, payloadHash: response.data.payloadHash });
+  return waitForJob(bundlerUrl, response.data.jobId, options);
+}
+
+/**
+ * Follow a submitted payload's progress over the bundler's Server-Sent Events stream
+ * onChange gets the latest {payload, actions} after every event; actions are in payload order and
+ * carry their status (queued, submitted, mined, sent, delivered, executed, failed, skipped).
+ * The browser reconnects dropped streams and each reconnect starts with a fresh snapshot.
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {string} payloadHash - Hash returned by /api/process-payload
+ * @param {Object} options - {onChange(state)}
+ * @returns {Object|null} {close(), done}: done resolves with the final state once every action has
+ * settled and rejects if the stream cannot be opened; null where EventSource is unavailable
+ */
+export function watchPayloadEvents(bundlerUrl, payloadHash, { onChange } = {}) {
+  if (typeof EventSource === "undefined") {
+    return null;
+  }
+
+  // EventSource cannot send headers, so the API key goes in the query string
+  const query = BUNDLER_API_KEY ? `?apiKey=${encodeURIComponent(BUNDLER_API_KEY)}` : "";
+  const source = new EventSource(`${bundlerUrl}/api/payloads/${payloadHash}/events${query}`);
+  let state = null;
+  let resolveDone;
+  let rejectDone;
+  const done = new Promise((resolve, reject) => {
+    resolveDone = resolve;
+    rejectDone = reject;
+  });
+  // Nobody has to wait for done
+  done.catch(() => {});
+
+  const update = (nextState) => {
+    state = nextState;
+    if (onChange) onChange(state);
+  };
+
+  source.addEventListener("snapshot", (event) => {
+    const { actions, ...payload } = JSON.parse(event.data);
+    update({ payload, actions });
+  });
+  source.addEventListener("action", (event) => {
+    const action = JSON.parse(event.data);
+    if (!state) return;
+    const actions = [...state.actions];
+    actions[action.index] = action;
+    update({ ...state, actions });
+  });
+  source.addEventListener("payload", (event) => {
+    if (!state) return;
+    update({ ...state, payload: { ...state.payload, ...JSON.parse(event.data) } });
+  });
+  source.addEventListener("end", () => {
+    source.close();
+    resolveDone(state);
+  });
+  source.onerror = () => {
+    // CLOSED means the browser gave up (e.g. 404); otherwise it is reconnecting
+    if (source.readyState === EventSource.CLOSED) {
+      rejectDone(new Error(`Lost the event stream for payload ${payloadHash}`));
+    }
+  };
+
+  return {
+    close: () => source.close(),
+    done,
+  };
+}
+
+/**
+ * Fraction (0-1) of the way a payload's actions are to being settled
+ * @param {Array} actions - Action records from watchPayloadEvents
+ */
+export function getActionsProgress(actions) {
+  if (!actions?.length) {
+    return 0;
+  }
+  const total = actions.reduce((sum, action) => sum + (ACTION_STATUS_PROGRESS[action.status] ?? 0), 0);
+  return total / actions.length;
+}
+
+/**
+ * Ask the bundler what dispatching a payload would cost, before it is signed
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {Object} payload - Composite payload, as later submitted to /api/process-payload
+ * @param {Object} options - {paymentToken, userOp}: quote paying in an ERC-20 through the TokenPaymaster,
+ * for the given UserOp (a UserOp from withTokenPayment needs no paymentToken)
+ * @returns {Promise<Object>} {sourceChainId, actions, totals, totalsEth, complete, tokenPayment};
+ * amounts in wei strings, tokenPayment only when paying in tokens
+ */
+export async function quotePayload(bundlerUrl, payload, { paymentToken, userOp } = {}) {
+  const response = await axios.post(`${bundlerUrl}/api/quote`, { payload, paymentToken, userOp }, {
+    timeout: 30000,
+    headers: bundlerHeaders,
+  });
+  return response.data;
+}
+
+/**
+ * Ask the bundler for a UserOperation's gas limits and fees
+ * Gas is measured by simulation against the EntryPoint, preVerificationGas includes the chain's
+ * L1 data cost, and fees follow recent blocks (eth_feeHistory).
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {Object} userOp - UserOp without gas fields ({sender, nonce, callData, ...})
+ * @param {number} chainId - Chain the UserOp runs on (default: the bundler's source chain)
+ * @returns {Promise<Object>} {callGasLimit, verificationGasLimit, preVerificationGas, maxFeePerGas,
+ * maxPriorityFeePerGas, entryPoint, chainId}; amounts in decimal strings
+ */
+export async function estimateUserOpGas(bundlerUrl, userOp, chainId) {
+  const response = await axios.post(`${bundlerUrl}/api/gas-estimate`, { userOp, chainId }, {
+    timeout: 30000,
+    headers: bundlerHeaders,
+  });
+  return response.data;
+}
+
+/**
+ * Fill a UserOperation's gas limits and fees from the bundler's estimate
+ */
+export async function withGasEstimate(bundlerUrl, userOp, chainId) {
+  const gas = await estimateUserOpGas(bundlerUrl, userOp, chainId);
+  return {
+    ...userOp,
+    callGasLimit: gas.callGasLimit,
+    verificationGasLimit: gas.verificationGasLimit,
+    preVerificationGas: gas.preVerificationGas,
+    maxFeePerGas: gas.maxFeePerGas,
+    maxPriorityFeePerGas: gas.maxPriorityFeePerGas,
+  };
+}
+
+/**
+ * Ask the bundler's paymaster to pay for a UserOperation
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {Object} userOp - UserOp to sponsor; gas fields must be final unless stub is set
+ * @param {number} chainId - Chain the UserOp runs on (default: the bundler's source chain)
+ * @param {Object} options - {payload (the payload the UserOp belongs to), stub (placeholder
+ * paymasterAndData for gas estimation)}
+ * @returns {Promise<Object>} {paymasterAndData, paymaster, validUntil, validAfter, maxCostWei};
+ * fails with 404 when the chain has no paymaster and 403 when the sponsorship policy declines
+ */
+export async function requestSponsorship(bundlerUrl, userOp, chainId, { payload, stub = false } = {}) {
+  const response = await axios.post(`${bundlerUrl}/api/paymaster/sponsor`, { userOp, chainId, payload, stub }, {
+    timeout: 30000,
+    headers: bundlerHeaders,
+  });
+  return response.data;
+}
+
+/**
+ * Fill a UserOperation's gas limits and fees and have the paymaster sponsor it
+ * Gas is estimated with stub paymasterAndData, then the final UserOp is sent for the paymaster's
+ * approval. Without a paymaster for the chain, or when the policy declines, the UserOp is returned
+ * unsponsored (the sender pays its own gas).
+ * @returns {Promise<Object>} UserOp with gas fields and paymasterAndData ("0x" when unsponsored)
+ */
+export async function withSponsorship(bundlerUrl, userOp, chainId, payload) {
+  const unsponsored = { ...userOp, paymasterAndData: "0x" };
+  let stub;
+  try {
+    stub = await requestSponsorship(bundlerUrl, unsponsored, chainId, { payload, stub: true });
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 403) {
+      return withGasEstimate(bundlerUrl, unsponsored, chainId);
+    }
+    throw error;
+  }
+
+  const estimated = await withGasEstimate(bundlerUrl, { ...userOp, paymasterAndData: stub.paymasterAndData }, chainId);
+  try {
+    const { paymasterAndData } = await requestSponsorship(bundlerUrl, estimated, chainId, { payload });
+    return { ...estimated, paymasterAndData };
+  } catch (error) {
+    // e.g. the sender's daily sponsorship budget is spent
+    if (error.response?.status === 403) {
+      return withGasEstimate(bundlerUrl, unsponsored, chainId);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Have a UserOperation pay its gas, and the payload's LayerZero fees, in an ERC-20 through the
+ * bundler's TokenPaymaster, then fill in its gas limits and fees
+ * The sender must have approved the paymaster to spend the token.
+ * @returns {Promise<Object>} UserOp with gas fields and the TokenPaymaster's paymasterAndData
+ */
+export async function withTokenPayment(bundlerUrl, userOp, chainId, payload, paymentToken) {
+  const { tokenPayment } = await quotePayload(bundlerUrl, payload, { paymentToken });
+  if (!tokenPayment?.paymasterAndData) {
+    throw new Error(`Cannot pay in tokens: ${tokenPayment?.error || "no TokenPaymaster"}`);
+  }
+  return withGasEstimate(bundlerUrl, { ...userOp, paymasterAndData: tokenPayment.paymasterAndData }, chainId);
+}
+
+/**
+ * Dry-run a payload on the bundler: per-action success, decoded revert reasons and events
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {Object} payload - Composite payload, as later submitted to /api/process-payload
+ * @returns {Promise<Object>} {payloadHash, success, actions}
+ */
+export async function simulatePayload(bundlerUrl, payload) {
+  const response = await axios.post(`${bundlerUrl}/api/simulate`, { payload }, {
+    timeout: 30000,
+    headers: bundlerHeaders,
+  });
+  return response.data;
+}
+
+/**
+ * Poll a bundler dispatch job until it reaches a terminal status
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {string} jobId - Job returned by /api/process-payload
+ * @param {Object} options - {onUpdate(job), intervalMs, timeoutMs}
+ * @returns {Promise<Object>} Finished job
+ */
+export async function waitForJob(bundlerUrl, jobId, { onUpdate, intervalMs = 2000, timeoutMs = 300000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const { data: job } = await axios.get(`${bundlerUrl}/api/jobs/${jobId}`, {
+      timeout: 10000,
+      headers: bundlerHeaders,
+    });
+    if (onUpdate) onUpdate(job);
+    if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+
+  throw new Error(`Timed out waiting for bundler job ${jobId}`);
+}
+
+/**
+ * Readable message for a failed bundler request, including field-level payload errors
+ * and when a rate limit allows another try
+ */
+export function getBundlerErrorMessage(error) {
+  const data = error.response?.data;
+  if (data?.errors?.length) {
+    return `${data.error}: ${formatPayloadErrors(data.errors)}`;
+  }
+  if (error.response?.status === 429 && data?.retryAfter) {
+    return `${data.error}. Try again in ${Math.ceil(data.retryAfter / 60)} minute(s).`;
+  }
+  return data?.error || error.message || "Unknown error";
+}
@@ -0,0 +1,20 @@
+import { ethers } from "ethers";
+import registry from "@chain-registry";
+import { createChainRegistry } from "@bundler/chainRegistry.js";
+
+/**
+ * Chain registry (chains.json) shared with the bundler and hardhat scripts
+ * Chain A is the registry's sourceChain, Chain B its destinationChain
+ */
+export const chainRegistry = createChainRegistry(registry);
+
+/**
+ * Read-only provider for a registry chain (first RPC URL)
+ */
+export function getChainProvider(chainId) {
+  const chain = chainRegistry.getChain(chainId);
+  if (!chain?.rpcUrls.length) {
+    throw new Error(`No RPC configured for chain ${chainId}`);
+  }
+  return new ethers.JsonRpcProvider(chain.rpcUrls[0]);
+}
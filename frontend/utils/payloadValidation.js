@@ -0,0 +1,25 @@
+import { createPayloadValidator } from "@bundler/payloadSchema.js";
+import { chainRegistry } from "./chains.js";
+
+/**
+ * Payload schema check shared with the bundler, run before a payload is quoted or signed
+ * Returns [{field, message}]; empty when the payload is valid.
+ */
+export const validatePayload = createPayloadValidator(chainRegistry);
+
+/**
+ * One line per field error, e.g. "actions[0].adapter must be ..."
+ */
+export function formatPayloadErrors(errors) {
+  return errors.map((error) => `${error.field} ${error.message}`).join("; ");
+}
+
+/**
+ * Throw if the payload does not match the schema, naming every invalid field
+ */
+export function assertValidPayload(payload) {
+  const errors = validatePayload(payload);
+  if (errors.length > 0) {
+    throw new Error(`Invalid payload: ${formatPayloadErrors(errors)}`);
+  }
+}
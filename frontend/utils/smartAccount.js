@@ -0,0 +1,122 @@
+import { ethers } from "ethers";
+import { createAccountResolver } from "@bundler/accountFactory.js";
+import { buildAccountCalls, getLayerZeroFees, planAccountCalls, withFeeBuffer } from "@bundler/accountCalls.js";
+import { createActionIdentity } from "@bundler/buildPayload.js";
+import { ENTRYPOINT_V06, buildUserOperation, encodeCallData, getUserOpHash } from "@bundler/userOperation.js";
+import { quotePayload } from "./bundlerApi.js";
+import { chainRegistry, getChainProvider } from "./chains.js";
+
+// One SuperAccount per owner, at the same address on every chain whose factory shares an address
+const ACCOUNT_SALT = 0n;
+
+let accountResolver = null;
+
+function getAccountResolver() {
+  if (!accountResolver) {
+    accountResolver = createAccountResolver({
+      chainRegistry,
+      providers: Object.fromEntries(
+        chainRegistry.chains
+          .filter((chain) => chain.rpcUrls.length)
+          .map((chain) => [chain.chainId, getChainProvider(chain.chainId)])
+      ),
+      getEntryPointAddress: (chainId) => chainRegistry.getContract(chainId, "EntryPoint") || ENTRYPOINT_V06,
+    });
+  }
+  return accountResolver;
+}
+
+/**
+ * The owner's SuperAccount on every configured chain, from each chain's SuperAccountFactory
+ * (the same resolver behind the bundler's GET /api/smart-accounts/:owner)
+ * @param {string} owner - The user's EOA
+ * @returns {Promise<Object>} {owner, salt, address, chains: [{chainId, factory, entryPoint, address,
+ * deployed, nonce, initCode} | {chainId, error}]}; address is null without factories
+ */
+export function getSmartAccount(owner) {
+  return getAccountResolver().resolve(ethers.getAddress(owner), ACCOUNT_SALT);
+}
+
+/**
+ * UserOp sender fields for a chain: the owner's SuperAccount, with initCode until its first UserOp
+ * deploys it, when the chain has a SuperAccountFactory; otherwise the owner's EOA
+ * @param {ethers.Provider} provider - Wallet provider (EOA nonce)
+ * @param {string} owner - The user's EOA
+ * @param {number} chainId - Chain the UserOp runs on
+ * @returns {Promise<Object>} {userOp: {sender, nonce, initCode, callData}, entryPoint (null for an EOA sender)}
+ */
+export async function prepareSender(provider, owner, chainId) {
+  const { chains } = await getSmartAccount(owner);
+  const chain = chains.find((entry) => entry.chainId === Number(chainId));
+  if (chain?.factory && !chain.address) {
+    throw new Error(`Could not resolve smart account on chain ${chainId}: ${chain.error}`);
+  }
+  if (!chain?.address) {
+    return {
+      entryPoint: null,
+      userOp: { sender: owner, nonce: (await provider.getTransactionCount(owner)).toString(), callData: "0x" },
+    };
+  }
+  return {
+    entryPoint: chain.entryPoint,
+    userOp: { sender: chain.address, nonce: chain.nonce, initCode: chain.initCode, callData: "0x" },
+  };
+}
+
+/**
+ * Give a SuperAccount UserOp the callData that runs the payload's actions: the account's own
+ * OmnichainSuperAccountRouter calls (see bundler/accountCalls.js), dispatched as the bundler's quote
+ * says, with each LayerZero message paying the quoted fee plus a buffer the router refunds
+ * An EOA sender keeps empty callData; the bundler dispatches its actions.
+ * @param {string} bundlerUrl - Bundler base URL
+ * @param {Object} sender - From prepareSender
+ * @param {Object} payload - Serializable payload, exactly as it is signed and submitted
+ * @param {number} chainId - Chain the UserOp runs on
+ * @returns {Promise<Object>} The UserOp with its callData
+ */
+export async function withPayloadCalls(bundlerUrl, sender, payload, chainId) {
+  if (!sender.entryPoint) {
+    return sender.userOp;
+  }
+  const quote = await quotePayload(bundlerUrl, payload);
+  const unquoted = quote.actions.find((action) => action.method === "layerzero_oapp" && action.error);
+  if (unquoted) {
+    throw new Error(`Could not quote LayerZero fees: ${unquoted.error}`);
+  }
+
+  const identities = payload.actions.map((action, index) => createActionIdentity(payload, index));
+  const methods = payload.actions.map((action, index) => quote.actions.find((entry) => entry.index === index));
+  const fees = Object.fromEntries(
+    Object.entries(getLayerZeroFees(quote.actions)).map(([eid, fee]) => [eid, withFeeBuffer(fee)])
+  );
+  const calls = buildAccountCalls(payload, planAccountCalls(payload, identities, methods), {
+    chainRegistry,
+    routerAddress: chainRegistry.getContract(chainId, "OmnichainSuperAccountRouter"),
+    fees,
+  });
+  return { ...sender.userOp, callData: calls.length ? encodeCallData(calls) : "0x" };
+}
+
+/**
+ * The payload as it is signed: bound to its UserOp by userOpHash (see EIL_PAYLOAD_TYPES), so the
+ * bundler can only submit it with that exact UserOp
+ * @param {Object} payload - Serializable payload
+ * @param {Object} userOp - The final UserOp: gas fields, paymasterAndData and callData set
+ * @param {number} chainId - Chain the UserOp runs on
+ * @returns {Object} The payload with userOpHash
+ */
+export function withUserOpHash(payload, userOp, chainId) {
+  const entryPoint = chainRegistry.getContract(chainId, "EntryPoint") || ENTRYPOINT_V06;
+  return { ...payload, userOpHash: getUserOpHash(buildUserOperation(userOp), entryPoint, chainId) };
+}
+
+/**
+ * Have the owner sign a SuperAccount UserOp: an EIP-191 signature over its userOpHash
+ * The UserOp must be final (gas fields and paymasterAndData), since the hash covers them.
+ * @returns {Promise<Object>} The UserOp with its signature
+ */
+export async function signUserOp(provider, userOp, entryPoint, chainId) {
+  const signer = await provider.getSigner();
+  const userOpHash = getUserOpHash(buildUserOperation(userOp), entryPoint, chainId);
+  return { ...userOp, signature: await signer.signMessage(ethers.getBytes(userOpHash)) };
+}
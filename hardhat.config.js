@@ -1,5 +1,34 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { task } = require("hardhat/config");
+const { TASK_TEST } = require("hardhat/builtin-tasks/task-names");
+const { loadRegistry, getChainEnvName } = require("./scripts/chainRegistry");
+
+// Bundler modules under test log JSON lines to stdout; keep them out of the test output
+// unless LOG_LEVEL asks for them
+task(TASK_TEST, async (args, hre, runSuper) => {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+  return runSuper(args);
+});
+
+/**
+ * Hardhat networks for every chain in chains.json
+ * RPC_<NAME> and PRIVATE_KEY_<NAME> (e.g. RPC_CHAIN_A, PRIVATE_KEY_OPTIMISM_SEPOLIA) override the URL and deployer key.
+ */
+function buildRegistryNetworks() {
+  const networks = {};
+  for (const [key, chain] of Object.entries(loadRegistry().chains || {})) {
+    if (!chain.chainId) continue;
+    const envName = getChainEnvName(key);
+    const privateKey = process.env[`PRIVATE_KEY_${envName}`];
+    networks[key] = {
+      url: process.env[`RPC_${envName}`] || chain.rpcUrls?.[0] || "",
+      chainId: Number(chain.chainId),
+      accounts: privateKey ? [privateKey] : [],
+    };
+  }
+  return networks;
+}
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -26,16 +55,8 @@ module.exports = {
     ],
   },
   networks: {
-    chainA: {
-      url: process.env.RPC_CHAIN_A || "https://sepolia.base.org",
-      chainId: parseInt(process.env.CHAIN_A_ID || "84532"),
-      accounts: process.env.PRIVATE_KEY_CHAIN_A ? [process.env.PRIVATE_KEY_CHAIN_A] : [],
-    },
-    chainB: {
-      url: process.env.RPC_CHAIN_B || "https://sepolia-rollup.arbitrum.io/rpc",
-      chainId: parseInt(process.env.CHAIN_B_ID || "421614"),
-      accounts: process.env.PRIVATE_KEY_CHAIN_B ? [process.env.PRIVATE_KEY_CHAIN_B] : [],
-    },
+    // One network per chain in chains.json, named by its registry key
+    ...buildRegistryNetworks(),
     localhost: {
       url: "http://127.0.0.1:8545",
     },
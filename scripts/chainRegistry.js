@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+const { getChainEnvName } = require("../bundler/chainEnvName.cjs");
+
+/**
+ * Hardhat-side access to the chain registry (chains.json)
+ *
+ * Chains are keyed by hardhat network name. Deploy scripts read and write contract addresses
+ * through loadDeployments/saveDeployments, which expose the registry as {network: contracts}
+ * so the bundler and frontend pick up new deployments without any other change.
+ * Like the bundler and frontend, scripts use CHAIN_REGISTRY_PATH if set, otherwise the root chains.json.
+ */
+
+const REGISTRY_PATH = process.env.CHAIN_REGISTRY_PATH || path.join(__dirname, "..", "chains.json");
+
+// Deployment details scripts record next to their contracts, kept under a chain's "meta" rather than
+// "contracts" (which only maps contract names to addresses)
+const META_KEYS = ["network", "deployer", "Owner", "trustedRouter", "vaultToken"];
+
+function loadRegistry() {
+  if (!fs.existsSync(REGISTRY_PATH)) {
+    throw new Error(`Chain registry not found at ${REGISTRY_PATH}`);
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf8"));
+}
+
+function saveRegistry(registry) {
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, 2) + "\n");
+}
+
+/**
+ * Registry entry for a hardhat network, or null if the network is not in the registry
+ */
+function getChainConfig(network) {
+  const chain = loadRegistry().chains?.[network];
+  return chain ? { ...chain, key: network } : null;
+}
+
+/**
+ * RPC URL of a network: RPC_<NAME> if set, otherwise the first registry RPC
+ */
+function getRpcUrl(network) {
+  const url = process.env[`RPC_${getChainEnvName(network)}`] || getChainConfig(network)?.rpcUrls?.[0];
+  if (!url) {
+    throw new Error(`No RPC configured for ${network} in chains.json`);
+  }
+  return url;
+}
+
+/**
+ * The registry's default route: {source, destination} chain entries (sourceChain/destinationChain)
+ */
+function getDefaultRoute() {
+  const registry = loadRegistry();
+  const source = getChainConfig(registry.sourceChain);
+  const destination = getChainConfig(registry.destinationChain);
+  if (!source || !destination) {
+    throw new Error("chains.json must define sourceChain and destinationChain");
+  }
+  return { source, destination };
+}
+
+/**
+ * LayerZero endpoint ID of a network
+ */
+function getLayerZeroEid(network) {
+  const eid = getChainConfig(network)?.layerZero?.eid;
+  if (!eid) {
+    throw new Error(`No LayerZero EID configured for ${network} in chains.json`);
+  }
+  return eid;
+}
+
+/**
+ * Every other LayerZero-enabled chain in the registry
+ */
+function getPeerChains(network) {
+  return Object.entries(loadRegistry().chains || {})
+    .filter(([key, chain]) => key !== network && chain.layerZero?.eid)
+    .map(([key, chain]) => ({ ...chain, key }));
+}
+
+/**
+ * Deployed contract addresses per network, with each network's meta fields alongside:
+ * {chainA: {SwapAdapter, ..., deployer, trustedRouter}, ...}
+ */
+function loadDeployments() {
+  const registry = loadRegistry();
+  return Object.fromEntries(
+    Object.entries(registry.chains || {}).map(([key, chain]) => [key, { ...chain.meta, ...chain.contracts }])
+  );
+}
+
+/**
+ * Write contract addresses back into the registry, moving META_KEYS fields to the chain's meta
+ * Networks without a registry entry (e.g. localhost) get one holding only their contracts.
+ */
+function saveDeployments(deployments) {
+  const registry = loadRegistry();
+  registry.chains = registry.chains || {};
+  for (const [network, fields] of Object.entries(deployments)) {
+    const contracts = {};
+    const meta = { ...registry.chains[network]?.meta };
+    for (const [name, value] of Object.entries(fields)) {
+      if (META_KEYS.includes(name)) {
+        meta[name] = value;
+      } else {
+        contracts[name] = value;
+      }
+    }
+    registry.chains[network] = {
+      ...registry.chains[network],
+      contracts,
+      ...(Object.keys(meta).length ? { meta } : {}),
+    };
+  }
+  saveRegistry(registry);
+  return REGISTRY_PATH;
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  loadRegistry,
+  saveRegistry,
+  getChainEnvName,
+  getChainConfig,
+  getRpcUrl,
+  getDefaultRoute,
+  getLayerZeroEid,
+  getPeerChains,
+  loadDeployments,
+  saveDeployments,
+};
@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getDefaultRoute, getPeerChains, getRpcUrl } = require("./chainRegistry");
 const { ethers } = require("ethers");
 
 async function main() {
@@ -14,28 +13,24 @@ async function main() {
 
   console.log(`\nChecking LayerZero message status for transaction: ${txHash}\n`);
 
-  // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  // Load the default route from the chain registry
+  const { source: chainA, destination: chainB } = getDefaultRoute();
 
-  // Check on Chain A (Base Sepolia) - source chain
-  console.log("=== Checking Source Chain (Base Sepolia) ===");
-  const providerChainA = new ethers.JsonRpcProvider(process.env.CHAIN_A_RPC || "https://sepolia.base.org");
+  // Check on Chain A - source chain
+  console.log(`=== Checking Source Chain (${chainA.name}) ===`);
+  const providerChainA = new ethers.JsonRpcProvider(getRpcUrl(chainA.key));
   
   try {
     const receiptA = await providerChainA.getTransactionReceipt(txHash);
     if (receiptA) {
-      console.log("✅ Transaction found on Base Sepolia");
+      console.log(`✅ Transaction found on ${chainA.name}`);
       console.log(`Block: ${receiptA.blockNumber}`);
       console.log(`Status: ${receiptA.status === 1 ? "Success" : "Failed"}`);
       console.log(`From: ${receiptA.from}`);
       console.log(`To: ${receiptA.to}`);
       
       // Check if it's a router transaction
-      const routerA = deployments.chainA?.OmnichainSuperAccountRouter;
+      const routerA = chainA.contracts?.OmnichainSuperAccountRouter;
       if (receiptA.to && receiptA.to.toLowerCase() === routerA?.toLowerCase()) {
         console.log("\n✅ This is a LayerZero send transaction from the router");
         
@@ -56,12 +51,13 @@ async function main() {
             if (parsed && parsed.name === "CrossChainActionSent") {
               console.log("\n📤 LayerZero Message Sent:");
               console.log(`   Action ID: ${parsed.args.actionId}`);
-              console.log(`   Destination EID: ${parsed.args.dstEid} (${parsed.args.dstEid === 40231 ? "Arbitrum Sepolia" : "Unknown"})`);
+              const dstChain = getPeerChains(chainA.key).find((peer) => peer.layerZero.eid === Number(parsed.args.dstEid));
+              console.log(`   Destination EID: ${parsed.args.dstEid} (${dstChain?.name || "Unknown"})`);
               console.log(`   Target Adapter: ${parsed.args.targetAdapter}`);
               console.log("\n⏳ Message is being delivered via LayerZero...");
               console.log("   LayerZero messages typically take 30-60 seconds to deliver");
               console.log("\n💡 To check if it was received on destination chain:");
-              console.log(`   Check router events on Arbitrum Sepolia: ${deployments.chainB?.OmnichainSuperAccountRouter}`);
+              console.log(`   Check router events on ${dstChain?.name || chainB.name}: ${(dstChain || chainB).contracts?.OmnichainSuperAccountRouter}`);
             }
           } catch (e) {
             // Not a router event, skip
@@ -69,19 +65,19 @@ async function main() {
         }
       }
     } else {
-      console.log("❌ Transaction not found on Base Sepolia");
+      console.log(`❌ Transaction not found on ${chainA.name}`);
     }
   } catch (error) {
-    console.log("❌ Error checking Base Sepolia:", error.message);
+    console.log(`❌ Error checking ${chainA.name}:`, error.message);
   }
 
-  // Check on Chain B (Arbitrum Sepolia) - destination chain
-  console.log("\n=== Checking Destination Chain (Arbitrum Sepolia) ===");
-  const providerChainB = new ethers.JsonRpcProvider(process.env.CHAIN_B_RPC || "https://sepolia-rollup.arbitrum.io/rpc");
-  const routerB = deployments.chainB?.OmnichainSuperAccountRouter;
+  // Check on Chain B - destination chain
+  console.log(`\n=== Checking Destination Chain (${chainB.name}) ===`);
+  const providerChainB = new ethers.JsonRpcProvider(getRpcUrl(chainB.key));
+  const routerB = chainB.contracts?.OmnichainSuperAccountRouter;
   
   if (routerB) {
-    console.log(`Checking router events on Arbitrum Sepolia: ${routerB}`);
+    console.log(`Checking router events on ${chainB.name}: ${routerB}`);
     
     const routerABI = [
       "event CrossChainActionReceived(bytes32 indexed actionId, uint32 srcEid, address indexed userAccount, address targetAdapter, bool success)"
@@ -100,7 +96,7 @@ async function main() {
       );
       
       if (events.length > 0) {
-        console.log(`\n✅ Found ${events.length} received action(s) on Arbitrum Sepolia:\n`);
+        console.log(`\n✅ Found ${events.length} received action(s) on ${chainB.name}:\n`);
         events.slice(-5).forEach((event, i) => {
           const args = event.args;
           console.log(`   ${i + 1}. Action ID: ${args.actionId}`);
@@ -109,7 +105,7 @@ async function main() {
           console.log(`      Adapter: ${args.targetAdapter}`);
           console.log(`      Success: ${args.success ? "✅" : "❌"}`);
           console.log(`      Block: ${event.blockNumber}`);
-          console.log(`      TX: https://sepolia.arbiscan.io/tx/${event.transactionHash}\n`);
+          console.log(`      TX: ${chainB.explorerUrl}/tx/${event.transactionHash}\n`);
         });
       } else {
         console.log("\n⏳ No actions received yet. Message may still be in transit.");
@@ -1,60 +1,55 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getDefaultRoute } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
   console.log(`\nChecking OmnichainSuperAccountRouter configuration on ${network}...`);
 
-  // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found.");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  // Load the default route from the chain registry
+  const { source: chainA, destination: chainB } = getDefaultRoute();
   
   const [deployer] = await hre.ethers.getSigners();
   console.log("Checking with account:", deployer.address);
 
   // Check router on Chain A
-  if (deployments.chainA?.OmnichainSuperAccountRouter) {
-    console.log("\n=== Chain A (Base Sepolia) ===");
+  if (chainA.contracts?.OmnichainSuperAccountRouter) {
+    console.log(`\n=== Chain A (${chainA.name}) ===`);
     const routerA = await hre.ethers.getContractAt(
       "OmnichainSuperAccountRouter",
-      deployments.chainA.OmnichainSuperAccountRouter
+      chainA.contracts.OmnichainSuperAccountRouter
     );
     
     // Check trusted adapters for each EID
-    const chainBEid = 40231; // Arbitrum Sepolia
+    const chainBEid = chainB.layerZero.eid;
     const trustedAdapterB = await routerA.trustedAdapters(chainBEid);
-    console.log(`Trusted adapter for EID ${chainBEid} (Arbitrum Sepolia):`, trustedAdapterB);
-    console.log(`Expected NFTAdapter:`, deployments.chainB?.NFTAdapter);
+    console.log(`Trusted adapter for EID ${chainBEid} (${chainB.name}):`, trustedAdapterB);
+    console.log(`Expected NFTAdapter:`, chainB.contracts?.NFTAdapter);
     
-    if (trustedAdapterB.toLowerCase() !== deployments.chainB?.NFTAdapter?.toLowerCase()) {
-      console.log("❌ MISMATCH! Router doesn't trust NFTAdapter for Arbitrum Sepolia");
+    if (trustedAdapterB.toLowerCase() !== chainB.contracts?.NFTAdapter?.toLowerCase()) {
+      console.log(`❌ MISMATCH! Router doesn't trust NFTAdapter for ${chainB.name}`);
     } else {
-      console.log("✅ Router trusts NFTAdapter for Arbitrum Sepolia");
+      console.log(`✅ Router trusts NFTAdapter for ${chainB.name}`);
     }
   }
 
   // Check router on Chain B
-  if (deployments.chainB?.OmnichainSuperAccountRouter) {
-    console.log("\n=== Chain B (Arbitrum Sepolia) ===");
+  if (chainB.contracts?.OmnichainSuperAccountRouter) {
+    console.log(`\n=== Chain B (${chainB.name}) ===`);
     const routerB = await hre.ethers.getContractAt(
       "OmnichainSuperAccountRouter",
-      deployments.chainB.OmnichainSuperAccountRouter
+      chainB.contracts.OmnichainSuperAccountRouter
     );
     
     // Check trusted adapters for each EID
-    const chainAEid = 40245; // Base Sepolia
+    const chainAEid = chainA.layerZero.eid;
     const trustedAdapterA = await routerB.trustedAdapters(chainAEid);
-    console.log(`Trusted adapter for EID ${chainAEid} (Base Sepolia):`, trustedAdapterA);
-    console.log(`Expected SwapAdapter:`, deployments.chainA?.SwapAdapter);
+    console.log(`Trusted adapter for EID ${chainAEid} (${chainA.name}):`, trustedAdapterA);
+    console.log(`Expected SwapAdapter:`, chainA.contracts?.SwapAdapter);
     
-    if (trustedAdapterA.toLowerCase() !== deployments.chainA?.SwapAdapter?.toLowerCase()) {
-      console.log("❌ MISMATCH! Router doesn't trust SwapAdapter for Base Sepolia");
+    if (trustedAdapterA.toLowerCase() !== chainA.contracts?.SwapAdapter?.toLowerCase()) {
+      console.log(`❌ MISMATCH! Router doesn't trust SwapAdapter for ${chainA.name}`);
     } else {
-      console.log("✅ Router trusts SwapAdapter for Base Sepolia");
+      console.log(`✅ Router trusts SwapAdapter for ${chainA.name}`);
     }
   }
 
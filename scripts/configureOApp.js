@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, getChainConfig, getPeerChains } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
@@ -10,12 +9,7 @@ async function main() {
   console.log("Configuring with account:", deployer.address);
 
   // Load deployment addresses
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("Deployments file not found. Deploy contracts first.");
-  }
-  
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
   
   if (!networkDeployments || !networkDeployments.OmnichainSuperAccountRouter) {
@@ -29,91 +23,59 @@ async function main() {
   const OmnichainRouter = await hre.ethers.getContractFactory("OmnichainSuperAccountRouter");
   const router = OmnichainRouter.attach(routerAddress);
 
-  // Configuration based on network
-  // For Chain A: We send to Chain B, so we need to trust Chain B's adapter (NFTAdapter)
-  // For Chain B: We send to Chain A, so we need to trust Chain A's adapter (SwapAdapter)
-  const configs = {
-    chainA: {
-      name: "Base Sepolia",
-      eid: 40245, // Base Sepolia EID (local)
-      peerEid: 40231, // Arbitrum Sepolia EID (destination we send to)
-      // For Chain A router: trust Chain B's NFTAdapter for destination chain
-      adapterAddress: deployments.chainB?.NFTAdapter || networkDeployments.NFTAdapter || process.env.NFT_ADAPTER_ADDRESS
-    },
-    chainB: {
-      name: "Arbitrum Sepolia",
-      eid: 40231, // Arbitrum Sepolia EID (local)
-      peerEid: 40245, // Base Sepolia EID (destination we send to)
-      // For Chain B router: trust Chain A's SwapAdapter for destination chain
-      adapterAddress: deployments.chainA?.SwapAdapter || networkDeployments.SwapAdapter || process.env.SWAP_ADAPTER_ADDRESS
-    }
-  };
+  // Every other LayerZero chain in chains.json is a peer: we trust its router as the
+  // OApp peer and its adapter (NFTAdapter or SwapAdapter) as the destination adapter
+  const chain = getChainConfig(network);
+  const eid = chain?.layerZero?.eid || null;
+  const peers = getPeerChains(network);
 
-  const config = configs[network] || {
-    name: network,
-    eid: null,
-    peerEid: null,
-    adapterAddress: null
-  };
+  console.log(`\nConfiguring for ${chain?.name || network}...`);
 
-  console.log(`\nConfiguring for ${config.name}...`);
+  for (const peer of peers) {
+    const peerEid = peer.layerZero.eid;
+    const peerContracts = peer.contracts || {};
 
-  // 1. Set peer (required for LayerZero communication)
-  if (config.peerEid) {
+    // 1. Set peer (required for LayerZero communication)
     try {
-      // Get peer router address from other chain
-      const otherNetwork = network === "chainA" ? "chainB" : "chainA";
-      const otherDeployments = deployments[otherNetwork];
-      
-      if (otherDeployments && otherDeployments.OmnichainSuperAccountRouter) {
-        const peerAddress = otherDeployments.OmnichainSuperAccountRouter;
-        console.log(`Setting peer: EID ${config.peerEid} -> ${peerAddress}`);
+      if (peerContracts.OmnichainSuperAccountRouter) {
+        const peerAddress = peerContracts.OmnichainSuperAccountRouter;
+        console.log(`Setting peer: EID ${peerEid} (${peer.name || peer.key}) -> ${peerAddress}`);
         
         // Encode peer address as bytes32 (OApp uses bytes32 for peer encoding, right-padded with zeros)
         const peerBytes32 = ethers.zeroPadValue(peerAddress, 32);
         
-        const setPeerTx = await router.setPeer(config.peerEid, peerBytes32);
+        const setPeerTx = await router.setPeer(peerEid, peerBytes32);
         await setPeerTx.wait();
         console.log("Peer set successfully");
       } else {
-        console.log(`Warning: Peer router not deployed on ${otherNetwork} yet. Deploy both routers first.`);
+        console.log(`Warning: Peer router not deployed on ${peer.key} yet. Deploy both routers first.`);
       }
     } catch (error) {
       console.error("Error setting peer:", error.message);
     }
-  }
 
-  // 2. Set trusted adapter for destination chain (cross-chain)
-  if (config.peerEid && config.adapterAddress) {
-    try {
-      console.log(`Setting trusted adapter for EID ${config.peerEid} (destination): ${config.adapterAddress}`);
-      const setAdapterTx = await router.setTrustedAdapter(config.peerEid, config.adapterAddress);
-      await setAdapterTx.wait();
-      console.log("Trusted adapter set successfully for destination chain");
-    } catch (error) {
-      console.error("Error setting trusted adapter:", error.message);
+    // 2. Set trusted adapter for destination chain (cross-chain)
+    const adapterAddress = peerContracts.NFTAdapter || peerContracts.SwapAdapter;
+    if (adapterAddress) {
+      try {
+        console.log(`Setting trusted adapter for EID ${peerEid} (destination): ${adapterAddress}`);
+        const setAdapterTx = await router.setTrustedAdapter(peerEid, adapterAddress);
+        await setAdapterTx.wait();
+        console.log("Trusted adapter set successfully for destination chain");
+      } catch (error) {
+        console.error("Error setting trusted adapter:", error.message);
+      }
     }
   }
 
   // 3. Set trusted adapter for local chain (for local execution)
-  if (config.eid && networkDeployments) {
+  const localAdapter = networkDeployments.SwapAdapter || networkDeployments.NFTAdapter;
+  if (eid && localAdapter) {
     try {
-      // For Chain A: trust SwapAdapter for local execution (EID 40245)
-      // For Chain B: trust NFTAdapter for local execution (EID 40231)
-      let localAdapter;
-      if (network === "chainA" && networkDeployments.SwapAdapter) {
-        localAdapter = networkDeployments.SwapAdapter;
-        console.log(`Setting trusted adapter for local chain EID ${config.eid}: ${localAdapter} (SwapAdapter)`);
-      } else if (network === "chainB" && networkDeployments.NFTAdapter) {
-        localAdapter = networkDeployments.NFTAdapter;
-        console.log(`Setting trusted adapter for local chain EID ${config.eid}: ${localAdapter} (NFTAdapter)`);
-      }
-      
-      if (localAdapter) {
-        const setLocalAdapterTx = await router.setTrustedAdapter(config.eid, localAdapter);
-        await setLocalAdapterTx.wait();
-        console.log("Trusted adapter set successfully for local chain");
-      }
+      console.log(`Setting trusted adapter for local chain EID ${eid}: ${localAdapter}`);
+      const setLocalAdapterTx = await router.setTrustedAdapter(eid, localAdapter);
+      await setLocalAdapterTx.wait();
+      console.log("Trusted adapter set successfully for local chain");
     } catch (error) {
       console.error("Error setting local trusted adapter:", error.message);
     }
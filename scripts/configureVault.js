@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, getChainConfig, getPeerChains } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
@@ -10,12 +9,7 @@ async function main() {
   console.log("Configuring with account:", deployer.address);
 
   // Load deployment addresses
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("Deployments file not found. Deploy contracts first.");
-  }
-  
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
   
   if (!networkDeployments || !networkDeployments.OmnichainSuperAccountRouter) {
@@ -29,38 +23,23 @@ async function main() {
     deployer
   );
 
-  // Configuration based on network
-  const configs = {
-    chainA: {
-      name: "Base Sepolia",
-      eid: 40245, // Base Sepolia EID
-      peerEid: 40231, // Arbitrum Sepolia EID (destination)
-      localVaultAdapter: networkDeployments.VaultAdapter,
-      peerVaultAdapter: deployments.chainB?.VaultAdapter
-    },
-    chainB: {
-      name: "Arbitrum Sepolia",
-      eid: 40231, // Arbitrum Sepolia EID
-      peerEid: 40245, // Base Sepolia EID (destination)
-      localVaultAdapter: networkDeployments.VaultAdapter,
-      peerVaultAdapter: deployments.chainA?.VaultAdapter
-    }
-  };
-
-  const config = configs[network];
+  const chain = getChainConfig(network);
   
-  if (!config) {
+  if (!chain?.layerZero?.eid) {
     console.log(`No vault configuration for ${network}`);
     return;
   }
 
-  console.log(`\nConfiguring vault for ${config.name}...`);
+  const eid = chain.layerZero.eid;
+  const localVaultAdapter = networkDeployments.VaultAdapter;
+
+  console.log(`\nConfiguring vault for ${chain.name || network}...`);
 
   // Configure trusted vault adapter for local chain (for local vault operations)
-  if (config.localVaultAdapter && config.eid) {
+  if (localVaultAdapter) {
     try {
-      console.log(`Setting trusted vault adapter for local chain EID ${config.eid}: ${config.localVaultAdapter}`);
-      const setLocalTx = await router.setTrustedAdapter(config.eid, config.localVaultAdapter);
+      console.log(`Setting trusted vault adapter for local chain EID ${eid}: ${localVaultAdapter}`);
+      const setLocalTx = await router.setTrustedAdapter(eid, localVaultAdapter);
       await setLocalTx.wait();
       console.log("✅ Local vault adapter configured");
     } catch (error) {
@@ -69,13 +48,17 @@ async function main() {
     }
   }
 
-  // Configure trusted vault adapter for peer chain (for cross-chain vault operations)
-  if (config.peerVaultAdapter && config.peerEid) {
+  // Configure trusted vault adapter for each peer chain (for cross-chain vault operations)
+  for (const peer of getPeerChains(network)) {
+    const peerEid = peer.layerZero.eid;
+    const peerVaultAdapter = peer.contracts?.VaultAdapter;
+    if (!peerVaultAdapter) continue;
+
     try {
-      console.log(`Setting trusted vault adapter for peer chain EID ${config.peerEid}: ${config.peerVaultAdapter}`);
+      console.log(`Setting trusted vault adapter for peer chain EID ${peerEid}: ${peerVaultAdapter}`);
       
       // Check current trusted adapter
-      const currentTrusted = await router.trustedAdapters(config.peerEid);
+      const currentTrusted = await router.trustedAdapters(peerEid);
       
       // If there's already a trusted adapter (e.g., SwapAdapter or NFTAdapter), we need to decide:
       // Option 1: Replace it (vault only)
@@ -83,13 +66,13 @@ async function main() {
       // For now, we'll note that vault operations might need a separate router or different trust model
       
       if (currentTrusted !== "0x0000000000000000000000000000000000000000" && 
-          currentTrusted.toLowerCase() !== config.peerVaultAdapter.toLowerCase()) {
-        console.log(`⚠️  Warning: EID ${config.peerEid} already has trusted adapter: ${currentTrusted}`);
-        console.log(`    This will be replaced with VaultAdapter: ${config.peerVaultAdapter}`);
+          currentTrusted.toLowerCase() !== peerVaultAdapter.toLowerCase()) {
+        console.log(`⚠️  Warning: EID ${peerEid} already has trusted adapter: ${currentTrusted}`);
+        console.log(`    This will be replaced with VaultAdapter: ${peerVaultAdapter}`);
         console.log(`    Consider using separate routers or a different trust model for multiple adapters.`);
       }
       
-      const setPeerTx = await router.setTrustedAdapter(config.peerEid, config.peerVaultAdapter);
+      const setPeerTx = await router.setTrustedAdapter(peerEid, peerVaultAdapter);
       await setPeerTx.wait();
       console.log("✅ Peer vault adapter configured");
     } catch (error) {
@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, saveDeployments } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
@@ -34,11 +33,7 @@ async function main() {
   console.log("EILRouter deployed to:", eilRouterAddress);
 
   // Save deployment addresses
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  let allDeployments = {};
-  if (fs.existsSync(deploymentPath)) {
-    allDeployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-  }
+  const allDeployments = loadDeployments();
   allDeployments[network] = {
     ...allDeployments[network],
     SuperAccount: superAccountAddress,
@@ -48,8 +43,8 @@ async function main() {
     network,
     deployer: deployer.address,
   };
-  fs.writeFileSync(deploymentPath, JSON.stringify(allDeployments, null, 2));
-  console.log("Deployments saved to:", deploymentPath);
+  const registryPath = saveDeployments(allDeployments);
+  console.log("Deployments saved to:", registryPath);
 }
 
 main()
@@ -0,0 +1,73 @@
+const hre = require("hardhat");
+const { loadDeployments, saveDeployments } = require("./chainRegistry");
+
+// Deterministic deployment proxy (CREATE2 deployer at the same address on most chains)
+const CREATE2_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+async function main() {
+  const network = hre.network.name;
+  console.log(`Deploying SuperAccountFactory to ${network}...`);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Deploying with account:", deployer.address);
+  console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
+
+  const allDeployments = loadDeployments();
+  const ENTRYPOINT_ADDRESS = process.env.ENTRYPOINT_ADDRESS ||
+    allDeployments[network]?.EntryPoint ||
+    "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+  // Accounts only share an address across chains if the factory does: same salt, same EntryPoint
+  const FACTORY_SALT = process.env.FACTORY_SALT || hre.ethers.ZeroHash;
+
+  const SuperAccountFactory = await hre.ethers.getContractFactory("SuperAccountFactory");
+  const { data: initCode } = await SuperAccountFactory.getDeployTransaction(ENTRYPOINT_ADDRESS);
+  let factoryAddress;
+
+  if ((await hre.ethers.provider.getCode(CREATE2_DEPLOYER)) !== "0x") {
+    factoryAddress = hre.ethers.getCreate2Address(CREATE2_DEPLOYER, FACTORY_SALT, hre.ethers.keccak256(initCode));
+    if ((await hre.ethers.provider.getCode(factoryAddress)) !== "0x") {
+      console.log("SuperAccountFactory already deployed at:", factoryAddress);
+    } else {
+      const tx = await deployer.sendTransaction({ to: CREATE2_DEPLOYER, data: hre.ethers.concat([FACTORY_SALT, initCode]) });
+      await tx.wait();
+      console.log("SuperAccountFactory deployed to:", factoryAddress);
+    }
+  } else {
+    console.warn(`No CREATE2 deployer at ${CREATE2_DEPLOYER}: deploying from ${deployer.address}. ` +
+      "The factory, and so its accounts, will not share addresses with other chains.");
+    const factory = await SuperAccountFactory.deploy(ENTRYPOINT_ADDRESS);
+    await factory.waitForDeployment();
+    factoryAddress = await factory.getAddress();
+    console.log("SuperAccountFactory deployed to:", factoryAddress);
+  }
+
+  // The router lets this factory's accounts send and execute their own actions
+  const routerAddress = allDeployments[network]?.OmnichainSuperAccountRouter;
+  if (routerAddress) {
+    const router = await hre.ethers.getContractAt("OmnichainSuperAccountRouter", routerAddress, deployer);
+    if ((await router.accountFactory()) !== factoryAddress) {
+      const tx = await router.setAccountFactory(factoryAddress);
+      await tx.wait();
+      console.log(`Router ${routerAddress} now trusts accounts from the factory`);
+    }
+  } else {
+    console.warn("No OmnichainSuperAccountRouter deployed: run router.setAccountFactory once it is");
+  }
+
+  allDeployments[network] = {
+    ...allDeployments[network],
+    SuperAccountFactory: factoryAddress,
+    EntryPoint: ENTRYPOINT_ADDRESS,
+    network,
+    deployer: deployer.address,
+  };
+  const registryPath = saveDeployments(allDeployments);
+  console.log("Deployments saved to:", registryPath);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, saveDeployments, getChainConfig } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
@@ -10,9 +9,8 @@ async function main() {
   console.log("Deploying with account:", deployer.address);
   console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
-  // LayerZero Endpoint V2 address for testnet
-  const LAYERZERO_ENDPOINT = process.env.LAYER0_ENDPOINT_CHAIN_A || 
-                              process.env.LAYER0_ENDPOINT_CHAIN_B || 
+  // LayerZero Endpoint V2 address for this chain (chains.json), testnet endpoint by default
+  const LAYERZERO_ENDPOINT = getChainConfig(network)?.layerZero?.endpoint ||
                               "0x6EDCE65403992e310A62460808c4b910D972f10f";
 
   console.log("LayerZero Endpoint:", LAYERZERO_ENDPOINT);
@@ -45,11 +43,7 @@ async function main() {
   }
 
   // Get deployed adapter addresses if they exist
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  let deployments = {};
-  if (fs.existsSync(deploymentPath)) {
-    deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-  }
+  const deployments = loadDeployments();
 
   // Save deployment
   if (!deployments[network]) {
@@ -59,8 +53,8 @@ async function main() {
   deployments[network].LayerZeroEndpoint = LAYERZERO_ENDPOINT;
   deployments[network].deployer = deployer.address;
   
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployments, null, 2));
-  console.log("Deployments saved to:", deploymentPath);
+  const registryPath = saveDeployments(deployments);
+  console.log("Deployments saved to:", registryPath);
 
   // Next steps:
   console.log("\nNext steps:");
@@ -69,6 +63,9 @@ async function main() {
   console.log(`3. Set trusted adapters per chain`);
   console.log(`4. Authorize bundler: router.setAuthorizedExecutor(bundlerAddress, true)`);
   console.log(`5. Update .env: OMNICHAIN_ROUTER_ADDRESS=${routerAddress}`);
+  const factoryAddress = deployments[network].SuperAccountFactory;
+  console.log(`6. Let factory accounts act for themselves: router.setAccountFactory(${factoryAddress || "factoryAddress"})` +
+    (factoryAddress ? "" : " (scripts/deployAccountFactory.js does it)"));
 }
 
 main()
@@ -0,0 +1,54 @@
+const hre = require("hardhat");
+const { loadDeployments, saveDeployments } = require("./chainRegistry");
+
+async function main() {
+  const network = hre.network.name;
+  console.log(`Deploying VerifyingPaymaster to ${network}...`);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Deploying with account:", deployer.address);
+  console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
+
+  const allDeployments = loadDeployments();
+  const ENTRYPOINT_ADDRESS = process.env.ENTRYPOINT_ADDRESS ||
+    allDeployments[network]?.EntryPoint ||
+    "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+  // Address of the bundler's PAYMASTER_SIGNER_KEY, which approves sponsored UserOps
+  const SIGNER = process.env.PAYMASTER_SIGNER || deployer.address;
+
+  const VerifyingPaymaster = await hre.ethers.getContractFactory("VerifyingPaymaster");
+  const paymaster = await VerifyingPaymaster.deploy(ENTRYPOINT_ADDRESS, SIGNER);
+  await paymaster.waitForDeployment();
+  const paymasterAddress = await paymaster.getAddress();
+  console.log("VerifyingPaymaster deployed to:", paymasterAddress);
+  console.log("Verifying signer:", SIGNER);
+
+  // The EntryPoint charges sponsored UserOps to the paymaster's deposit
+  if (process.env.PAYMASTER_DEPOSIT_ETH) {
+    const tx = await paymaster.deposit({ value: hre.ethers.parseEther(process.env.PAYMASTER_DEPOSIT_ETH) });
+    await tx.wait();
+    console.log(`Deposited ${process.env.PAYMASTER_DEPOSIT_ETH} ETH with the EntryPoint`);
+  }
+  if (process.env.PAYMASTER_STAKE_ETH) {
+    const unstakeDelay = parseInt(process.env.PAYMASTER_UNSTAKE_DELAY_SEC || "86400");
+    const tx = await paymaster.addStake(unstakeDelay, { value: hre.ethers.parseEther(process.env.PAYMASTER_STAKE_ETH) });
+    await tx.wait();
+    console.log(`Staked ${process.env.PAYMASTER_STAKE_ETH} ETH (unstake delay ${unstakeDelay}s)`);
+  }
+
+  allDeployments[network] = {
+    ...allDeployments[network],
+    VerifyingPaymaster: paymasterAddress,
+    network,
+    deployer: deployer.address,
+  };
+  const registryPath = saveDeployments(allDeployments);
+  console.log("Deployments saved to:", registryPath);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+const hre = require("hardhat");
+const { loadDeployments, saveDeployments } = require("./chainRegistry");
+
+async function main() {
+  const network = hre.network.name;
+  console.log(`Deploying TokenPaymaster to ${network}...`);
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log("Deploying with account:", deployer.address);
+  console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
+
+  const allDeployments = loadDeployments();
+  const ENTRYPOINT_ADDRESS = process.env.ENTRYPOINT_ADDRESS ||
+    allDeployments[network]?.EntryPoint ||
+    "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+
+  const TokenPaymaster = await hre.ethers.getContractFactory("TokenPaymaster");
+  const paymaster = await TokenPaymaster.deploy(ENTRYPOINT_ADDRESS);
+  await paymaster.waitForDeployment();
+  const paymasterAddress = await paymaster.getAddress();
+  console.log("TokenPaymaster deployed to:", paymasterAddress);
+
+  // Allow-list the payment token, priced by a Chainlink feed (token price in ETH) or a fixed price
+  const TOKEN = process.env.PAYMASTER_TOKEN;
+  if (TOKEN && process.env.PAYMASTER_TOKEN_ORACLE) {
+    const maxOracleAge = parseInt(process.env.PAYMASTER_ORACLE_MAX_AGE_SEC || "86400");
+    const tx = await paymaster.setTokenOracle(TOKEN, process.env.PAYMASTER_TOKEN_ORACLE, maxOracleAge);
+    await tx.wait();
+    console.log(`Token ${TOKEN} priced by oracle ${process.env.PAYMASTER_TOKEN_ORACLE}`);
+  } else if (TOKEN && process.env.PAYMASTER_TOKEN_PRICE_WEI) {
+    const tx = await paymaster.setTokenPrice(TOKEN, process.env.PAYMASTER_TOKEN_PRICE_WEI);
+    await tx.wait();
+    console.log(`Token ${TOKEN} priced at ${process.env.PAYMASTER_TOKEN_PRICE_WEI} wei per token`);
+  }
+
+  // The EntryPoint charges the UserOps' gas to the paymaster's deposit; validation reads token
+  // balances, so bundlers also require a stake
+  if (process.env.PAYMASTER_DEPOSIT_ETH) {
+    const tx = await paymaster.deposit({ value: hre.ethers.parseEther(process.env.PAYMASTER_DEPOSIT_ETH) });
+    await tx.wait();
+    console.log(`Deposited ${process.env.PAYMASTER_DEPOSIT_ETH} ETH with the EntryPoint`);
+  }
+  if (process.env.PAYMASTER_STAKE_ETH) {
+    const unstakeDelay = parseInt(process.env.PAYMASTER_UNSTAKE_DELAY_SEC || "86400");
+    const tx = await paymaster.addStake(unstakeDelay, { value: hre.ethers.parseEther(process.env.PAYMASTER_STAKE_ETH) });
+    await tx.wait();
+    console.log(`Staked ${process.env.PAYMASTER_STAKE_ETH} ETH (unstake delay ${unstakeDelay}s)`);
+  }
+
+  allDeployments[network] = {
+    ...allDeployments[network],
+    TokenPaymaster: paymasterAddress,
+    network,
+    deployer: deployer.address,
+  };
+  const registryPath = saveDeployments(allDeployments);
+  console.log("Deployments saved to:", registryPath);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
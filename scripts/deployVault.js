@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, saveDeployments, getChainConfig } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
@@ -11,11 +10,7 @@ async function main() {
   console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
   // Load deployments to get router address
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  let deployments = {};
-  if (fs.existsSync(deploymentPath)) {
-    deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
-  }
+  const deployments = loadDeployments();
 
   const networkDeployments = deployments[network] || {};
   const routerAddress = networkDeployments.OmnichainSuperAccountRouter || process.env.OMNICHAIN_ROUTER_ADDRESS;
@@ -56,25 +51,17 @@ async function main() {
   deployments[network].VaultAdapter = adapterAddress;
   deployments[network].vaultToken = tokenAddress;
   
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployments, null, 2));
-  console.log("Deployments saved to:", deploymentPath);
+  const registryPath = saveDeployments(deployments);
+  console.log("Deployments saved to:", registryPath);
 
   // Configure router to trust this adapter
   console.log("\nNext steps:");
   console.log("1. Set trusted adapter on router:");
-  console.log(`   router.setTrustedAdapter(${getChainEID(network)}, ${adapterAddress})`);
+  console.log(`   router.setTrustedAdapter(${getChainConfig(network)?.layerZero?.eid || 0}, ${adapterAddress})`);
   console.log("2. Deploy vault and adapter on the other chain");
   console.log("3. Test deposit/withdraw operations");
 }
 
-function getChainEID(network) {
-  const eidMap = {
-    chainA: 40245, // Base Sepolia
-    chainB: 40231, // Arbitrum Sepolia
-  };
-  return eidMap[network] || 0;
-}
-
 main()
   .then(() => process.exit(0))
   .catch((error) => {
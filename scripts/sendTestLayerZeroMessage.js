@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getDefaultRoute, getRpcUrl, getChainEnvName } = require("./chainRegistry");
 const { ethers } = require("ethers");
 
 /**
@@ -10,16 +9,12 @@ const { ethers } = require("ethers");
 async function main() {
   console.log("\n=== Sending Test LayerZero Cross-Chain Message ===\n");
 
-  // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  // Load the default route from the chain registry
+  const { source: chainA, destination: chainB } = getDefaultRoute();
 
-  const routerA = deployments.chainA?.OmnichainSuperAccountRouter;
-  const routerB = deployments.chainB?.OmnichainSuperAccountRouter;
-  const adapterB = deployments.chainB?.NFTAdapter;
+  const routerA = chainA.contracts?.OmnichainSuperAccountRouter;
+  const routerB = chainB.contracts?.OmnichainSuperAccountRouter;
+  const adapterB = chainB.contracts?.NFTAdapter;
 
   if (!routerA || !routerB || !adapterB) {
     throw new Error("Missing required contracts. Deploy first.");
@@ -30,10 +25,8 @@ async function main() {
   console.log("Using deployer:", deployer.address);
 
   // Connect to Chain A
-  const providerA = new ethers.JsonRpcProvider(
-    process.env.CHAIN_A_RPC || "https://sepolia.base.org"
-  );
-  const walletA = new ethers.Wallet(process.env.PRIVATE_KEY_CHAIN_A || deployer.privateKey, providerA);
+  const providerA = new ethers.JsonRpcProvider(getRpcUrl(chainA.key));
+  const walletA = new ethers.Wallet(process.env[`PRIVATE_KEY_${getChainEnvName(chainA.key)}`] || deployer.privateKey, providerA);
 
   const routerABI = [
     "function sendCrossChainAction(uint32 dstEid, tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId) action, tuple(uint128 nativeDropAmount, bytes executorLzReceiveOption) options) external payable returns (bytes32)",
@@ -51,7 +44,7 @@ async function main() {
   if (!isAuthorized) {
     console.log("⚠️  Deployer not authorized. Authorizing now...");
     // Note: This requires owner permissions
-    console.log("   Run: npx hardhat run scripts/authorizeBundler.js --network chainA");
+    console.log(`   Run: npx hardhat run scripts/authorizeBundler.js --network ${chainA.key}`);
     process.exit(1);
   }
 
@@ -86,7 +79,7 @@ async function main() {
   // Quote fee
   console.log("Step 1: Quoting LayerZero fee...");
   const fee = await routerContractA.quoteCrossChainAction(
-    40231, // Arbitrum Sepolia EID
+    chainB.layerZero.eid,
     action,
     options
   );
@@ -105,7 +98,7 @@ async function main() {
   const feeWithBuffer = fee.nativeFee + (fee.nativeFee / 10n); // 10% buffer
   
   const tx = await routerContractA.sendCrossChainAction(
-    40231, // Arbitrum Sepolia EID
+    chainB.layerZero.eid,
     action,
     options,
     { value: feeWithBuffer }
@@ -140,9 +133,7 @@ async function main() {
   // Now wait and check for receipt on Chain B
   console.log(`\n⏳ Waiting for LayerZero to deliver message (usually 30-60 seconds)...\n`);
   
-  const providerB = new ethers.JsonRpcProvider(
-    process.env.CHAIN_B_RPC || "https://sepolia-rollup.arbitrum.io/rpc"
-  );
+  const providerB = new ethers.JsonRpcProvider(getRpcUrl(chainB.key));
   const routerContractB = new ethers.Contract(routerB, routerABI, providerB);
 
   // Poll for received event (check every 5 seconds, max 2 minutes)
@@ -188,7 +179,7 @@ async function main() {
     console.log(`   1. LayerZero is still delivering (check LayerZero Scan)`);
     console.log(`   2. Message failed (check router configuration)`);
     console.log(`   3. Executor didn't call _lzReceive()`);
-    console.log(`\n   Check manually: npx hardhat run scripts/checkLayerZeroStatus.js --network chainA ${tx.hash}`);
+    console.log(`\n   Check manually: npx hardhat run scripts/checkLayerZeroStatus.js --network ${chainA.key} ${tx.hash}`);
   }
 
   console.log("\n✅ Test complete!");
@@ -1,12 +1,9 @@
 const hre = require("hardhat");
+const { loadDeployments, getLayerZeroEid } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
-  const fs = require("fs");
-  const path = require("path");
-  
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
   
   const routerAddress = networkDeployments.OmnichainSuperAccountRouter;
@@ -24,11 +21,7 @@ async function main() {
   const router = await hre.ethers.getContractAt("OmnichainSuperAccountRouter", routerAddress, deployer);
   
   // Get chain EID
-  const eidMap = {
-    chainA: 40245,
-    chainB: 40231
-  };
-  const eid = eidMap[network];
+  const eid = getLayerZeroEid(network);
   
   // Set VaultAdapter as trusted for local chain (same as SwapAdapter/NFTAdapter)
   const tx = await router.setTrustedAdapter(eid, vaultAdapterAddress);
@@ -1,41 +1,32 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getDefaultRoute, getRpcUrl } = require("./chainRegistry");
 const { ethers } = require("ethers");
 
 /**
  * Test script to verify LayerZero end-to-end message flow
- * Tests: Send message from Chain A → Receive on Chain B
+ * Tests: Send message from Chain A → Receive on Chain B (sourceChain/destinationChain in chains.json)
  */
 async function main() {
   console.log("\n=== LayerZero End-to-End Integration Test ===\n");
 
-  // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  // Load the default route from the chain registry
+  const { source: chainA, destination: chainB } = getDefaultRoute();
 
   // Check if routers are deployed on both chains
-  const routerA = deployments.chainA?.OmnichainSuperAccountRouter;
-  const routerB = deployments.chainB?.OmnichainSuperAccountRouter;
+  const routerA = chainA.contracts?.OmnichainSuperAccountRouter;
+  const routerB = chainB.contracts?.OmnichainSuperAccountRouter;
 
   if (!routerA || !routerB) {
     throw new Error("Routers not deployed on both chains. Deploy first.");
   }
 
   console.log("✅ Routers found:");
-  console.log(`   Chain A: ${routerA}`);
-  console.log(`   Chain B: ${routerB}\n`);
+  console.log(`   Chain A (${chainA.name}): ${routerA}`);
+  console.log(`   Chain B (${chainB.name}): ${routerB}\n`);
 
   // Connect to both chains
-  const providerA = new ethers.JsonRpcProvider(
-    process.env.CHAIN_A_RPC || "https://sepolia.base.org"
-  );
-  const providerB = new ethers.JsonRpcProvider(
-    process.env.CHAIN_B_RPC || "https://sepolia-rollup.arbitrum.io/rpc"
-  );
+  const providerA = new ethers.JsonRpcProvider(getRpcUrl(chainA.key));
+  const providerB = new ethers.JsonRpcProvider(getRpcUrl(chainB.key));
 
   const routerABI = [
     "function peers(uint32 eid) external view returns (bytes32 peer)",
@@ -53,8 +44,8 @@ async function main() {
 
   // 1. Check peer configuration
   console.log("=== Step 1: Checking Peer Configuration ===");
-  const EID_CHAIN_A = 40245; // Base Sepolia
-  const EID_CHAIN_B = 40231; // Arbitrum Sepolia
+  const EID_CHAIN_A = chainA.layerZero.eid;
+  const EID_CHAIN_B = chainB.layerZero.eid;
 
   try {
     // Check if Chain A has Chain B as peer
@@ -66,7 +57,7 @@ async function main() {
       console.log("✅ Chain A has Chain B configured as peer\n");
     } else {
       console.log("❌ Chain A peer mismatch! Expected:", routerB);
-      console.log("   Run: npx hardhat run scripts/configureOApp.js --network chainA\n");
+      console.log(`   Run: npx hardhat run scripts/configureOApp.js --network ${chainA.key}\n`);
     }
 
     // Check if Chain B has Chain A as peer
@@ -78,7 +69,7 @@ async function main() {
       console.log("✅ Chain B has Chain A configured as peer\n");
     } else {
       console.log("❌ Chain B peer mismatch! Expected:", routerA);
-      console.log("   Run: npx hardhat run scripts/configureOApp.js --network chainB\n");
+      console.log(`   Run: npx hardhat run scripts/configureOApp.js --network ${chainB.key}\n`);
     }
   } catch (error) {
     console.log("❌ Error checking peers:", error.message);
@@ -145,9 +136,9 @@ async function main() {
   console.log("✅ Peer addresses match router addresses");
   console.log("✅ Recent sent/received events on both chains");
   console.log("\nIf not configured:");
-  console.log("1. Deploy routers: npx hardhat run scripts/deployLayerZeroRouter.js --network chainA");
-  console.log("2. Configure peers: npx hardhat run scripts/configureOApp.js --network chainA");
-  console.log("3. Repeat for chainB");
+  console.log(`1. Deploy routers: npx hardhat run scripts/deployLayerZeroRouter.js --network ${chainA.key}`);
+  console.log(`2. Configure peers: npx hardhat run scripts/configureOApp.js --network ${chainA.key}`);
+  console.log(`3. Repeat for ${chainB.key}`);
   console.log("4. Test by sending a message from the frontend or bundler\n");
 }
 
@@ -1,17 +1,12 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
   console.log(`\nUpdating adapters for local actions on ${network}...`);
 
   // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found. Deploy contracts first.");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
 
   if (!networkDeployments) {
@@ -1,6 +1,5 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments } = require("./chainRegistry");
 const { ethers } = require("ethers");
 
 async function main() {
@@ -8,11 +7,7 @@ async function main() {
   console.log(`\nUpdating adapters via router for HACK_MODE on ${network}...`);
 
   // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found. Deploy contracts first.");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
 
   if (!networkDeployments) {
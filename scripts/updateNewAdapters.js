@@ -1,17 +1,12 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, saveDeployments } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
   console.log(`\nUpdating new adapters to trust new routers on ${network}...`);
 
   // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found.");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
 
   if (!networkDeployments) {
@@ -73,10 +68,10 @@ async function main() {
     }
   }
 
-  // Update deployments.json
+  // Update chains.json
   networkDeployments.trustedRouter = newRouterAddress;
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployments, null, 2));
-  console.log("\n✅ Updated deployments.json");
+  saveDeployments(deployments);
+  console.log("\n✅ Updated chains.json");
 }
 
 main()
@@ -1,17 +1,12 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployments, saveDeployments } = require("./chainRegistry");
 
 async function main() {
   const network = hre.network.name;
   console.log(`\nUpdating VaultAdapters to trust routers on ${network}...`);
 
   // Load deployments
-  const deploymentPath = path.join(__dirname, "..", "deployments.json");
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("deployments.json not found. Deploy contracts first.");
-  }
-  const deployments = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+  const deployments = loadDeployments();
   const networkDeployments = deployments[network];
 
   if (!networkDeployments) {
@@ -77,10 +72,10 @@ async function main() {
     }
   }
 
-  // Update trustedRouter in deployments.json
+  // Update trustedRouter in chains.json
   networkDeployments.trustedRouter = routerAddress;
-  fs.writeFileSync(deploymentPath, JSON.stringify(deployments, null, 2));
-  console.log("\n✅ Updated deployments.json");
+  saveDeployments(deployments);
+  console.log("\n✅ Updated chains.json");
 
   console.log("\n✅ Vault adapters configured!");
 }
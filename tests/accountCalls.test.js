@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * Smart accounts running their payload actions themselves: the router calls built into UserOp
+ * callData (bundler/accountCalls.js), the bundler's check of that callData, and the router letting
+ * a factory-deployed account act for itself. A signer stands in for the EntryPoint, so execute can be
+ * called directly.
+ */
+describe("Account Calls", function () {
+  // Code-only stand-in for the LayerZero endpoint: the OApp constructor only calls setDelegate
+  const ENDPOINT = "0x00000000000000000000000000000000000e1d00";
+  const REMOTE_CHAIN_ID = 421614;
+  const REMOTE_EID = 40231;
+
+  let createChainRegistry;
+  let createActionIdentity;
+  let encodeSwapCalldata;
+  let encodeVaultAction;
+  let encodeCallData;
+  let decodeCallData;
+  let buildAccountCalls;
+  let getLayerZeroFees;
+  let planAccountCalls;
+  let verifyAccountCallData;
+  let withFeeBuffer;
+  let owner;
+  let entryPoint;
+  let stranger;
+  let chainId;
+  let router;
+  let routerAddress;
+  let swapAdapter;
+  let account;
+  let chainRegistry;
+
+  before(async function () {
+    ({ createChainRegistry } = await import("../bundler/chainRegistry.js"));
+    ({ createActionIdentity, encodeSwapCalldata } = await import("../bundler/buildPayload.js"));
+    ({ encodeCallData, decodeCallData } = await import("../bundler/userOperation.js"));
+    ({ encodeVaultAction } = await import("../bundler/vaultActions.js"));
+    ({
+      buildAccountCalls,
+      getLayerZeroFees,
+      planAccountCalls,
+      verifyAccountCallData,
+      withFeeBuffer,
+    } = await import("../bundler/accountCalls.js"));
+    [owner, entryPoint, stranger] = await ethers.getSigners();
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+    await ethers.provider.send("hardhat_setCode", [ENDPOINT, "0x00"]);
+  });
+
+  beforeEach(async function () {
+    const Router = await ethers.getContractFactory("OmnichainSuperAccountRouter");
+    router = await Router.deploy(ENDPOINT, owner.address);
+    await router.waitForDeployment();
+    routerAddress = await router.getAddress();
+
+    const SwapAdapter = await ethers.getContractFactory("SwapAdapter");
+    swapAdapter = await SwapAdapter.deploy(routerAddress);
+    await swapAdapter.waitForDeployment();
+
+    // The router only lets accounts from its factory act for themselves
+    const SuperAccountFactory = await ethers.getContractFactory("SuperAccountFactory");
+    const factory = await SuperAccountFactory.deploy(entryPoint.address);
+    await factory.waitForDeployment();
+    await router.setAccountFactory(factory.target);
+    await factory.createAccount(owner.address, 0);
+    account = await ethers.getContractAt("SuperAccount", await factory.getAccountAddress(owner.address, 0));
+
+    chainRegistry = createChainRegistry({
+      chains: {
+        local: { chainId, contracts: { OmnichainSuperAccountRouter: routerAddress } },
+        remote: { chainId: REMOTE_CHAIN_ID, layerZero: { eid: REMOTE_EID }, contracts: {} },
+      },
+    });
+  });
+
+  function buildPayload(actions) {
+    return {
+      userAccount: account.target,
+      actions,
+      fileOps: [],
+      timestamp: "1700000000",
+      nonce: "1",
+      deadline: "1700000600",
+    };
+  }
+
+  function swapAction(amountIn, actionChainId = chainId) {
+    return { chainId: actionChainId, adapter: swapAdapter.target, calldata: encodeSwapCalldata({ amountIn }) };
+  }
+
+  function getIdentities(payload) {
+    return payload.actions.map((action, index) => createActionIdentity(payload, index));
+  }
+
+  function toRouterAction(userAccount, targetAdapter, adapterCalldata, actionId = ethers.id(adapterCalldata)) {
+    return { userAccount, targetAdapter, adapterCalldata, timestamp: 1700000000n, actionId };
+  }
+
+  it("Should run local actions from the account's own callData", async function () {
+    const payload = buildPayload([swapAction(1000n), swapAction(2000n)]);
+    const identities = getIdentities(payload);
+    const groups = planAccountCalls(payload, identities, payload.actions.map(() => ({ method: "local_via_router" })));
+    const calls = buildAccountCalls(payload, groups, { chainRegistry, routerAddress });
+    const callData = encodeCallData(calls);
+    expect(decodeCallData(callData)).to.have.lengthOf(2);
+    expect(verifyAccountCallData(callData, groups, calls)).to.deep.equal({ valid: true, reason: null });
+
+    await expect(entryPoint.sendTransaction({ to: account.target, data: callData }))
+      .to.emit(swapAdapter, "SwapExecuted")
+      .withArgs(account.target, ethers.ZeroAddress, ethers.ZeroAddress, 2000n, 2000n, routerAddress);
+    for (const { actionId } of identities) {
+      expect(await router.isActionExecuted(actionId)).to.equal(true);
+    }
+  });
+
+  it("Should only let an account run actions for itself", async function () {
+    const payload = buildPayload([swapAction(1000n)]);
+    const [identity] = getIdentities(payload);
+    const action = toRouterAction(account.target, swapAdapter.target, payload.actions[0].calldata, identity.actionId);
+    const options = { nativeDropAmount: 0n, executorLzReceiveOption: "0x" };
+    await expect(router.connect(stranger).executeLocalAction(action))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+    await expect(router.connect(stranger).sendBatchCrossChainActions(REMOTE_EID, [action], options))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+
+    // Authorized executors still act for any account
+    await expect(router.connect(owner).executeLocalAction(action)).to.emit(swapAdapter, "SwapExecuted");
+  });
+
+  it("Should not let EOAs or accounts from other factories act for themselves", async function () {
+    const calldata = encodeSwapCalldata({ amountIn: 1000n });
+    const options = { nativeDropAmount: 0n, executorLzReceiveOption: "0x" };
+
+    // An arbitrary EOA naming itself as the user account
+    const own = toRouterAction(stranger.address, swapAdapter.target, calldata);
+    await expect(router.connect(stranger).executeLocalAction(own))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+    await expect(router.connect(stranger).sendCrossChainAction(REMOTE_EID, own, options))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+    await expect(router.connect(stranger).sendBatchCrossChainActions(REMOTE_EID, [own], options))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+
+    // A SuperAccount deployed outside the factory, calling through its own execute
+    const SuperAccount = await ethers.getContractFactory("SuperAccount");
+    const unlisted = await SuperAccount.deploy(entryPoint.address, stranger.address);
+    await unlisted.waitForDeployment();
+    const unlistedAction = toRouterAction(unlisted.target, swapAdapter.target, calldata);
+    const callData = unlisted.interface.encodeFunctionData("execute", [
+      routerAddress,
+      0n,
+      router.interface.encodeFunctionData("executeLocalAction", [unlistedAction]),
+    ]);
+    await expect(entryPoint.sendTransaction({ to: unlisted.target, data: callData }))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+
+    // Without a factory, only executors and the owner act
+    await router.setAccountFactory(ethers.ZeroAddress);
+    const payload = buildPayload([swapAction(1000n)]);
+    const calls = buildAccountCalls(payload, planAccountCalls(payload, getIdentities(payload), [{ method: "local_via_router" }]), {
+      chainRegistry,
+      routerAddress,
+    });
+    await expect(entryPoint.sendTransaction({ to: account.target, data: encodeCallData(calls) }))
+      .to.be.revertedWith("OmnichainRouter: not authorized");
+  });
+
+  it("Should refuse vault cross-chain operations on the local path", async function () {
+    const OmnichainVault = await ethers.getContractFactory("OmnichainVault");
+    const vault = await OmnichainVault.deploy(ethers.ZeroAddress, owner.address, 500);
+    await vault.waitForDeployment();
+    const VaultAdapter = await ethers.getContractFactory("VaultAdapter");
+    const vaultAdapter = await VaultAdapter.deploy(routerAddress, vault.target);
+    await vaultAdapter.waitForDeployment();
+    await vault.setRouter(vaultAdapter.target);
+
+    // A CrossChainDeposit credits a balance moved by a LayerZero message; locally nothing moved
+    for (const operation of [2, 3]) {
+      const calldata = encodeVaultAction({ operation, user: owner.address, amount: 10n ** 18n, targetChainId: REMOTE_EID });
+      await expect(router.connect(owner).executeLocalAction(toRouterAction(owner.address, vaultAdapter.target, calldata)))
+        .to.be.revertedWith("VaultAdapter: cross-chain operation from local action");
+    }
+    expect(await vault.userBalances(owner.address)).to.equal(0n);
+
+    // Plain deposits still run locally
+    const deposit = encodeVaultAction({ operation: 0, user: owner.address, amount: 1000n, targetChainId: 0 });
+    await router.connect(owner).executeLocalAction(toRouterAction(owner.address, vaultAdapter.target, deposit), { value: 1000n });
+    expect(await vault.userBalances(owner.address)).to.equal(1000n);
+    expect(await router.executingLocalAction()).to.equal(false);
+  });
+
+  it("Should batch LayerZero actions per EID and check the fees they send", async function () {
+    const payload = buildPayload([swapAction(1000n), swapAction(2000n, REMOTE_CHAIN_ID), swapAction(3000n, REMOTE_CHAIN_ID)]);
+    const identities = getIdentities(payload);
+    const methods = [
+      { method: "local_via_router" },
+      { method: "layerzero_oapp", eid: REMOTE_EID },
+      { method: "layerzero_oapp", eid: REMOTE_EID },
+    ];
+    const groups = planAccountCalls(payload, identities, methods);
+    expect(groups.map((group) => group.actions.length)).to.deep.equal([1, 2]);
+    expect(() => buildAccountCalls(payload, groups, { chainRegistry, routerAddress })).to.throw(/No LayerZero fee/);
+    expect(() => planAccountCalls(payload, identities, [methods[0], { method: "layerzero_oapp" }, methods[2]]))
+      .to.throw(/EID not configured/);
+    // HACK_MODE direct calls stay with the bundler
+    expect(planAccountCalls(payload, identities, [methods[0], { method: "direct_call" }, { method: "direct_call" }]))
+      .to.have.lengthOf(1);
+
+    // Quoted batch fees are split over their actions; the shares add back up to the message fee
+    const fees = getLayerZeroFees([
+      { index: 0, method: "local_via_router", eid: null, lzFee: "0" },
+      { index: 1, method: "layerzero_oapp", eid: REMOTE_EID, lzFee: "501" },
+      { index: 2, method: "layerzero_oapp", eid: REMOTE_EID, lzFee: "500" },
+    ]);
+    expect(fees).to.deep.equal({ [REMOTE_EID]: 1001n });
+    const expected = buildAccountCalls(payload, groups, { chainRegistry, routerAddress, fees });
+    const buffered = buildAccountCalls(payload, groups, {
+      chainRegistry,
+      routerAddress,
+      fees: { [REMOTE_EID]: withFeeBuffer(fees[REMOTE_EID]) },
+    });
+    expect(buffered[1].value).to.equal(1101n);
+    expect(router.interface.parseTransaction({ data: buffered[1].data }).name).to.equal("sendBatchCrossChainActions");
+
+    expect(verifyAccountCallData(encodeCallData(buffered), groups, expected).valid).to.equal(true);
+    const underpaid = [buffered[0], { ...buffered[1], value: 1000n }];
+    expect(verifyAccountCallData(encodeCallData(underpaid), groups, expected).reason).to.match(/at least 1001/);
+    const reordered = [buffered[1], buffered[0]];
+    expect(verifyAccountCallData(encodeCallData(reordered), groups, expected).reason).to.match(/does not match/);
+    expect(verifyAccountCallData(encodeCallData([buffered[0]]), groups, expected).reason).to.match(/needs 2/);
+    expect(verifyAccountCallData("0x", groups, expected).valid).to.equal(false);
+    expect(verifyAccountCallData("0xdeadbeef", groups, expected).reason).to.match(/not a SuperAccount/);
+  });
+});
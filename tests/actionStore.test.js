@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The bundler's file-backed action store: batched writes and pruning of finished payloads
+ */
+describe("Bundler Action Store", function () {
+  const account = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  let createActionStore;
+  let tmpDir;
+  let filePath;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "action-store-"));
+    filePath = path.join(tmpDir, "actions.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function readFile() {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  function savePayload(store, hash, { jobStatus, actionStatus }) {
+    store.saveJob({ jobId: `job-${hash}`, payloadHash: hash, status: jobStatus, steps: [] });
+    store.savePayload({ hash, userAccount: account, jobId: `job-${hash}`, actionIds: [`action-${hash}`], status: "processed" });
+    store.saveAction({ actionId: `action-${hash}`, payloadHash: hash, userAccount: account, chainId: 1, status: actionStatus });
+  }
+
+  it("Should batch writes until the delay passes or flush is called", async function () {
+    const store = createActionStore(filePath, { writeDelayMs: 20 });
+    savePayload(store, "0x01", { jobStatus: "completed", actionStatus: "executed" });
+    expect(fs.existsSync(filePath)).to.equal(false);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(readFile().payloads).to.have.keys("0x01");
+
+    store.updatePayload("0x01", { status: "rejected" });
+    expect(readFile().payloads["0x01"].status).to.equal("processed");
+    store.flush();
+    expect(readFile().payloads["0x01"].status).to.equal("rejected");
+
+    // A restart must not lose pending transactions, so they are written at once
+    store.savePendingTx({ chainId: 1, nonce: 4, hashes: ["0xtx"] });
+    expect(readFile().pendingTxs).to.have.keys("1:4");
+    expect(createActionStore(filePath).getPendingTxs(1)).to.have.length(1);
+  });
+
+  it("Should prune only payloads that finished before the cutoff", async function () {
+    const store = createActionStore(filePath, { writeDelayMs: 0 });
+    savePayload(store, "0xdone", { jobStatus: "completed", actionStatus: "executed" });
+    savePayload(store, "0xpartial", { jobStatus: "partial", actionStatus: "failed" });
+    savePayload(store, "0xrunning", { jobStatus: "running", actionStatus: "queued" });
+    savePayload(store, "0xsent", { jobStatus: "completed", actionStatus: "sent" });
+
+    expect(store.pruneFinished(new Date(Date.now() - 60000).toISOString())).to.equal(0);
+
+    const cutoff = new Date(Date.now() + 1000).toISOString();
+    expect(store.pruneFinished(cutoff)).to.equal(2);
+    for (const hash of ["0xdone", "0xpartial"]) {
+      expect(store.getPayload(hash)).to.equal(null);
+      expect(store.getAction(`action-${hash}`)).to.equal(null);
+      expect(store.getJob(`job-${hash}`)).to.equal(null);
+    }
+    // Still running, or a LayerZero action awaiting delivery
+    expect(store.getPayload("0xrunning")).to.not.equal(null);
+    expect(store.getAction("action-0xsent").status).to.equal("sent");
+    store.flush();
+    expect(readFile().payloads).to.have.keys("0xrunning", "0xsent");
+  });
+});
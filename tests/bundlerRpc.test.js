@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * ERC-4337 bundler JSON-RPC and the UserOperation mempool behind it
+ * The EntryPoint is stubbed: simulations and bundle sends are injected.
+ */
+describe("Bundler RPC", function () {
+  const entryPointAddress = "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+  const sender = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const otherSender = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  let createActionStore;
+  let createUserOpMempool;
+  let createBundlerRpc;
+  let buildUserOperation;
+  let getPreVerificationGas;
+  let getEntryPointContract;
+  let getUserOpHash;
+  let findExecutedUserOperation;
+  let tmpDir;
+  let chainId;
+  let mempool;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createUserOpMempool } = await import("../bundler/userOpMempool.js"));
+    ({ createBundlerRpc } = await import("../bundler/bundlerRpc.js"));
+    ({
+      buildUserOperation,
+      getPreVerificationGas,
+      getEntryPointContract,
+      getUserOpHash,
+      findExecutedUserOperation,
+    } = await import("../bundler/userOperation.js"));
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "bundler-rpc-"));
+  });
+
+  afterEach(function () {
+    mempool?.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function userOp(fields = {}) {
+    const op = {
+      sender,
+      nonce: "0x0",
+      initCode: "0x",
+      callData: "0xb61d27f6",
+      callGasLimit: "0x30000",
+      verificationGasLimit: "0x30000",
+      preVerificationGas: "0x0",
+      maxFeePerGas: ethers.toBeHex(ethers.parseUnits("10", "gwei")),
+      maxPriorityFeePerGas: ethers.toBeHex(ethers.parseUnits("1", "gwei")),
+      paymasterAndData: "0x",
+      signature: "0x" + "11".repeat(65),
+      ...fields,
+    };
+    if (!fields.preVerificationGas) {
+      op.preVerificationGas = ethers.toBeHex(getPreVerificationGas(buildUserOperation(op)));
+    }
+    return op;
+  }
+
+  function setup({ simulate, sendBundle, ...options } = {}) {
+    const store = createActionStore(path.join(tmpDir, "actions.json"));
+    const validate = async () => ({ valid: true });
+    mempool = createUserOpMempool({
+      chainId,
+      entryPointAddress,
+      store,
+      validate,
+      sendBundle: sendBundle || (async () => {
+        throw new Error("not sending");
+      }),
+      bundleIntervalMs: 10,
+      ...options,
+    });
+    const rpc = createBundlerRpc({
+      chainId,
+      entryPointAddress,
+      provider: ethers.provider,
+      mempool,
+      store,
+      simulate: simulate || (async () => ({ valid: true, validAfter: 0, validUntil: 0 })),
+    });
+    let id = 0;
+    const call = (method, params) => rpc.handle({ jsonrpc: "2.0", id: ++id, method, params });
+    return { store, rpc, call };
+  }
+
+  async function waitFor(condition, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error("Timed out waiting for the mempool");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  it("Should answer eth_chainId, eth_supportedEntryPoints and batches", async function () {
+    const { rpc } = setup();
+    const responses = await rpc.handle([
+      { jsonrpc: "2.0", id: 1, method: "eth_chainId" },
+      { jsonrpc: "2.0", id: 2, method: "eth_supportedEntryPoints", params: [] },
+      { jsonrpc: "2.0", id: 3, method: "eth_sendTransaction", params: [] },
+      { id: 4, method: "eth_chainId" },
+    ]);
+
+    expect(responses[0].result).to.equal(ethers.toBeHex(chainId));
+    expect(responses[1].result).to.deep.equal([entryPointAddress]);
+    expect(responses[2].error.code).to.equal(-32601);
+    expect(responses[3]).to.deep.include({ id: 4 });
+    expect(responses[3].error.code).to.equal(-32600);
+  });
+
+  it("Should accept a valid UserOperation and look it up by hash", async function () {
+    const { call } = setup();
+    const { result: userOpHash } = await call("eth_sendUserOperation", [userOp(), entryPointAddress]);
+    expect(userOpHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    const { result } = await call("eth_getUserOperationByHash", [userOpHash]);
+    expect(result.entryPoint).to.equal(entryPointAddress);
+    expect(result.userOperation.sender).to.equal(sender);
+    expect(result.transactionHash).to.equal(null);
+    expect((await call("eth_getUserOperationReceipt", [userOpHash])).result).to.equal(null);
+
+    const duplicate = await call("eth_sendUserOperation", [userOp(), entryPointAddress]);
+    expect(duplicate.error.message).to.match(/already known/);
+  });
+
+  it("Should reject UserOperations breaking the mempool rules", async function () {
+    const { call } = setup({
+      simulate: async (op) => op.sender === otherSender
+        ? { valid: false, reason: "AA33 reverted (or OOG)" }
+        : { valid: true, validAfter: 0, validUntil: 0 },
+    });
+    const send = async (fields) => (await call("eth_sendUserOperation", [userOp(fields), entryPointAddress])).error;
+
+    expect((await call("eth_sendUserOperation", [userOp(), otherSender])).error.message).to.match(/Unsupported EntryPoint/);
+    expect((await send({ signature: undefined })).message).to.match(/missing signature/);
+    expect((await send({ maxPriorityFeePerGas: ethers.toBeHex(ethers.parseUnits("20", "gwei")) })).code).to.equal(-32602);
+    expect((await send({ maxFeePerGas: "0x1", maxPriorityFeePerGas: "0x1" })).message).to.match(/base fee/);
+    expect((await send({ preVerificationGas: "0x5208" })).message).to.match(/preVerificationGas too low/);
+    expect((await send({ callGasLimit: "0x100" })).message).to.match(/callGasLimit too low/);
+    expect(await send({ sender: otherSender })).to.deep.equal({ code: -32501, message: "AA33 reverted (or OOG)" });
+  });
+
+  it("Should only replace a pending UserOperation for higher fees and throttle senders", async function () {
+    const { call, store } = setup({ maxOpsPerSender: 2 });
+    const send = (fields) => call("eth_sendUserOperation", [userOp(fields), entryPointAddress]);
+    const { result: first } = await send();
+
+    const underpriced = await send({ maxPriorityFeePerGas: ethers.toBeHex(ethers.parseUnits("1.05", "gwei")) });
+    expect(underpriced.error.message).to.match(/must raise/);
+
+    const { result: replacement } = await send({
+      maxFeePerGas: ethers.toBeHex(ethers.parseUnits("11", "gwei")),
+      maxPriorityFeePerGas: ethers.toBeHex(ethers.parseUnits("1.1", "gwei")),
+    });
+    expect(store.getUserOp(first)).to.deep.include({ status: "replaced", replacedBy: replacement });
+
+    await send({ nonce: "0x1" });
+    const throttled = await send({ nonce: "0x2" });
+    expect(throttled.error.code).to.equal(-32504);
+  });
+
+  it("Should bundle pending UserOperations and drop ones the EntryPoint rejects", async function () {
+    const bundles = [];
+    const { call, store } = setup({
+      sendBundle: async (ops) => {
+        bundles.push(ops.map((op) => op.sender));
+        if (ops.some((op) => op.sender === otherSender)) {
+          const error = new Error("execution reverted");
+          error.failedOp = { opIndex: ops.findIndex((op) => op.sender === otherSender), reason: "AA21 didn't pay prefund" };
+          throw error;
+        }
+        return {
+          txHash: "0x" + "ab".repeat(32),
+          blockNumber: 7,
+          blockHash: "0x" + "cd".repeat(32),
+          results: ops.map(() => ({ success: true, actualGasCost: "1000", actualGasUsed: "100" })),
+        };
+      },
+    });
+    const { result: good } = await call("eth_sendUserOperation", [userOp(), entryPointAddress]);
+    const { result: bad } = await call("eth_sendUserOperation", [
+      userOp({ sender: otherSender, maxPriorityFeePerGas: ethers.toBeHex(ethers.parseUnits("2", "gwei")) }),
+      entryPointAddress,
+    ]);
+
+    mempool.start();
+    await waitFor(() => store.getUserOp(good).status === "included");
+
+    expect(bundles).to.deep.equal([[otherSender, sender], [sender]]);
+    expect(store.getUserOp(bad)).to.deep.include({ status: "failed", error: "AA21 didn't pay prefund" });
+    const { result } = await call("eth_getUserOperationByHash", [good]);
+    expect(result).to.deep.include({ transactionHash: "0x" + "ab".repeat(32), blockNumber: "0x7" });
+    expect((await call("eth_getUserOperationByHash", [bad])).result).to.equal(null);
+  });
+
+  it("Should find an already executed UserOperation only once the EntryPoint used its nonce", async function () {
+    const operation = buildUserOperation(userOp({ nonce: ethers.toBeHex((3n << 64n) | 5n) }));
+    const userOpHash = getUserOpHash(operation, entryPointAddress, chainId);
+    const txHash = "0x" + "ab".repeat(32);
+    const contract = getEntryPointContract(entryPointAddress, ethers.provider);
+    const event = contract.interface.encodeEventLog("UserOperationEvent", [
+      userOpHash, sender, ethers.ZeroAddress, operation.nonce, true, 1000n, 100n,
+    ]);
+
+    let nextNonce = (3n << 64n) | 5n;
+    const nonceKeys = [];
+    const searches = [];
+    const entryPoint = {
+      interface: contract.interface,
+      filters: contract.filters,
+      getAddress: async () => entryPointAddress,
+      getNonce: async (account, key) => {
+        nonceKeys.push(key);
+        return nextNonce;
+      },
+      queryFilter: async (filter, fromBlock) => {
+        searches.push(fromBlock);
+        return [{ transactionHash: txHash }];
+      },
+    };
+    const provider = {
+      getBlockNumber: async () => 20000,
+      send: async () => ({ transactionHash: txHash, logs: [{ address: entryPointAddress, ...event }] }),
+    };
+
+    // Nonce not used yet: no log search
+    expect(await findExecutedUserOperation(entryPoint, provider, operation, userOpHash)).to.equal(null);
+    expect(nonceKeys).to.deep.equal([3n]);
+    expect(searches).to.deep.equal([]);
+
+    nextNonce += 1n;
+    const receipt = await findExecutedUserOperation(entryPoint, provider, operation, userOpHash, { lookbackBlocks: 500 });
+    expect(receipt).to.deep.include({ userOpHash, success: true });
+    expect(BigInt(receipt.actualGasCost)).to.equal(1000n);
+    expect(receipt.receipt.transactionHash).to.equal(txHash);
+    expect(searches).to.deep.equal([19500]);
+  });
+});
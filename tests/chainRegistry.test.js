@@ -0,0 +1,34 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * chains.json, the one registry the scripts, bundler and frontend read
+ */
+describe("Chain Registry", function () {
+  const rootPath = path.join(__dirname, "..", "chains.json");
+
+  it("Should be the only registry file in the repository", function () {
+    expect(fs.existsSync(path.join(__dirname, "..", "bundler", "chains.json"))).to.equal(false);
+    expect(fs.existsSync(path.join(__dirname, "..", "frontend", "shared", "chains.json"))).to.equal(false);
+  });
+
+  it("Should only list contract addresses under contracts", function () {
+    const { ethers } = require("hardhat");
+    const registry = JSON.parse(fs.readFileSync(rootPath, "utf8"));
+    for (const [key, chain] of Object.entries(registry.chains)) {
+      for (const [name, address] of Object.entries(chain.contracts || {})) {
+        expect(ethers.isAddress(address), `${key}.contracts.${name}`).to.equal(true);
+        expect(address, `${key}.contracts.${name}`).to.not.equal(ethers.ZeroAddress);
+      }
+    }
+  });
+
+  it("Should share the environment variable naming between scripts and the bundler", async function () {
+    const { getChainEnvName } = require("../scripts/chainRegistry");
+    const bundlerRegistry = await import("../bundler/chainRegistry.js");
+    expect(bundlerRegistry.getChainEnvName).to.equal(getChainEnvName);
+    expect(getChainEnvName("chainA")).to.equal("CHAIN_A");
+    expect(getChainEnvName("optimismSepolia")).to.equal("OPTIMISM_SEPOLIA");
+  });
+});
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The LayerZero delivery watcher (bundler/deliveryWatcher.js) against stubbed source and destination
+ * chains: a provider answering the router's and endpoint's calls and logs from plain state
+ */
+describe("Bundler Delivery Watcher", function () {
+  const SRC_CHAIN_ID = 84532;
+  const DST_CHAIN_ID = 421614;
+  const SRC_EID = 40245;
+  const DST_EID = 40231;
+  const ROUTER = "0x00000000000000000000000000000000000a11ce";
+  const SRC_ROUTER = "0x00000000000000000000000000000000000b0b00";
+  const ENDPOINT = "0x00000000000000000000000000000000000e1d00";
+  const SEND_TX = ethers.id("send tx");
+  const ACTION_ID = ethers.id("action");
+  const GUID = ethers.id("guid");
+  const NONCE = 7n;
+
+  const routerInterface = new ethers.Interface([
+    "function isActionExecuted(bytes32 actionId) view returns (bool)",
+    "function endpoint() view returns (address)",
+    "event CrossChainActionReceived(bytes32 indexed actionId, uint32 srcEid, address indexed userAccount, address targetAdapter, bool success)",
+  ]);
+  const endpointInterface = new ethers.Interface([
+    "function inboundPayloadHash(address receiver, uint32 srcEid, bytes32 sender, uint64 nonce) view returns (bytes32)",
+    "function lazyInboundNonce(address receiver, uint32 srcEid, bytes32 sender) view returns (uint64)",
+    "event PacketSent(bytes encodedPayload, bytes options, address sendLibrary)",
+    "event LzReceiveAlert(address indexed receiver, address indexed executor, tuple(uint32 srcEid, bytes32 sender, uint64 nonce) origin, bytes32 guid, uint256 gas, uint256 value, bytes message, bytes extraData, bytes reason)",
+  ]);
+
+  let createActionStore;
+  let createDeliveryChecker;
+  let getLayerZeroPackets;
+  let tmpDir;
+  let store;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createDeliveryChecker, getLayerZeroPackets } = await import("../bundler/deliveryWatcher.js"));
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "delivery-"));
+    store = createActionStore(path.join(tmpDir, "actions.json"), { writeDelayMs: 0 });
+    store.saveAction({
+      actionId: ACTION_ID,
+      chainId: DST_CHAIN_ID,
+      method: "layerzero_oapp",
+      txHash: SEND_TX,
+      guid: GUID,
+      dstFromBlock: 0,
+      status: "sent",
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function encodeLog(iface, address, eventName, args, blockNumber, transactionHash = ethers.id(`${eventName}:${blockNumber}`)) {
+    const { data, topics } = iface.encodeEventLog(eventName, args);
+    return { address, data, topics, blockNumber, transactionHash, blockHash: ethers.ZeroHash, index: 0, transactionIndex: 0, removed: false };
+  }
+
+  const senderBytes32 = ethers.zeroPadValue(SRC_ROUTER, 32);
+
+  function packetSentLog() {
+    const packet = ethers.concat([
+      "0x01",
+      ethers.toBeHex(NONCE, 8),
+      ethers.toBeHex(SRC_EID, 4),
+      senderBytes32,
+      ethers.toBeHex(DST_EID, 4),
+      ethers.zeroPadValue(ROUTER, 32),
+      GUID,
+      "0xabcdef",
+    ]);
+    return encodeLog(endpointInterface, ENDPOINT, "PacketSent", [packet, "0x", ethers.ZeroAddress], 10, SEND_TX);
+  }
+
+  /**
+   * A provider serving one chain's router and endpoint from state, recording getLogs ranges
+   */
+  function createChain(state) {
+    const provider = {
+      queries: [],
+      async getBlockNumber() {
+        return state.blockNumber ?? 12000;
+      },
+      async getTransactionReceipt(hash) {
+        return (state.receipts || {})[hash] || null;
+      },
+      async call({ to, data }) {
+        if (to.toLowerCase() === ROUTER) {
+          const call = routerInterface.parseTransaction({ data });
+          const result = call.name === "endpoint" ? [ENDPOINT] : [Boolean(state.executed)];
+          return routerInterface.encodeFunctionResult(call.name, result);
+        }
+        const call = endpointInterface.parseTransaction({ data });
+        const result = call.name === "inboundPayloadHash" ? [state.payloadHash || ethers.ZeroHash] : [state.lazyNonce || 0n];
+        return endpointInterface.encodeFunctionResult(call.name, result);
+      },
+      async getLogs({ address, topics, fromBlock, toBlock }) {
+        provider.queries.push([fromBlock, toBlock]);
+        return (state.logs || []).filter((log) =>
+          log.address.toLowerCase() === address.toLowerCase() &&
+          log.blockNumber >= fromBlock && log.blockNumber <= toBlock &&
+          topics.every((topic, index) => topic === null || topic === log.topics[index]));
+      },
+    };
+    provider.provider = provider;
+    return provider;
+  }
+
+  function checker(dstState, options = {}) {
+    const source = createChain({ receipts: { [SEND_TX]: { logs: [packetSentLog()] } } });
+    const destination = createChain(dstState);
+    const contexts = {
+      [SRC_CHAIN_ID]: { provider: source, routerAddress: SRC_ROUTER },
+      [DST_CHAIN_ID]: { provider: destination, routerAddress: ROUTER },
+    };
+    return {
+      destination,
+      ...createDeliveryChecker({
+        store,
+        getChainContext: (chainId) => contexts[chainId] || null,
+        sourceChainId: SRC_CHAIN_ID,
+        ...options,
+      }),
+    };
+  }
+
+  function statuses() {
+    return store.getAction(ACTION_ID).history.map((entry) => entry.status);
+  }
+
+  it("Should read the nonce, source and GUID of sent packets", function () {
+    expect(getLayerZeroPackets([packetSentLog(), { address: ROUTER, topics: [ethers.ZeroHash], data: "0x" }])).to.deep.equal([{
+      guid: GUID,
+      nonce: NONCE,
+      srcEid: SRC_EID,
+      sender: senderBytes32,
+      dstEid: DST_EID,
+      receiver: ethers.getAddress(ROUTER),
+    }]);
+  });
+
+  it("Should record executed actions with their delivery transaction", async function () {
+    const received = encodeLog(routerInterface, ROUTER, "CrossChainActionReceived",
+      [ACTION_ID, SRC_EID, SRC_ROUTER, ROUTER, true], 11000);
+    const { checkAction, destination } = checker({ executed: true, logs: [received] });
+    await checkAction(store.getAction(ACTION_ID));
+
+    const action = store.getAction(ACTION_ID);
+    expect(statuses()).to.deep.equal(["sent", "delivered", "executed"]);
+    expect(action.deliveryTxHash).to.equal(received.transactionHash);
+    expect(action.dstBlockNumber).to.equal(11000);
+    expect(action).to.include({ lzNonce: "7", srcEid: SRC_EID, srcSender: senderBytes32 });
+    // Searched newest first, one page was enough
+    expect(destination.queries).to.deep.equal([[7001, 12000]]);
+  });
+
+  it("Should page the event search and stop at its cap", async function () {
+    const old = encodeLog(routerInterface, ROUTER, "CrossChainActionReceived",
+      [ACTION_ID, SRC_EID, SRC_ROUTER, ROUTER, true], 500);
+    const { checkAction, destination } = checker({ executed: true, logs: [old] }, { logBlockRange: 4000, maxLogBlocks: 10000 });
+    await checkAction(store.getAction(ACTION_ID));
+
+    expect(destination.queries).to.deep.equal([[8001, 12000], [4001, 8000], [2001, 4000]]);
+    // The router's flag alone still means it ran
+    expect(store.getAction(ACTION_ID).status).to.equal("executed");
+    expect(store.getAction(ACTION_ID).deliveryTxHash).to.equal(undefined);
+  });
+
+  it("Should fail delivered messages whose lzReceive reverted", async function () {
+    const reason = ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["VaultAdapter: msg.value must equal amount"])]);
+    const alert = encodeLog(endpointInterface, ENDPOINT, "LzReceiveAlert", [
+      ROUTER, SRC_ROUTER, [SRC_EID, senderBytes32, NONCE], GUID, 200000n, 0n, "0x", "0x", reason,
+    ], 11500);
+    const dstState = { payloadHash: ethers.id("payload"), logs: [] };
+    const { checkAction } = checker(dstState);
+
+    // Verified but not yet run: delivered, and still watched
+    await checkAction(store.getAction(ACTION_ID));
+    expect(statuses()).to.deep.equal(["sent", "delivered"]);
+
+    dstState.logs.push(alert);
+    await checkAction(store.getAction(ACTION_ID));
+    const action = store.getAction(ACTION_ID);
+    expect(statuses()).to.deep.equal(["sent", "delivered", "failed"]);
+    expect(action.error).to.equal("Delivered but lzReceive reverted on destination chain: VaultAdapter: msg.value must equal amount");
+    expect(action.deliveryTxHash).to.equal(alert.transactionHash);
+  });
+
+  it("Should fail messages cleared without executing the action", async function () {
+    const { checkAction } = checker({ lazyNonce: NONCE });
+    await checkAction(store.getAction(ACTION_ID));
+    expect(statuses()).to.deep.equal(["sent", "failed"]);
+    expect(store.getAction(ACTION_ID).error).to.match(/cleared on the destination chain/);
+  });
+
+  it("Should time out actions that are not delivered or not executed", async function () {
+    const hourLater = () => Date.now() + 60 * 60 * 1000 + 1;
+    await checker({}).checkAction(store.getAction(ACTION_ID));
+    expect(store.getAction(ACTION_ID).status).to.equal("sent");
+
+    await checker({}, { now: hourLater }).checkAction(store.getAction(ACTION_ID));
+    expect(statuses()).to.deep.equal(["sent", "failed"]);
+    expect(store.getAction(ACTION_ID).error).to.equal("Not delivered within 3600s");
+
+    // Verified but never run
+    store.saveAction({ actionId: ACTION_ID, status: "sent", error: null });
+    await checker({ payloadHash: ethers.id("payload") }, { now: hourLater, timeoutMs: 60 * 60 * 1000 }).checkAction(store.getAction(ACTION_ID));
+    expect(store.getAction(ACTION_ID).status).to.equal("failed");
+    expect(store.getAction(ACTION_ID).error).to.equal("Delivered but not executed within 3600s");
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+
+/**
+ * The bundler's dispatch steps (bundler/dispatchSteps.js): grouping cross-chain actions per
+ * LayerZero EID and running batch steps, with the sends stubbed
+ */
+describe("Bundler Dispatch Steps", function () {
+  const SOURCE_CHAIN_ID = 84532;
+  const EIDS = { 421614: 40231, 11155420: 40232 };
+  const PAYLOAD_HASH = "0xpayload";
+
+  let createBatchStepRunner;
+  let planDispatchSteps;
+
+  before(async function () {
+    ({ createBatchStepRunner, planDispatchSteps } = await import("../bundler/dispatchSteps.js"));
+  });
+
+  const getBatchEid = (chainId) => EIDS[chainId] || null;
+
+  function buildPayload(chainIds) {
+    return {
+      userAccount: "0x00000000000000000000000000000000000a11ce",
+      actions: chainIds.map((chainId, index) => ({ chainId, adapter: `0xadapter${index}`, calldata: `0x0${index}` })),
+    };
+  }
+
+  function getIdentities(payload) {
+    return payload.actions.map((action, index) => ({ actionId: `0xaction${index}`, timestamp: "1700000000" }));
+  }
+
+  it("Should batch cross-chain actions per EID in first-seen order", function () {
+    const payload = buildPayload([421614, SOURCE_CHAIN_ID, 11155420, 421614, 421614, 1]);
+    const steps = planDispatchSteps(payload.actions, getIdentities(payload), getBatchEid);
+
+    expect(steps).to.deep.equal([
+      {
+        type: "batch",
+        eid: 40231,
+        chainId: 421614,
+        actions: [0, 3, 4].map((index) => ({ index, actionId: `0xaction${index}`, timestamp: "1700000000" })),
+      },
+      { type: "action", index: 1, actionId: "0xaction1", timestamp: "1700000000" },
+      // A group of one stays a plain action step
+      { type: "action", index: 2, actionId: "0xaction2", timestamp: "1700000000" },
+      // No EID (local, HACK_MODE or unconfigured chains): never batched
+      { type: "action", index: 5, actionId: "0xaction5", timestamp: "1700000000" },
+    ]);
+  });
+
+  describe("Batch steps", function () {
+    let payload;
+    let calls;
+    let executed;
+    let recorded;
+    let runBatchStep;
+
+    beforeEach(function () {
+      payload = buildPayload([421614, 421614, 421614]);
+      calls = [];
+      executed = new Set();
+      recorded = {};
+      runBatchStep = createBatchStepRunner({
+        store: { getPayload: (hash) => (hash === PAYLOAD_HASH ? { payload } : null) },
+        isActionExecuted: async (chainId, actionId) => executed.has(actionId),
+        sendAction: async (chainId, adapter, calldata, userAccount, identity) => {
+          calls.push({ type: "action", chainId, adapter, calldata, userAccount, identity });
+          return { chainId, txHash: "0xsingle", method: "layerzero_oapp", receipt: {} };
+        },
+        sendBatch: async (chainId, actions, userAccount) => {
+          calls.push({ type: "batch", chainId, actions, userAccount });
+          return {
+            txHash: "0xbatch",
+            fee: "1100",
+            actions: actions.map((action) => ({ chainId, txHash: "0xbatch", method: "layerzero_oapp", actionId: action.actionId })),
+          };
+        },
+        recordResult: (actionId, result) => {
+          recorded[actionId] = result;
+        },
+        getExecutedResult: (chainId, actionId) => ({ chainId, actionId, txHash: "0xearlier", method: "layerzero_oapp" }),
+      });
+    });
+
+    function batchStep(attempts = 1) {
+      const [step] = planDispatchSteps(payload.actions, getIdentities(payload), getBatchEid);
+      return { ...step, attempts };
+    }
+
+    it("Should send the whole batch as one message", async function () {
+      const { result } = await runBatchStep({ payloadHash: PAYLOAD_HASH }, batchStep());
+
+      expect(calls).to.have.lengthOf(1);
+      expect(calls[0]).to.deep.include({ type: "batch", chainId: 421614, userAccount: payload.userAccount });
+      expect(calls[0].actions.map((action) => [action.adapter, action.actionId])).to.deep.equal([
+        ["0xadapter0", "0xaction0"],
+        ["0xadapter1", "0xaction1"],
+        ["0xadapter2", "0xaction2"],
+      ]);
+      expect(result).to.include({ chainId: 421614, eid: 40231, txHash: "0xbatch", fee: "1100" });
+      expect(result.actions.map((action) => action.actionId)).to.deep.equal(["0xaction0", "0xaction1", "0xaction2"]);
+      expect(Object.keys(recorded)).to.deep.equal(["0xaction0", "0xaction1", "0xaction2"]);
+    });
+
+    it("Should only resend the actions a retried step did not get executed", async function () {
+      executed.add("0xaction0");
+      const { result } = await runBatchStep({ payloadHash: PAYLOAD_HASH }, batchStep(2));
+      expect(calls[0].actions.map((action) => action.actionId)).to.deep.equal(["0xaction1", "0xaction2"]);
+      expect(result.actions[0]).to.include({ actionId: "0xaction0", txHash: "0xearlier" });
+      expect(recorded).to.not.have.property("0xaction0");
+
+      // One action left goes as a plain send, keeping its identity
+      calls = [];
+      executed.add("0xaction2");
+      const retried = await runBatchStep({ payloadHash: PAYLOAD_HASH }, batchStep(3));
+      expect(calls).to.deep.equal([{
+        type: "action",
+        chainId: 421614,
+        adapter: "0xadapter1",
+        calldata: "0x01",
+        userAccount: payload.userAccount,
+        identity: { actionId: "0xaction1", timestamp: "1700000000" },
+      }]);
+      expect(retried.result.txHash).to.equal(null);
+      expect(recorded["0xaction1"]).to.deep.equal({ chainId: 421614, txHash: "0xsingle", method: "layerzero_oapp", actionId: "0xaction1" });
+
+      // Nothing left to send
+      calls = [];
+      executed.add("0xaction1");
+      const done = await runBatchStep({ payloadHash: PAYLOAD_HASH }, batchStep(4));
+      expect(calls).to.deep.equal([]);
+      expect(done.result.actions.every((action) => action.txHash === "0xearlier")).to.equal(true);
+    });
+
+    it("Should let a failed send throw so the queue retries the step", async function () {
+      runBatchStep = createBatchStepRunner({
+        store: { getPayload: () => ({ payload }) },
+        isActionExecuted: async () => false,
+        sendAction: async () => ({}),
+        sendBatch: async () => {
+          throw new Error("LayerZero batch send failed: LayerZero batch fee quote failed: execution reverted");
+        },
+        recordResult: (actionId, result) => {
+          recorded[actionId] = result;
+        },
+        getExecutedResult: () => ({}),
+      });
+      let error = null;
+      try {
+        await runBatchStep({ payloadHash: PAYLOAD_HASH }, batchStep());
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.match(/fee quote failed/);
+      expect(recorded).to.deep.equal({});
+    });
+  });
+});
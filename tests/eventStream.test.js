@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The payload progress stream (GET /api/payloads/:hash/events, bundler/eventStream.js), driven with
+ * minimal Express-like requests and responses over a real action store
+ */
+describe("Bundler Payload Event Stream", function () {
+  const HASH = "0xpayload";
+
+  let createActionStore;
+  let createPayloadEventStream;
+  let tmpDir;
+  let store;
+  let subscribers;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createPayloadEventStream } = await import("../bundler/eventStream.js"));
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-stream-"));
+    const actionStore = createActionStore(path.join(tmpDir, "actions.json"), { writeDelayMs: 0 });
+    // Count live subscriptions, to see the stream let go of the store
+    subscribers = 0;
+    store = {
+      ...actionStore,
+      subscribe(listener) {
+        subscribers += 1;
+        const unsubscribe = actionStore.subscribe(listener);
+        return () => {
+          subscribers -= 1;
+          unsubscribe();
+        };
+      },
+    };
+    store.savePayload({ hash: HASH, userAccount: "0xaccount", payload: { signed: true }, actionIds: ["0xa", "0xb"], status: "queued" });
+    store.saveAction({ actionId: "0xa", payloadHash: HASH, status: "queued" });
+    store.saveAction({ actionId: "0xb", payloadHash: HASH, status: "queued" });
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Open a stream; the response collects what is written
+   */
+  function open(hash = HASH, heartbeatMs = 15000) {
+    const req = Object.assign(new EventEmitter(), { params: { hash } });
+    const res = {
+      statusCode: 200,
+      headers: {},
+      chunks: [],
+      ended: false,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(value) {
+        this.body = value;
+        return this;
+      },
+      set(headers) {
+        Object.assign(this.headers, headers);
+        return this;
+      },
+      flushHeaders() {},
+      write(chunk) {
+        this.chunks.push(chunk);
+      },
+      end() {
+        this.ended = true;
+      },
+    };
+    createPayloadEventStream({ store, heartbeatMs })(req, res);
+    return { req, res };
+  }
+
+  function parseEvents(res) {
+    return res.chunks.filter((chunk) => chunk.startsWith("id:")).map((chunk) => {
+      const [, id, event, data] = chunk.match(/^id: (\d+)\nevent: (\w+)\ndata: (.*)\n\n$/);
+      return { id: Number(id), event, data: JSON.parse(data) };
+    });
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  it("Should answer 404 for unknown payloads", function () {
+    const { res } = open("0xmissing");
+    expect(res.statusCode).to.equal(404);
+    expect(res.body.error).to.equal("Payload 0xmissing not found");
+    expect(subscribers).to.equal(0);
+  });
+
+  it("Should send a snapshot, then every status change, then end once settled", function () {
+    const { res } = open();
+    expect(res.headers["Content-Type"]).to.equal("text/event-stream");
+
+    store.updatePayload(HASH, { status: "processing" });
+    store.setActionStatus("0xb", "executed");
+    store.setActionStatus("0xa", "sent", { txHash: "0xsend" });
+    // Other payloads' changes are not streamed
+    store.saveAction({ actionId: "0xother", payloadHash: "0xelse", status: "queued" });
+    store.updatePayload(HASH, { status: "processed" });
+    expect(res.ended).to.equal(false);
+    store.setActionStatus("0xa", "delivered");
+    store.setActionStatus("0xa", "executed");
+
+    const events = parseEvents(res);
+    expect(events.map((entry) => entry.id)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(events.map((entry) => entry.event)).to.deep.equal(["snapshot", "payload", "action", "action", "payload", "action", "action", "end"]);
+
+    const [snapshot, processing, executedB, sentA] = events;
+    expect(snapshot.data).to.include({ hash: HASH, status: "queued" });
+    expect(snapshot.data.actions.map((action) => [action.actionId, action.index, action.status])).to.deep.equal([
+      ["0xa", 0, "queued"],
+      ["0xb", 1, "queued"],
+    ]);
+    // Payload events carry the summary, not the signed payload
+    expect(processing.data).to.include({ hash: HASH, status: "processing" });
+    expect(processing.data).to.not.have.property("payload");
+    expect(executedB.data).to.include({ actionId: "0xb", index: 1, status: "executed" });
+    expect(sentA.data).to.include({ actionId: "0xa", index: 0, status: "sent", txHash: "0xsend" });
+    expect(events[7].data).to.deep.equal({ payloadHash: HASH, status: "processed" });
+
+    expect(res.ended).to.equal(true);
+    expect(subscribers).to.equal(0);
+  });
+
+  it("Should end at once for a payload already settled", function () {
+    store.setActionStatus("0xa", "failed");
+    store.setActionStatus("0xb", "skipped");
+    store.updatePayload(HASH, { status: "failed" });
+
+    const { res } = open();
+    expect(parseEvents(res).map((entry) => entry.event)).to.deep.equal(["snapshot", "end"]);
+    expect(res.ended).to.equal(true);
+    expect(subscribers).to.equal(0);
+  });
+
+  it("Should send heartbeats and drop the subscription and heartbeat when the client closes", async function () {
+    const { req, res } = open(HASH, 10);
+    expect(subscribers).to.equal(1);
+    await sleep(35);
+    const heartbeats = res.chunks.filter((chunk) => chunk === ": heartbeat\n\n").length;
+    expect(heartbeats).to.be.greaterThan(0);
+
+    req.emit("close");
+    expect(res.ended).to.equal(true);
+    expect(subscribers).to.equal(0);
+
+    const written = res.chunks.length;
+    store.setActionStatus("0xa", "sent");
+    await sleep(35);
+    expect(res.chunks).to.have.lengthOf(written);
+  });
+});
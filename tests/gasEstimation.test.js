@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * UserOperation gas estimation: simulation-based limits, L1 data costs and fee suggestions
+ * The EntryPoint's simulateValidation is stubbed; account calls are estimated on the Hardhat network.
+ */
+describe("Gas Estimation", function () {
+  let createGasEstimator;
+  let getL1DataGas;
+  let suggestFees;
+  let buildUserOperation;
+  let encodeExecuteCallData;
+  let getPreVerificationGas;
+  let owner;
+  let entryPoint;
+  let account;
+  let chainId;
+
+  before(async function () {
+    ({ createGasEstimator, getL1DataGas, suggestFees } = await import("../bundler/gasEstimation.js"));
+    ({ buildUserOperation, encodeExecuteCallData, getPreVerificationGas } = await import("../bundler/userOperation.js"));
+    [owner, entryPoint] = await ethers.getSigners();
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+    const SuperAccount = await ethers.getContractFactory("SuperAccount");
+    account = await SuperAccount.deploy(entryPoint.address, owner.address);
+    await account.waitForDeployment();
+  });
+
+  function estimator(options = {}) {
+    return createGasEstimator({
+      chainId,
+      entryPointAddress: entryPoint.address,
+      provider: ethers.provider,
+      ...options,
+    });
+  }
+
+  it("Should suggest fees from the fee history", async function () {
+    const fees = await suggestFees(ethers.provider);
+    expect(fees.baseFeePerGas > 0n).to.equal(true);
+    expect(fees.maxPriorityFeePerGas > 0n).to.equal(true);
+    expect(fees.maxFeePerGas).to.equal(fees.baseFeePerGas * 2n + fees.maxPriorityFeePerGas);
+  });
+
+  it("Should measure verification gas by simulation and call gas as the EntryPoint", async function () {
+    const simulated = [];
+    const userOp = buildUserOperation({
+      sender: await account.getAddress(),
+      callData: encodeExecuteCallData(owner.address, 0n, "0x"),
+    });
+    const estimate = await estimator({
+      simulate: async (op) => {
+        simulated.push(op);
+        return { valid: false, signatureFailed: true, preOpGas: op.preVerificationGas + 40000n };
+      },
+    }).estimate(userOp);
+
+    expect(estimate.simulated).to.equal(true);
+    expect(estimate.verificationGasLimit).to.equal(48000n);
+    // The op filled in with the estimate passes the bundler's preVerificationGas check
+    const filled = { ...userOp, ...estimate, signature: "0x" + "11".repeat(65) };
+    expect(estimate.preVerificationGas >= getPreVerificationGas(filled)).to.equal(true);
+    expect(estimate.callGasLimit > 21000n).to.equal(true);
+    expect(estimate.l1DataGas).to.equal(0n);
+    // Unsigned ops are simulated with a well-formed signature and no fees
+    expect(ethers.dataLength(simulated[0].signature)).to.equal(65);
+    expect(simulated[0].maxFeePerGas).to.equal(0n);
+  });
+
+  it("Should report validation failures and reverting calls", async function () {
+    const sender = await account.getAddress();
+    const rejected = await estimator({
+      simulate: async () => ({ valid: false, reason: "AA23 reverted (or OOG)" }),
+    }).estimate(buildUserOperation({ sender, callData: "0x" }));
+    expect(rejected.error).to.equal("AA23 reverted (or OOG)");
+
+    // Only the account's EntryPoint may call execute
+    const reverted = await estimator({
+      entryPointAddress: owner.address,
+      simulate: async (op) => ({ valid: true, preOpGas: op.preVerificationGas + 1000n }),
+    }).estimate(buildUserOperation({ sender, callData: encodeExecuteCallData(owner.address, 0n, "0x") }));
+    expect(reverted.reverted).to.equal(true);
+    expect(reverted.error).to.match(/Execution reverted/);
+  });
+
+  it("Should price v0.7 PackedUserOperations without simulating them", async function () {
+    const { ENTRYPOINT_V07 } = await import("../bundler/userOperation.js");
+    const SuperAccount = await ethers.getContractFactory("SuperAccount");
+    const packedAccount = await SuperAccount.deploy(ENTRYPOINT_V07, owner.address);
+    await packedAccount.waitForDeployment();
+    const userOp = buildUserOperation({
+      sender: await packedAccount.getAddress(),
+      callData: encodeExecuteCallData(owner.address, 0n, "0x"),
+    });
+
+    // v0.7 has no simulateValidation; its UserOps are only checked by a handleOps static call
+    const estimate = await estimator({
+      entryPointAddress: ENTRYPOINT_V07,
+      simulate: async () => expect.fail("v0.7 UserOps are not simulated for gas"),
+    }).estimate(userOp);
+    expect(estimate.simulated).to.equal(false);
+    expect(estimate.verificationGasLimit).to.equal(500000n);
+    expect(estimate.callGasLimit > 21000n).to.equal(true);
+
+    // The packed layout is shorter than the v0.6 one
+    const filled = { ...userOp, ...estimate, signature: "0x" + "11".repeat(65) };
+    expect(estimate.preVerificationGas >= getPreVerificationGas(filled, "0.7")).to.equal(true);
+    expect(getPreVerificationGas(filled, "0.7") < getPreVerificationGas(filled, "0.6")).to.equal(true);
+  });
+
+  it("Should price L1 data on OP stack and Arbitrum chains", async function () {
+    const oracle = new ethers.Interface(["function getL1Fee(bytes data) view returns (uint256)"]);
+    const nodeInterface = new ethers.Interface([
+      "function gasEstimateL1Component(address to, bool contractCreation, bytes data) payable returns (uint64, uint256, uint256)",
+    ]);
+    const calls = [];
+    const provider = (result) => ({
+      call: async (tx) => {
+        calls.push(tx.to);
+        return result;
+      },
+    });
+    const tx = { chainId, to: entryPoint.address, data: "0x1234", gasPrice: 1000n };
+
+    const opStackGas = await getL1DataGas(provider(oracle.encodeFunctionResult("getL1Fee", [1000500n])), "op-stack", tx);
+    expect(opStackGas).to.equal(1001n);
+    const arbitrumGas = await getL1DataGas(
+      provider(nodeInterface.encodeFunctionResult("gasEstimateL1Component", [5000n, 1n, 1n])),
+      "arbitrum",
+      tx
+    );
+    expect(arbitrumGas).to.equal(5000n);
+    expect(await getL1DataGas(provider("0x"), null, tx)).to.equal(0n);
+    expect(calls).to.deep.equal([
+      "0x420000000000000000000000000000000000000F",
+      "0x00000000000000000000000000000000000000C8",
+    ]);
+  });
+});
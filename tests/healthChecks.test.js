@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+/**
+ * The readiness check behind GET /health/ready (bundler/healthChecks.js), with each chain's RPC,
+ * router and adapters answered by stubbed providers
+ */
+describe("Bundler Readiness Check", function () {
+  const SOURCE_CHAIN_ID = 84532;
+  const REMOTE_CHAIN_ID = 421614;
+  const SOURCE_EID = 40245;
+  const REMOTE_EID = 40231;
+  const BUNDLER = ethers.getAddress("0x00000000000000000000000000000000000b0b00");
+  const OWNER = ethers.getAddress("0x000000000000000000000000000000000000a110");
+  const SOURCE_ROUTER = ethers.getAddress("0x00000000000000000000000000000000000a11ce");
+  const REMOTE_ROUTER = ethers.getAddress("0x0000000000000000000000000000000000000b0b");
+  const SOURCE_ADAPTER = ethers.getAddress("0x000000000000000000000000000000000000ba17");
+  const REMOTE_ADAPTER = ethers.getAddress("0x0000000000000000000000000000000000005a4a");
+  const MIN_BALANCE = ethers.parseEther("0.01");
+
+  const routerInterface = new ethers.Interface([
+    "function authorizedExecutors(address executor) external view returns (bool)",
+    "function owner() external view returns (address)",
+    "function peers(uint32 eid) external view returns (bytes32)",
+  ]);
+  const adapterInterface = new ethers.Interface(["function trustedRouter() external view returns (address)"]);
+
+  let createChainRegistry;
+  let createReadinessCheck;
+  let createReadinessHandler;
+  let chainRegistry;
+  let chains;
+
+  before(async function () {
+    ({ createChainRegistry } = await import("../bundler/chainRegistry.js"));
+    ({ createReadinessCheck, createReadinessHandler } = await import("../bundler/healthChecks.js"));
+    chainRegistry = createChainRegistry({
+      sourceChain: "source",
+      chains: {
+        source: { chainId: SOURCE_CHAIN_ID, layerZero: { eid: SOURCE_EID }, contracts: { VaultAdapter: SOURCE_ADAPTER } },
+        remote: { chainId: REMOTE_CHAIN_ID, layerZero: { eid: REMOTE_EID }, contracts: { SwapAdapter: REMOTE_ADAPTER } },
+      },
+    });
+  });
+
+  beforeEach(function () {
+    // A correctly configured deployment; tests break one thing at a time
+    chains = {
+      [SOURCE_CHAIN_ID]: {
+        rpcChainId: SOURCE_CHAIN_ID,
+        balance: ethers.parseEther("1"),
+        router: SOURCE_ROUTER,
+        authorized: true,
+        owner: OWNER,
+        peers: { [REMOTE_EID]: ethers.zeroPadValue(REMOTE_ROUTER, 32) },
+        trustedRouter: { [SOURCE_ADAPTER]: SOURCE_ROUTER },
+      },
+      [REMOTE_CHAIN_ID]: {
+        rpcChainId: REMOTE_CHAIN_ID,
+        balance: ethers.parseEther("1"),
+        router: REMOTE_ROUTER,
+        authorized: true,
+        owner: OWNER,
+        peers: { [SOURCE_EID]: ethers.zeroPadValue(SOURCE_ROUTER, 32) },
+        trustedRouter: { [REMOTE_ADAPTER]: REMOTE_ROUTER },
+      },
+    };
+  });
+
+  /**
+   * Provider answering from chains[chainId]; rpc "down" rejects every request and "hung" never answers
+   */
+  function createProvider(chainId) {
+    const state = () => chains[chainId];
+    const request = async (answer) => {
+      if (state().rpc === "down") {
+        throw new Error("connect ECONNREFUSED");
+      }
+      if (state().rpc === "hung") {
+        return new Promise(() => {});
+      }
+      return answer();
+    };
+    const provider = {
+      send: (method) => request(() => {
+        expect(method).to.equal("eth_chainId");
+        return ethers.toQuantity(state().rpcChainId);
+      }),
+      getBlockNumber: () => request(() => 1234),
+      getBalance: (address) => request(() => {
+        expect(address).to.equal(BUNDLER);
+        return state().balance;
+      }),
+      call: ({ to, data }) => request(() => {
+        if (to === state().router) {
+          const call = routerInterface.parseTransaction({ data });
+          const values = {
+            authorizedExecutors: () => [call.args[0] === BUNDLER && state().authorized],
+            owner: () => [state().owner],
+            peers: () => [state().peers[Number(call.args[0])] || ethers.ZeroHash],
+          };
+          return routerInterface.encodeFunctionResult(call.name, values[call.name]());
+        }
+        return adapterInterface.encodeFunctionResult("trustedRouter", [state().trustedRouter[to]]);
+      }),
+    };
+    return provider;
+  }
+
+  function createCheck(options = {}) {
+    const providers = {
+      [SOURCE_CHAIN_ID]: createProvider(SOURCE_CHAIN_ID),
+      [REMOTE_CHAIN_ID]: createProvider(REMOTE_CHAIN_ID),
+    };
+    return createReadinessCheck({
+      chainRegistry,
+      getChainContext: (chainId) => ({ provider: providers[chainId], routerAddress: chains[chainId].router }),
+      bundlerAddress: BUNDLER,
+      minBalanceWei: MIN_BALANCE,
+      hackMode: false,
+      timeoutMs: 50,
+      cacheMs: 0,
+      ...options,
+    });
+  }
+
+  function find(readiness, name, chainId) {
+    return readiness.checks.find((check) => check.name === name && check.chainId === chainId);
+  }
+
+  function failures(readiness) {
+    return readiness.checks.filter((check) => check.status === "fail").map((check) => [check.name, check.chainId, check.detail]);
+  }
+
+  it("Should be ready when every check passes", async function () {
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(true);
+    expect(readiness.checks.map((check) => [check.name, check.chainId, check.status])).to.deep.equal([
+      ["rpc", SOURCE_CHAIN_ID, "ok"],
+      ["balance", SOURCE_CHAIN_ID, "ok"],
+      ["router", SOURCE_CHAIN_ID, "ok"],
+      [`peer:${REMOTE_CHAIN_ID}`, SOURCE_CHAIN_ID, "ok"],
+      ["adapter:VaultAdapter", SOURCE_CHAIN_ID, "ok"],
+      ["rpc", REMOTE_CHAIN_ID, "ok"],
+      ["balance", REMOTE_CHAIN_ID, "ok"],
+      ["router", REMOTE_CHAIN_ID, "ok"],
+      [`peer:${SOURCE_CHAIN_ID}`, REMOTE_CHAIN_ID, "ok"],
+      ["adapter:SwapAdapter", REMOTE_CHAIN_ID, "ok"],
+    ]);
+    expect(find(readiness, "rpc", SOURCE_CHAIN_ID).detail).to.match(/^block 1234 in \d+ms$/);
+    expect(find(readiness, "balance", SOURCE_CHAIN_ID).detail).to.equal("1.0 ETH");
+    expect(find(readiness, "router", SOURCE_CHAIN_ID).detail).to.equal("bundler is an authorized executor");
+    expect(find(readiness, `peer:${REMOTE_CHAIN_ID}`, SOURCE_CHAIN_ID).detail).to.equal(`peers(${REMOTE_EID}) = ${REMOTE_ROUTER}`);
+    expect(find(readiness, "adapter:VaultAdapter", SOURCE_CHAIN_ID).detail).to.equal(`trusts ${SOURCE_ROUTER}`);
+  });
+
+  it("Should fail the chain's checks when its RPC is down, and only that chain's", async function () {
+    chains[REMOTE_CHAIN_ID].rpc = "down";
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness).map(([name, chainId]) => [name, chainId])).to.deep.equal([
+      ["rpc", REMOTE_CHAIN_ID],
+      ["balance", REMOTE_CHAIN_ID],
+      ["router", REMOTE_CHAIN_ID],
+      [`peer:${SOURCE_CHAIN_ID}`, REMOTE_CHAIN_ID],
+      ["adapter:SwapAdapter", REMOTE_CHAIN_ID],
+    ]);
+    expect(find(readiness, "rpc", REMOTE_CHAIN_ID).detail).to.include("ECONNREFUSED");
+  });
+
+  it("Should time out a hung RPC", async function () {
+    chains[SOURCE_CHAIN_ID].rpc = "hung";
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(find(readiness, "rpc", SOURCE_CHAIN_ID)).to.include({ status: "fail", detail: "Timed out after 50ms" });
+    expect(find(readiness, "rpc", REMOTE_CHAIN_ID).status).to.equal("ok");
+  });
+
+  it("Should fail an RPC on the wrong chain", async function () {
+    chains[REMOTE_CHAIN_ID].rpcChainId = 1;
+    const readiness = await createCheck()();
+
+    expect(failures(readiness)).to.deep.equal([
+      ["rpc", REMOTE_CHAIN_ID, `RPC is on chain 1, expected ${REMOTE_CHAIN_ID}`],
+    ]);
+  });
+
+  it("Should fail a bundler balance below the minimum", async function () {
+    chains[SOURCE_CHAIN_ID].balance = ethers.parseEther("0.005");
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness)).to.deep.equal([
+      ["balance", SOURCE_CHAIN_ID, "0.005 ETH, below 0.01 ETH"],
+    ]);
+  });
+
+  it("Should fail when the bundler may not send through the router", async function () {
+    chains[REMOTE_CHAIN_ID].authorized = false;
+    let readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness)).to.deep.equal([
+      ["router", REMOTE_CHAIN_ID, `Bundler ${BUNDLER} is not an authorized executor of ${REMOTE_ROUTER}`],
+    ]);
+
+    // The owner may send without being an authorized executor
+    chains[REMOTE_CHAIN_ID].owner = BUNDLER;
+    readiness = await createCheck()();
+    expect(readiness.ready).to.equal(true);
+    expect(find(readiness, "router", REMOTE_CHAIN_ID).detail).to.equal("bundler is the router owner");
+  });
+
+  it("Should fail a chain without a router", async function () {
+    chains[REMOTE_CHAIN_ID].router = null;
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness)).to.deep.equal([
+      // The source router's peer for that chain cannot be checked either
+      [`peer:${REMOTE_CHAIN_ID}`, SOURCE_CHAIN_ID, `Chain ${REMOTE_CHAIN_ID} has no LayerZero EID or router in chains.json`],
+      ["router", REMOTE_CHAIN_ID, "OmnichainSuperAccountRouter not in chains.json"],
+    ]);
+    expect(find(readiness, `peer:${SOURCE_CHAIN_ID}`, REMOTE_CHAIN_ID).status).to.equal("skipped");
+    expect(find(readiness, "adapter:SwapAdapter", REMOTE_CHAIN_ID).status).to.equal("skipped");
+  });
+
+  it("Should fail a missing or wrong LayerZero peer", async function () {
+    delete chains[SOURCE_CHAIN_ID].peers[REMOTE_EID];
+    chains[REMOTE_CHAIN_ID].peers[SOURCE_EID] = ethers.zeroPadValue(OWNER, 32);
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness)).to.deep.equal([
+      [`peer:${REMOTE_CHAIN_ID}`, SOURCE_CHAIN_ID, `peers(${REMOTE_EID}) is ${ethers.ZeroHash}, expected router ${REMOTE_ROUTER}`],
+      [`peer:${SOURCE_CHAIN_ID}`, REMOTE_CHAIN_ID, `peers(${SOURCE_EID}) is ${ethers.zeroPadValue(OWNER, 32)}, expected router ${SOURCE_ROUTER}`],
+    ]);
+  });
+
+  it("Should fail an adapter that trusts another router", async function () {
+    chains[REMOTE_CHAIN_ID].trustedRouter[REMOTE_ADAPTER] = OWNER;
+    const readiness = await createCheck()();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness)).to.deep.equal([
+      ["adapter:SwapAdapter", REMOTE_CHAIN_ID, `trustedRouter is ${OWNER}, expected ${REMOTE_ROUTER}`],
+    ]);
+  });
+
+  it("Should expect destination adapters to trust the bundler and skip peers in HACK_MODE", async function () {
+    chains[REMOTE_CHAIN_ID].trustedRouter[REMOTE_ADAPTER] = BUNDLER;
+    chains[SOURCE_CHAIN_ID].peers = {};
+    chains[REMOTE_CHAIN_ID].peers = {};
+    const readiness = await createCheck({ hackMode: true })();
+
+    expect(readiness.ready).to.equal(true);
+    expect(find(readiness, "adapter:SwapAdapter", REMOTE_CHAIN_ID).detail).to.equal(`trusts ${BUNDLER}`);
+    // Source chain adapters are still called by the router
+    expect(find(readiness, "adapter:VaultAdapter", SOURCE_CHAIN_ID).detail).to.equal(`trusts ${SOURCE_ROUTER}`);
+    expect(find(readiness, `peer:${REMOTE_CHAIN_ID}`, SOURCE_CHAIN_ID).status).to.equal("skipped");
+    expect(find(readiness, `peer:${SOURCE_CHAIN_ID}`, REMOTE_CHAIN_ID).status).to.equal("skipped");
+  });
+
+  it("Should fail without a bundler wallet and skip the checks that need one", async function () {
+    const readiness = await createCheck({ bundlerAddress: null })();
+
+    expect(readiness.ready).to.equal(false);
+    expect(failures(readiness)).to.deep.equal([["wallet", null, "PRIVATE_KEY_BUNDLER not configured"]]);
+    expect(readiness.checks.filter((check) => check.name === "balance")).to.deep.equal([]);
+    expect(find(readiness, "router", SOURCE_CHAIN_ID).status).to.equal("skipped");
+  });
+
+  it("Should reuse a result for cacheMs", async function () {
+    const check = createCheck({ cacheMs: 60000 });
+    const first = await check();
+    chains[SOURCE_CHAIN_ID].balance = 0n;
+    expect(await check()).to.equal(first);
+
+    const uncached = await createCheck()();
+    expect(uncached.ready).to.equal(false);
+  });
+
+  describe("GET /health/ready", function () {
+    const INFO = { mode: "LAYERZERO", bundlerAddress: BUNDLER };
+
+    async function request(checkReadiness) {
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(value) {
+          this.body = value;
+          return this;
+        },
+      };
+      await createReadinessHandler({ checkReadiness, info: INFO })({}, res);
+      return res;
+    }
+
+    it("Should answer 200 when ready", async function () {
+      const res = await request(createCheck());
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.body).to.include({ status: "ready", ready: true, ...INFO });
+      expect(res.body.checks).to.have.lengthOf(10);
+    });
+
+    it("Should answer 503 with every check when any one fails", async function () {
+      chains[SOURCE_CHAIN_ID].balance = 0n;
+      chains[REMOTE_CHAIN_ID].trustedRouter[REMOTE_ADAPTER] = OWNER;
+      const res = await request(createCheck());
+
+      expect(res.statusCode).to.equal(503);
+      expect(res.body).to.include({ status: "unavailable", ready: false, ...INFO });
+      expect(res.body.checks).to.have.lengthOf(10);
+      expect(failures(res.body).map(([name, chainId]) => [name, chainId])).to.deep.equal([
+        ["balance", SOURCE_CHAIN_ID],
+        ["adapter:SwapAdapter", REMOTE_CHAIN_ID],
+      ]);
+    });
+
+    it("Should answer 503 when the checks themselves throw", async function () {
+      const res = await request(async () => {
+        throw new Error("registry unreadable");
+      });
+
+      expect(res.statusCode).to.equal(503);
+      expect(res.body).to.include({ status: "unavailable", ready: false });
+      expect(res.body.checks).to.deep.equal([{ name: "checks", chainId: null, status: "fail", detail: "registry unreadable" }]);
+    });
+  });
+});
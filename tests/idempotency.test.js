@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The Idempotency-Key middleware on the bundler's submission routes, driven with minimal
+ * Express-like requests and responses
+ */
+describe("Bundler Idempotency Keys", function () {
+  let createActionStore;
+  let createIdempotencyMiddleware;
+  let tmpDir;
+  let idempotent;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createIdempotencyMiddleware } = await import("../bundler/idempotency.js"));
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "idempotency-"));
+    const store = createActionStore(path.join(tmpDir, "actions.json"), { writeDelayMs: 0 });
+    idempotent = createIdempotencyMiddleware({ store });
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run a request through the middleware; route(res) plays the route handler, key null sends no header
+   * @returns {Object} {res, routed} - routed is false when the middleware answered itself
+   */
+  function send(body, { key = "key-1", ip = "10.0.0.1", apiKeyId, route = (res) => res.status(202).json({ jobId: "job-1" }) } = {}) {
+    const headers = key === null ? {} : { "idempotency-key": key };
+    const req = {
+      method: "POST",
+      baseUrl: "/api",
+      path: "/process-payload",
+      ip,
+      apiKeyId,
+      body,
+      get: (name) => headers[name.toLowerCase()],
+    };
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      headers: {},
+      body: undefined,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      json(value) {
+        this.body = value;
+        this.emit("finish");
+        return this;
+      },
+    });
+    let routed = false;
+    idempotent(req, res, () => {
+      routed = true;
+      route(res);
+    });
+    return { res, routed };
+  }
+
+  it("Should replay the stored response for a repeated key and body", function () {
+    const first = send({ payload: { nonce: "1", actions: [] } });
+    expect(first.routed).to.equal(true);
+    expect(first.res.statusCode).to.equal(202);
+
+    // Key order in the body does not matter
+    const replay = send({ payload: { actions: [], nonce: "1" } }, { route: () => expect.fail("route ran twice") });
+    expect(replay.routed).to.equal(false);
+    expect(replay.res.statusCode).to.equal(202);
+    expect(replay.res.body).to.deep.equal({ jobId: "job-1" });
+    expect(replay.res.headers["Idempotent-Replayed"]).to.equal("true");
+
+    // Keys are scoped to the caller
+    expect(send({ payload: { nonce: "1", actions: [] } }, { ip: "10.0.0.2" }).routed).to.equal(true);
+    expect(send({ payload: { nonce: "1", actions: [] } }, { apiKeyId: "partner" }).routed).to.equal(true);
+    // No key, no idempotency
+    expect(send({ payload: {} }, { key: null }).routed).to.equal(true);
+    expect(send({ payload: {} }, { key: null }).routed).to.equal(true);
+  });
+
+  it("Should reject a repeated key with a different body", function () {
+    send({ payload: { nonce: "1" } });
+    const { res, routed } = send({ payload: { nonce: "2" } });
+    expect(routed).to.equal(false);
+    expect(res.statusCode).to.equal(422);
+    expect(res.body.error).to.match(/different request body/);
+  });
+
+  it("Should answer 409 while the first request is still running", function () {
+    let respond;
+    send({ payload: { nonce: "1" } }, { route: (res) => (respond = () => res.status(202).json({ jobId: "job-1" })) });
+
+    const inFlight = send({ payload: { nonce: "1" } });
+    expect(inFlight.routed).to.equal(false);
+    expect(inFlight.res.statusCode).to.equal(409);
+    expect(inFlight.res.headers["Retry-After"]).to.equal("1");
+
+    respond();
+    expect(send({ payload: { nonce: "1" } }).res.headers["Idempotent-Replayed"]).to.equal("true");
+  });
+
+  it("Should let 5xx and 429 responses be retried with the same key", function () {
+    for (const status of [503, 429]) {
+      const failed = send({ payload: { nonce: "1" } }, { route: (res) => res.status(status).json({ error: "try again" }) });
+      expect(failed.res.statusCode).to.equal(status);
+    }
+    const retried = send({ payload: { nonce: "1" } });
+    expect(retried.routed).to.equal(true);
+    expect(retried.res.statusCode).to.equal(202);
+  });
+
+  it("Should reject empty and overlong keys", function () {
+    expect(send({}, { key: "" }).res.statusCode).to.equal(400);
+    expect(send({}, { key: "k".repeat(256) }).res.statusCode).to.equal(400);
+    expect(send({}, { key: "k".repeat(255) }).res.statusCode).to.equal(202);
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The bundler's persisted job queue: step retries with exponential backoff, dead-lettering and
+ * recovering steps interrupted by a restart
+ */
+describe("Bundler Job Queue", function () {
+  let createActionStore;
+  let createJobQueue;
+  let tmpDir;
+  let store;
+  let queue;
+  let finished;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createJobQueue } = await import("../bundler/jobQueue.js"));
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-"));
+    store = createActionStore(path.join(tmpDir, "actions.json"), { writeDelayMs: 0 });
+    finished = [];
+  });
+
+  afterEach(function () {
+    queue?.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function startQueue(runStep, options = {}) {
+    queue = createJobQueue({
+      store,
+      runStep,
+      onJobFinished: (job) => finished.push(job),
+      backoffMs: 20,
+      pollMs: 5,
+      ...options,
+    });
+    queue.start();
+    return queue;
+  }
+
+  async function waitFor(condition, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error("Timed out waiting for the job queue");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  it("Should retry a failing step with exponential backoff", async function () {
+    const attempts = [];
+    startQueue(async (job, step) => {
+      attempts.push(Date.now());
+      if (attempts.length < 3) {
+        throw new Error("RPC unavailable");
+      }
+      return { result: { txHash: "0xtx" } };
+    });
+
+    const { jobId } = queue.enqueue({ payloadHash: "0x01" }, [{ type: "action", index: 0 }]);
+    await waitFor(() => finished.length === 1);
+
+    expect(attempts).to.have.length(3);
+    // 20ms before the first retry, doubled before the second
+    expect(attempts[1] - attempts[0]).to.be.at.least(20);
+    expect(attempts[2] - attempts[1]).to.be.at.least(40);
+    const job = store.getJob(jobId);
+    expect(job.status).to.equal("completed");
+    expect(job.steps[0]).to.deep.include({ status: "done", attempts: 3, lastError: null, result: { txHash: "0xtx" } });
+  });
+
+  it("Should dead-letter a step after maxAttempts and retry it on request", async function () {
+    let healthy = false;
+    startQueue(async (job, step) => {
+      if (step.type === "userOp" && !healthy) {
+        throw new Error("EntryPoint rejected the UserOp");
+      }
+      return { result: step.type };
+    }, { maxAttempts: 2 });
+
+    const { jobId } = queue.enqueue({ payloadHash: "0x02" }, [
+      { type: "userOp", required: true },
+      { type: "action", index: 0 },
+    ]);
+    await waitFor(() => finished.length === 1);
+
+    // A required step takes the rest of the job down with it
+    let job = store.getJob(jobId);
+    expect(job.status).to.equal("failed");
+    expect(job.steps.map((step) => step.status)).to.deep.equal(["dead", "skipped"]);
+    expect(job.steps[0]).to.deep.include({ attempts: 2, lastError: "EntryPoint rejected the UserOp" });
+    expect(queue.getDeadLetters().map((dead) => dead.jobId)).to.deep.equal([jobId]);
+
+    healthy = true;
+    expect(queue.retryDead(jobId).status).to.equal("queued");
+    await waitFor(() => finished.length === 2);
+    job = store.getJob(jobId);
+    expect(job.status).to.equal("completed");
+    expect(job.steps.map((step) => step.result)).to.deep.equal(["userOp", "action"]);
+    expect(queue.getDeadLetters()).to.have.length(0);
+    expect(queue.retryDead(jobId)).to.equal(null);
+  });
+
+  it("Should finish a job as partial when an optional step is dead-lettered", async function () {
+    startQueue(async (job, step) => {
+      if (step.index === 0) {
+        throw new Error("Adapter execution failed");
+      }
+      return { result: step.index };
+    }, { maxAttempts: 1 });
+
+    const { jobId } = queue.enqueue({ payloadHash: "0x03" }, [
+      { type: "action", index: 0 },
+      { type: "action", index: 1 },
+    ]);
+    await waitFor(() => finished.length === 1);
+    const job = store.getJob(jobId);
+    expect(job.status).to.equal("partial");
+    expect(job.steps.map((step) => step.status)).to.deep.equal(["dead", "done"]);
+  });
+
+  it("Should requeue steps left running by a restart", async function () {
+    store.saveJob({
+      jobId: "job-interrupted",
+      payloadHash: "0x04",
+      status: "running",
+      steps: [
+        { type: "action", index: 0, status: "done", attempts: 1 },
+        { type: "action", index: 1, status: "running", attempts: 1 },
+      ],
+    });
+
+    const ran = [];
+    startQueue(async (job, step) => {
+      ran.push(step.index);
+      return { result: step.index };
+    });
+    await waitFor(() => finished.length === 1);
+
+    // Only the interrupted step runs again
+    expect(ran).to.deep.equal([1]);
+    const job = store.getJob("job-interrupted");
+    expect(job.status).to.equal("completed");
+    expect(job.steps[1]).to.deep.include({ status: "done", attempts: 2 });
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const http = require("http");
+
+/**
+ * The bundler's Prometheus metrics (bundler/metrics.js): counters and gauges read back from the
+ * /metrics text output, and RPC latency recorded by its providers against a local JSON-RPC server
+ */
+describe("Bundler Metrics", function () {
+  const CHAIN_ID = 84532;
+  const OTHER_CHAIN_ID = 421614;
+
+  let createMetrics;
+  let listeners;
+  let queueDepth;
+  let deadLetters;
+  let balances;
+
+  before(async function () {
+    ({ createMetrics } = await import("../bundler/metrics.js"));
+  });
+
+  beforeEach(function () {
+    listeners = [];
+    queueDepth = 0;
+    deadLetters = 0;
+    // Balance per chain: a bigint, null (no wallet), an Error (rejects) or undefined (never answers)
+    balances = { [CHAIN_ID]: 5n * 10n ** 18n, [OTHER_CHAIN_ID]: null };
+  });
+
+  const store = {
+    subscribe(listener) {
+      listeners.push(listener);
+      return () => {};
+    },
+  };
+
+  function create() {
+    return createMetrics({
+      store,
+      chainIds: [CHAIN_ID, OTHER_CHAIN_ID],
+      getQueueDepth: () => queueDepth,
+      getDeadLetterCount: () => deadLetters,
+      getWalletBalance: async (chainId) => {
+        const balance = balances[chainId];
+        if (balance instanceof Error) {
+          throw balance;
+        }
+        return balance === undefined ? new Promise(() => {}) : balance;
+      },
+      balanceTimeoutMs: 50,
+    });
+  }
+
+  function emitAction(action) {
+    for (const listener of listeners) {
+      listener({ type: "action", payloadHash: "0xpayload", action });
+    }
+  }
+
+  /**
+   * Sample lines of one metric from the text output, keyed by name and labels
+   */
+  function samples(text, name) {
+    const result = {};
+    for (const line of text.split("\n")) {
+      if (line.startsWith(`${name}{`) || line.startsWith(`${name} `)) {
+        const index = line.lastIndexOf(" ");
+        result[line.slice(0, index)] = Number(line.slice(index + 1));
+      }
+    }
+    return result;
+  }
+
+  it("Should count payload submissions by outcome", async function () {
+    const metrics = create();
+    metrics.countPayload("queued");
+    metrics.countPayload("queued");
+    metrics.countPayload("invalid");
+
+    expect(samples(await metrics.render(), "bundler_payloads_received_total")).to.deep.equal({
+      'bundler_payloads_received_total{outcome="queued"}': 2,
+      'bundler_payloads_received_total{outcome="invalid"}': 1,
+    });
+  });
+
+  it("Should count actions once they reach a final status, with their duration", async function () {
+    const metrics = create();
+    const createdAt = new Date(Date.now() - 20000).toISOString();
+    emitAction({ actionId: "0xa", method: "layerzero", status: "sent", createdAt });
+    emitAction({ actionId: "0xa", method: "layerzero", status: "executed", createdAt });
+    emitAction({ actionId: "0xb", method: "local", status: "failed", createdAt });
+    emitAction({ actionId: "0xc", status: "skipped", createdAt });
+    // Payload events are not actions
+    listeners.forEach((listener) => listener({ type: "payload", payloadHash: "0xpayload", payload: { status: "processed" } }));
+
+    const text = await metrics.render();
+    expect(samples(text, "bundler_actions_total")).to.deep.equal({
+      'bundler_actions_total{method="layerzero",outcome="executed"}': 1,
+      'bundler_actions_total{method="local",outcome="failed"}': 1,
+      'bundler_actions_total{method="none",outcome="skipped"}': 1,
+    });
+    // About 20s from submission: past the 15s bucket, within the 30s one
+    const durations = samples(text, "bundler_action_duration_seconds_bucket");
+    expect(durations['bundler_action_duration_seconds_bucket{le="15",method="layerzero",outcome="executed"}']).to.equal(0);
+    expect(durations['bundler_action_duration_seconds_bucket{le="30",method="layerzero",outcome="executed"}']).to.equal(1);
+  });
+
+  it("Should add up fees per chain and kind", async function () {
+    const metrics = create();
+    metrics.recordFee(CHAIN_ID, "gas", 21000n);
+    metrics.recordFee(CHAIN_ID, "gas", 4000n);
+    metrics.recordFee(CHAIN_ID, "layerzero", 1000000n);
+
+    expect(samples(await metrics.render(), "bundler_fees_spent_wei_total")).to.deep.equal({
+      'bundler_fees_spent_wei_total{chain_id="84532",kind="gas"}': 25000,
+      'bundler_fees_spent_wei_total{chain_id="84532",kind="layerzero"}': 1000000,
+    });
+  });
+
+  it("Should read the queue, dead letters and wallet balances when scraped", async function () {
+    const metrics = create();
+    queueDepth = 3;
+    deadLetters = 1;
+    let text = await metrics.render();
+    expect(samples(text, "bundler_queue_depth")).to.deep.equal({ bundler_queue_depth: 3 });
+    expect(samples(text, "bundler_dead_letter_jobs")).to.deep.equal({ bundler_dead_letter_jobs: 1 });
+    // No wallet balance for a chain that returns null
+    expect(samples(text, "bundler_wallet_balance_wei")).to.deep.equal({
+      'bundler_wallet_balance_wei{chain_id="84532"}': 5e18,
+    });
+    // Process metrics share the prefix
+    expect(text).to.include("bundler_process_cpu_seconds_total");
+    expect(metrics.contentType).to.include("text/plain");
+
+    queueDepth = 0;
+    text = await metrics.render();
+    expect(samples(text, "bundler_queue_depth")).to.deep.equal({ bundler_queue_depth: 0 });
+  });
+
+  it("Should drop a balance that can no longer be read rather than report it stale", async function () {
+    const metrics = create();
+    expect(samples(await metrics.render(), "bundler_wallet_balance_wei")).to.have.property('bundler_wallet_balance_wei{chain_id="84532"}');
+
+    balances[CHAIN_ID] = new Error("connection refused");
+    expect(samples(await metrics.render(), "bundler_wallet_balance_wei")).to.deep.equal({});
+
+    balances[CHAIN_ID] = 1n;
+    expect(samples(await metrics.render(), "bundler_wallet_balance_wei")).to.deep.equal({
+      'bundler_wallet_balance_wei{chain_id="84532"}': 1,
+    });
+
+    // A hung RPC does not hold up the scrape
+    balances[CHAIN_ID] = undefined;
+    const start = Date.now();
+    expect(samples(await metrics.render(), "bundler_wallet_balance_wei")).to.deep.equal({});
+    expect(Date.now() - start).to.be.lessThan(1000);
+  });
+
+  describe("RPC providers", function () {
+    let server;
+    let url;
+
+    before(async function () {
+      // Answers eth_chainId and eth_blockNumber; any other method is an RPC error
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          const requests = [].concat(JSON.parse(body));
+          const responses = requests.map(({ id, method }) => {
+            if (method === "eth_chainId") {
+              return { jsonrpc: "2.0", id, result: `0x${CHAIN_ID.toString(16)}` };
+            }
+            if (method === "eth_blockNumber") {
+              return { jsonrpc: "2.0", id, result: "0x2a" };
+            }
+            return { jsonrpc: "2.0", id, error: { code: -32601, message: "method not found" } };
+          });
+          res.setHeader("Content-Type", "application/json");
+          res.end(JSON.stringify(Array.isArray(JSON.parse(body)) ? responses : responses[0]));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should time each request by chain, method and result", async function () {
+      const metrics = create();
+      const provider = metrics.createProvider(url, CHAIN_ID);
+      try {
+        expect(await provider.getBlockNumber()).to.equal(42);
+        expect(await provider.send("eth_blockNumber", [])).to.equal("0x2a");
+        await provider.send("eth_unknownMethod", []).then(
+          () => expect.fail("should have thrown"),
+          (error) => expect(error.message).to.include("method not found"),
+        );
+      } finally {
+        provider.destroy();
+      }
+
+      // Network detection (eth_chainId) is timed as well
+      const counts = samples(await metrics.render(), "bundler_rpc_request_duration_seconds_count");
+      expect(counts).to.deep.equal({
+        'bundler_rpc_request_duration_seconds_count{chain_id="84532",method="eth_chainId",result="ok"}': 1,
+        'bundler_rpc_request_duration_seconds_count{chain_id="84532",method="eth_blockNumber",result="ok"}': 2,
+        'bundler_rpc_request_duration_seconds_count{chain_id="84532",method="eth_unknownMethod",result="error"}': 1,
+      });
+    });
+  });
+});
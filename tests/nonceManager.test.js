@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * The bundler wallet's nonce manager: serial nonce assignment, replacing stuck transactions and
+ * resuming persisted ones after a restart. Automine is switched off to keep transactions pending.
+ */
+describe("Bundler Nonce Manager", function () {
+  let createActionStore;
+  let createNonceManager;
+  let chainId;
+  let wallet;
+  let recipient;
+  let tmpDir;
+  let filePath;
+  let managers;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createNonceManager } = await import("../bundler/nonceManager.js"));
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+    [, recipient] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "nonce-manager-"));
+    filePath = path.join(tmpDir, "actions.json");
+    managers = [];
+    // A fresh bundler key per test, so nonces start at 0
+    wallet = ethers.Wallet.createRandom();
+    await ethers.provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(ethers.parseEther("10"))]);
+  });
+
+  afterEach(async function () {
+    await ethers.provider.send("evm_setAutomine", [true]);
+    await ethers.provider.send("evm_mine", []);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function createManager(options = {}) {
+    const store = createActionStore(filePath, { writeDelayMs: 0 });
+    const manager = createNonceManager({
+      privateKey: wallet.privateKey,
+      provider: ethers.provider,
+      chainId,
+      store,
+      pollMs: 10,
+      ...options,
+    });
+    managers.push(manager);
+    return { manager, store };
+  }
+
+  function transfer(value = 1n) {
+    return { to: recipient.address, value, gasLimit: 21000n };
+  }
+
+  async function waitFor(condition, timeoutMs = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error("Timed out waiting for the nonce manager");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  it("Should assign consecutive nonces to concurrent transactions", async function () {
+    const { manager, store } = createManager();
+    const sent = await Promise.all([1n, 2n, 3n].map((value) => manager.sendTransaction(transfer(value))));
+    expect(sent.map((tx) => tx.nonce)).to.deep.equal([0, 1, 2]);
+    expect(store.getPendingTxs(chainId).map((tx) => tx.nonce)).to.deep.equal([0, 1, 2]);
+
+    const receipts = await Promise.all(sent.map((tx) => tx.wait()));
+    expect(receipts.map((receipt) => receipt.hash)).to.deep.equal(sent.map((tx) => tx.hash));
+    expect(receipts.every((receipt) => receipt.status === 1)).to.equal(true);
+    expect(store.getPendingTxs(chainId)).to.have.length(0);
+    expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(3);
+  });
+
+  it("Should replace a transaction still pending after the stuck timeout", async function () {
+    const { manager, store } = createManager({ stuckAfterMs: 50, feeBumpPercent: 20 });
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const sent = await manager.sendTransaction(transfer());
+    const [original] = store.getPendingTxs(chainId);
+    const mined = sent.wait();
+
+    await waitFor(() => store.getPendingTxs(chainId)[0]?.replacements === 1);
+    const [replaced] = store.getPendingTxs(chainId);
+    expect(replaced.nonce).to.equal(sent.nonce);
+    expect(replaced.hashes).to.have.length(2);
+    expect(replaced.hashes[0]).to.equal(sent.hash);
+    expect(BigInt(replaced.maxFeePerGas)).to.be.at.least((BigInt(original.maxFeePerGas) * 120n) / 100n);
+
+    await ethers.provider.send("evm_mine", []);
+    const receipt = await mined;
+    expect(receipt.hash).to.equal(replaced.hashes[1]);
+    expect(store.getPendingTxs(chainId)).to.have.length(0);
+  });
+
+  it("Should give up on a transaction after maxReplacements", async function () {
+    const { manager } = createManager({ stuckAfterMs: 20, maxReplacements: 1 });
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const sent = await manager.sendTransaction(transfer());
+    let error;
+    try {
+      await sent.wait();
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.match(/still pending on chain \d+ after 1 replacements/);
+  });
+
+  it("Should resume persisted transactions after a restart", async function () {
+    const { manager } = createManager();
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const sent = await manager.sendTransaction(transfer());
+    // The node forgets the transaction, as if it dropped out of the mempool while the bundler was down
+    await ethers.provider.send("hardhat_dropTransaction", [sent.hash]);
+    expect(await ethers.provider.getTransactionCount(wallet.address, "pending")).to.equal(0);
+
+    const restarted = createManager({ stuckAfterMs: 20 });
+    expect(restarted.store.getPendingTxs(chainId)).to.have.length(1);
+    // The persisted transaction keeps its nonce; the next one goes after it
+    expect(await restarted.manager.resync()).to.equal(sent.nonce + 1);
+
+    await waitFor(() => restarted.store.getPendingTxs(chainId)[0]?.replacements === 1);
+    await ethers.provider.send("evm_mine", []);
+    await waitFor(() => restarted.store.getPendingTxs(chainId).length === 0);
+    expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(1);
+
+    await ethers.provider.send("evm_setAutomine", [true]);
+    const next = await restarted.manager.sendTransaction(transfer());
+    expect(next.nonce).to.equal(1);
+    expect((await next.wait()).status).to.equal(1);
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Conformance of doc/EIL_payload_examples.json with the bundler's payload schema,
+ * plus the field-level errors the bundler returns for malformed payloads
+ */
+describe("EIL Payload Schema", function () {
+  let validatePayload;
+  let examples;
+
+  before(async function () {
+    const { createChainRegistry } = await import("../bundler/chainRegistry.js");
+    const { createPayloadValidator } = await import("../bundler/payloadSchema.js");
+    const registry = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "chains.json"), "utf8"));
+    validatePayload = createPayloadValidator(createChainRegistry(registry));
+    examples = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "..", "doc", "EIL_payload_examples.json"), "utf8")
+    ).examples;
+  });
+
+  it("Should accept every documented example", function () {
+    expect(examples.length).to.be.greaterThan(0);
+    for (const example of examples) {
+      expect(validatePayload(example.payload), example.name).to.deep.equal([]);
+    }
+  });
+
+  it("Should accept numeric-string timestamps and lowercase addresses", function () {
+    const payload = structuredClone(examples[0].payload);
+    payload.timestamp = String(payload.timestamp);
+    payload.userAccount = payload.userAccount.toLowerCase();
+    payload.actions[0].adapter = payload.actions[0].adapter.toLowerCase();
+    expect(validatePayload(payload)).to.deep.equal([]);
+  });
+
+  it("Should report each invalid field", function () {
+    const payload = structuredClone(examples[0].payload);
+    payload.userAccount = payload.userAccount.slice(0, -1);
+    payload.actions[0].calldata = "0x123";
+    payload.actions[1].chainId = 1;
+    payload.fileOps[0].cid = "not-a-cid";
+    payload.userOpHash = "0x1234";
+    payload.extra = true;
+
+    const fields = validatePayload(payload).map((error) => error.field);
+    expect(fields).to.have.members([
+      "userAccount",
+      "actions[0].calldata",
+      "actions[1].chainId",
+      "fileOps[0].cid",
+      "userOpHash",
+      "extra",
+    ]);
+  });
+
+  it("Should reject a badly checksummed address", function () {
+    const payload = structuredClone(examples[0].payload);
+    const address = payload.userAccount;
+    // Flip the case of the first hex letter
+    const i = address.slice(2).search(/[a-fA-F]/) + 2;
+    const flipped = address[i] === address[i].toUpperCase() ? address[i].toLowerCase() : address[i].toUpperCase();
+    payload.userAccount = address.slice(0, i) + flipped + address.slice(i + 1);
+    expect(validatePayload(payload)).to.deep.equal([
+      { field: "userAccount", message: "must be a valid address (checksummed or all lowercase)" },
+    ]);
+  });
+
+  it("Should reject adapters not registered for the action's chain", function () {
+    const payload = structuredClone(examples[0].payload);
+    // Swap adapter from Chain A used for the Chain B action
+    payload.actions[1].adapter = payload.actions[0].adapter;
+    expect(validatePayload(payload)).to.deep.equal([
+      { field: "actions[1].adapter", message: "must be an adapter registered for this chain in chains.json" },
+    ]);
+  });
+
+  it("Should reject missing fields, empty actions and out-of-range timestamps", function () {
+    expect(validatePayload({ actions: [], fileOps: [], timestamp: 1 })).to.deep.include.members([
+      { field: "userAccount", message: "is required" },
+      { field: "actions", message: "must NOT have fewer than 1 items" },
+    ]);
+    expect(validatePayload({ ...examples[0].payload, timestamp: 1 }).map((error) => error.field))
+      .to.deep.equal(["timestamp"]);
+  });
+
+  it("Should require a nonce and a deadline after the timestamp", function () {
+    const { nonce, deadline, ...unsigned } = examples[0].payload;
+    expect(validatePayload(unsigned)).to.deep.equal([
+      { field: "nonce", message: "is required" },
+      { field: "deadline", message: "is required" },
+    ]);
+
+    const payload = examples[0].payload;
+    expect(validatePayload({ ...payload, nonce: "-1" }).map((error) => error.field)).to.deep.equal(["nonce"]);
+    expect(validatePayload({ ...payload, nonce: (2n ** 256n).toString() }).map((error) => error.field))
+      .to.deep.equal(["nonce"]);
+    expect(validatePayload({ ...payload, deadline: payload.timestamp })).to.deep.equal([
+      { field: "deadline", message: "must be after timestamp" },
+    ]);
+    expect(validatePayload({ ...payload, deadline: payload.timestamp + 86401 })).to.deep.equal([
+      { field: "deadline", message: "must be at most 86400s after timestamp" },
+    ]);
+  });
+
+  it("Should reject timestamps too far in the future", function () {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { ...examples[0].payload, timestamp: now + 3600, deadline: now + 4200 };
+    expect(validatePayload(payload, { now })).to.deep.equal([
+      { field: "timestamp", message: "must not be more than 300s in the future" },
+    ]);
+    expect(validatePayload({ ...payload, timestamp: now + 60, deadline: now + 660 }, { now })).to.deep.equal([]);
+  });
+});
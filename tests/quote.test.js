@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+
+/**
+ * The payload quoter behind POST /api/quote (bundler/quote.js), with the source chain router's fee
+ * quotes and the gas estimates stubbed
+ */
+describe("Bundler Payload Quote", function () {
+  const SOURCE_CHAIN_ID = 84532;
+  const REMOTE_CHAIN_ID = 421614;
+  const OTHER_CHAIN_ID = 11155420;
+  const REMOTE_EID = 40231;
+  const OTHER_EID = 40232;
+  const ROUTER = "0x00000000000000000000000000000000000a11ce";
+  const SWAP_ADAPTER = "0x0000000000000000000000000000000000005a4a";
+  const VAULT_ADAPTER = "0x000000000000000000000000000000000000ba17";
+  const GAS_PRICE = 10n;
+
+  let createChainRegistry;
+  let encodeSwapCalldata;
+  let encodeVaultAction;
+  let ROUTER_ABI;
+  let createPayloadQuoter;
+  let splitAmount;
+  let chainRegistry;
+  let routerInterface;
+  let fees;
+  let estimates;
+
+  before(async function () {
+    ({ createChainRegistry } = await import("../bundler/chainRegistry.js"));
+    ({ encodeSwapCalldata } = await import("../bundler/buildPayload.js"));
+    ({ encodeVaultAction } = await import("../bundler/vaultActions.js"));
+    ({ ROUTER_ABI } = await import("../bundler/accountCalls.js"));
+    ({ createPayloadQuoter, splitAmount } = await import("../bundler/quote.js"));
+    routerInterface = new ethers.Interface(ROUTER_ABI);
+    chainRegistry = createChainRegistry({
+      chains: {
+        source: { chainId: SOURCE_CHAIN_ID, layerZero: { eid: 40245 }, contracts: { VaultAdapter: VAULT_ADAPTER } },
+        remote: { chainId: REMOTE_CHAIN_ID, layerZero: { eid: REMOTE_EID } },
+        other: { chainId: OTHER_CHAIN_ID, layerZero: { eid: OTHER_EID } },
+      },
+    });
+  });
+
+  beforeEach(function () {
+    // Native fee per EID for single and batch messages; a missing fee makes the quote revert
+    fees = { single: { [REMOTE_EID]: 500n, [OTHER_EID]: 700n }, batch: { [REMOTE_EID]: 1001n } };
+    estimates = [];
+  });
+
+  /**
+   * Router fee quotes answered from `fees`
+   */
+  const provider = {
+    async call({ data }) {
+      const call = routerInterface.parseTransaction({ data });
+      const eid = Number(call.args[0]);
+      const fee = call.name === "quoteBatchCrossChainActions" ? fees.batch[eid] : fees.single[eid];
+      if (fee === undefined) {
+        throw new Error("execution reverted: OApp: no peer");
+      }
+      return routerInterface.encodeFunctionResult(call.name, [[fee, 0n]]);
+    },
+  };
+
+  function createQuoter(options = {}) {
+    return createPayloadQuoter({
+      chainRegistry,
+      sourceChainId: SOURCE_CHAIN_ID,
+      routerAddress: ROUTER,
+      provider,
+      estimateTxCost: async (chainId, request) => {
+        estimates.push({ chainId, request });
+        // Local executions cost 200k gas, everything else 100k
+        const local = request.to === ROUTER && routerInterface.parseTransaction(request).name === "executeLocalAction";
+        const gasLimit = local ? 200000n : 100000n;
+        return { gasLimit, gasCost: gasLimit * GAS_PRICE };
+      },
+      getBatchEid: (chainId) => (chainId === SOURCE_CHAIN_ID ? null : chainRegistry.getChain(chainId)?.layerZero?.eid || null),
+      ...options,
+    });
+  }
+
+  function buildPayload(actions) {
+    return {
+      userAccount: "0x00000000000000000000000000000000000b0b00",
+      actions,
+      fileOps: [],
+      timestamp: "1700000000",
+      nonce: "1",
+      deadline: "1700000600",
+    };
+  }
+
+  function swapAction(chainId, amountIn = 1000n) {
+    return { chainId, adapter: SWAP_ADAPTER, calldata: encodeSwapCalldata({ amountIn }) };
+  }
+
+  it("Should split an amount with the remainder on the first part", function () {
+    expect(splitAmount(1001n, 2)).to.deep.equal([501n, 500n]);
+    expect(splitAmount(10n, 3)).to.deep.equal([4n, 3n, 3n]);
+    expect(splitAmount(0n, 2)).to.deep.equal([0n, 0n]);
+  });
+
+  it("Should quote each action's LayerZero fee, source gas and local gas", async function () {
+    const deposit = { chainId: SOURCE_CHAIN_ID, adapter: VAULT_ADAPTER, calldata: encodeVaultAction({ operation: 0, user: ROUTER, amount: 5000n, targetChainId: 0 }) };
+    const quote = await createQuoter().quotePayload(buildPayload([deposit, swapAction(OTHER_CHAIN_ID)]));
+
+    expect(quote.sourceChainId).to.equal(SOURCE_CHAIN_ID);
+    expect(quote.actions[0]).to.deep.equal({
+      index: 0,
+      chainId: SOURCE_CHAIN_ID,
+      method: "local_via_router",
+      eid: null,
+      batched: false,
+      batchSize: 1,
+      gasLimit: "200000",
+      lzFee: "0",
+      sourceGas: "0",
+      localGas: "2000000",
+      total: "2000000",
+      error: null,
+    });
+    expect(quote.actions[1]).to.include({
+      method: "layerzero_oapp",
+      eid: OTHER_EID,
+      batched: false,
+      lzFee: "700",
+      sourceGas: "1000000",
+      localGas: "0",
+      total: "1000700",
+    });
+    expect(quote.totals).to.deep.equal({ lzFee: "700", sourceGas: "1000000", localGas: "2000000", total: "3000700" });
+    expect(quote.totalsEth.total).to.equal(ethers.formatEther(3000700n));
+    expect(quote.complete).to.equal(true);
+
+    // The vault deposit is estimated with the ETH it sends, the message with the fee it pays
+    expect(estimates[0].request.value).to.equal(5000n);
+    expect(routerInterface.parseTransaction(estimates[1].request).name).to.equal("sendCrossChainAction");
+    expect(estimates[1].request.value).to.equal(700n);
+  });
+
+  it("Should split batch costs over the batch's actions, adding back up to the message cost", async function () {
+    const payload = buildPayload([swapAction(REMOTE_CHAIN_ID, 1n), swapAction(OTHER_CHAIN_ID), swapAction(REMOTE_CHAIN_ID, 2n)]);
+    const quote = await createQuoter().quotePayload(payload);
+
+    const batched = quote.actions.filter((action) => action.batched);
+    expect(batched.map((action) => action.index)).to.deep.equal([0, 2]);
+    expect(batched.map((action) => action.lzFee)).to.deep.equal(["501", "500"]);
+    expect(batched.every((action) => action.batchSize === 2 && action.gasLimit === "100000")).to.equal(true);
+    const sum = (field) => batched.reduce((total, action) => total + BigInt(action[field]), 0n);
+    expect(sum("lzFee")).to.equal(fees.batch[REMOTE_EID]);
+    expect(sum("sourceGas")).to.equal(100000n * GAS_PRICE);
+
+    const batchRequest = estimates.find((estimate) => routerInterface.parseTransaction(estimate.request).name === "sendBatchCrossChainActions");
+    expect(batchRequest.request.value).to.equal(1001n);
+    expect(routerInterface.parseTransaction(batchRequest.request).args[1]).to.have.lengthOf(2);
+    expect(quote.totals.lzFee).to.equal("1701");
+  });
+
+  it("Should report actions that cannot be quoted and leave them out of the totals", async function () {
+    delete fees.batch[REMOTE_EID];
+    const payload = buildPayload([swapAction(REMOTE_CHAIN_ID, 1n), swapAction(REMOTE_CHAIN_ID, 2n), swapAction(OTHER_CHAIN_ID)]);
+    const quote = await createQuoter().quotePayload(payload);
+
+    for (const action of quote.actions.slice(0, 2)) {
+      expect(action).to.include({ method: "layerzero_oapp", eid: REMOTE_EID, lzFee: "0", sourceGas: "0", total: "0" });
+      expect(action.error).to.equal("execution reverted: OApp: no peer");
+    }
+    expect(quote.actions[2].error).to.equal(null);
+    expect(quote.totals).to.include({ lzFee: "700", total: "1000700" });
+    expect(quote.complete).to.equal(false);
+
+    // A fee quoted before the gas estimate failed does not count either
+    const failingGas = createQuoter({
+      estimateTxCost: async () => {
+        throw new Error("insufficient funds for gas");
+      },
+    });
+    const unestimated = await failingGas.quotePayload(buildPayload([swapAction(OTHER_CHAIN_ID)]));
+    expect(unestimated.actions[0]).to.include({ lzFee: "0", total: "0", error: "insufficient funds for gas" });
+    expect(unestimated.totals.total).to.equal("0");
+  });
+
+  it("Should report a missing router or EID per action", async function () {
+    const quote = await createQuoter({ routerAddress: null }).quotePayload(
+      buildPayload([swapAction(SOURCE_CHAIN_ID), swapAction(REMOTE_CHAIN_ID)])
+    );
+    expect(quote.actions[0].error).to.equal("OmnichainSuperAccountRouter not deployed for local actions");
+    expect(quote.actions[1].error).to.match(/not deployed/);
+
+    const noEid = await createQuoter().quotePayload(buildPayload([swapAction(1)]));
+    expect(noEid.actions[0]).to.include({ method: "layerzero_oapp", error: "LayerZero EID not configured for chain 1" });
+    expect(noEid.complete).to.equal(false);
+  });
+
+  it("Should quote HACK_MODE actions as direct adapter calls", async function () {
+    const quote = await createQuoter({ hackMode: true, getBatchEid: () => null }).quotePayload(
+      buildPayload([swapAction(REMOTE_CHAIN_ID), swapAction(REMOTE_CHAIN_ID)])
+    );
+    expect(quote.actions.map((action) => [action.method, action.batched, action.localGas])).to.deep.equal([
+      ["direct_call", false, "1000000"],
+      ["direct_call", false, "1000000"],
+    ]);
+    expect(estimates.map((estimate) => [estimate.chainId, estimate.request.to])).to.deep.equal([
+      [REMOTE_CHAIN_ID, SWAP_ADAPTER],
+      [REMOTE_CHAIN_ID, SWAP_ADAPTER],
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Per-account and per-IP action and spend limits enforced by the bundler on submissions
+ */
+describe("Bundler Usage Limits", function () {
+  let createActionStore;
+  let createUsageLimits;
+  let tmpDir;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createUsageLimits } = await import("../bundler/rateLimits.js"));
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-limits-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function createLimits(options) {
+    const store = createActionStore(path.join(tmpDir, "actions.json"));
+    return createUsageLimits({ store, maxActionsPerHour: 0, maxFeeWeiPerDay: 0n, ...options });
+  }
+
+  it("Should allow submissions up to the hourly action limit", function () {
+    const limits = createLimits({ maxActionsPerHour: 5 });
+    expect(limits.reserve(["account:a", "ip:1"], { actions: 2 })).to.equal(null);
+    expect(limits.reserve(["account:a", "ip:1"], { actions: 3 })).to.equal(null);
+
+    const exceeded = limits.reserve(["account:a", "ip:1"], { actions: 1 });
+    expect(exceeded.key).to.equal("account:a");
+    expect(exceeded.used).to.equal("5");
+    expect(exceeded.retryAfter).to.be.within(3599, 3600);
+  });
+
+  it("Should count usage per IP across accounts", function () {
+    const limits = createLimits({ maxActionsPerHour: 3 });
+    expect(limits.reserve(["account:a", "ip:1"], { actions: 2 })).to.equal(null);
+    expect(limits.reserve(["account:b", "ip:1"], { actions: 2 }).key).to.equal("ip:1");
+    expect(limits.reserve(["account:b", "ip:2"], { actions: 2 })).to.equal(null);
+  });
+
+  it("Should not record refused submissions", function () {
+    const limits = createLimits({ maxActionsPerHour: 3 });
+    expect(limits.reserve(["account:a"], { actions: 4 }).retryAfter).to.equal(null);
+    expect(limits.reserve(["account:a"], { actions: 3 })).to.equal(null);
+  });
+
+  it("Should limit LayerZero fees per day", function () {
+    const limits = createLimits({ maxFeeWeiPerDay: 1000n });
+    expect(limits.limitsFees).to.equal(true);
+    expect(limits.reserve(["account:a"], { actions: 1, feeWei: 600n })).to.equal(null);
+
+    const exceeded = limits.reserve(["account:a"], { actions: 1, feeWei: 600n });
+    expect(exceeded.error).to.match(/LayerZero fees per day per account/);
+    expect(exceeded.limit).to.equal("1000");
+    expect(exceeded.retryAfter).to.be.greaterThan(86000);
+  });
+
+  it("Should keep usage across restarts", function () {
+    expect(createLimits({ maxActionsPerHour: 2 }).reserve(["account:a"], { actions: 2 })).to.equal(null);
+    expect(createLimits({ maxActionsPerHour: 2 }).reserve(["account:a"], { actions: 1 })).to.not.equal(null);
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * OmnichainSuperAccountRouter batches against a mock LayerZero endpoint: the quoted batch fee is
+ * what the send pays, and on the destination each batched action succeeds or fails on its own
+ */
+describe("Router Batch Actions", function () {
+  const REMOTE_EID = 40231;
+  const ACTION_TUPLE = "tuple(address userAccount, address targetAdapter, bytes adapterCalldata, uint256 timestamp, bytes32 actionId)";
+  const OPTIONS = { nativeDropAmount: 0n, executorLzReceiveOption: "0x" };
+
+  let owner;
+  let user;
+  let endpoint;
+  let router;
+  let swapAdapter;
+  let peer;
+
+  beforeEach(async function () {
+    [owner, user] = await ethers.getSigners();
+    const Endpoint = await ethers.getContractFactory("MockLayerZeroEndpoint");
+    endpoint = await Endpoint.deploy();
+    await endpoint.waitForDeployment();
+
+    const Router = await ethers.getContractFactory("OmnichainSuperAccountRouter");
+    router = await Router.deploy(endpoint.target, owner.address);
+    await router.waitForDeployment();
+    // The remote router is this one's peer both ways
+    peer = ethers.zeroPadValue(router.target, 32);
+    await router.setPeer(REMOTE_EID, peer);
+
+    const SwapAdapter = await ethers.getContractFactory("SwapAdapter");
+    swapAdapter = await SwapAdapter.deploy(router.target);
+    await swapAdapter.waitForDeployment();
+  });
+
+  function swapCalldata(amountIn) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+      ["tuple(address tokenIn, address tokenOut, uint256 amountIn, uint256 amountOutMin)"],
+      [[ethers.ZeroAddress, ethers.ZeroAddress, amountIn, 0n]]
+    );
+  }
+
+  function toAction(adapterCalldata, label) {
+    return {
+      userAccount: user.address,
+      targetAdapter: swapAdapter.target,
+      adapterCalldata,
+      timestamp: 1700000000n,
+      actionId: ethers.id(label),
+    };
+  }
+
+  function deliver(message, nonce = 1n) {
+    return endpoint.deliver(router.target, { srcEid: REMOTE_EID, sender: peer, nonce }, ethers.id(`guid:${nonce}`), message);
+  }
+
+  it("Should send a batch for exactly the fee it quotes", async function () {
+    const actions = [toAction(swapCalldata(1000n), "a"), toAction(swapCalldata(2000n), "b"), toAction(swapCalldata(3000n), "c")];
+    const { nativeFee } = await router.quoteBatchCrossChainActions(REMOTE_EID, actions, OPTIONS);
+    expect(nativeFee).to.be.greaterThan(0n);
+
+    await expect(router.sendBatchCrossChainActions(REMOTE_EID, actions, OPTIONS, { value: nativeFee - 1n }))
+      .to.be.revertedWith("OmnichainRouter: insufficient fee");
+    await router.sendBatchCrossChainActions(REMOTE_EID, actions, OPTIONS, { value: nativeFee });
+    expect(await endpoint.lastFee()).to.equal(nativeFee);
+
+    // A buffered fee pays the same message fee; the endpoint refunds the rest
+    const before = await ethers.provider.getBalance(router.target);
+    await router.sendBatchCrossChainActions(REMOTE_EID, actions, OPTIONS, { value: nativeFee + nativeFee / 10n });
+    expect(await endpoint.lastFee()).to.equal(nativeFee);
+    expect(await ethers.provider.getBalance(endpoint.target)).to.equal(nativeFee * 2n);
+    expect(await ethers.provider.getBalance(router.target)).to.equal(before);
+
+    // The batch message, with its larger payload and gas, costs more than one action
+    const single = await router.quoteCrossChainAction(REMOTE_EID, actions[0], OPTIONS);
+    expect(nativeFee).to.be.greaterThan(single.nativeFee);
+  });
+
+  it("Should record a failing batched action and still run the rest", async function () {
+    const actions = [toAction(swapCalldata(1000n), "a"), toAction("0x1234", "broken"), toAction(swapCalldata(3000n), "c")];
+    const message = ethers.AbiCoder.defaultAbiCoder().encode([`${ACTION_TUPLE}[]`], [actions]);
+
+    const tx = deliver(message);
+    await expect(tx).to.emit(swapAdapter, "SwapExecuted").withArgs(user.address, ethers.ZeroAddress, ethers.ZeroAddress, 3000n, 3000n, router.target);
+    const receipt = await (await tx).wait();
+    const received = receipt.logs
+      .map((log) => router.interface.parseLog(log))
+      .filter((log) => log?.name === "CrossChainActionReceived")
+      .map((log) => [log.args.actionId, log.args.success]);
+    expect(received).to.deep.equal([[actions[0].actionId, true], [actions[1].actionId, false], [actions[2].actionId, true]]);
+    for (const action of actions) {
+      expect(await router.isActionExecuted(action.actionId)).to.equal(true);
+    }
+
+    // Actions already executed are skipped, the rest of a later batch runs
+    const retry = [actions[1], toAction(swapCalldata(4000n), "d")];
+    await expect(deliver(ethers.AbiCoder.defaultAbiCoder().encode([`${ACTION_TUPLE}[]`], [retry]), 2n))
+      .to.emit(router, "CrossChainActionReceived").withArgs(retry[1].actionId, REMOTE_EID, user.address, swapAdapter.target, true);
+  });
+
+  it("Should record batched actions for untrusted adapters as failed", async function () {
+    await router.setTrustedAdapter(REMOTE_EID, owner.address);
+    const actions = [toAction(swapCalldata(1000n), "a"), toAction(swapCalldata(2000n), "b")];
+    const message = ethers.AbiCoder.defaultAbiCoder().encode([`${ACTION_TUPLE}[]`], [actions]);
+
+    await expect(deliver(message))
+      .to.emit(router, "CrossChainActionReceived").withArgs(actions[1].actionId, REMOTE_EID, user.address, swapAdapter.target, false)
+      .and.not.to.emit(swapAdapter, "SwapExecuted");
+    expect(await router.isActionExecuted(actions[0].actionId)).to.equal(true);
+  });
+
+  it("Should record a failing single action instead of reverting lzReceive", async function () {
+    const action = toAction("0x1234", "broken");
+    const message = ethers.AbiCoder.defaultAbiCoder().encode([ACTION_TUPLE], [action]);
+
+    await expect(deliver(message))
+      .to.emit(router, "CrossChainActionReceived").withArgs(action.actionId, REMOTE_EID, user.address, swapAdapter.target, false);
+    expect(await router.isActionExecuted(action.actionId)).to.equal(true);
+
+    // Locally the caller still gets the adapter's revert
+    const SwapAdapter = await ethers.getContractFactory("SwapAdapter");
+    const otherAdapter = await SwapAdapter.deploy(owner.address);
+    await otherAdapter.waitForDeployment();
+    const local = { ...toAction(swapCalldata(1000n), "local"), targetAdapter: otherAdapter.target };
+    await expect(router.executeLocalAction(local)).to.be.revertedWith("SwapAdapter: not trusted router");
+    expect(await router.isActionExecuted(ethers.id("local"))).to.equal(false);
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * Payload simulation (bundler/simulation.js) against the hardhat node: a cross-chain action is run
+ * as the router calling the adapter's executeFromEIL, with the router impersonated through eth_call
+ */
+describe("Bundler Simulation", function () {
+  // Code-only stand-in for the LayerZero endpoint: the OApp constructor only calls setDelegate
+  const ENDPOINT = "0x00000000000000000000000000000000000e1d00";
+
+  let simulateCall;
+  let encodeVaultAction;
+  let owner;
+  let user;
+  let router;
+  let vault;
+  let vaultAdapter;
+
+  before(async function () {
+    ({ simulateCall } = await import("../bundler/simulation.js"));
+    ({ encodeVaultAction } = await import("../bundler/vaultActions.js"));
+    [owner, user] = await ethers.getSigners();
+    await ethers.provider.send("hardhat_setCode", [ENDPOINT, "0x00"]);
+  });
+
+  beforeEach(async function () {
+    const Router = await ethers.getContractFactory("OmnichainSuperAccountRouter");
+    router = await Router.deploy(ENDPOINT, owner.address);
+    await router.waitForDeployment();
+
+    const OmnichainVault = await ethers.getContractFactory("OmnichainVault");
+    vault = await OmnichainVault.deploy(ethers.ZeroAddress, owner.address, 500);
+    await vault.waitForDeployment();
+    const VaultAdapter = await ethers.getContractFactory("VaultAdapter");
+    vaultAdapter = await VaultAdapter.deploy(router.target, vault.target);
+    await vaultAdapter.waitForDeployment();
+    await vault.setRouter(vaultAdapter.target);
+  });
+
+  function executeFromEIL(amount) {
+    const calldata = encodeVaultAction({ operation: 0, user: user.address, amount, targetChainId: 0 });
+    return vaultAdapter.interface.encodeFunctionData("executeFromEIL", [user.address, calldata]);
+  }
+
+  it("Should decode the adapter's revert reason when the router would call it", async function () {
+    // The bundler sends the deposit amount along; a payload whose value does not match reverts
+    const result = await simulateCall(ethers.provider, {
+      from: router.target,
+      to: vaultAdapter.target,
+      data: executeFromEIL(1000n),
+      value: 999n,
+    });
+
+    expect(result.success).to.equal(false);
+    expect(result.returnData).to.equal(null);
+    expect(result.events).to.deep.equal([]);
+    expect(result.revert.reason).to.equal("VaultAdapter: msg.value must equal amount");
+    // Error(string)
+    expect(result.revert.selector).to.equal("0x08c379a0");
+  });
+
+  it("Should run the call as the impersonated router without changing state", async function () {
+    // The router is a contract with no ETH; the simulation funds it for the call
+    expect(await ethers.provider.getBalance(router.target)).to.equal(0n);
+    const result = await simulateCall(ethers.provider, {
+      from: router.target,
+      to: vaultAdapter.target,
+      data: executeFromEIL(1000n),
+      value: 1000n,
+    });
+
+    expect(result.success).to.equal(true);
+    expect(result.revert).to.equal(null);
+    expect(result.returnData).to.equal("0x");
+    expect(await vault.userBalances(user.address)).to.equal(0n);
+
+    // Anyone but the trusted router is refused
+    const stranger = await simulateCall(ethers.provider, {
+      from: user.address,
+      to: vaultAdapter.target,
+      data: executeFromEIL(1000n),
+      value: 1000n,
+    });
+    expect(stranger.revert.reason).to.equal("VaultAdapter: not trusted router");
+  });
+});
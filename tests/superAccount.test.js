@@ -52,6 +52,106 @@ describe("SuperAccount", function () {
     });
   });
 
+  describe("ValidateUserOp", function () {
+    // validateUserOp is overloaded for the v0.6 UserOperation and the v0.7 PackedUserOperation
+    const VALIDATE_V06 =
+      "validateUserOp((address,uint256,bytes,bytes,uint256,uint256,uint256,uint256,uint256,bytes,bytes),bytes32,uint256)";
+    const VALIDATE_V07 = "validateUserOp((address,uint256,bytes,bytes,bytes32,uint256,bytes32,bytes,bytes),bytes32,uint256)";
+
+    let account;
+    let userOp;
+    const userOpHash = ethers.keccak256(ethers.toUtf8Bytes("userOp"));
+
+    beforeEach(async function () {
+      // addr2 stands in for the EntryPoint so it can call validateUserOp directly
+      const SuperAccount = await ethers.getContractFactory("SuperAccount");
+      account = await SuperAccount.deploy(addr2.address, owner.address);
+      await account.waitForDeployment();
+
+      userOp = {
+        sender: account.target,
+        nonce: 0,
+        initCode: "0x",
+        callData: "0x",
+        callGasLimit: 100000,
+        verificationGasLimit: 100000,
+        preVerificationGas: 21000,
+        maxFeePerGas: 0,
+        maxPriorityFeePerGas: 0,
+        paymasterAndData: "0x",
+        signature: "0x",
+      };
+    });
+
+    it("Should return 0 for a signature by the owner", async function () {
+      userOp.signature = await owner.signMessage(ethers.getBytes(userOpHash));
+      expect(
+        await account.connect(addr2)[VALIDATE_V06].staticCall(userOp, userOpHash, 0)
+      ).to.equal(0);
+    });
+
+    it("Should return 1 for a signature by someone else", async function () {
+      userOp.signature = await addr1.signMessage(ethers.getBytes(userOpHash));
+      expect(
+        await account.connect(addr2)[VALIDATE_V06].staticCall(userOp, userOpHash, 0)
+      ).to.equal(1);
+    });
+
+    it("Should pay the missing prefund to the EntryPoint", async function () {
+      await owner.sendTransaction({ to: account.target, value: ethers.parseEther("1") });
+      userOp.signature = await owner.signMessage(ethers.getBytes(userOpHash));
+
+      await expect(
+        account.connect(addr2)[VALIDATE_V06](userOp, userOpHash, ethers.parseEther("0.1"))
+      ).to.changeEtherBalance(account, -ethers.parseEther("0.1"));
+    });
+
+    it("Should revert if called by non-EntryPoint", async function () {
+      await expect(
+        account.connect(addr1)[VALIDATE_V06](userOp, userOpHash, 0)
+      ).to.be.revertedWith("SuperAccount: not entryPoint");
+    });
+
+    it("Should validate v0.7 PackedUserOperations against the v0.7 userOpHash", async function () {
+      const { ENTRYPOINT_V06, ENTRYPOINT_V07, buildUserOperation, getUserOpHash, packUserOperation } =
+        await import("../bundler/userOperation.js");
+      const chainId = (await ethers.provider.getNetwork()).chainId;
+      const operation = buildUserOperation({ ...userOp, maxFeePerGas: 2000000000, maxPriorityFeePerGas: 1000000000 });
+      const packedHash = getUserOpHash(operation, ENTRYPOINT_V07, chainId);
+      expect(packedHash).to.not.equal(getUserOpHash(operation, ENTRYPOINT_V06, chainId));
+
+      const packed = packUserOperation({ ...operation, signature: await owner.signMessage(ethers.getBytes(packedHash)) });
+      expect(packed.accountGasLimits).to.equal(ethers.concat([ethers.toBeHex(100000, 16), ethers.toBeHex(100000, 16)]));
+      const validating = account.connect(addr2);
+      expect(await validating[VALIDATE_V07].staticCall(packed, packedHash, 0)).to.equal(0);
+      expect(await validating[VALIDATE_V07].staticCall(packed, userOpHash, 0)).to.equal(1);
+
+      await owner.sendTransaction({ to: account.target, value: ethers.parseEther("1") });
+      await expect(validating[VALIDATE_V07](packed, packedHash, ethers.parseEther("0.1")))
+        .to.changeEtherBalance(account, -ethers.parseEther("0.1"));
+      await expect(account.connect(addr1)[VALIDATE_V07](packed, packedHash, 0))
+        .to.be.revertedWith("SuperAccount: not entryPoint");
+    });
+  });
+
+  describe("IsValidSignature", function () {
+    const message = "composite payload";
+
+    it("Should return the ERC-1271 magic value for an owner signature", async function () {
+      const signature = await owner.signMessage(message);
+      expect(
+        await superAccount.isValidSignature(ethers.hashMessage(message), signature)
+      ).to.equal("0x1626ba7e");
+    });
+
+    it("Should reject a signature by someone else", async function () {
+      const signature = await addr1.signMessage(message);
+      expect(
+        await superAccount.isValidSignature(ethers.hashMessage(message), signature)
+      ).to.equal("0xffffffff");
+    });
+  });
+
   describe("ExecuteBatch", function () {
     it("Should revert if array lengths don't match", async function () {
       const tos = [addr1.address, addr2.address];
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * SuperAccountFactory and the bundler helpers for counterfactual accounts (initCode, address lookup,
+ * payload signatures from accounts that are not deployed yet)
+ */
+describe("SuperAccountFactory", function () {
+  const ENTRYPOINT = "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+
+  let encodeInitCode;
+  let parseInitCode;
+  let getAccountAddress;
+  let verifyPayloadSignature;
+  let buildSignedMessage;
+  let owner;
+  let other;
+  let factory;
+  let factoryAddress;
+
+  before(async function () {
+    ({ encodeInitCode, parseInitCode, getAccountAddress } = await import("../bundler/accountFactory.js"));
+    ({ verifyPayloadSignature, buildSignedMessage } = await import("../bundler/verifySignature.js"));
+    [owner, other] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    const SuperAccountFactory = await ethers.getContractFactory("SuperAccountFactory");
+    factory = await SuperAccountFactory.deploy(ENTRYPOINT);
+    await factory.waitForDeployment();
+    factoryAddress = await factory.getAddress();
+  });
+
+  it("Should deploy accounts at their counterfactual CREATE2 address", async function () {
+    const SuperAccount = await ethers.getContractFactory("SuperAccount");
+    const { data: initCode } = await SuperAccount.getDeployTransaction(ENTRYPOINT, owner.address);
+    const predicted = await factory.getAccountAddress(owner.address, 7);
+    expect(predicted).to.equal(ethers.getCreate2Address(factoryAddress, ethers.toBeHex(7, 32), ethers.keccak256(initCode)));
+    expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+    expect(await factory.isAccount(predicted)).to.equal(false);
+
+    await expect(factory.createAccount(owner.address, 7))
+      .to.emit(factory, "AccountCreated")
+      .withArgs(predicted, owner.address, 7);
+    expect(await factory.isAccount(predicted)).to.equal(true);
+    const account = SuperAccount.attach(predicted);
+    expect(await account.owner()).to.equal(owner.address);
+    expect(await account.entryPoint()).to.equal(ENTRYPOINT);
+
+    // Creating it again returns the existing account
+    expect(await factory.createAccount.staticCall(owner.address, 7)).to.equal(predicted);
+    await expect(factory.createAccount(owner.address, 7)).not.to.emit(factory, "AccountCreated");
+    expect(await factory.getAccountAddress(owner.address, 8)).not.to.equal(predicted);
+    expect(await factory.getAccountAddress(other.address, 7)).not.to.equal(predicted);
+  });
+
+  it("Should encode initCode and look up addresses from the bundler", async function () {
+    const initCode = encodeInitCode({ factory: factoryAddress, owner: owner.address, salt: 3n });
+    expect(ethers.dataSlice(initCode, 0, 20)).to.equal(factoryAddress.toLowerCase());
+    expect(ethers.dataSlice(initCode, 20)).to.equal(factory.interface.encodeFunctionData("createAccount", [owner.address, 3n]));
+    expect(parseInitCode(initCode)).to.deep.equal({ factory: factoryAddress, owner: owner.address, salt: 3n });
+    expect(parseInitCode("0x")).to.equal(null);
+    expect(parseInitCode(ethers.concat([factoryAddress, "0xdeadbeef"]))).to.equal(null);
+
+    expect(await getAccountAddress(ethers.provider, { factory: factoryAddress, owner: owner.address, salt: 3n }))
+      .to.equal(await factory.getAccountAddress(owner.address, 3n));
+  });
+
+  it("Should accept payloads signed by the owner of an account initCode deploys", async function () {
+    const account = await factory.getAccountAddress(owner.address, 0);
+    const initCode = encodeInitCode({ factory: factoryAddress, owner: owner.address });
+
+    async function verify(signer, userOp, options = { accountFactory: factoryAddress }) {
+      const payload = { userAccount: account, actions: [] };
+      const signature = await signer.signMessage(buildSignedMessage(userOp, payload));
+      return verifyPayloadSignature({ userOp, payload, signature, signatureType: "eip191" }, ethers.provider, null, options);
+    }
+
+    expect(await verify(owner, { sender: account, initCode })).to.deep.include({ valid: true, method: "counterfactual" });
+    // Someone else's signature, another factory, or no initCode
+    expect((await verify(other, { sender: account, initCode })).valid).to.equal(false);
+    expect((await verify(owner, { sender: account, initCode }, { accountFactory: other.address })).valid).to.equal(false);
+    expect((await verify(owner, { sender: account, initCode }, {})).valid).to.equal(false);
+    expect((await verify(owner, { sender: account, initCode: "0x" })).valid).to.equal(false);
+    // initCode for another salt deploys a different account
+    const otherSalt = encodeInitCode({ factory: factoryAddress, owner: owner.address, salt: 1n });
+    expect((await verify(owner, { sender: account, initCode: otherSalt })).valid).to.equal(false);
+
+    // Once deployed, the account's owner() is checked instead
+    await factory.createAccount(owner.address, 0);
+    expect(await verify(owner, { sender: account })).to.deep.include({ valid: true, method: "owner" });
+  });
+});
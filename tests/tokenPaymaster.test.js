@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * TokenPaymaster: UserOperation gas and LayerZero fees paid in an allow-listed ERC-20
+ * A signer stands in for the EntryPoint, so validatePaymasterUserOp and postOp can be called directly.
+ */
+describe("TokenPaymaster", function () {
+  // 1 USDC = 0.0004 ETH
+  const PRICE = ethers.parseEther("0.0004");
+  const layerZeroFeeWei = ethers.parseEther("0.001");
+
+  let encodeTokenPaymasterData;
+  let parseTokenPaymasterData;
+  let quoteTokenPayment;
+  let getMaxOperationCost;
+  let buildUserOperation;
+  let entryPoint;
+  let sender;
+  let token;
+  let tokenAddress;
+  let paymaster;
+  let paymasterAddress;
+
+  before(async function () {
+    ({ encodeTokenPaymasterData, parseTokenPaymasterData, quoteTokenPayment, getMaxOperationCost } =
+      await import("../bundler/paymaster.js"));
+    ({ buildUserOperation } = await import("../bundler/userOperation.js"));
+    [, entryPoint, sender] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await token.waitForDeployment();
+    tokenAddress = await token.getAddress();
+
+    const TokenPaymaster = await ethers.getContractFactory("TokenPaymaster");
+    paymaster = await TokenPaymaster.deploy(entryPoint.address);
+    await paymaster.waitForDeployment();
+    paymasterAddress = await paymaster.getAddress();
+
+    await token.mint(sender.address, ethers.parseUnits("1000", 6));
+    await token.connect(sender).approve(paymasterAddress, ethers.MaxUint256);
+  });
+
+  function userOp(paymasterAndData) {
+    return buildUserOperation({
+      sender: sender.address,
+      callGasLimit: 100000,
+      verificationGasLimit: 150000,
+      preVerificationGas: 50000,
+      maxFeePerGas: ethers.parseUnits("2", "gwei"),
+      maxPriorityFeePerGas: ethers.parseUnits("1", "gwei"),
+      paymasterAndData: paymasterAndData ||
+        encodeTokenPaymasterData({ paymaster: paymasterAddress, token: tokenAddress, layerZeroFeeWei }),
+    });
+  }
+
+  it("Should take the maximum cost in tokens and refund unused gas", async function () {
+    await paymaster.setTokenPrice(tokenAddress, PRICE);
+    const operation = userOp();
+    const maxCost = getMaxOperationCost(operation);
+    const preCharge = await paymaster.getTokenAmount(tokenAddress, maxCost + layerZeroFeeWei);
+    // (0.0012 + 0.001) ETH at 0.0004 ETH per token
+    expect(preCharge).to.equal(ethers.parseUnits("5.5", 6));
+
+    const validating = paymaster.connect(entryPoint);
+    const [context, validationData] = await validating.validatePaymasterUserOp.staticCall(operation, ethers.ZeroHash, maxCost);
+    expect(validationData).to.equal(0n);
+    await validating.validatePaymasterUserOp(operation, ethers.ZeroHash, maxCost);
+    expect(await token.balanceOf(paymasterAddress)).to.equal(preCharge);
+
+    const actualGasCost = ethers.parseEther("0.0002");
+    const postOpCost = (await paymaster.POST_OP_GAS()) * operation.maxFeePerGas;
+    const charge = await paymaster.getTokenAmount(tokenAddress, actualGasCost + postOpCost + layerZeroFeeWei);
+    await expect(validating.postOp(0, context, actualGasCost))
+      .to.emit(paymaster, "UserOperationPaid")
+      .withArgs(sender.address, tokenAddress, charge, actualGasCost, layerZeroFeeWei);
+    expect(await token.balanceOf(paymasterAddress)).to.equal(charge);
+    expect(await token.balanceOf(sender.address)).to.equal(ethers.parseUnits("1000", 6) - charge);
+  });
+
+  it("Should price oracle tokens from fresh feed answers only", async function () {
+    const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    // 8-decimal feed: 0.0004 ETH per token
+    const feed = await MockPriceFeed.deploy(8, 40000n);
+    await feed.waitForDeployment();
+
+    await paymaster.setTokenOracle(tokenAddress, await feed.getAddress(), 3600);
+    expect((await paymaster.tokens(tokenAddress)).price).to.equal(PRICE);
+
+    await feed.setAnswer(80000n);
+    await paymaster.updatePrice(tokenAddress);
+    expect((await paymaster.tokens(tokenAddress)).price).to.equal(PRICE * 2n);
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await feed.setUpdatedAt(timestamp - 7200);
+    await expect(paymaster.updatePrice(tokenAddress)).to.be.revertedWith("TokenPaymaster: no fresh oracle price");
+    // The cached price stays in use
+    expect(await paymaster.getTokenAmount(tokenAddress, PRICE * 2n)).to.equal(ethers.parseUnits("1", 6));
+  });
+
+  it("Should only accept allow-listed tokens, from the EntryPoint, configured by the owner", async function () {
+    const operation = userOp();
+    await expect(paymaster.connect(entryPoint).validatePaymasterUserOp(operation, ethers.ZeroHash, 0n))
+      .to.be.revertedWith("TokenPaymaster: token not allowed");
+    await expect(paymaster.connect(sender).setTokenPrice(tokenAddress, PRICE))
+      .to.be.revertedWith("TokenPaymaster: not owner");
+
+    await paymaster.setTokenPrice(tokenAddress, PRICE);
+    await expect(paymaster.validatePaymasterUserOp(operation, ethers.ZeroHash, 0n))
+      .to.be.revertedWith("TokenPaymaster: not entryPoint");
+    await paymaster.removeToken(tokenAddress);
+    await expect(paymaster.getTokenAmount(tokenAddress, 1n)).to.be.revertedWith("TokenPaymaster: token not allowed");
+  });
+
+  it("Should quote the token charge from the bundler", async function () {
+    const paymasterAndData = encodeTokenPaymasterData({ paymaster: paymasterAddress, token: tokenAddress, layerZeroFeeWei });
+    expect(parseTokenPaymasterData(paymasterAndData)).to.deep.equal({ paymaster: paymasterAddress, token: tokenAddress, layerZeroFeeWei });
+    expect(parseTokenPaymasterData("0x")).to.equal(null);
+
+    const gasWei = getMaxOperationCost(userOp(paymasterAndData));
+    const unlisted = await quoteTokenPayment(ethers.provider, { paymaster: paymasterAddress, token: tokenAddress, gasWei, layerZeroFeeWei });
+    expect(unlisted.error).to.match(/not accepted/);
+
+    await paymaster.setTokenPrice(tokenAddress, PRICE);
+    const quote = await quoteTokenPayment(ethers.provider, { paymaster: paymasterAddress, token: tokenAddress, gasWei, layerZeroFeeWei });
+    expect(quote).to.deep.equal({
+      token: tokenAddress,
+      symbol: "USDC",
+      decimals: 6,
+      price: PRICE,
+      amount: ethers.parseUnits("5.5", 6),
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * The bundler's payload signature check (bundler/verifySignature.js): EOAs, deployed SuperAccounts
+ * through owner(), and the payload fields each signing scheme covers
+ */
+describe("Bundler Signature Verification", function () {
+  const ROUTER = "0x0000000000000000000000000000000000000a11";
+  const ENTRYPOINT = "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789";
+
+  let EIL_PAYLOAD_TYPES;
+  let getEILPayloadDomain;
+  let toEILTypedMessage;
+  let verifyPayloadSignature;
+  let buildSignedMessage;
+  let owner;
+  let other;
+  let domain;
+
+  before(async function () {
+    ({ EIL_PAYLOAD_TYPES, getEILPayloadDomain, toEILTypedMessage } = await import("../bundler/buildPayload.js"));
+    ({ verifyPayloadSignature, buildSignedMessage } = await import("../bundler/verifySignature.js"));
+    [owner, other] = await ethers.getSigners();
+    domain = getEILPayloadDomain(Number((await ethers.provider.getNetwork()).chainId), ROUTER);
+  });
+
+  function buildPayload(fields = {}) {
+    return {
+      userAccount: owner.address,
+      actions: [],
+      fileOps: [],
+      timestamp: "1700000000",
+      nonce: "1",
+      deadline: "1700000600",
+      ...fields,
+    };
+  }
+
+  async function signTyped(payload, signer = owner) {
+    return signer.signTypedData(domain, EIL_PAYLOAD_TYPES, toEILTypedMessage(payload));
+  }
+
+  function verify(payload, signature) {
+    return verifyPayloadSignature({ payload, signature, signatureType: "eip712" }, ethers.provider, domain);
+  }
+
+  it("Should accept EOA signatures in either scheme and reject other signers", async function () {
+    const payload = buildPayload();
+    expect(await verify(payload, await signTyped(payload))).to.deep.include({
+      valid: true,
+      signer: owner.address,
+      account: owner.address,
+      method: "eoa",
+    });
+    const forged = await verify(payload, await signTyped(payload, other));
+    expect(forged).to.deep.include({ valid: false, signer: other.address });
+    expect(forged.reason).to.match(/not by account/);
+
+    // Legacy clients sign the request's JSON, UserOp included
+    const userOp = { sender: owner.address, nonce: "0", callData: "0x" };
+    const signature = await owner.signMessage(buildSignedMessage(userOp, payload));
+    const legacy = (request) => verifyPayloadSignature({ signature, ...request }, ethers.provider, null);
+    expect(await legacy({ userOp, payload })).to.deep.include({ valid: true, method: "eoa" });
+    expect((await legacy({ userOp: { ...userOp, callData: "0x00" }, payload })).valid).to.equal(false);
+    expect((await legacy({ userOp, payload, signatureType: "eip712" })).reason).to.match(/No EIP-712 domain/);
+    expect((await legacy({ userOp, payload, signatureType: "eip2098" })).reason).to.match(/Unsupported signature type/);
+  });
+
+  it("Should reject malformed requests before recovering a signer", async function () {
+    const payload = buildPayload();
+    expect((await verify(payload, undefined)).reason).to.match(/Missing or malformed signature/);
+    expect((await verify(payload, "not hex")).reason).to.match(/Missing or malformed signature/);
+    expect((await verify({ ...payload, userAccount: "0x1234" }, await signTyped(payload))).reason)
+      .to.match(/no valid userAccount/);
+    expect((await verify(payload, "0x1234")).reason).to.match(/Could not recover signer/);
+  });
+
+  it("Should check deployed smart accounts against their owner", async function () {
+    const SuperAccount = await ethers.getContractFactory("SuperAccount");
+    const account = await SuperAccount.deploy(ENTRYPOINT, owner.address);
+    await account.waitForDeployment();
+    const payload = buildPayload({ userAccount: account.target });
+
+    expect(await verify(payload, await signTyped(payload))).to.deep.include({
+      valid: true,
+      signer: owner.address,
+      account: account.target,
+      method: "owner",
+    });
+    const forged = await verify(payload, await signTyped(payload, other));
+    expect(forged.valid).to.equal(false);
+    expect(forged.reason).to.match(/is not valid for smart account/);
+  });
+
+  it("Should bind an EIP-712 payload signature to its UserOp hash", async function () {
+    const userOpHash = ethers.keccak256(ethers.toUtf8Bytes("userOp"));
+    const payload = buildPayload({ userOpHash });
+    const signature = await signTyped(payload);
+    expect(await verify(payload, signature)).to.deep.include({ valid: true, method: "eoa" });
+
+    // A relayer swapping the UserOp (gas fields, paymasterAndData) changes its hash
+    const swapped = { ...payload, userOpHash: ethers.keccak256(ethers.toUtf8Bytes("other userOp")) };
+    expect((await verify(swapped, signature)).valid).to.equal(false);
+    expect((await verify(buildPayload(), signature)).valid).to.equal(false);
+
+    // Quotes and previews name no UserOp yet
+    expect(toEILTypedMessage(buildPayload()).userOpHash).to.equal(ethers.ZeroHash);
+  });
+});
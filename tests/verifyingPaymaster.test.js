@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * VerifyingPaymaster and the bundler's sponsorship service that signs its approvals
+ * A signer stands in for the EntryPoint, so validatePaymasterUserOp can be called directly.
+ */
+describe("VerifyingPaymaster", function () {
+  const adapter = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const SIG_VALIDATION_FAILED = 1n;
+
+  let createActionStore;
+  let createSponsorshipService;
+  let getPaymasterHash;
+  let parsePaymasterAndData;
+  let buildUserOperation;
+  let encodeExecuteCallData;
+  let ROUTER_ABI;
+  let owner;
+  let entryPoint;
+  let verifyingSigner;
+  let sender;
+  let paymaster;
+  let paymasterAddress;
+  let chainId;
+  let tmpDir;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createSponsorshipService, getPaymasterHash, parsePaymasterAndData } = await import("../bundler/paymaster.js"));
+    ({ buildUserOperation, encodeExecuteCallData } = await import("../bundler/userOperation.js"));
+    ({ ROUTER_ABI } = await import("../bundler/accountCalls.js"));
+    [owner, entryPoint, verifyingSigner, sender] = await ethers.getSigners();
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+  });
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "paymaster-"));
+    const VerifyingPaymaster = await ethers.getContractFactory("VerifyingPaymaster");
+    paymaster = await VerifyingPaymaster.deploy(entryPoint.address, verifyingSigner.address);
+    await paymaster.waitForDeployment();
+    paymasterAddress = await paymaster.getAddress();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function userOp(fields = {}) {
+    return buildUserOperation({
+      sender: sender.address,
+      nonce: 3,
+      callData: encodeExecuteCallData(adapter, 0n, "0x1234"),
+      callGasLimit: 100000,
+      verificationGasLimit: 150000,
+      preVerificationGas: 50000,
+      maxFeePerGas: ethers.parseUnits("2", "gwei"),
+      maxPriorityFeePerGas: ethers.parseUnits("1", "gwei"),
+      ...fields,
+    });
+  }
+
+  function service(options = {}) {
+    return createSponsorshipService({
+      store: createActionStore(path.join(tmpDir, "actions.json")),
+      signer: verifyingSigner,
+      paymasters: { [chainId]: paymasterAddress },
+      ...options,
+    });
+  }
+
+  async function validate(operation) {
+    return paymaster.connect(entryPoint).validatePaymasterUserOp.staticCall(operation, ethers.ZeroHash, 0n);
+  }
+
+  it("Should compute the same hash as the bundler", async function () {
+    const operation = userOp();
+    const approval = { chainId, paymaster: paymasterAddress, validUntil: 1900000000, validAfter: 5 };
+    expect(await paymaster.getHash(operation, approval.validUntil, approval.validAfter))
+      .to.equal(getPaymasterHash(operation, approval));
+  });
+
+  it("Should accept UserOperations the sponsorship service signed", async function () {
+    const sponsored = await service().sponsor(userOp(), { chainId });
+    const [context, validationData] = await validate(userOp({ paymasterAndData: sponsored.paymasterAndData }));
+
+    expect(validationData & SIG_VALIDATION_FAILED).to.equal(0n);
+    expect(validationData >> 160n & (2n ** 48n - 1n)).to.equal(BigInt(sponsored.validUntil));
+    expect(validationData >> 208n).to.equal(0n);
+    expect(ethers.AbiCoder.defaultAbiCoder().decode(["address"], context)[0]).to.equal(sender.address);
+    expect(parsePaymasterAndData(sponsored.paymasterAndData)).to.deep.include({ paymaster: paymasterAddress });
+
+    // Any change to the approved operation invalidates the signature
+    const [, tampered] = await validate(userOp({ callGasLimit: 200000, paymasterAndData: sponsored.paymasterAndData }));
+    expect(tampered & SIG_VALIDATION_FAILED).to.equal(SIG_VALIDATION_FAILED);
+  });
+
+  it("Should only let the EntryPoint validate and the owner change the signer", async function () {
+    const { paymasterAndData } = await service().sponsor(userOp(), { chainId });
+    await expect(paymaster.validatePaymasterUserOp(userOp({ paymasterAndData }), ethers.ZeroHash, 0n))
+      .to.be.revertedWith("VerifyingPaymaster: not entryPoint");
+    await expect(paymaster.connect(sender).setVerifyingSigner(sender.address))
+      .to.be.revertedWith("VerifyingPaymaster: not owner");
+
+    await expect(paymaster.connect(owner).setVerifyingSigner(sender.address))
+      .to.emit(paymaster, "VerifyingSignerChanged")
+      .withArgs(verifyingSigner.address, sender.address);
+    const [, validationData] = await validate(userOp({ paymasterAndData }));
+    expect(validationData & SIG_VALIDATION_FAILED).to.equal(SIG_VALIDATION_FAILED);
+  });
+
+  it("Should sponsor by policy: allowed accounts, allowed adapters and a daily budget", async function () {
+    const operation = userOp();
+    // (100000 + 150000 * 3 + 50000) gas at 2 gwei
+    const maxCost = 600000n * ethers.parseUnits("2", "gwei");
+
+    const restricted = service({ allowedAccounts: [owner.address], allowedAdapters: [adapter] });
+    expect(await restricted.sponsor(operation, { chainId })).to.deep.include({ declined: true });
+    expect(service().getStubData(operation, { chainId: 1 }).error).to.match(/No paymaster/);
+
+    const adapters = service({ allowedAdapters: [adapter.toLowerCase()] });
+    expect(adapters.getStubData(operation, { chainId }).paymasterAndData).to.have.lengthOf(2 + 149 * 2);
+    const payload = { userAccount: sender.address, actions: [{ chainId, adapter: owner.address, calldata: "0x" }] };
+    expect((await adapters.sponsor(operation, { chainId, payload })).error).to.match(/are not sponsored/);
+    expect(adapters.getStubData(userOp({ callData: "0xdeadbeef" }), { chainId }).error).to.match(/SuperAccount/);
+
+    // A router call is sponsored by the adapters of the actions it carries
+    const router = owner.address;
+    const routerInterface = new ethers.Interface(ROUTER_ABI);
+    const viaRouter = (targetAdapter) => userOp({
+      callData: encodeExecuteCallData(router, 0n, routerInterface.encodeFunctionData("executeLocalAction", [
+        { userAccount: sender.address, targetAdapter, adapterCalldata: "0x", timestamp: 1n, actionId: ethers.ZeroHash },
+      ])),
+    });
+    const routed = service({ allowedAdapters: [adapter], routers: [router] });
+    expect(routed.getStubData(viaRouter(adapter), { chainId }).error).to.equal(undefined);
+    expect(routed.getStubData(viaRouter(sender.address), { chainId }).error).to.match(/are not sponsored/);
+    expect(adapters.getStubData(viaRouter(adapter), { chainId }).error).to.match(/are not sponsored/);
+
+    const budgeted = service({ dailyBudgetWei: maxCost * 2n });
+    expect((await budgeted.sponsor(operation, { chainId })).maxCostWei).to.equal(maxCost);
+    expect((await budgeted.sponsor(operation, { chainId })).error).to.equal(undefined);
+    expect((await budgeted.sponsor(operation, { chainId })).error).to.match(/budget exceeded/);
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Signed webhook callbacks sent by the bundler when actions finish and payloads settle
+ */
+describe("Bundler Webhooks", function () {
+  const account = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  let createActionStore;
+  let createWebhookNotifier;
+  let validateWebhookUrl;
+  let verifyWebhookSignature;
+  let tmpDir;
+  let server;
+  let receiverUrl;
+  let received;
+  let responses;
+  let notifier;
+
+  before(async function () {
+    ({ createActionStore } = await import("../bundler/actionStore.js"));
+    ({ createWebhookNotifier, validateWebhookUrl, verifyWebhookSignature } = await import("../bundler/webhooks.js"));
+  });
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+    received = [];
+    responses = [];
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterEach(async function () {
+    notifier?.stop();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function setup(options = {}) {
+    const store = createActionStore(path.join(tmpDir, "actions.json"));
+    const isPayloadSettled = (hash) =>
+      store.getPayload(hash).status !== "queued" &&
+      store.getActionsForPayload(hash).every((action) => ["executed", "failed", "skipped"].includes(action.status));
+    notifier = createWebhookNotifier({ store, isPayloadSettled, backoffMs: 20, allowPrivateUrls: true, ...options });
+    notifier.start();
+    return store;
+  }
+
+  function submitPayload(store, { apiKeyId } = {}) {
+    store.savePayload({ hash: "0xpayload", userAccount: account, apiKeyId, actionIds: ["0xa1", "0xa2"], status: "queued" });
+    store.saveAction({ actionId: "0xa1", payloadHash: "0xpayload", userAccount: account, chainId: 1, status: "queued" });
+    store.saveAction({ actionId: "0xa2", payloadHash: "0xpayload", userAccount: account, chainId: 2, status: "queued" });
+  }
+
+  async function waitFor(condition, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+      if (Date.now() - start > timeoutMs) {
+        throw new Error("Timed out waiting for webhook deliveries");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  it("Should POST signed action and payload events to the receiver", async function () {
+    const store = setup();
+    const { webhook } = notifier.register({ url: receiverUrl, userAccount: account });
+    submitPayload(store);
+
+    store.setActionStatus("0xa1", "executed", { txHash: "0xtx1" });
+    store.updatePayload("0xpayload", { status: "processed" });
+    store.setActionStatus("0xa2", "failed", { error: "Adapter execution failed" });
+    await waitFor(() => received.length === 3);
+
+    const events = received.map(({ headers, body }) => {
+      expect(verifyWebhookSignature(webhook.secret, body, headers["x-webhook-signature"])).to.equal(true);
+      expect(verifyWebhookSignature("whsec_other", body, headers["x-webhook-signature"])).to.equal(false);
+      return JSON.parse(body);
+    });
+    expect(events.map((event) => event.type)).to.have.members(["action.completed", "action.completed", "payload.completed"]);
+
+    const settled = events.find((event) => event.type === "payload.completed");
+    expect(settled.data.status).to.equal("processed");
+    expect(settled.data.actions.map((action) => action.status)).to.deep.equal(["executed", "failed"]);
+    expect(received[0].headers["x-webhook-id"]).to.equal(events[0].id);
+  });
+
+  it("Should retry failed deliveries with backoff", async function () {
+    responses = [500, 503];
+    const store = setup();
+    const { webhook } = notifier.register({ url: receiverUrl, userAccount: account, events: ["action.completed"] });
+    submitPayload(store);
+    store.setActionStatus("0xa1", "executed");
+
+    await waitFor(() => store.getWebhookDeliveries(webhook.id)[0]?.status === "delivered");
+    expect(received).to.have.length(3);
+    expect(new Set(received.map(({ body }) => body)).size).to.equal(1);
+    expect(store.getWebhookDeliveries(webhook.id)[0].attempts).to.equal(3);
+  });
+
+  it("Should mark a delivery failed after the last attempt", async function () {
+    responses = [500, 500];
+    const store = setup({ maxAttempts: 2 });
+    const { webhook } = notifier.register({ url: receiverUrl, userAccount: account, events: ["action.completed"] });
+    submitPayload(store);
+    store.setActionStatus("0xa1", "skipped");
+
+    await waitFor(() => store.getWebhookDeliveries(webhook.id)[0]?.status === "failed");
+    expect(store.getWebhookDeliveries(webhook.id)[0].lastError).to.equal("Receiver answered 500");
+  });
+
+  it("Should only notify webhooks of the payload's account or API key", async function () {
+    const store = setup();
+    notifier.register({ url: `${receiverUrl}/other`, userAccount: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC" });
+    notifier.register({ url: `${receiverUrl}/other-key`, apiKeyId: "key-b" });
+    notifier.register({ url: `${receiverUrl}/key`, apiKeyId: "key-a", events: ["action.completed"] });
+    submitPayload(store, { apiKeyId: "key-a" });
+    store.setActionStatus("0xa1", "executed");
+
+    await waitFor(() => received.length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(received.map(({ headers }) => headers["x-webhook-event"])).to.deep.equal(["action.completed"]);
+  });
+
+  it("Should refuse invalid registrations", function () {
+    setup({ allowPrivateUrls: false });
+    expect(validateWebhookUrl("ftp://example.com/hook")).to.match(/http\(s\)/);
+    expect(validateWebhookUrl("http://127.0.0.1:8080/hook")).to.match(/internal/);
+    expect(validateWebhookUrl("http://[::1]/hook")).to.match(/internal/);
+    expect(validateWebhookUrl("http://192.168.1.10/hook")).to.match(/internal/);
+    expect(validateWebhookUrl("https://hooks.example.com/bundler")).to.equal(null);
+
+    expect(notifier.register({ url: "https://hooks.example.com/bundler" }).error).to.match(/userAccount is required/);
+    expect(notifier.register({ url: "https://hooks.example.com/bundler", userAccount: account, events: ["nope"] }).error)
+      .to.match(/events must be/);
+  });
+});